@@ -57,6 +57,7 @@ module.exports = {
     HandlebarsApplicationMixin: 'readonly',
     // FoundryVTT UI globals
     ui: 'readonly',
+    canvas: 'readonly',
     TextEditor: 'readonly',
     jQuery: 'readonly',
     $: 'readonly',
@@ -18,21 +18,62 @@ import {
   calculateRetryDelay,
   executeRetryDelay,
   buildConnectionRetryLabel,
+  buildProviderFallbackLabel,
   DEFAULT_RETRY_CONFIG,
 } from '../utils/retry-helpers.js';
 import { modelService } from './model-service.js';
+import { isEventStream, readChatStream } from '../utils/sse-stream.js';
+import { describeContent, getImageUrls } from '../utils/message-content.js';
 // Import providers
 import { AIProvider } from './providers/base-provider.js';
 import { MockAIProvider } from './providers/mock-provider.js';
 import { OpenAIProvider } from './providers/openai-provider.js';
+import { AnthropicProvider } from './providers/anthropic-provider.js';
+import { OllamaProvider, resolveNumCtx } from './providers/ollama-provider.js';
+import { OpenAIResponsesProvider } from './providers/openai-responses-provider.js';
+import { ReplayProvider } from './providers/replay-provider.js';
+import {
+  buildAuthHeaders,
+  buildModelsURL,
+  isOllamaEndpoint,
+  maskAuthHeaders,
+} from './providers/endpoint-utils.js';
 
 // Re-export providers for backward compatibility
-export { AIProvider, MockAIProvider, OpenAIProvider };
+export {
+  AIProvider,
+  MockAIProvider,
+  OpenAIProvider,
+  AnthropicProvider,
+  OllamaProvider,
+  OpenAIResponsesProvider,
+  ReplayProvider,
+};
 
 export const AI_ERROR_CODES = Object.freeze({
   TOOL_CALL_FAILURE: 'TOOL_CALL_FAILURE',
 });
 
+// Sent in place of attached images when the model does not accept them
+const IMAGE_OMITTED_NOTE = '[Image omitted: the current model does not accept images]';
+
+// How long the "switching provider" status stays visible before the fallback request
+const FALLBACK_NOTICE_MS = 1000;
+
+/**
+ * Whether a chat failure should move on to the next provider in the fallback chain
+ * Rate limits, server errors and exhausted connection retries qualify; cancellations and
+ * request errors (4xx) do not, since another provider would most likely reject them too.
+ * @param {Error} error - Failure from a provider
+ * @param {AbortSignal} [signal] - The request's abort signal
+ * @returns {boolean}
+ */
+export function isProviderFailure(error, signal) {
+  if (isAbortError(error, signal)) return false;
+  const { status, retriesExhausted } = error?.data || {};
+  return retriesExhausted === true || isRetryableError(null, status ?? null);
+}
+
 /**
  * AI Client - Main abstraction layer for interacting with various AI providers
  */
@@ -43,12 +84,31 @@ export class AIClient {
    * @param {string} [config.apiKey] - API key for the AI provider
    * @param {string} [config.baseURL] - Base URL for API requests
    * @param {string} [config.model] - Model name to use
+   * @param {number} [config.temperature] - Sampling temperature (omitted to use the provider default)
+   * @param {number} [config.requestDelay] - Delay before each request in ms (defaults to the setting)
+   * @param {{id: string, name: string}} [config.profile] - Connection profile this client serves
+   * @param {number} [config.contextLimit] - Context limit of that profile (defaults to the
+   *   fallbackContextLimit setting)
+   * @param {Array<Object>} [config.fallbacks] - Ordered client configs tried when this one fails
+   * @param {Function} [config.onUsage] - Receives `(usage, {model, provider, messages, tools})`
+   *   after each response
+   * @param {import('./providers/replay-provider.js').CassetteRecorder} [config.recorder] -
+   *   Captures every request and its response
+   * @param {ReplayProvider} [config.replay] - Serves recorded responses instead of the network
    * @throws {SimulacrumError} When unsupported provider baseURL is provided
    */
   constructor(config = {}) {
     this.apiKey = config.apiKey ? config.apiKey.trim() : config.apiKey;
     this.baseURL = config.baseURL;
     this.model = config.model;
+    this.temperature = Number.isFinite(config.temperature) ? config.temperature : undefined;
+    this.requestDelay = Number.isFinite(config.requestDelay) ? config.requestDelay : undefined;
+    this.profile = config.profile || null;
+    this.contextLimit = config.contextLimit > 0 ? config.contextLimit : null;
+    this.fallbacks = Array.isArray(config.fallbacks) ? config.fallbacks : [];
+    this.onUsage = typeof config.onUsage === 'function' ? config.onUsage : null;
+    this.recorder = config.recorder || null;
+    this.replay = config.replay || null;
 
     // Context length will be dynamically derived when needed
     this._fallbackContextLimit = 32000;
@@ -95,11 +155,11 @@ export class AIClient {
    * @returns {number} Context length
    */
   getContextLength() {
+    const fallback = this.contextLimit ?? this._fallbackContextLimit;
     if (this.model) {
-      const { limit } = modelService.getContextLimit(this.model, this._fallbackContextLimit);
-      return limit;
+      return modelService.getContextLimit(this.model, fallback, this.baseURL).limit;
     }
-    return this._fallbackContextLimit;
+    return fallback;
   }
 
   /**
@@ -108,10 +168,10 @@ export class AIClient {
    * @private
    */
   async _applyRequestDelay() {
-    // Get delay from settings (in seconds), default to 0
-    let delay = 0;
+    // Get delay from the client config or settings (in milliseconds), default to 0
+    let delay = this.requestDelay ?? 0;
     try {
-      if (typeof game !== 'undefined' && game?.settings?.get) {
+      if (this.requestDelay === undefined && typeof game !== 'undefined' && game?.settings?.get) {
         delay = game.settings.get('simulacrum', 'apiRequestDelay') || 0;
       }
     } catch {
@@ -146,10 +206,46 @@ export class AIClient {
       // Content is optional for some roles in some APIs (e.g. assistant calls tool),
       // but generally we want to ensure it's at least present or handled.
       // For now, we'll just check it's not undefined if it's supposed to be there.
+      if (Array.isArray(msg.content)) {
+        this._checkContentParts(msg.content, index);
+      }
     });
 
     // Validate and repair tool call/response parity (critical for Mistral and other strict APIs)
-    return this._validateToolCallParity(messages);
+    return this._validateToolCallParity(this._prepareImageContent(messages));
+  }
+
+  /**
+   * Validate multimodal content parts (text and image_url)
+   * @param {Array} parts - Content parts of one message
+   * @param {number} index - Message index (for the error message)
+   * @private
+   */
+  _checkContentParts(parts, index) {
+    parts.forEach((part, partIndex) => {
+      const valid =
+        (part?.type === 'text' && typeof part.text === 'string') ||
+        (part?.type === 'image_url' && getImageUrls([part]).length === 1);
+      if (!valid) {
+        throw new Error(`Message at index ${index} has an invalid content part at ${partIndex}`);
+      }
+    });
+  }
+
+  /**
+   * Replace attached images with a text note when the model is known not to accept images
+   * (e.g. the conversation continued after switching to a text-only model)
+   * @param {Array} messages - Array of message objects
+   * @returns {Array} Messages safe to send to this client's model
+   * @private
+   */
+  _prepareImageContent(messages) {
+    if (modelService.supportsVision(this.model) !== false) return messages;
+    return messages.map(msg =>
+      Array.isArray(msg.content)
+        ? { ...msg, content: describeContent(msg.content, IMAGE_OMITTED_NOTE) }
+        : msg
+    );
   }
 
   /**
@@ -265,13 +361,210 @@ export class AIClient {
     return repairedMessages;
   }
 
+  /**
+   * Get the native transport for providers that do not speak `/chat/completions`
+   * Ollama gets its native API so `num_ctx` follows the configured context limit
+   * (re-read per request so sidebar edits apply without reinitializing the client), or the
+   * limit of the profile a fallback client was built from.
+   * Other endpoints use the Responses API when it is enabled in the settings.
+   * @returns {Promise<AnthropicProvider|OllamaProvider|OpenAIResponsesProvider|null>} Provider
+   *   translating requests, or null for `/chat/completions`
+   * @private
+   */
+  async _getNativeProvider() {
+    const config = { apiKey: this.apiKey, baseURL: this.baseURL, model: this.model };
+    if (this.detectProvider(this.baseURL) === 'anthropic') return new AnthropicProvider(config);
+    if (!isOllamaEndpoint(this.baseURL)) {
+      return this._useResponsesApi() ? new OpenAIResponsesProvider(config) : null;
+    }
+
+    let configuredLimit = this.contextLimit ?? this._fallbackContextLimit;
+    try {
+      if (this.contextLimit === null && typeof game !== 'undefined' && game?.settings?.get) {
+        configuredLimit =
+          game.settings.get('simulacrum', 'fallbackContextLimit') || configuredLimit;
+      }
+    } catch {
+      // Settings not available, use the value read at construction
+    }
+    const modelInfo = await modelService.probeOllamaModel(this.model, {
+      baseURL: this.baseURL,
+      apiKey: this.apiKey,
+    });
+    return new OllamaProvider({
+      ...config,
+      numCtx: resolveNumCtx(configuredLimit, modelInfo?.contextLength),
+    });
+  }
+
+  /**
+   * Whether OpenAI-compatible endpoints should be sent Responses API requests
+   * @returns {boolean}
+   * @private
+   */
+  _useResponsesApi() {
+    try {
+      if (typeof game !== 'undefined' && game?.settings?.get) {
+        return game.settings.get('simulacrum', 'responsesApi') === true;
+      }
+    } catch {
+      // Setting not registered yet - keep `/chat/completions`
+    }
+    return false;
+  }
+
+  /**
+   * Whether a chat request should use SSE streaming
+   * Background requests (compaction) and callers without a delta handler never stream.
+   * @param {Object} options - Chat options
+   * @returns {boolean}
+   * @private
+   */
+  _shouldStream(options = {}) {
+    if (typeof options.onDelta !== 'function' || options.isBackground) return false;
+    try {
+      if (typeof game !== 'undefined' && game?.settings?.get) {
+        return game.settings.get('simulacrum', 'streamResponses') !== false;
+      }
+    } catch {
+      // Setting not registered yet - default to streaming
+    }
+    return true;
+  }
+
   /**
    * Chat with AI using OpenAI-compatible API
    * @param {Array} messages - Array of message objects
    * @param {Array} tools - Optional tools for function calling
-   * @returns {Promise<Object>} AI response
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request, including an in-flight stream
+   * @param {boolean} [options.isBackground] - Background request (never streamed)
+   * @param {Function} [options.onDelta] - Enables SSE streaming; receives `{type, text}` deltas
+   * @returns {Promise<Object>} AI response, including the `provider` that produced it
    */
   async chat(messages, tools = null, options = {}) {
+    if (this.replay) return this._chatFromReplay(messages, tools, options);
+    if (!this.recorder) return this._chatWithFallbacks(messages, tools, options);
+
+    try {
+      const response = await this._chatWithFallbacks(messages, tools, options);
+      this.recorder.record({ messages, tools }, { response });
+      return response;
+    } catch (error) {
+      // Cancellation is the user's doing, not the provider's answer
+      if (!isAbortError(error, options.signal)) {
+        this.recorder.record({ messages, tools }, { error });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Serve a chat request from the replay cassette
+   * @param {Array} messages - Array of message objects
+   * @param {Array} tools - Optional tools for function calling
+   * @param {Object} [options] - Request options (see {@link AIClient#chat})
+   * @returns {Promise<Object>} Recorded AI response
+   * @private
+   */
+  async _chatFromReplay(messages, tools, options = {}) {
+    throwIfAborted(options.signal);
+    const response = await this.replay.generateResponse(messages, {
+      tools,
+      onDelta: options.isBackground ? null : options.onDelta,
+    });
+    this._reportUsage(response, response.provider || this.describeProvider(), { messages, tools });
+    return response;
+  }
+
+  /**
+   * Send a chat request, trying each fallback provider in turn
+   * @param {Array} messages - Array of message objects
+   * @param {Array} tools - Optional tools for function calling
+   * @param {Object} [options] - Request options (see {@link AIClient#chat})
+   * @returns {Promise<Object>} AI response, including the `provider` that produced it
+   * @private
+   */
+  async _chatWithFallbacks(messages, tools, options = {}) {
+    const chain = [this, ...this.fallbacks.map(config => new AIClient(config))];
+
+    for (let index = 0; ; index++) {
+      const client = chain[index];
+      const next = chain[index + 1];
+      try {
+        const response = await client._chatWithProvider(messages, tools, {
+          ...options,
+          fallbackAvailable: !!next,
+        });
+        const provider = client.describeProvider();
+        this._reportUsage(response, provider, { messages, tools });
+        return { ...response, provider };
+      } catch (error) {
+        if (!next || !isProviderFailure(error, options.signal)) throw error;
+
+        const fallbackCallId = `api-fallback-${Date.now()}`;
+        const label = buildProviderFallbackLabel(next.describeProvider().name);
+        createLogger('AIClient').warn(`${label} (${error.message})`);
+        emitRetryStatus('start', fallbackCallId, label);
+        // Keep the notice up briefly so the switch is visible before the next stream starts
+        await executeRetryDelay(FALLBACK_NOTICE_MS, options.signal, fallbackCallId);
+        emitRetryStatus('end', fallbackCallId);
+      }
+    }
+  }
+
+  /**
+   * Pass the response's token usage to the `onUsage` callback
+   * @param {Object} response - Chat response
+   * @param {Object} provider - Provider that produced it (see {@link AIClient#describeProvider})
+   * @param {{messages: Array, tools: Array|null}} request - What was sent
+   * @private
+   */
+  _reportUsage(response, provider, request) {
+    if (!this.onUsage || !response?.usage) return;
+    try {
+      this.onUsage(response.usage, {
+        model: provider.model || response.model,
+        provider: provider.name,
+        messages: request.messages,
+        tools: request.tools,
+      });
+    } catch (error) {
+      createLogger('AIClient').warn('Usage callback failed:', error);
+    }
+  }
+
+  /**
+   * Describe the provider this client talks to (for logs and status labels)
+   * @returns {{profileId: string|null, name: string, baseURL: string, model: string}}
+   */
+  describeProvider() {
+    let host = this.baseURL || '';
+    try {
+      host = new URL(this.baseURL).host;
+    } catch {
+      // Keep the raw base URL
+    }
+    return {
+      profileId: this.profile?.id ?? null,
+      name: this.profile?.name || `${this.model} @ ${host}`,
+      baseURL: this.baseURL,
+      model: this.model,
+    };
+  }
+
+  /**
+   * Send a chat request to this client's provider, retrying transient failures
+   * With a fallback available, 429/5xx responses are not retried: the next provider is tried.
+   * @param {Array} messages - Array of message objects
+   * @param {Array} tools - Optional tools for function calling
+   * @param {Object} [options] - Request options (see {@link AIClient#chat})
+   * @param {boolean} [options.fallbackAvailable] - Whether another provider can take over
+   * @returns {Promise<Object>} AI response
+   * @throws {APIError} With `data.status` for HTTP failures, or `data.retriesExhausted`
+   * @private
+   */
+  async _chatWithProvider(messages, tools = null, options = {}) {
     if (!this.baseURL) {
       throw new SimulacrumError('No baseURL configured for AI client');
     }
@@ -288,6 +581,8 @@ export class AIClient {
       });
     }
 
+    const nativeProvider = await this._getNativeProvider();
+
     const body = {
       model: this.model,
       // Sanitize messages to remove internal fields (like provider_metadata) that cause 400 errors
@@ -313,6 +608,10 @@ export class AIClient {
         const tool_calls = Array.isArray(m.tool_calls)
           ? m.tool_calls.map(normalizeToolCallArguments)
           : m.tool_calls;
+        // Reasoning items and response ID for the Responses API (see openai-responses-provider)
+        const responseState = nativeProvider?.keepsResponseState
+          ? m.provider_metadata?.original_response?.response_state
+          : null;
 
         return {
           role,
@@ -320,6 +619,7 @@ export class AIClient {
           ...(m.name ? { name: m.name } : {}),
           ...(tool_calls ? { tool_calls } : {}),
           ...(m.tool_call_id ? { tool_call_id: m.tool_call_id } : {}),
+          ...(responseState ? { response_state: responseState } : {}),
         };
       }),
     };
@@ -329,6 +629,16 @@ export class AIClient {
       body.tool_choice = 'auto';
     }
 
+    if (this.temperature !== undefined) {
+      body.temperature = this.temperature;
+    }
+
+    const stream = this._shouldStream(options);
+    if (stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+
     let response;
     const __inJest = typeof process !== 'undefined' && process?.env && process.env.JEST_WORKER_ID;
     const __retryEnabled = !__inJest;
@@ -339,22 +649,24 @@ export class AIClient {
       // Check for cancellation at the start of each iteration
       throwIfAborted(signal);
 
-      const headers = {
-        'Content-Type': 'application/json',
-        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
-      };
+      const headers = nativeProvider
+        ? nativeProvider.getHeaders()
+        : {
+            'Content-Type': 'application/json',
+            ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+          };
 
       try {
-        const url = new URL(`${this.baseURL.replace(/\/$/, '')}/chat/completions`);
+        const url = new URL(
+          nativeProvider
+            ? nativeProvider.getEndpoint()
+            : `${this.baseURL.replace(/\/$/, '')}/chat/completions`
+        );
 
         if (isDebugEnabled()) {
-          const debugHeaders = { ...headers };
-          if (debugHeaders.Authorization) {
-            debugHeaders.Authorization = '[MASKED]';
-          }
           createLogger('AIClient').info('Sending API Request:', {
             url: url.toString(),
-            headers: debugHeaders,
+            headers: maskAuthHeaders(headers),
             hasApiKey: !!this.apiKey,
             apiKeyLength: this.apiKey ? this.apiKey.length : 0,
           });
@@ -375,7 +687,9 @@ export class AIClient {
           createLogger('AIClient').info('Message structure before API call:', msgSummary);
         }
 
-        const stringifiedBody = JSON.stringify(body);
+        const stringifiedBody = JSON.stringify(
+          nativeProvider ? nativeProvider.buildRequestBody(body) : body
+        );
 
         response = await fetch(url.toString(), {
           method: 'POST',
@@ -389,7 +703,8 @@ export class AIClient {
         }
 
         const status = response.status;
-        const shouldRetry = __retryEnabled && isRetryableError(null, status);
+        const shouldRetry =
+          __retryEnabled && isRetryableError(null, status) && !options.fallbackAvailable;
 
         if (shouldRetry && attempt < MAX_RETRIES) {
           const delay = calculateRetryDelay(attempt, INITIAL_DELAY_MS, true);
@@ -418,7 +733,10 @@ export class AIClient {
         }
 
         if (attempt >= MAX_RETRIES) {
-          throw new Error(`Failed to fetch after ${MAX_RETRIES + 1} attempts: ${error.message}`);
+          throw new APIError(
+            `Failed to fetch after ${MAX_RETRIES + 1} attempts: ${error.message}`,
+            { retriesExhausted: true }
+          );
         }
         const delay = calculateRetryDelay(attempt, INITIAL_DELAY_MS, true);
         const retryCallId = `api-retry-fetch-${Date.now()}`;
@@ -436,7 +754,7 @@ export class AIClient {
       let errorText;
       try {
         const errorData = await response.json();
-        errorText = errorData.message || JSON.stringify(errorData);
+        errorText = errorData.message || errorData.error?.message || JSON.stringify(errorData);
       } catch {
         try {
           errorText = await response.text();
@@ -444,10 +762,22 @@ export class AIClient {
           errorText = 'API error';
         }
       }
-      throw new APIError(`${response.status} - ${errorText}`);
+      throw new APIError(`${response.status} - ${errorText}`, { status: response.status });
     }
 
-    const data = await response.json();
+    // Servers that ignore `stream: true` answer with plain JSON; read those the usual way
+    let data;
+    if (nativeProvider) {
+      data = await nativeProvider.readResponse(response, {
+        stream,
+        signal,
+        onDelta: options.onDelta,
+      });
+    } else if (stream && isEventStream(response)) {
+      data = await readChatStream(response, { signal, onDelta: options.onDelta });
+    } else {
+      data = await response.json();
+    }
 
     if (isDebugEnabled()) {
       const logger = createLogger('AIDiagnostics');
@@ -487,6 +817,7 @@ export class AIClient {
       ],
       model: data.model,
       usage: data.usage,
+      ...(data.response_state ? { response_state: data.response_state } : {}),
     };
   }
 
@@ -531,11 +862,9 @@ export class AIClient {
    */
   async validateOpenAI() {
     // Expect baseURL to already include version suffix (e.g., .../v1)
-    const response = await fetch(`${this.baseURL}/models`, {
+    const response = await fetch(buildModelsURL(this.baseURL), {
       method: 'GET',
-      headers: {
-        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
-      },
+      headers: buildAuthHeaders(this.baseURL, this.apiKey),
     });
 
     if (!response.ok) {
@@ -699,6 +1028,15 @@ export class AIClient {
       this.registerProvider('openai', new OpenAIProvider(configs.openai), configs.openai.default);
     }
 
+    // Register Anthropic provider if configured
+    if (configs.anthropic) {
+      this.registerProvider(
+        'anthropic',
+        new AnthropicProvider(configs.anthropic),
+        configs.anthropic.default
+      );
+    }
+
     // Set mock as default if no other default set
     if (!this.defaultProvider) {
       this.defaultProvider = 'mock';
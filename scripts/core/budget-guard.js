@@ -0,0 +1,189 @@
+/**
+ * Budget Guard - Token, cost and wall-clock caps for one request and for the day
+ * Spend is read from the usage ledger (see usage-ledger.js). The guard is checked before the
+ * first AI request of a turn and before each follow-up request in the tool loop, which pause
+ * when a cap has been crossed.
+ */
+
+import { formatCost, formatTokens } from './usage-ledger.js';
+
+/**
+ * Cap settings by scope and measure (a value of 0 disables the cap)
+ * @readonly
+ */
+export const BUDGET_SETTINGS = Object.freeze({
+  request: Object.freeze({
+    tokens: 'budgetRequestTokens',
+    cost: 'budgetRequestCost',
+    minutes: 'budgetRequestMinutes',
+  }),
+  daily: Object.freeze({
+    tokens: 'budgetDailyTokens',
+    cost: 'budgetDailyCost',
+    minutes: 'budgetDailyMinutes',
+  }),
+});
+
+const SCOPES = ['request', 'daily'];
+const MEASURES = ['tokens', 'cost', 'minutes'];
+
+/**
+ * Read the configured caps
+ * @returns {{request: object, daily: object}} Limits keyed by measure (0 = no cap)
+ */
+export function readBudgetCaps() {
+  const caps = {};
+  for (const scope of SCOPES) {
+    caps[scope] = {};
+    for (const measure of MEASURES) {
+      let value = 0;
+      try {
+        value = Number(game.settings.get('simulacrum', BUDGET_SETTINGS[scope][measure]));
+      } catch {
+        // Settings unavailable (tests, early init): the cap stays off
+      }
+      caps[scope][measure] = Number.isFinite(value) && value > 0 ? value : 0;
+    }
+  }
+  return caps;
+}
+
+/**
+ * Find the first cap that spend has reached (request caps are checked before daily ones)
+ * @param {{request: object, daily: object}} caps - Limits keyed by scope and measure
+ * @param {{request: object, daily: object}} spend - Spend keyed by scope and measure
+ * @returns {{scope: string, measure: string, used: number, limit: number}|null}
+ */
+export function findExceededCap(caps, spend) {
+  for (const scope of SCOPES) {
+    for (const measure of MEASURES) {
+      const limit = caps[scope]?.[measure] || 0;
+      const used = spend[scope]?.[measure] || 0;
+      if (limit > 0 && used >= limit) return { scope, measure, used, limit };
+    }
+  }
+  return null;
+}
+
+/**
+ * Format an amount of one measure for display
+ * @param {string} measure - 'tokens', 'cost' or 'minutes'
+ * @param {number} value
+ * @returns {string}
+ */
+function _formatMeasure(measure, value) {
+  if (measure === 'tokens') return formatTokens(Math.round(value));
+  if (measure === 'cost') return formatCost(value);
+  return `${Math.round(value * 10) / 10} min`;
+}
+
+/**
+ * Describe a crossed cap, e.g. "Per-request token cap reached: 251.3k of 250.0k."
+ * @param {{scope: string, measure: string, used: number, limit: number}} cap
+ * @returns {string}
+ */
+export function describeBudgetCap(cap) {
+  const data = {
+    measure: _localize(`SIMULACRUM.Budget.Measure.${cap.measure}`, cap.measure),
+    used: _formatMeasure(cap.measure, cap.used),
+    limit: _formatMeasure(cap.measure, cap.limit),
+  };
+  const daily = cap.scope === 'daily';
+  const key = daily ? 'SIMULACRUM.Budget.DailyCap' : 'SIMULACRUM.Budget.RequestCap';
+  if (globalThis.game?.i18n?.has?.(key)) return game.i18n.format(key, data);
+  const scope = daily ? 'Daily' : 'Per-request';
+  return `${scope} ${data.measure} cap reached: ${data.used} of ${data.limit}.`;
+}
+
+function _localize(key, fallback) {
+  return globalThis.game?.i18n?.has?.(key) ? game.i18n.localize(key) : fallback;
+}
+
+/**
+ * Tracks spend for one request against the configured caps
+ */
+export class BudgetGuard {
+  /**
+   * @param {import('./usage-ledger.js').UsageLedger|null} ledger - Conversation usage ledger
+   * @param {object} [options]
+   * @param {object} [options.caps] - Limits (defaults to the configured caps)
+   * @param {function(): number} [options.clock] - Millisecond clock
+   */
+  constructor(ledger, { caps = readBudgetCaps(), clock = Date.now } = {}) {
+    this.ledger = ledger || null;
+    this.caps = caps;
+    this.clock = clock;
+    this._lastTick = clock();
+    this._elapsedMs = 0;
+    this._baseline = this._turnSpend();
+    /** @type {Set<string>} Daily measures the GM chose to run past for this request */
+    this._waived = new Set();
+  }
+
+  /**
+   * Add the time since the last tick to the request and to the day
+   */
+  tick() {
+    const now = this.clock();
+    const ms = Math.max(0, now - this._lastTick);
+    this._lastTick = now;
+    this._elapsedMs += ms;
+    this.ledger?.recordActiveTime(ms, new Date(now));
+  }
+
+  /**
+   * Check spend against the caps
+   * @returns {{scope: string, measure: string, used: number, limit: number}|null}
+   *   The crossed cap, or null to carry on
+   */
+  check() {
+    this.tick();
+    if (!this.ledger) return null;
+
+    const turn = this._turnSpend();
+    const day = this.ledger.getDay(new Date(this._lastTick));
+    const spend = {
+      request: {
+        tokens: turn.tokens - this._baseline.tokens,
+        cost: turn.cost - this._baseline.cost,
+        minutes: this._elapsedMs / 60000,
+      },
+      daily: {
+        tokens: day.promptTokens + day.completionTokens,
+        cost: day.cost,
+        minutes: (day.activeMs || 0) / 60000,
+      },
+    };
+    const daily = { ...this.caps.daily };
+    for (const measure of this._waived) daily[measure] = 0;
+    return findExceededCap({ request: this.caps.request, daily }, spend);
+  }
+
+  /**
+   * Let the request continue past a crossed cap.
+   * A request cap grants another allowance of the same size; a daily cap is ignored
+   * for the rest of this request.
+   * @param {{scope: string, measure: string}} cap - Cap returned by {@link BudgetGuard#check}
+   */
+  extend(cap) {
+    if (cap.scope === 'daily') {
+      this._waived.add(cap.measure);
+    } else {
+      this._baseline = this._turnSpend();
+      this._elapsedMs = 0;
+    }
+  }
+
+  /**
+   * Leave the time since the last tick out of the spend (e.g. while waiting for the GM)
+   */
+  skipIdleTime() {
+    this._lastTick = this.clock();
+  }
+
+  _turnSpend() {
+    const turn = this.ledger?.getCurrentTurn();
+    if (!turn) return { tokens: 0, cost: 0 };
+    return { tokens: turn.promptTokens + turn.completionTokens, cost: turn.cost };
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * Campaign Memory - World-scoped facts the assistant keeps across threads and `/clear`
+ * Memories are short statements ("The party hates necromancers", house rules) stored in the
+ * `campaignMemory` world setting, keyed by ID. Pinned memories go into every system prompt;
+ * the others are included when they share words with the user's latest message (or all of
+ * them, while there are only a few).
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+
+const MODULE_ID = 'simulacrum';
+const logger = createLogger('CampaignMemory');
+
+/** Most memories added to one system prompt */
+export const MAX_PROMPT_MEMORIES = 20;
+
+/** Longest memory text accepted, in characters */
+export const MAX_MEMORY_LENGTH = 1000;
+
+/** Words too common to make a memory relevant */
+const STOP_WORDS = new Set(
+  `the and for are but not you all any can had her was one our out has him his how its may
+  new now own who did get let put say she too use with that this from they will what when
+  your have been were them then than into more some such only also just about would could
+  should there their which`.split(/\s+/)
+);
+
+/**
+ * Normalize memory data
+ * @param {object} data - Raw memory data
+ * @param {Date} [now] - Time of the change
+ * @returns {{text: string, tags: Array<string>, pinned: boolean, createdAt: string,
+ *   updatedAt: string}}
+ */
+export function normalizeMemory(data = {}, now = new Date()) {
+  const rawTags = Array.isArray(data.tags) ? data.tags : String(data.tags ?? '').split(',');
+  const tags = [...new Set(rawTags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+  return {
+    text: String(data.text ?? '')
+      .trim()
+      .slice(0, MAX_MEMORY_LENGTH),
+    tags,
+    pinned: data.pinned === true,
+    createdAt: data.createdAt || now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+}
+
+/**
+ * How relevant a memory is to a query: matching tags count double, words once
+ * @param {object} memory - Memory with `text` and `tags`
+ * @param {string} query - Text to match (normally the user's latest message)
+ * @returns {number} 0 when nothing matches
+ */
+export function scoreMemory(memory, query) {
+  const queryTerms = _terms(query);
+  if (queryTerms.size === 0) return 0;
+  const textTerms = _terms(memory.text);
+  const tagTerms = _terms(memory.tags.join(' '));
+  let score = 0;
+  for (const term of queryTerms) {
+    if (_matches(term, tagTerms)) score += 2;
+    else if (_matches(term, textTerms)) score += 1;
+  }
+  return score;
+}
+
+/**
+ * Memories to put in the system prompt: pinned ones, then the best matches for the query.
+ * While there are no more memories than the limit, all of them are included.
+ * @param {Array<object>} memories - Stored memories
+ * @param {string} [query] - The user's latest message
+ * @param {number} [limit=MAX_PROMPT_MEMORIES]
+ * @returns {Array<object>}
+ */
+export function selectRelevantMemories(memories, query = '', limit = MAX_PROMPT_MEMORIES) {
+  if (memories.length <= limit) return [...memories].sort(_byPinnedThenRecent);
+  const pinned = memories.filter(memory => memory.pinned).sort(_byPinnedThenRecent);
+  const matches = memories
+    .filter(memory => !memory.pinned)
+    .map(memory => ({ memory, score: scoreMemory(memory, query) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || _byPinnedThenRecent(a.memory, b.memory))
+    .map(({ memory }) => memory);
+  return [...pinned, ...matches].slice(0, limit);
+}
+
+/**
+ * System prompt section listing memories
+ * @param {Array<object>} memories - Memories with their `id`
+ * @returns {string} Empty when there are none
+ */
+export function formatMemoriesForPrompt(memories) {
+  if (!memories.length) return '';
+  const lines = memories.map(memory => {
+    const tags = memory.tags.length ? ` (tags: ${memory.tags.join(', ')})` : '';
+    return `- [${memory.id}] ${memory.text}${tags}`;
+  });
+  return [
+    '## Campaign Memory',
+    'Facts and preferences remembered from earlier sessions. Follow them unless the user says ' +
+      'otherwise; use the remember and forget tools to keep them current.',
+    ...lines,
+  ].join('\n');
+}
+
+/**
+ * Manages the stored campaign memories
+ */
+class CampaignMemoryStore {
+  /**
+   * All memories, pinned first, then most recently updated
+   * @returns {Array<object>} Memories with their `id`
+   */
+  list() {
+    return Object.entries(this._getStore())
+      .map(([id, memory]) => ({ id, ...memory }))
+      .sort(_byPinnedThenRecent);
+  }
+
+  /**
+   * Get a memory by ID
+   * @param {string} id
+   * @returns {object|null} Memory with its `id`, or null
+   */
+  get(id) {
+    const memory = id ? this._getStore()[id] : null;
+    return memory ? { id, ...memory } : null;
+  }
+
+  /**
+   * Memories matching a query, best match first (all memories for an empty query)
+   * @param {string} [query]
+   * @param {number} [limit=MAX_PROMPT_MEMORIES]
+   * @returns {Array<object>}
+   */
+  recall(query = '', limit = MAX_PROMPT_MEMORIES) {
+    const memories = this.list();
+    if (!String(query).trim()) return memories.slice(0, limit);
+    return memories
+      .map(memory => ({ memory, score: scoreMemory(memory, query) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ memory }) => memory);
+  }
+
+  /**
+   * Memories for the system prompt (see {@link selectRelevantMemories})
+   * @param {string} [query] - The user's latest message
+   * @returns {Array<object>}
+   */
+  relevant(query = '') {
+    try {
+      return selectRelevantMemories(this.list(), query);
+    } catch (error) {
+      // The setting is missing before the module is fully initialized
+      logger.debug('Campaign memory unavailable', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store a memory, or update one. Remembering text that is already stored updates that
+   * memory instead of adding a duplicate.
+   * @param {object} data - `{text, tags, pinned}`; include `id` to update an existing memory
+   * @returns {Promise<object>} The stored memory with its `id`
+   * @throws {ValidationError} When the text is empty or the ID is unknown
+   */
+  async remember(data) {
+    const store = this._getStore();
+    if (data.id && !store[data.id]) {
+      throw new ValidationError(`No memory with ID "${data.id}"`, 'id', data.id);
+    }
+    const duplicate = data.text && this.list().find(memory => _sameText(memory.text, data.text));
+    const id = data.id || duplicate?.id || foundry.utils.randomID();
+    const changes = Object.fromEntries(
+      ['text', 'tags', 'pinned'].filter(key => data[key] !== undefined).map(key => [key, data[key]])
+    );
+    const memory = normalizeMemory({ ...store[id], ...changes });
+    if (!memory.text) throw new ValidationError('Memory text is required', 'text');
+
+    await game.settings.set(MODULE_ID, 'campaignMemory', { ...store, [id]: memory });
+    return { id, ...memory };
+  }
+
+  /**
+   * Delete a memory
+   * @param {string} id
+   * @returns {Promise<object|null>} The deleted memory, or null when there was none
+   */
+  async forget(id) {
+    const memory = this.get(id);
+    if (!memory) return null;
+    const store = { ...this._getStore() };
+    delete store[id];
+    await game.settings.set(MODULE_ID, 'campaignMemory', store);
+    return memory;
+  }
+
+  /**
+   * @returns {Object<string, object>} Stored memories keyed by ID
+   * @private
+   */
+  _getStore() {
+    return game.settings.get(MODULE_ID, 'campaignMemory') || {};
+  }
+}
+
+function _byPinnedThenRecent(a, b) {
+  return Number(b.pinned) - Number(a.pinned) || b.updatedAt.localeCompare(a.updatedAt);
+}
+
+function _terms(text) {
+  const words = String(text ?? '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+  return new Set((words || []).filter(word => word.length >= 3 && !STOP_WORDS.has(word)));
+}
+
+/** Whether a term matches one of the words, allowing plurals and other suffixes */
+function _matches(term, words) {
+  for (const word of words) {
+    if (word === term) return true;
+    const [shorter, longer] = word.length < term.length ? [word, term] : [term, word];
+    if (shorter.length >= 4 && longer.startsWith(shorter)) return true;
+  }
+  return false;
+}
+
+function _sameText(a, b) {
+  const normalize = text =>
+    String(text ?? '')
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, ' ');
+  return normalize(a) === normalize(b);
+}
+
+// Export singleton instance
+export const campaignMemory = new CampaignMemoryStore();
@@ -7,6 +7,15 @@ import {
 } from '../utils/message-utils.js';
 import { MarkdownRenderer } from '../lib/markdown-renderer.js';
 import { retrieveToolJustification } from './tool-loop-handler.js';
+import { buildUserContent, getImageUrls } from '../utils/message-content.js';
+import {
+  createMessageId,
+  forkMessages,
+  getBranchInfo,
+  isRewindPoint,
+  selectBranch,
+} from './conversation-branches.js';
+import { sharedThreads } from './shared-threads.js';
 /**
  * ChatHandler - Single source of truth for all chat conversation flow
  * Orchestrates between AI, tools, conversation state, and UI
@@ -21,101 +30,216 @@ class ChatHandler {
   /**
    * Main entry point for processing user messages
    * Handles the complete flow: user input -> AI -> tools -> UI
+   * @param {string} message - Message text
+   * @param {User} user - Sending user
+   * @param {object} [options]
+   * @param {string[]} [options.images] - Attached image URLs, sent as image content parts
    */
   async processUserMessage(message, user, options = {}) {
+    const release = this._lockSharedThread();
     try {
       // Add user message to conversation state
-      this.addMessageToConversation('user', message);
+      this.addMessageToConversation('user', buildUserContent(message, options.images));
 
-      // Notify UI if callback provided
+      // Notify UI if callback provided (the ID lets the UI edit or regenerate from it later)
       if (options.onUserMessage) {
-        options.onUserMessage({ role: 'user', content: message, user });
+        const id = this.conversationManager.getMessages().at(-1)?.id;
+        options.onUserMessage({ role: 'user', content: message, user, id });
       }
 
-      // Delegate orchestration to ConversationEngine
-      const { ConversationEngine } = await import('./conversation-engine.js');
-      const engine = new ConversationEngine(this.conversationManager);
-
-      const finalResponse = await engine.processTurn({
-        signal: options.signal,
-        onAssistantMessage: async msg => {
-          // Support ephemeral messages (display only) by checking for either content or display
-          if (msg?.role === 'assistant' && (msg?.content || msg?.display)) {
-            // Only add to conversation if this is NOT a tool-call response.
-            // Messages with tool calls are already added by tool-loop-handler before execution.
-            // Adding here would cause duplicate log entries.
-            if (msg.content && !msg.toolCalls && !msg._fromToolLoop) {
-              this.addMessageToConversation('assistant', msg.content);
-            }
-            await this.addMessageToUI(
-              { role: 'assistant', content: msg.content, display: msg.display || msg.content },
-              options
-            );
-          }
-        },
-        onToolResult: async toolResult => await this.handleToolResult(toolResult, options),
-      });
-
-      return finalResponse;
+      return await this._processTurn(options);
     } catch (error) {
-      // Handle cancellation — not an error, just user-initiated stop
-      if (error.name === 'AbortError' || error.message === 'Process was cancelled') {
-        this.logger.info('Process cancelled by user');
-        const cancelMessage = {
-          role: 'assistant',
-          content: 'Process cancelled by user',
-          display: '🛑 Process cancelled',
-          noGroup: true,
-        };
-        this.addMessageToUI(cancelMessage, options);
-        return cancelMessage;
-      }
+      return this._handleTurnError(error, message, options);
+    } finally {
+      release();
+    }
+  }
 
-      this.logger.error('Error processing user message', error);
+  /**
+   * Rewind the conversation to an earlier user message, keeping what followed it as an
+   * alternative branch. Call {@link ChatHandler#continueConversation} to answer it.
+   * @param {string} messageId - ID of the user message
+   * @param {object} [options]
+   * @param {string} [options.text] - Replacement text (omit to repeat the message as it was)
+   * @returns {boolean} Whether the message was found
+   */
+  rewindToMessage(messageId, { text } = {}) {
+    const messages = this.conversationManager.getMessages();
+    const index = messages.findIndex(message => message.id === messageId);
+    if (index < 0 || !isRewindPoint(messages[index])) return false;
+
+    const original = messages[index];
+    const content =
+      typeof text === 'string'
+        ? buildUserContent(text, getImageUrls(original.content))
+        : original.content;
+    const head = { role: 'user', content, id: createMessageId() };
+    this.conversationManager.usage.startTurn();
+    this.conversationManager.replaceMessages(forkMessages(messages, index, head));
+    return true;
+  }
 
-      // Invoke onError callback to restore user's message to input field
-      // This is for ACTUAL errors (not cancellation) where we want to allow retry
-      if (options.onError) {
-        options.onError({ originalMessage: message, error });
-      }
+  /**
+   * Show another branch of the conversation at a rewound user message
+   * @param {string} messageId - ID of the user message the branches start at
+   * @param {number} offset - Branches to move by (-1 for the previous, 1 for the next)
+   * @returns {boolean} Whether the branch exists
+   */
+  switchBranch(messageId, offset) {
+    const messages = this.conversationManager.getMessages();
+    const index = messages.findIndex(message => message.id === messageId);
+    const branch = getBranchInfo(messages[index]);
+    if (!branch) return false;
+    const selected = selectBranch(messages, index, branch.number - 1 + offset);
+    if (!selected) return false;
+    this.conversationManager.replaceMessages(selected);
+    return true;
+  }
 
-      // Check for 503 Service Unavailable or other API connection issues
-      let friendlyMessage = `Error: ${error.message}`;
-      let displayMessage = `${error.message}`;
-
-      if (error.message.includes('503') || error.message.includes('Service Unavailable')) {
-        friendlyMessage =
-          'The AI service is currently unavailable (503). This is typically a temporary issue with the AI provider. Please try again in a few moments.';
-        displayMessage = `⚠️ **AI Service Unavailable**\n\nThe AI endpoint is experiencing issues (503). This is usually temporary.\n\n*Error details: ${error.message}*`;
-      } else if (
-        error.message.includes('Failed to fetch') ||
-        error.message.includes('NetworkError')
-      ) {
-        friendlyMessage =
-          'Network connection failed. Please check your internet connection and API settings.';
-        displayMessage = `**Network Error**\n\nFailed to connect to the AI service.\n\n*Error details: ${error.message}*`;
-      }
+  /**
+   * Answer the last user message again (after {@link ChatHandler#rewindToMessage})
+   * @param {object} [options] - Same callbacks as {@link ChatHandler#processUserMessage}
+   * @returns {Promise<object>} Final assistant response
+   */
+  async continueConversation(options = {}) {
+    const release = this._lockSharedThread();
+    try {
+      return await this._processTurn(options);
+    } catch (error) {
+      return this._handleTurnError(error, null, options);
+    } finally {
+      release();
+    }
+  }
 
-      // API/Network errors: Show via FoundryVTT notification system
-      if (globalThis.ui?.notifications?.error) {
-        ui.notifications.error(`Simulacrum: ${error.message}`, { permanent: false });
-      } else {
-        this.logger.error(`Simulacrum Error: ${error.message}`);
-      }
+  /**
+   * Lock the thread in use for the other GMs while the agent works in it (shared threads only)
+   * @returns {function(): void} Releases the lock
+   * @throws {Error} When another GM's agent is already working in the thread
+   * @private
+   */
+  _lockSharedThread() {
+    const thread = this.conversationManager.getActiveThread?.();
+    if (!thread?.shared) return () => {};
+    if (!sharedThreads.lock(thread.id)) {
+      const { name } = sharedThreads.lockHolder(thread.id);
+      throw new Error(game.i18n.format('SIMULACRUM.Threads.LockedBy', { name }));
+    }
+    return () => sharedThreads.unlock(thread.id);
+  }
 
-      // CRITICAL: fallback response for the chat UI
-      const errorMessage = {
+  /**
+   * Run the agent on the conversation as it stands
+   * @private
+   */
+  async _processTurn(options) {
+    // Delegate orchestration to ConversationEngine
+    const { ConversationEngine } = await import('./conversation-engine.js');
+    const engine = new ConversationEngine(this.conversationManager);
+
+    return engine.processTurn({
+      signal: options.signal,
+      onAssistantMessage: async msg => await this._handleAssistantMessage(msg, options),
+      onToolResult: async toolResult => await this.handleToolResult(toolResult, options),
+      onDelta: options.onDelta,
+    });
+  }
+
+  /**
+   * Report a failed or cancelled turn in the chat
+   * @param {Error} error - The failure
+   * @param {string|null} message - Text of the user message that started the turn, if new
+   * @param {object} options - Turn callbacks
+   * @returns {object} Message shown in place of the response
+   * @private
+   */
+  _handleTurnError(error, message, options) {
+    // Handle cancellation — not an error, just user-initiated stop
+    if (error.name === 'AbortError' || error.message === 'Process was cancelled') {
+      this.logger.info('Process cancelled by user');
+      const cancelMessage = {
         role: 'assistant',
-        content: friendlyMessage,
-        display: displayMessage,
-        error,
+        content: 'Process cancelled by user',
+        display: '🛑 Process cancelled',
+        noGroup: true,
       };
+      this.addMessageToUI(cancelMessage, options);
+      return cancelMessage;
+    }
 
-      // Ensure the error is displayed in the chat interface
-      this.addMessageToUI(errorMessage, options);
+    this.logger.error('Error processing user message', error);
 
-      return errorMessage;
+    // Invoke onError callback to restore user's message to input field
+    // This is for ACTUAL errors (not cancellation) where we want to allow retry
+    if (options.onError) {
+      options.onError({ originalMessage: message, error });
+    }
+
+    const { friendlyMessage, displayMessage } = this._describeTurnError(error);
+
+    // API/Network errors: Show via FoundryVTT notification system
+    if (globalThis.ui?.notifications?.error) {
+      ui.notifications.error(`Simulacrum: ${error.message}`, { permanent: false });
+    } else {
+      this.logger.error(`Simulacrum Error: ${error.message}`);
+    }
+
+    // CRITICAL: fallback response for the chat UI
+    const errorMessage = {
+      role: 'assistant',
+      content: friendlyMessage,
+      display: displayMessage,
+      error,
+    };
+
+    // Ensure the error is displayed in the chat interface
+    this.addMessageToUI(errorMessage, options);
+
+    return errorMessage;
+  }
+
+  /**
+   * Map a turn failure to chat text, with friendlier wording for 503 and network issues
+   * @param {Error} error - The failure
+   * @returns {{friendlyMessage: string, displayMessage: string}}
+   * @private
+   */
+  _describeTurnError(error) {
+    if (error.message.includes('503') || error.message.includes('Service Unavailable')) {
+      return {
+        friendlyMessage:
+          'The AI service is currently unavailable (503). This is typically a temporary issue with the AI provider. Please try again in a few moments.',
+        displayMessage: `⚠️ **AI Service Unavailable**\n\nThe AI endpoint is experiencing issues (503). This is usually temporary.\n\n*Error details: ${error.message}*`,
+      };
+    }
+    if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
+      return {
+        friendlyMessage:
+          'Network connection failed. Please check your internet connection and API settings.',
+        displayMessage: `**Network Error**\n\nFailed to connect to the AI service.\n\n*Error details: ${error.message}*`,
+      };
     }
+    return { friendlyMessage: `Error: ${error.message}`, displayMessage: `${error.message}` };
+  }
+
+  /**
+   * Record an assistant message emitted during a turn and forward it to the UI
+   * @private
+   */
+  async _handleAssistantMessage(msg, options) {
+    // Support ephemeral messages (display only) by checking for either content or display
+    if (msg?.role !== 'assistant' || !(msg?.content || msg?.display)) return;
+
+    // Only add to conversation if this is NOT a tool-call response.
+    // Messages with tool calls are already added by tool-loop-handler before execution.
+    // Adding here would cause duplicate log entries.
+    if (msg.content && !msg.toolCalls && !msg._fromToolLoop) {
+      this.addMessageToConversation('assistant', msg.content);
+    }
+    await this.addMessageToUI(
+      { role: 'assistant', content: msg.content, display: msg.display || msg.content },
+      options
+    );
   }
 
   /**
@@ -0,0 +1,307 @@
+/**
+ * Compaction Strategies - Ways to make room when a conversation outgrows the context window
+ * `ConversationManager.compactHistory` runs the strategy selected in the `compactionStrategy`
+ * setting. A strategy receives the working messages and rolling summary and resolves to
+ * their replacements, or to null when it cannot make room. Other modules can add strategies
+ * with {@link registerCompactionStrategy}.
+ */
+
+import { describeContent } from '../utils/message-content.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Compaction');
+
+/** Messages summarized per compaction round (extended to keep tool calls and results paired) */
+export const COMPACTION_CHUNK_SIZE = 5;
+
+/** Tool results longer than this (in characters) are elided by the tool output strategy */
+export const ELISION_MIN_LENGTH = 400;
+
+const ROLLING_EXCERPT_LENGTH = 500;
+const FACTS_EXCERPT_LENGTH = 2000;
+const LEDGER_HEADING = '## Document Ledger';
+const FACTS_HEADING = '## Facts';
+
+/** Foundry document UUIDs, including embedded and compendium documents */
+const DOCUMENT_ID = '[A-Z][A-Za-z]+\\.[A-Za-z0-9]{16}';
+const UUID_PATTERN = new RegExp(
+  `\\b(?:Compendium\\.[\\w-]+\\.[\\w-]+\\.)?${DOCUMENT_ID}(?:\\.${DOCUMENT_ID})*`,
+  'g'
+);
+const UUID_LINK_PATTERN = /@UUID\[([^\]]+)\]\{([^}]*)\}/g;
+
+/**
+ * @typedef {object} CompactionContext
+ * @property {Array<object>} messages - Working messages (not modified)
+ * @property {number} startIndex - Index of the first message that may be compacted
+ * @property {string} rollingSummary - Summary of messages compacted so far
+ * @property {Map<string, string>} toolOutputBuffer - Full tool outputs by tool call ID
+ * @property {object} aiClient - Client for summarization requests (`chat`)
+ */
+
+/**
+ * @typedef {object} CompactionStrategy
+ * @property {string} id - Setting value selecting the strategy
+ * @property {string} label - Localization key of the name shown in settings
+ * @property {(context: CompactionContext) => Promise<{messages: Array<object>,
+ *   rollingSummary: string}|null>} compact
+ */
+
+/** @type {Map<string, CompactionStrategy>} */
+const strategies = new Map();
+
+/**
+ * Add a compaction strategy (replacing one with the same ID)
+ * @param {CompactionStrategy} strategy
+ */
+export function registerCompactionStrategy(strategy) {
+  if (!strategy?.id || typeof strategy.compact !== 'function') {
+    throw new TypeError('A compaction strategy needs an id and a compact function');
+  }
+  strategies.set(strategy.id, strategy);
+}
+
+/**
+ * The strategy with an ID, by default the one selected in settings
+ * @param {string} [id] - Strategy ID
+ * @returns {CompactionStrategy} The rolling summary when the ID is unknown
+ */
+export function getCompactionStrategy(id = _configuredStrategyId()) {
+  return strategies.get(id) || strategies.get('rolling-summary');
+}
+
+/**
+ * Setting choices for the registered strategies
+ * @returns {Object<string, string>} Localization keys by strategy ID
+ */
+export function getCompactionStrategyChoices() {
+  return Object.fromEntries([...strategies.values()].map(({ id, label }) => [id, label]));
+}
+
+/**
+ * End of the oldest chunk to compact, extended so no tool result is separated from its call
+ * @param {Array<object>} messages - Working messages
+ * @param {number} startIdx - Index of first non-system message
+ * @param {number} [size=COMPACTION_CHUNK_SIZE]
+ * @returns {number} Exclusive end index of the chunk
+ */
+export function findCompactionChunkEnd(messages, startIdx, size = COMPACTION_CHUNK_SIZE) {
+  let chunkEnd = startIdx + size;
+
+  // Don't strand a tool response as the new head — consume it with its parent
+  while (chunkEnd < messages.length && messages[chunkEnd].role === 'tool') {
+    chunkEnd++;
+  }
+
+  // If the last compacted message has tool_calls, include all its tool responses
+  if (chunkEnd > startIdx) {
+    const lastCompacted = messages[chunkEnd - 1];
+    if (lastCompacted?.role === 'assistant' && lastCompacted?.tool_calls?.length > 0) {
+      const toolCallIds = new Set(lastCompacted.tool_calls.map(tc => tc.id));
+      while (
+        chunkEnd < messages.length &&
+        messages[chunkEnd].role === 'tool' &&
+        toolCallIds.has(messages[chunkEnd].tool_call_id)
+      ) {
+        chunkEnd++;
+      }
+    }
+  }
+
+  return chunkEnd;
+}
+
+/**
+ * Build the prompt that folds messages into the rolling summary
+ * @param {string} rollingSummary - Current summary
+ * @param {Array<object>} messages - Messages to summarize
+ * @returns {string} Summarization prompt
+ */
+export function buildSummarizationPrompt(rollingSummary, messages) {
+  const currentSaga = rollingSummary ? `Current Summary:\n${rollingSummary}\n\n` : '';
+  const newContent = _transcript(messages, ROLLING_EXCERPT_LENGTH);
+  return `${currentSaga}Update the summary with these new events. Preserve proper nouns, document IDs, and key decisions. Be concise.\n\nNew Events:\n${newContent}`;
+}
+
+/**
+ * Documents referenced by messages, including the full outputs of compacted tool results
+ * @param {Array<object>} messages
+ * @param {Map<string, string>} [toolOutputBuffer]
+ * @returns {Map<string, string>} Document names (empty when unknown) by UUID
+ */
+export function collectDocumentReferences(messages, toolOutputBuffer = new Map()) {
+  const texts = messages.flatMap(message => [
+    describeContent(message.content),
+    message.tool_calls ? JSON.stringify(message.tool_calls) : '',
+    toolOutputBuffer.get(message.tool_call_id) || '',
+  ]);
+  return _documentReferences(texts.join('\n'));
+}
+
+/**
+ * Split a structured summary into its facts and document ledger. A plain summary (from
+ * another strategy) is all facts, with the documents it mentions as the ledger.
+ * @param {string} summary
+ * @returns {{facts: string, ledger: Map<string, string>}}
+ */
+export function parseLedgerSummary(summary = '') {
+  const [factsPart, ledgerPart] = summary.split(LEDGER_HEADING);
+  const facts = factsPart.replace(FACTS_HEADING, '').trim();
+  return { facts, ledger: _documentReferences(ledgerPart ?? factsPart) };
+}
+
+/**
+ * Format facts and a document ledger as a structured summary
+ * @param {string} facts - Bulleted facts
+ * @param {Map<string, string>} ledger - Document names by UUID
+ * @returns {string}
+ */
+export function formatLedgerSummary(facts, ledger) {
+  const entries = [...ledger].map(([uuid, name]) =>
+    name ? `- @UUID[${uuid}]{${name}}` : `- ${uuid}`
+  );
+  return [
+    `${FACTS_HEADING}\n${facts.trim() || '- (none yet)'}`,
+    `${LEDGER_HEADING}\n${entries.join('\n') || '- (none yet)'}`,
+  ].join('\n\n');
+}
+
+/**
+ * Replace bulky tool results before the latest user message with a `read_tool_output`
+ * reference, storing the full output in the buffer first
+ * @param {Array<object>} messages - Working messages (not modified)
+ * @param {Map<string, string>} toolOutputBuffer - Full tool outputs (updated)
+ * @param {number} [minLength=ELISION_MIN_LENGTH]
+ * @returns {Array<object>|null} New messages, or null when nothing could be elided
+ */
+export function elideToolOutputs(messages, toolOutputBuffer, minLength = ELISION_MIN_LENGTH) {
+  // Results from the current turn stay whole; the model may still be working with them
+  const protectedFrom = messages.findLastIndex(message => message.role === 'user');
+  let elided = 0;
+  const result = messages.map((message, index) => {
+    const isBulky = message.role === 'tool' && String(message.content ?? '').length > minLength;
+    if (!isBulky || index >= protectedFrom || !message.tool_call_id) return message;
+    if (!toolOutputBuffer.has(message.tool_call_id)) {
+      toolOutputBuffer.set(message.tool_call_id, _fullToolOutput(message.content));
+    }
+    elided++;
+    return { ...message, content: _elisionReference(message, toolOutputBuffer) };
+  });
+  return elided > 0 ? result : null;
+}
+
+/** The original approach: fold the oldest messages into a prose summary */
+const rollingSummaryStrategy = {
+  id: 'rolling-summary',
+  label: 'SIMULACRUM.Settings.CompactionStrategies.RollingSummary',
+  async compact({ messages, startIndex, rollingSummary, aiClient }) {
+    const chunkEnd = findCompactionChunkEnd(messages, startIndex);
+    const chunk = messages.slice(startIndex, chunkEnd);
+    if (chunk.length === 0) return null;
+
+    const summary = await _summarize(aiClient, buildSummarizationPrompt(rollingSummary, chunk));
+    if (!summary) return null;
+    return { messages: _without(messages, startIndex, chunkEnd), rollingSummary: summary };
+  },
+};
+
+/** A bulleted fact list written by the model, plus a ledger of every document UUID touched */
+const factsLedgerStrategy = {
+  id: 'facts-ledger',
+  label: 'SIMULACRUM.Settings.CompactionStrategies.FactsLedger',
+  async compact({ messages, startIndex, rollingSummary, toolOutputBuffer, aiClient }) {
+    const chunkEnd = findCompactionChunkEnd(messages, startIndex);
+    const chunk = messages.slice(startIndex, chunkEnd);
+    if (chunk.length === 0) return null;
+
+    const { facts, ledger } = parseLedgerSummary(rollingSummary);
+    const updatedFacts = await _summarize(aiClient, _buildFactsPrompt(facts, chunk));
+    if (!updatedFacts) return null;
+
+    for (const [uuid, name] of collectDocumentReferences(chunk, toolOutputBuffer)) {
+      if (!ledger.get(uuid)) ledger.set(uuid, name);
+    }
+    return {
+      messages: _without(messages, startIndex, chunkEnd),
+      rollingSummary: formatLedgerSummary(updatedFacts, ledger),
+    };
+  },
+};
+
+/** Drop bulky tool results first; summarize once there are none left to drop */
+const toolOutputElisionStrategy = {
+  id: 'tool-output-elision',
+  label: 'SIMULACRUM.Settings.CompactionStrategies.ToolOutputElision',
+  async compact(context) {
+    const messages = elideToolOutputs(context.messages, context.toolOutputBuffer);
+    if (!messages) return rollingSummaryStrategy.compact(context);
+    return { messages, rollingSummary: context.rollingSummary };
+  },
+};
+
+for (const strategy of [rollingSummaryStrategy, factsLedgerStrategy, toolOutputElisionStrategy]) {
+  registerCompactionStrategy(strategy);
+}
+
+function _configuredStrategyId() {
+  try {
+    return globalThis.game?.settings?.get?.('simulacrum', 'compactionStrategy');
+  } catch (_e) {
+    // Setting not registered (e.g. before init)
+    return undefined;
+  }
+}
+
+async function _summarize(aiClient, prompt) {
+  const response = await aiClient.chat([{ role: 'user', content: prompt }], null, {
+    isBackground: true,
+  });
+  return response?.choices?.[0]?.message?.content || '';
+}
+
+function _buildFactsPrompt(facts, messages) {
+  const current = facts ? `Current facts:\n${facts}\n\n` : '';
+  return `${current}Update the fact list with these new events. Keep proper nouns, decisions, user preferences and unfinished work; leave out chatter and anything already listed. Reply with the complete bulleted list only.\n\nNew Events:\n${_transcript(messages, FACTS_EXCERPT_LENGTH)}`;
+}
+
+function _transcript(messages, excerptLength) {
+  return messages
+    .map(
+      m => `[${m.role}]: ${describeContent(m.content).substring(0, excerptLength) || '[tool call]'}`
+    )
+    .join('\n');
+}
+
+function _without(messages, start, end) {
+  return [...messages.slice(0, start), ...messages.slice(end)];
+}
+
+function _documentReferences(text) {
+  const references = new Map();
+  for (const [, uuid, name] of text.matchAll(UUID_LINK_PATTERN)) references.set(uuid, name);
+  for (const [uuid] of text.matchAll(UUID_PATTERN)) {
+    if (!references.has(uuid)) references.set(uuid, '');
+  }
+  return references;
+}
+
+/** The text read_tool_output pages through: a result's `content` field when it has one */
+function _fullToolOutput(content) {
+  try {
+    const parsed = JSON.parse(content);
+    if (typeof parsed?.content === 'string') return parsed.content;
+  } catch (_e) {
+    // Not JSON; store as is
+  }
+  return String(content);
+}
+
+function _elisionReference(message, toolOutputBuffer) {
+  const lines = toolOutputBuffer.get(message.tool_call_id).split('\n').length;
+  logger.debug(`Elided tool output ${message.tool_call_id} (${lines} lines)`);
+  return JSON.stringify({
+    _elided: true,
+    total_lines: lines,
+    access: `Output removed to save context. Use read_tool_output(tool_call_id="${message.tool_call_id}", start_line, end_line) to read it`,
+  });
+}
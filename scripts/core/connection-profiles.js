@@ -0,0 +1,254 @@
+/**
+ * Connection Profiles - Named endpoint/key/model/limit sets that can be switched at runtime
+ * The live settings (`baseURL`, `apiKey`, `model`, ...) remain the single source the rest of
+ * the module reads; activating a profile copies its values into them, and edits made while a
+ * profile is active are written back to that profile.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { emitProfileChanged } from './hook-manager.js';
+import { modelService } from './model-service.js';
+
+const MODULE_ID = 'simulacrum';
+const logger = createLogger('ConnectionProfiles');
+
+/**
+ * Profile fields backed by a live module setting
+ * @readonly
+ */
+export const PROFILE_SETTING_KEYS = Object.freeze({
+  baseURL: 'baseURL',
+  apiKey: 'apiKey',
+  model: 'model',
+  contextLimit: 'fallbackContextLimit',
+  requestDelay: 'apiRequestDelay',
+});
+
+/**
+ * Normalize user-entered profile data
+ * Empty or invalid numeric fields become null, meaning "keep the current setting"
+ * (or, for temperature, "use the provider default").
+ * @param {object} data - Raw profile data
+ * @returns {{name: string, baseURL: string, apiKey: string, model: string,
+ *   contextLimit: number|null, temperature: number|null, requestDelay: number|null,
+ *   fallbackOrder: number|null}}
+ */
+export function normalizeProfile(data = {}) {
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+  const number = (value, min, max = Infinity) => {
+    if (value === '' || value === null || value === undefined) return null;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= min && parsed <= max ? parsed : null;
+  };
+  const contextLimit = number(data.contextLimit, 1);
+  const fallbackOrder = number(data.fallbackOrder, 1);
+
+  return {
+    name: text(data.name) || 'Unnamed profile',
+    baseURL: text(data.baseURL),
+    apiKey: text(data.apiKey),
+    model: text(data.model),
+    contextLimit: contextLimit === null ? null : Math.round(contextLimit),
+    temperature: number(data.temperature, 0, 2),
+    requestDelay: number(data.requestDelay, 0),
+    fallbackOrder: fallbackOrder === null ? null : Math.round(fallbackOrder),
+  };
+}
+
+/**
+ * Manages the stored connection profiles and the active selection
+ */
+class ConnectionProfileManager {
+  /** @type {boolean} True while a profile's values are being written to the live settings */
+  #applying = false;
+
+  /**
+   * Whether a profile switch is writing settings (setting onChange handlers should stand down)
+   * @returns {boolean}
+   */
+  get isApplying() {
+    return this.#applying;
+  }
+
+  /**
+   * List stored profiles sorted by name
+   * @returns {Array<object>} Profiles with their `id`
+   */
+  list() {
+    return Object.entries(this._getStore())
+      .map(([id, profile]) => ({ id, ...profile }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a profile by ID
+   * @param {string} id - Profile ID
+   * @returns {object|null} Profile with its `id`, or null
+   */
+  get(id) {
+    const profile = id ? this._getStore()[id] : null;
+    return profile ? { id, ...profile } : null;
+  }
+
+  /**
+   * Get the active profile
+   * @returns {object|null} Active profile, or null when running on plain settings
+   */
+  getActive() {
+    return this.get(game.settings.get(MODULE_ID, 'activeConnectionProfile'));
+  }
+
+  /**
+   * Build AI client configs for the fallback chain, in fallback order
+   * Profiles without a fallback order, an endpoint or a model are skipped, as is the active one.
+   * @returns {Array<object>} Configs for `new AIClient(config)`
+   */
+  getFallbackChain() {
+    const activeId = this.getActive()?.id;
+    return this.list()
+      .filter(p => p.fallbackOrder !== null && p.id !== activeId && p.baseURL && p.model)
+      .sort((a, b) => a.fallbackOrder - b.fallbackOrder)
+      .map(profile => ({
+        apiKey: profile.apiKey,
+        baseURL: profile.baseURL,
+        model: profile.model,
+        contextLimit: profile.contextLimit ?? undefined,
+        temperature: profile.temperature ?? undefined,
+        requestDelay: profile.requestDelay ?? undefined,
+        profile: { id: profile.id, name: profile.name },
+      }));
+  }
+
+  /**
+   * Create or update a profile
+   * @param {object} data - Profile data; include `id` to update an existing profile
+   * @returns {Promise<string>} Profile ID
+   */
+  async save(data) {
+    const id = data.id || foundry.utils.randomID();
+    const store = { ...this._getStore(), [id]: normalizeProfile(data) };
+    await game.settings.set(MODULE_ID, 'connectionProfiles', store);
+    return id;
+  }
+
+  /**
+   * Save the current live settings as a new profile
+   * The new profile becomes active without re-applying (its values are already live).
+   * @param {string} name - Profile name
+   * @returns {Promise<string>} New profile ID
+   */
+  async saveCurrentAs(name) {
+    const current = { name };
+    for (const [field, key] of Object.entries(PROFILE_SETTING_KEYS)) {
+      current[field] = game.settings.get(MODULE_ID, key);
+    }
+    current.temperature = this.getActive()?.temperature ?? null;
+
+    const id = await this.save(current);
+    await game.settings.set(MODULE_ID, 'activeConnectionProfile', id);
+    return id;
+  }
+
+  /**
+   * Delete a profile (the live settings are left as they are)
+   * @param {string} id - Profile ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    const store = { ...this._getStore() };
+    delete store[id];
+    await game.settings.set(MODULE_ID, 'connectionProfiles', store);
+    if (game.settings.get(MODULE_ID, 'activeConnectionProfile') === id) {
+      await game.settings.set(MODULE_ID, 'activeConnectionProfile', '');
+    }
+  }
+
+  /**
+   * Switch to a profile: copy its values into the live settings and rebuild the AI client
+   * @param {string} id - Profile ID
+   * @returns {Promise<boolean>} False when the profile does not exist
+   */
+  async activate(id) {
+    const profile = this.get(id);
+    if (!profile) return false;
+
+    this.#applying = true;
+    try {
+      for (const [field, key] of Object.entries(PROFILE_SETTING_KEYS)) {
+        const value = profile[field];
+        if (value === null || value === undefined) continue;
+        if (game.settings.get(MODULE_ID, key) !== value) {
+          await game.settings.set(MODULE_ID, key, value);
+        }
+      }
+      await game.settings.set(MODULE_ID, 'activeConnectionProfile', id);
+    } finally {
+      this.#applying = false;
+    }
+
+    await this._rebuild();
+    logger.info(`Activated connection profile: ${profile.name}`);
+    emitProfileChanged(profile);
+    return true;
+  }
+
+  /**
+   * Follow a change to one of the live settings (called from their onChange handlers)
+   * World settings change on every connected GM's client, but only the client that made the
+   * change writes it back into the active profile, and clears the model after an endpoint
+   * change. Any other client would race that one, e.g. saving a half-applied profile switch
+   * into the profile that was active before it.
+   * @param {string} key - Changed setting
+   * @param {string} [userId] - User who changed it, as passed to `onChange`
+   * @returns {Promise<void>}
+   */
+  async onSettingChange(key, userId) {
+    if (this.#applying || (userId && userId !== game.user?.id)) return;
+    if (key === 'baseURL') await game.settings.set(MODULE_ID, 'model', '');
+    await this.syncActiveFromSettings();
+  }
+
+  /**
+   * Write the live settings back into the active profile
+   * Keeps model or key edits made while a profile is active persisted per profile.
+   * @returns {Promise<void>}
+   */
+  async syncActiveFromSettings() {
+    if (this.#applying) return;
+    const active = this.getActive();
+    if (!active) return;
+
+    const updated = { ...active };
+    for (const [field, key] of Object.entries(PROFILE_SETTING_KEYS)) {
+      updated[field] = game.settings.get(MODULE_ID, key);
+    }
+    const normalized = normalizeProfile(updated);
+    const changed = Object.keys(PROFILE_SETTING_KEYS).some(
+      field => normalized[field] !== active[field]
+    );
+    if (changed) await this.save(updated);
+  }
+
+  /**
+   * Rebuild model listing and the AI client for the newly applied settings
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _rebuild() {
+    modelService.invalidateCache();
+    ui.simulacrum?.invalidateModelList(true);
+    const { SimulacrumCore } = await import('./simulacrum-core.js');
+    await SimulacrumCore.initializeAIClient();
+  }
+
+  /**
+   * @returns {Object<string, object>} Stored profiles keyed by ID
+   * @private
+   */
+  _getStore() {
+    return game.settings.get(MODULE_ID, 'connectionProfiles') || {};
+  }
+}
+
+// Export singleton instance
+export const connectionProfiles = new ConnectionProfileManager();
@@ -0,0 +1,95 @@
+/**
+ * Conversation Branches - Edit or regenerate from an earlier user message without losing
+ * what came after it.
+ * Rewinding to a user message replaces it and everything after it with a new branch. The
+ * replaced messages are kept on the branch's first message as `alternatives` (message arrays,
+ * each starting with its own user message), with `alternativeIndex` giving the position of
+ * the active branch among all of them, so the user can flip between versions. Both fields
+ * stay out of API requests because `AIClient` only sends known message fields.
+ */
+
+/**
+ * ID for a user message (the points a conversation can be rewound to)
+ * @returns {string}
+ */
+export function createMessageId() {
+  const randomID = globalThis.foundry?.utils?.randomID;
+  if (typeof randomID === 'function') return randomID();
+  return Math.random().toString(36).slice(2, 12) + Date.now().toString(36);
+}
+
+/**
+ * Give user messages persisted before message IDs existed an ID
+ * @param {Array<object>} messages - Conversation messages (updated in place)
+ * @returns {Array<object>} The same array
+ */
+export function ensureMessageIds(messages) {
+  for (const message of messages) {
+    if (isRewindPoint(message) && !message.id) message.id = createMessageId();
+  }
+  return messages;
+}
+
+/**
+ * Whether the conversation can be rewound to a message (user messages the user typed)
+ * @param {object} message
+ * @returns {boolean}
+ */
+export function isRewindPoint(message) {
+  return message?.role === 'user' && message._internal !== true;
+}
+
+/**
+ * Position of a message among its alternatives
+ * @param {object} message
+ * @returns {{number: number, count: number}|null} 1-based position, or null without alternatives
+ */
+export function getBranchInfo(message) {
+  const count = Array.isArray(message?.alternatives) ? message.alternatives.length + 1 : 1;
+  if (count < 2) return null;
+  return { number: (message.alternativeIndex ?? count - 1) + 1, count };
+}
+
+/**
+ * Replace the message at `index` and everything after it with a new branch
+ * @param {Array<object>} messages - Conversation messages
+ * @param {number} index - Index of the user message to rewind to
+ * @param {object} head - First message of the new branch (the edited or repeated user message)
+ * @returns {Array<object>} New message array ending with `head`
+ */
+export function forkMessages(messages, index, head) {
+  const versions = _versions(messages, index);
+  return [
+    ...messages.slice(0, index),
+    { ...head, alternatives: versions, alternativeIndex: versions.length },
+  ];
+}
+
+/**
+ * Make another branch at `index` the active one
+ * @param {Array<object>} messages - Conversation messages
+ * @param {number} index - Index of the user message the branches start at
+ * @param {number} target - 0-based position of the branch to activate
+ * @returns {Array<object>|null} New message array, or null when there is no such branch
+ */
+export function selectBranch(messages, index, target) {
+  const versions = _versions(messages, index);
+  if (!Number.isInteger(target) || target < 0 || target >= versions.length) return null;
+  const [[head, ...rest]] = versions.splice(target, 1);
+  return [
+    ...messages.slice(0, index),
+    { ...head, alternatives: versions, alternativeIndex: target },
+    ...rest,
+  ];
+}
+
+/**
+ * Every branch at `index` (the active one included), in order
+ * @private
+ */
+function _versions(messages, index) {
+  const { alternatives = [], alternativeIndex, ...head } = messages[index];
+  const versions = [...alternatives];
+  versions.splice(alternativeIndex ?? versions.length, 0, [head, ...messages.slice(index + 1)]);
+  return versions;
+}
@@ -6,8 +6,9 @@
  */
 
 import { SimulacrumCore } from './simulacrum-core.js';
-import { processToolCallLoop } from './tool-loop-handler.js';
+import { enforceBudget, processToolCallLoop } from './tool-loop-handler.js';
 import { toolRegistry } from './tool-registry.js';
+import { BudgetGuard } from './budget-guard.js';
 import { appendEmptyContentCorrection, appendToolFailureCorrection } from './correction.js';
 import {
   isToolCallFailure,
@@ -34,15 +35,31 @@ class ConversationEngine {
    * @param {AbortSignal} [options.signal]
    * @param {function} [options.onAssistantMessage]
    * @param {function} [options.onToolResult]
+   * @param {function} [options.onDelta] - Receives streamed response deltas
    * @returns {Promise<object>} final assistant response
    */
   async processTurn(options = {}) {
-    const { signal, onAssistantMessage, onToolResult } = options;
+    // Budget caps are measured from here, so the initial response counts toward them
+    const budget = new BudgetGuard(this.conversationManager.usage);
+    try {
+      return await this._runTurn(options, budget);
+    } finally {
+      budget.tick();
+    }
+  }
+
+  async _runTurn(options, budget) {
+    const { signal, onAssistantMessage, onToolResult, onDelta } = options;
+
+    // A daily cap crossed by earlier turns pauses before this turn sends anything
+    const stopped = await enforceBudget({ budget, signal });
+    if (stopped) return this._reportBudgetStop(stopped, onAssistantMessage);
 
     // Get initial assistant response
     let aiResponse = await SimulacrumCore.generateResponse(this.conversationManager.getMessages(), {
       signal,
       onAssistantMessage,
+      onDelta,
     });
 
     // Pre-tool correction loop (bounded) - handles parse errors and tool call failures
@@ -63,6 +80,9 @@ class ConversationEngine {
       const callId = `${RETRY_STATUS_CALL_PREFIX}-${Date.now()}-${nextAttempt}`;
       const label = buildRetryLabel(nextAttempt, MAX_PRE_TOOL_ATTEMPTS);
 
+      const retryStopped = await enforceBudget({ budget, signal });
+      if (retryStopped) return this._reportBudgetStop(retryStopped, onAssistantMessage);
+
       emitProcessStatus('start', callId, label);
       try {
         if (delayMs) {
@@ -70,6 +90,7 @@ class ConversationEngine {
         }
         aiResponse = await SimulacrumCore.generateResponse(this.conversationManager.getMessages(), {
           signal,
+          onDelta,
         });
       } finally {
         emitProcessStatus('end', callId);
@@ -121,8 +142,14 @@ class ConversationEngine {
       currentToolSupport,
       signal,
       onToolResult: onToolResult || null,
+      onDelta,
+      budget,
     });
 
+    if (finalResponse?._budgetStopped) {
+      return this._reportBudgetStop(finalResponse, onAssistantMessage);
+    }
+
     // If loop produced a distinct final message and it wasn't already emitted by the loop handler, emit to UI
     if (finalResponse && finalResponse.content && onAssistantMessage && !finalResponse._emitted) {
       await onAssistantMessage({
@@ -136,6 +163,19 @@ class ConversationEngine {
     return finalResponse;
   }
 
+  /**
+   * Tell the user the turn stopped at a budget cap, without adding to the conversation
+   * @param {object} stopped - Response from enforceBudget
+   * @param {function} [onAssistantMessage]
+   * @returns {Promise<object>} The stop response
+   */
+  async _reportBudgetStop(stopped, onAssistantMessage) {
+    if (onAssistantMessage) {
+      await onAssistantMessage({ role: 'assistant', content: '', display: stopped.display });
+    }
+    return stopped;
+  }
+
   async _runToolFailureFallback(failedResponse, signal) {
     appendToolFailureCorrection(this.conversationManager, failedResponse);
 
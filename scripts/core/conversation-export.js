@@ -0,0 +1,228 @@
+/**
+ * Conversation Export - Save the active thread as Markdown, JSON or a JournalEntry, and read
+ * JSON exports back as new threads.
+ * The JSON export is the persisted thread state (see `conversation-threads.js`) holding only
+ * the exported thread, so it round-trips through `ConversationManager.load` without loss.
+ * Markdown and journal exports are transcripts: one section (or journal page) per user
+ * message, with `@UUID[...]` links left as written so Foundry still resolves them.
+ */
+
+import { ValidationError } from '../utils/errors.js';
+import { describeContent, getTextContent } from '../utils/message-content.js';
+import { MarkdownRenderer } from '../lib/markdown-renderer.js';
+import {
+  THREAD_STATE_VERSION,
+  captureThreadState,
+  readThreadState,
+} from './conversation-threads.js';
+
+/** Marks a JSON file as a Simulacrum conversation export */
+export const EXPORT_FORMAT_ID = 'simulacrum-conversation';
+
+/** Formats accepted by {@link exportConversation} */
+export const EXPORT_FORMATS = Object.freeze(['markdown', 'json', 'journal']);
+
+const TITLE_LENGTH = 60;
+
+/** Foundry content links and other enrichers, such as `@UUID[Actor.abc]{Durnan}` */
+const ENRICHER_PATTERN = /@\w+\[[^\]]+\](?:\{[^}]*\})?/g;
+
+/** Stands in for an enricher while Markdown is rendered; letters and digits only */
+const ENRICHER_PLACEHOLDER = /SIMULACRUMLINK(\d+)END/g;
+
+/**
+ * The active thread as persisted conversation state
+ * @param {ConversationManager} manager
+ * @param {Date} [now] - Export time
+ * @returns {object} v3 thread state with one thread (per-day usage totals are not included)
+ */
+export function exportConversationState(manager, now = new Date()) {
+  const thread = manager.getActiveThread();
+  return {
+    format: EXPORT_FORMAT_ID,
+    exportedAt: now.toISOString(),
+    v: THREAD_STATE_VERSION,
+    activeThreadId: thread.id,
+    threads: [
+      {
+        id: thread.id,
+        name: thread.name,
+        archived: false,
+        createdAt: thread.createdAt,
+        updatedAt: thread.updatedAt,
+        ...structuredClone(captureThreadState(manager)),
+      },
+    ],
+    days: {},
+  };
+}
+
+/**
+ * Read the threads in a JSON export (or any persisted conversation state)
+ * @param {string} text - File contents
+ * @returns {Array<object>} Thread records in the file, the one active when it was saved first
+ * @throws {ValidationError} When the text is not a conversation
+ */
+export function parseConversationImport(text) {
+  let state;
+  try {
+    state = JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(`Not a JSON file: ${error.message}`, 'file');
+  }
+  const isState =
+    state?.format === EXPORT_FORMAT_ID ||
+    Array.isArray(state?.threads) ||
+    Array.isArray(state?.activeMessages) ||
+    Array.isArray(state?.messages);
+  if (!isState) {
+    throw new ValidationError('The file is not a Simulacrum conversation export', 'file');
+  }
+  const { activeThreadId, threads } = readThreadState(state);
+  return [
+    ...threads.filter(thread => thread.id === activeThreadId),
+    ...threads.filter(thread => thread.id !== activeThreadId),
+  ];
+}
+
+/**
+ * The conversation split into turns, each starting at a user message. Messages before the
+ * first user message (the welcome message) and internal messages are left out.
+ * @param {Array<object>} messages - Conversation messages
+ * @returns {Array<{prompt: string, replies: Array<string>, tools: Array<string>}>}
+ */
+export function transcriptTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    if (message._internal === true) continue;
+    if (message.role === 'user') {
+      turns.push({ prompt: describeContent(message.content).trim(), replies: [], tools: [] });
+      continue;
+    }
+    const turn = turns.at(-1);
+    if (!turn || message.role !== 'assistant') continue;
+    const reply = _stripThinking(getTextContent(message.content));
+    if (reply) turn.replies.push(reply);
+    _addToolNames(turn.tools, message.tool_calls);
+  }
+  return turns;
+}
+
+/**
+ * Title of a turn: its number and the start of the user's message
+ * @param {{prompt: string}} turn
+ * @param {number} index - 0-based turn index
+ * @returns {string}
+ */
+export function turnTitle(turn, index) {
+  const line = turn.prompt.split('\n')[0].trim();
+  const excerpt = line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH - 1)}…` : line;
+  return `${index + 1}. ${excerpt}`;
+}
+
+/**
+ * Markdown body of a turn (without its title)
+ * @param {{prompt: string, replies: Array<string>, tools: Array<string>}} turn
+ * @returns {string}
+ */
+export function turnMarkdown(turn) {
+  const quoted = turn.prompt
+    .split('\n')
+    .map(line => `> ${line}`.trimEnd())
+    .join('\n');
+  const parts = [quoted, ...turn.replies];
+  if (turn.tools.length) parts.push(`*Tools: ${turn.tools.map(name => `\`${name}\``).join(', ')}*`);
+  return parts.join('\n\n');
+}
+
+/**
+ * The active thread as a Markdown transcript
+ * @param {ConversationManager} manager
+ * @returns {string}
+ */
+export function conversationToMarkdown(manager) {
+  const sections = transcriptTurns(manager.getMessages()).map(
+    (turn, index) => `## ${turnTitle(turn, index)}\n\n${turnMarkdown(turn)}`
+  );
+  return [`# ${manager.getActiveThread().name}`, ...sections].join('\n\n') + '\n';
+}
+
+/**
+ * Create a JournalEntry holding the active thread, one text page per user message
+ * @param {ConversationManager} manager
+ * @returns {Promise<JournalEntry>}
+ * @throws {ValidationError} When the thread has no user messages
+ */
+export async function createConversationJournal(manager) {
+  const turns = transcriptTurns(manager.getMessages());
+  if (turns.length === 0) {
+    throw new ValidationError('The conversation has no messages to export', 'conversation');
+  }
+  const pages = [];
+  for (const [index, turn] of turns.entries()) {
+    const content = await _renderPage(turnMarkdown(turn));
+    pages.push({ name: turnTitle(turn, index), type: 'text', text: { content } });
+  }
+  return CONFIG.JournalEntry.documentClass.create({
+    name: manager.getActiveThread().name,
+    pages,
+  });
+}
+
+/**
+ * Export the active thread, downloading a file or creating a journal entry
+ * @param {ConversationManager} manager
+ * @param {'markdown'|'json'|'journal'} format
+ * @returns {Promise<{format: string, filename?: string, journal?: JournalEntry}>}
+ * @throws {ValidationError} For an unknown format
+ */
+export async function exportConversation(manager, format) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ValidationError(`Unknown export format: ${format}`, 'format', format);
+  }
+  if (format === 'journal') {
+    return { format, journal: await createConversationJournal(manager) };
+  }
+
+  const filename = `${_fileSlug(manager.getActiveThread().name)}.${format === 'json' ? 'json' : 'md'}`;
+  if (format === 'json') {
+    const data = JSON.stringify(exportConversationState(manager), null, 2);
+    foundry.utils.saveDataToFile(data, 'application/json', filename);
+  } else {
+    foundry.utils.saveDataToFile(conversationToMarkdown(manager), 'text/markdown', filename);
+  }
+  return { format, filename };
+}
+
+/**
+ * Render a journal page, leaving Foundry links exactly as written
+ * Showdown would otherwise read the underscores of an ID or label as emphasis.
+ */
+async function _renderPage(markdown) {
+  const links = [];
+  const text = markdown.replace(ENRICHER_PATTERN, link => {
+    links.push(link);
+    return `SIMULACRUMLINK${links.length - 1}END`;
+  });
+  const html = await MarkdownRenderer.render(text, { force: true });
+  return html.replace(ENRICHER_PLACEHOLDER, (_placeholder, index) => links[Number(index)]);
+}
+
+function _addToolNames(names, toolCalls) {
+  for (const call of toolCalls || []) {
+    const name = call.function?.name;
+    if (name && !names.includes(name)) names.push(name);
+  }
+}
+
+function _stripThinking(text) {
+  return text.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+}
+
+function _fileSlug(name) {
+  const slug = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `simulacrum-${slug || 'conversation'}`;
+}
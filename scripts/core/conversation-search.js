@@ -0,0 +1,196 @@
+/**
+ * Conversation Search - Full-text search over every saved conversation thread and the
+ * interaction log.
+ * Threads hold what the conversation still contains; the interaction log also remembers
+ * messages that were compacted or cleared away. A log entry whose text is also found in a
+ * thread is left out, so each message is listed once, preferably where it can be jumped to.
+ */
+
+import { getTextContent } from '../utils/message-content.js';
+
+/** Most results returned by a search */
+export const MAX_SEARCH_RESULTS = 50;
+
+/** Characters of context shown on each side of the first match */
+export const EXCERPT_RADIUS = 60;
+
+/**
+ * Search terms of a query: words, or "quoted phrases", lowercased
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function parseSearchQuery(query) {
+  const terms = [];
+  for (const [, phrase, word] of String(query ?? '').matchAll(/"([^"]*)"|(\S+)/g)) {
+    const term = (phrase ?? word).replace(/\s+/g, ' ').trim().toLowerCase();
+    if (term && !terms.includes(term)) terms.push(term);
+  }
+  return terms;
+}
+
+/**
+ * Where the terms occur in a text, when it contains all of them
+ * @param {string} text
+ * @param {string[]} terms - Lowercased search terms
+ * @returns {Array<[number, number]>|null} Sorted, merged [start, end) ranges, or null when a
+ *   term is missing
+ */
+export function findMatches(text, terms) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  for (const term of terms) {
+    let index = lower.indexOf(term);
+    if (index === -1) return null;
+    for (; index !== -1; index = lower.indexOf(term, index + term.length)) {
+      ranges.push([index, index + term.length]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged.at(-1);
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+    return merged;
+  }, []);
+}
+
+/**
+ * The part of a text around its first match, split into plain and matched segments
+ * @param {string} text
+ * @param {Array<[number, number]>} ranges - Match ranges (see `findMatches`)
+ * @param {number} [radius=EXCERPT_RADIUS] - Context characters on each side of the first match
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+export function buildExcerpt(text, ranges, radius = EXCERPT_RADIUS) {
+  const start = Math.max(0, ranges[0][0] - radius);
+  const end = Math.min(text.length, ranges[0][1] + radius * 2);
+  const segments = [];
+  let position = start;
+  for (const [from, to] of ranges) {
+    if (from >= end) break;
+    if (from > position) segments.push({ text: text.slice(position, from), match: false });
+    segments.push({ text: text.slice(Math.max(from, position), to), match: true });
+    position = to;
+  }
+  if (position < end) segments.push({ text: text.slice(position, end), match: false });
+  if (start > 0) segments[0].text = `…${segments[0].text}`;
+  if (end < text.length) segments.at(-1).text += '…';
+  return segments;
+}
+
+/**
+ * Search conversation threads and the interaction log
+ * @param {object} sources
+ * @param {Array<object>} sources.threads - Thread records, the one in use first
+ * @param {Array<object>} [sources.logEntries] - Interaction log entries, oldest first
+ * @param {string} query - Words or "quoted phrases" that must all occur
+ * @param {object} [options]
+ * @param {number} [options.limit=MAX_SEARCH_RESULTS] - Most results to return
+ * @returns {{terms: string[], total: number, results: Array<object>}} Results of each thread
+ *   newest message first, then interaction log results newest first
+ */
+export function searchHistory({ threads, logEntries = [] }, query, options = {}) {
+  const { limit = MAX_SEARCH_RESULTS } = options;
+  const terms = parseSearchQuery(query);
+  if (!terms.length) return { terms, total: 0, results: [] };
+
+  const found = new Set();
+  const results = threads.flatMap(thread => _searchThread(thread, terms, found));
+  for (const entry of [...logEntries].reverse()) {
+    const text = _entryText(entry);
+    const ranges = found.has(text) ? null : findMatches(text, terms);
+    if (!ranges) continue;
+    results.push({
+      source: 'log',
+      entryId: entry.id,
+      role: entry.type,
+      timestamp: entry.timestamp,
+      segments: buildExcerpt(text, ranges),
+    });
+  }
+  return { terms, total: results.length, results: results.slice(0, limit) };
+}
+
+/**
+ * Matching messages of a thread, newest first, then its rolling summary
+ * @param {object} thread - Thread record
+ * @param {string[]} terms
+ * @param {Set<string>} found - Texts of matching messages (added to)
+ * @returns {Array<object>}
+ * @private
+ */
+function _searchThread(thread, terms, found) {
+  const results = [];
+  const hit = (messageIndex, role, text, ranges) => ({
+    source: 'thread',
+    threadId: thread.id,
+    threadName: thread.name,
+    messageIndex,
+    role,
+    timestamp: thread.updatedAt,
+    segments: buildExcerpt(text, ranges),
+  });
+
+  thread.activeMessages.forEach((message, index) => {
+    if (message._internal === true || message.role === 'system') return;
+    const text = _messageText(message);
+    const ranges = findMatches(text, terms);
+    if (!ranges) return;
+    found.add(text);
+    results.unshift(hit(index, message.role, text, ranges));
+  });
+
+  const summary = _collapse(thread.rollingSummary);
+  const ranges = summary && findMatches(summary, terms);
+  if (ranges) results.push(hit(null, 'summary', summary, ranges));
+  return results;
+}
+
+/**
+ * Searchable text of a conversation message, including the arguments of its tool calls
+ * @private
+ */
+function _messageText(message) {
+  const calls = (message.tool_calls || []).map(
+    call => `${call.function?.name ?? ''} ${_stringify(call.function?.arguments)}`
+  );
+  return _collapse([_resultText(message.content), ...calls].filter(Boolean).join(' '));
+}
+
+/**
+ * Searchable text of an interaction log entry (see `InteractionLogger`)
+ * @private
+ */
+function _entryText(entry) {
+  if (entry.type === 'tool_call') {
+    const { toolName = '', arguments: args } = entry.metadata || {};
+    return _collapse(`${toolName} ${_stringify(args)}`);
+  }
+  return _collapse(_resultText(entry.content));
+}
+
+/**
+ * Text of message content; a JSON tool result is reduced to its `content` field
+ * @private
+ */
+function _resultText(content) {
+  const text = getTextContent(content);
+  if (!text.startsWith('{')) return text;
+  try {
+    const parsed = JSON.parse(text);
+    return typeof parsed?.content === 'string' ? parsed.content : text;
+  } catch (_e) {
+    return text;
+  }
+}
+
+function _stringify(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function _collapse(text) {
+  return String(text ?? '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
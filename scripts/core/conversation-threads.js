@@ -0,0 +1,291 @@
+/**
+ * Conversation Threads - Persisted state for several named conversations per user and world
+ * Each thread keeps its own messages, rolling summary, tool output buffer and conversation
+ * usage; the per-day usage totals are shared by every thread. Threads are stored as an array
+ * because user flags are merged on update, which would never drop a deleted thread's key.
+ */
+
+import { describeContent, getImageUrls } from '../utils/message-content.js';
+
+/** Schema version of the persisted conversation state */
+export const THREAD_STATE_VERSION = 3;
+
+/** Flag update removing the keys of the v1/v2 single-conversation state after migration */
+export const LEGACY_STATE_DELETIONS = Object.freeze(
+  Object.fromEntries(
+    [
+      'messages',
+      'activeMessages',
+      'rollingSummary',
+      'toolOutputBuffer',
+      'sessionTokens',
+      'usage',
+    ].map(key => [`-=${key}`, null])
+  )
+);
+
+/**
+ * Name for a thread created without one
+ * @param {number} number - 1-based thread number
+ * @returns {string}
+ */
+export function defaultThreadName(number) {
+  const name = globalThis.game?.i18n?.format?.('SIMULACRUM.Threads.DefaultName', { number });
+  return name && name !== 'SIMULACRUM.Threads.DefaultName' ? name : `Conversation ${number}`;
+}
+
+/**
+ * A new, empty thread
+ * @param {string} name - Display name
+ * @param {Date} [now] - Creation time
+ * @returns {object} Thread record
+ */
+export function createThreadRecord(name, now = new Date()) {
+  const timestamp = now.toISOString();
+  return {
+    id: _randomId(),
+    name,
+    archived: false,
+    shared: false,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    activeMessages: [],
+    rollingSummary: '',
+    toolOutputBuffer: [],
+    sessionTokens: 0,
+    usage: null,
+  };
+}
+
+/**
+ * Read persisted conversation state of any version as thread state.
+ * v1 and v2 states become a single thread holding the old conversation.
+ * @param {object|null} state - Persisted state
+ * @param {string} [legacyName] - Name of the thread a v1/v2 conversation moves into
+ * @returns {{activeThreadId: string, threads: Array<object>, days: object, migrated: boolean}}
+ */
+export function readThreadState(state, legacyName = defaultThreadName(1)) {
+  if (state?.v === THREAD_STATE_VERSION && Array.isArray(state.threads) && state.threads.length) {
+    const threads = state.threads.map(normalizeThread);
+    const active = threads.find(thread => thread.id === state.activeThreadId) || threads[0];
+    return { activeThreadId: active.id, threads, days: _plainObject(state.days), migrated: false };
+  }
+  return _migrateLegacyState(state, legacyName);
+}
+
+/**
+ * The user's own threads followed by the threads shared for the world
+ * @param {Array<object>} threads - The user's thread records
+ * @param {Array<object>} sharedRecords - Stored shared thread records
+ * @returns {Array<object>}
+ */
+export function mergeSharedThreads(threads, sharedRecords) {
+  const shared = sharedRecords
+    .map(record => normalizeThread({ ...record, shared: true }))
+    .filter(thread => !threads.some(own => own.id === thread.id));
+  return [...threads, ...shared];
+}
+
+/**
+ * Thread summaries for pickers, most recently used first
+ * @param {Array<object>} threads - Thread records
+ * @param {string} activeThreadId - ID of the thread in use
+ * @param {object} [options]
+ * @param {boolean} [options.includeArchived=false] - Include archived threads (the active
+ *   thread is always included)
+ * @returns {Array<object>}
+ */
+export function summarizeThreads(threads, activeThreadId, { includeArchived = false } = {}) {
+  return threads
+    .filter(thread => includeArchived || !thread.archived || thread.id === activeThreadId)
+    .map(thread => describeThread(thread, activeThreadId))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * The most recently used thread that is not archived
+ * @param {Array<object>} threads - Thread records
+ * @param {string} [excludeId] - Thread to skip
+ * @returns {object|null}
+ */
+export function mostRecentOpenThread(threads, excludeId = null) {
+  return (
+    threads
+      .filter(thread => thread.id !== excludeId && !thread.archived)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0] || null
+  );
+}
+
+/** Stands in for an attached image in stored messages */
+export const STORED_IMAGE_MARKER = '[image attached earlier]';
+
+/**
+ * The per-thread part of a conversation manager's working state, as stored in a thread record
+ * Attached images are replaced by a text marker: as `data:` URLs they would be written again
+ * on every save, and for shared threads sent to every client. Only the live session keeps them.
+ * @param {ConversationManager} manager
+ * @returns {{activeMessages: Array, rollingSummary: string, toolOutputBuffer: Array,
+ *   sessionTokens: number, usage: object}}
+ */
+export function captureThreadState(manager) {
+  const { conversation, turns, turnCount } = manager.usage.toJSON();
+  return {
+    activeMessages: manager.activeMessages.map(_withoutImages),
+    rollingSummary: manager.rollingSummary,
+    toolOutputBuffer: Array.from(manager.toolOutputBuffer.entries()),
+    sessionTokens: manager.sessionTokens,
+    usage: { conversation, turns, turnCount },
+  };
+}
+
+/**
+ * Read persisted conversation state from the user flag, or the module setting fallback
+ * @param {string} worldId - World the state belongs to (the flag key)
+ * @param {string} settingKey - Module setting key used when flags are unavailable
+ * @returns {Promise<object|null>}
+ */
+export async function readStoredState(worldId, settingKey) {
+  let state = null;
+
+  // Prefer user flag storage (per-user scope)
+  try {
+    if (typeof game !== 'undefined' && game?.user && typeof game.user.getFlag === 'function') {
+      state = await game.user.getFlag('simulacrum', worldId);
+    }
+  } catch (_e) {
+    // fall back below
+  }
+
+  // Fallback to module settings
+  if (!state) {
+    try {
+      if (typeof game !== 'undefined' && typeof game?.settings?.get === 'function') {
+        state = game.settings.get('simulacrum', settingKey);
+      }
+    } catch (_e) {
+      // ignore
+    }
+  }
+  return state || null;
+}
+
+/**
+ * Persist conversation state to the user flag, or the module setting fallback
+ * @param {string} worldId - World the state belongs to (the flag key)
+ * @param {string} settingKey - Module setting key used when flags are unavailable
+ * @param {object} state - State to store
+ * @param {object} [flagDeletions] - `-=key` entries applied to the flag alongside the state
+ * @returns {Promise<'flag'|'setting'|null>} Where the state was stored, or null on failure
+ */
+export async function writeStoredState(worldId, settingKey, state, flagDeletions = {}) {
+  // Prefer user flag when available (per-user scope)
+  try {
+    if (typeof game !== 'undefined' && game?.user && typeof game.user.setFlag === 'function') {
+      await game.user.setFlag('simulacrum', worldId, { ...state, ...flagDeletions });
+      return 'flag';
+    }
+  } catch (_e) {
+    // fall back below
+  }
+
+  // Fallback to module settings
+  try {
+    if (typeof game !== 'undefined' && typeof game?.settings?.set === 'function') {
+      await game.settings.set('simulacrum', settingKey, state);
+      return 'setting';
+    }
+  } catch (_e) {
+    // ignore
+  }
+  return null;
+}
+
+function _migrateLegacyState(state, legacyName) {
+  const thread = createThreadRecord(legacyName);
+  if (state && typeof state === 'object') {
+    const isV2 = state.v === 2;
+    thread.activeMessages = _array(isV2 ? state.activeMessages : state.messages);
+    thread.rollingSummary =
+      isV2 && typeof state.rollingSummary === 'string' ? state.rollingSummary : '';
+    thread.toolOutputBuffer = isV2 ? _array(state.toolOutputBuffer) : [];
+    thread.sessionTokens = Number.isFinite(state.sessionTokens) ? state.sessionTokens : 0;
+    thread.usage = state.usage || null;
+  }
+  return {
+    activeThreadId: thread.id,
+    threads: [thread],
+    days: _plainObject(state?.usage?.days),
+    migrated: Boolean(state),
+  };
+}
+
+/**
+ * Thread summary for pickers (no message content)
+ * @param {object} thread - Thread record
+ * @param {string} activeThreadId - ID of the thread in use
+ * @returns {{id: string, name: string, archived: boolean, shared: boolean, active: boolean,
+ *   createdAt: string, updatedAt: string, messageCount: number}}
+ */
+export function describeThread(thread, activeThreadId) {
+  return {
+    id: thread.id,
+    name: thread.name,
+    archived: thread.archived,
+    shared: thread.shared,
+    active: thread.id === activeThreadId,
+    createdAt: thread.createdAt,
+    updatedAt: thread.updatedAt,
+    messageCount: thread.activeMessages.filter(message => message.role !== 'system').length,
+  };
+}
+
+/**
+ * A stored thread record with every field present and valid
+ * @param {object} thread - Thread record
+ * @param {number} [index=0] - Position among the stored threads (for the default name)
+ * @returns {object}
+ */
+export function normalizeThread(thread, index = 0) {
+  return {
+    ...createThreadRecord(defaultThreadName(index + 1)),
+    ...thread,
+    id: typeof thread?.id === 'string' && thread.id ? thread.id : _randomId(),
+    archived: thread?.archived === true,
+    shared: thread?.shared === true,
+    activeMessages: _array(thread?.activeMessages),
+    toolOutputBuffer: _array(thread?.toolOutputBuffer),
+    rollingSummary: typeof thread?.rollingSummary === 'string' ? thread.rollingSummary : '',
+    sessionTokens: Number.isFinite(thread?.sessionTokens) ? thread.sessionTokens : 0,
+  };
+}
+
+function _array(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function _plainObject(value) {
+  return value && typeof value === 'object' ? { ...value } : {};
+}
+
+function _randomId() {
+  const randomID = globalThis.foundry?.utils?.randomID;
+  if (typeof randomID === 'function') return randomID();
+  return Math.random().toString(36).slice(2, 12) + Date.now().toString(36);
+}
+
+/**
+ * Copy of a message (and of its branch alternatives) with images replaced by a text marker
+ * @param {object} message
+ * @returns {object} The message itself when it has no images
+ */
+function _withoutImages(message) {
+  let stored = message;
+  if (getImageUrls(message.content).length > 0) {
+    stored = { ...stored, content: describeContent(message.content, STORED_IMAGE_MARKER) };
+  }
+  if (Array.isArray(message.alternatives)) {
+    const alternatives = message.alternatives.map(branch => branch.map(_withoutImages));
+    stored = { ...stored, alternatives };
+  }
+  return stored;
+}
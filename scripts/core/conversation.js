@@ -9,6 +9,26 @@
 import { defaultTokenizer } from '../utils/tokenizer.js';
 import { createLogger, isDebugEnabled } from '../utils/logger.js';
 import { interactionLogger } from './interaction-logger.js';
+import { emitThreadsChanged, emitUsageUpdated } from './hook-manager.js';
+import { UsageLedger, getConfiguredPrices } from './usage-ledger.js';
+import { getTextContent } from '../utils/message-content.js';
+import {
+  LEGACY_STATE_DELETIONS,
+  THREAD_STATE_VERSION,
+  readStoredState,
+  writeStoredState,
+  captureThreadState,
+  createThreadRecord,
+  defaultThreadName,
+  describeThread,
+  mergeSharedThreads,
+  mostRecentOpenThread,
+  normalizeThread,
+  readThreadState,
+  summarizeThreads,
+} from './conversation-threads.js';
+import { createMessageId, ensureMessageIds, isRewindPoint } from './conversation-branches.js';
+import { getCompactionStrategy } from './compaction-strategies.js';
 
 const logger = createLogger('Conversation');
 const MAX_COMPACTION_ROUNDS = 10;
@@ -35,6 +55,16 @@ class ConversationManager {
     this.rollingSummary = ''; // Tier 2: Compressed history summary
     this.activeMessages = []; // Tier 3: Recent messages in full fidelity
     this.toolOutputBuffer = new Map(); // Store full tool outputs for indexed access
+    this.usage = new UsageLedger(); // Provider-reported token usage and spend
+
+    // Named threads; the active one's state lives in the fields above
+    const initial = readThreadState(null);
+    this.threads = initial.threads;
+    this.activeThreadId = initial.activeThreadId;
+    this._migratedLegacyState = false;
+    // Storage of threads shared with the other GMs (see shared-threads.js), set by the core
+    this.sharedStore = null;
+    this._changedSharedThreads = new Set();
 
     // Configurable token limit support (fallback context limit)
     let configuredMax = maxTokens;
@@ -51,6 +81,28 @@ class ConversationManager {
     this.maxTokens = configuredMax;
     this.tokenizer = tokenizer || defaultTokenizer; // Pluggable adapter
     this.onStateChange = onStateChange; // Auto-save callback
+    this._recountWhenTokenizerLoads();
+  }
+
+  /**
+   * Switch tokenizer (e.g. after a model change) and recount the stored history with it.
+   * @param {TokenizerAdapter} tokenizer
+   */
+  setTokenizer(tokenizer) {
+    this.tokenizer = tokenizer;
+    this._recalculateTokens();
+    this._recountWhenTokenizerLoads();
+  }
+
+  /**
+   * Recount once the tokenizer's BPE encoding has loaded (counts until then are estimates).
+   * @private
+   */
+  _recountWhenTokenizerLoads() {
+    const tokenizer = this.tokenizer;
+    tokenizer.whenReady?.().then(loaded => {
+      if (loaded && this.tokenizer === tokenizer) this._recalculateTokens();
+    });
   }
 
   /**
@@ -86,10 +138,19 @@ class ConversationManager {
     if (toolCallId) {
       message.tool_call_id = toolCallId;
     }
+    // User messages can be edited or regenerated from later (see conversation-branches.js),
+    // and name their sender for threads shared between GMs
+    if (isRewindPoint(message)) {
+      Object.assign(message, { id: createMessageId(), userId: this.userId });
+    }
 
     // Log interaction if enabled
     interactionLogger.logMessage(message, { toolCalls, toolCallId, metadata });
 
+    if (role === 'user' && !message._internal) this.usage.startTurn();
+    const thread = this._getActiveThread();
+    if (thread) thread.updatedAt = new Date().toISOString();
+
     // Add to activeMessages (Tier 3) and sync to messages for backward compatibility
     this.activeMessages.push(message);
     this.messages = [...this.activeMessages]; // Sync for external consumers
@@ -99,6 +160,55 @@ class ConversationManager {
     this._triggerStateChange();
   }
 
+  /**
+   * Replace the history after an edit, regenerate or branch switch, restoring tool call and
+   * response parity around the rewound point
+   * @param {Array<object>} messages - New active messages
+   */
+  replaceMessages(messages) {
+    this.activeMessages = messages;
+    this.messages = [...messages];
+    this._sanitizeMessages();
+    this._recalculateTokens();
+    this._triggerStateChange();
+  }
+
+  /**
+   * Record the token usage reported by the provider for one API response.
+   * The reported prompt size also calibrates the tokenizer for models it only approximates.
+   * @param {object} rawUsage - `usage` block from the response
+   * @param {{model?: string, provider?: string, messages?: Array, tools?: Array}} [meta] -
+   *   Model and provider that answered, and the messages and tools that were sent
+   * @returns {object|null} Current turn totals, or null when no usage was reported
+   */
+  recordUsage(rawUsage, meta = {}) {
+    const turn = this.usage.record(rawUsage, { ...meta, prices: getConfiguredPrices() });
+    if (!turn) return null;
+
+    // Only measurements from the model this tokenizer counts for (not a fallback provider)
+    const { tokenizer } = this;
+    const sameModel = !tokenizer.model || tokenizer.model === meta.model;
+    if (sameModel && tokenizer.calibrate?.(meta.messages, meta.tools, rawUsage.prompt_tokens)) {
+      this._recalculateTokens();
+    }
+
+    emitUsageUpdated(this.getUsageSummary());
+    this._triggerStateChange();
+    return turn;
+  }
+
+  /**
+   * Token usage totals for the latest turn, this conversation and today.
+   * @returns {{turn: object|null, conversation: object, today: object}}
+   */
+  getUsageSummary() {
+    return {
+      turn: this.usage.turns.at(-1) || null,
+      conversation: { ...this.usage.conversation },
+      today: { ...this.usage.getDay() },
+    };
+  }
+
   /**
    * Updates the system message (first message) with additional content.
    * @param {string} additionalContent - Content to append to the system message.
@@ -164,22 +274,6 @@ class ConversationManager {
     return Math.max(0, available - contextTarget - compactionPromptSize);
   }
 
-  /**
-   * Build the prompt for AI summarization
-   * @param {Array} messages - Messages to summarize
-   * @returns {string} Summarization prompt
-   * @private
-   */
-  _buildSummarizationPrompt(messages) {
-    const currentSaga = this.rollingSummary ? `Current Summary:\n${this.rollingSummary}\n\n` : '';
-
-    const newContent = messages
-      .map(m => `[${m.role}]: ${m.content?.substring(0, 500) || '[tool call]'}`)
-      .join('\n');
-
-    return `${currentSaga}Update the summary with these new events. Preserve proper nouns, document IDs, and key decisions. Be concise.\n\nNew Events:\n${newContent}`;
-  }
-
   /**
    * Recalculate total token count from activeMessages and rollingSummary
    * @private
@@ -202,39 +296,8 @@ class ConversationManager {
   }
 
   /**
-   * Find the end index of the chunk to compact, respecting tool call/response pairing.
-   * @param {number} startIdx - Index of first non-system message
-   * @returns {number} Exclusive end index of the chunk
-   * @private
-   */
-  _findCompactionChunkEnd(startIdx) {
-    let chunkEnd = startIdx + 5;
-
-    // Don't strand a tool response as the new head — consume it with its parent
-    while (chunkEnd < this.activeMessages.length && this.activeMessages[chunkEnd].role === 'tool') {
-      chunkEnd++;
-    }
-
-    // If the last compacted message has tool_calls, include all its tool responses
-    if (chunkEnd > startIdx) {
-      const lastCompacted = this.activeMessages[chunkEnd - 1];
-      if (lastCompacted?.role === 'assistant' && lastCompacted?.tool_calls?.length > 0) {
-        const toolCallIds = new Set(lastCompacted.tool_calls.map(tc => tc.id));
-        while (
-          chunkEnd < this.activeMessages.length &&
-          this.activeMessages[chunkEnd].role === 'tool' &&
-          toolCallIds.has(this.activeMessages[chunkEnd].tool_call_id)
-        ) {
-          chunkEnd++;
-        }
-      }
-    }
-
-    return chunkEnd;
-  }
-
-  /**
-   * Compact history using AI-driven summarization
+   * Compact history with the compaction strategy selected in settings
+   * (see `compaction-strategies.js`)
    * @param {object} aiClient - AI client for summarization calls
    * @param {number} [overhead=0] - Token overhead to reserve (e.g. system prompt tokens)
    * @returns {Promise<string>} Compaction status
@@ -244,35 +307,25 @@ class ConversationManager {
       return COMPACTION_STATUS.WITHIN_BUDGET;
     }
 
-    const startIdx = this.activeMessages[0]?.role === 'system' ? 1 : 0;
-    const chunkEnd = this._findCompactionChunkEnd(startIdx);
-    const messagesToCompact = this.activeMessages.slice(startIdx, chunkEnd);
-
-    if (messagesToCompact.length === 0) {
-      return COMPACTION_STATUS.FAILED;
-    }
-
-    const prompt = this._buildSummarizationPrompt(messagesToCompact);
-
+    const strategy = getCompactionStrategy();
     try {
-      const response = await aiClient.chat([{ role: 'user', content: prompt }], null, {
-        isBackground: true,
+      const result = await strategy.compact({
+        messages: this.activeMessages,
+        startIndex: this.activeMessages[0]?.role === 'system' ? 1 : 0,
+        rollingSummary: this.rollingSummary,
+        toolOutputBuffer: this.toolOutputBuffer,
+        aiClient,
       });
-
-      const newSummary = response?.choices?.[0]?.message?.content || '';
-      if (newSummary) {
-        this.rollingSummary = newSummary;
-        this.activeMessages = [
-          ...this.activeMessages.slice(0, startIdx),
-          ...this.activeMessages.slice(chunkEnd),
-        ];
+      if (result) {
+        this.rollingSummary = result.rollingSummary;
+        this.activeMessages = result.messages;
         this.messages = [...this.activeMessages];
         this._recalculateTokens();
         this._triggerStateChange();
         return COMPACTION_STATUS.COMPACTED;
       }
     } catch (error) {
-      logger.warn('Compaction failed:', error);
+      logger.warn(`Compaction (${strategy.id}) failed:`, error);
     }
 
     return COMPACTION_STATUS.FAILED;
@@ -311,6 +364,8 @@ class ConversationManager {
     this.rollingSummary = '';
     this.toolOutputBuffer.clear();
     this.sessionTokens = 0;
+    this.usage.resetConversation();
+    emitUsageUpdated(this.getUsageSummary());
 
     // Trigger auto-save if callback is provided
     this._triggerStateChange();
@@ -343,7 +398,7 @@ class ConversationManager {
     try {
       return this.tokenizer.estimateMessageTokens(message);
     } catch (_e) {
-      const content = String(message?.content || '');
+      const content = getTextContent(message?.content);
       const tools = message?.tool_calls ? JSON.stringify(message.tool_calls) : '';
       const words = (content.trim().match(/\S+/g) || []).length;
       const toolWords = (tools.trim().match(/\S+/g) || []).length;
@@ -373,6 +428,7 @@ class ConversationManager {
    * @private
    */
   _triggerStateChange() {
+    if (this._getActiveThread()?.shared) this._changedSharedThreads.add(this.activeThreadId);
     if (typeof this.onStateChange === 'function') {
       try {
         this.onStateChange();
@@ -399,103 +455,263 @@ class ConversationManager {
   }
 
   /**
-   * Save conversation state to user flag or module settings
+   * Save conversation state to user flag or module settings. Shared threads changed here are
+   * stored for the world instead.
    * @returns {Promise<boolean>} Whether save was successful
    */
   async save() {
     const key = this.getPersistenceKey();
+    this._storeActiveThread();
+    await this._saveSharedThreads();
     const state = {
-      activeMessages: this.activeMessages,
-      rollingSummary: this.rollingSummary,
-      toolOutputBuffer: Array.from(this.toolOutputBuffer.entries()),
-      sessionTokens: this.sessionTokens,
-      v: 2,
+      activeThreadId: this.activeThreadId,
+      threads: this.threads.filter(thread => !thread.shared),
+      days: this.usage.days,
+      v: THREAD_STATE_VERSION,
     };
 
-    // Prefer user flag when available (per-user scope)
-    try {
-      if (typeof game !== 'undefined' && game?.user && typeof game.user.setFlag === 'function') {
-        await game.user.setFlag('simulacrum', this.worldId, state);
-        return true;
-      }
-    } catch (_e) {
-      // fall back below
-    }
-
-    // Fallback to module settings
-    try {
-      if (
-        typeof game !== 'undefined' &&
-        game?.settings &&
-        typeof game.settings.set === 'function'
-      ) {
-        await game.settings.set('simulacrum', key, state);
-        return true;
-      }
-    } catch (_e) {
-      // ignore
-    }
-
-    return false;
+    // Flags are merged on update, so the single-conversation keys must be deleted explicitly
+    const deletions = this._migratedLegacyState ? LEGACY_STATE_DELETIONS : {};
+    const storage = await writeStoredState(this.worldId, key, state, deletions);
+    if (storage === 'flag') this._migratedLegacyState = false;
+    return storage !== null;
   }
 
   /**
    * Load conversation state from user flag or module settings
+   * Single-conversation (v1/v2) state is migrated into one thread.
    * @returns {Promise<boolean>} Whether load was successful
    */
   async load() {
     const key = this.getPersistenceKey();
-    let state = null;
+    const state = await readStoredState(this.worldId, key);
+    if (!state) return false;
 
-    // Prefer user flag storage (per-user scope)
-    try {
-      if (typeof game !== 'undefined' && game?.user && typeof game.user.getFlag === 'function') {
-        state = await game.user.getFlag('simulacrum', this.worldId);
-      }
-    } catch (_e) {
-      // fall back below
-    }
+    const { activeThreadId, threads, days, migrated } = readThreadState(state);
+    this.threads = mergeSharedThreads(threads, this.sharedStore?.readThreads() ?? []);
+    // The thread in use may be a shared one
+    this.activeThreadId = this._findThread(state.activeThreadId)?.id ?? activeThreadId;
+    this._migratedLegacyState = migrated;
+    this.usage.days = days;
+    this._loadThread(this._getActiveThread());
 
-    // Fallback to module settings
-    if (!state) {
-      try {
-        if (
-          typeof game !== 'undefined' &&
-          game?.settings &&
-          typeof game.settings.get === 'function'
-        ) {
-          state = game.settings.get('simulacrum', key);
-        }
-      } catch (_e) {
-        // ignore
-      }
+    return true;
+  }
+
+  // =========================================================================
+  // Thread Methods
+  // =========================================================================
+
+  /**
+   * Threads of this user/world, most recently used first
+   * @param {object} [options]
+   * @param {boolean} [options.includeArchived=false] - Include archived threads
+   * @returns {Array<object>} Thread summaries (see `describeThread`)
+   */
+  listThreads({ includeArchived = false } = {}) {
+    return summarizeThreads(this.threads, this.activeThreadId, { includeArchived });
+  }
+
+  /**
+   * Summary of the thread in use
+   * @returns {object}
+   */
+  getActiveThread() {
+    return describeThread(this._getActiveThread(), this.activeThreadId);
+  }
+
+  /**
+   * Start a new thread and switch to it
+   * @param {string} [name] - Display name (defaults to "Conversation N")
+   * @returns {object} Summary of the new thread
+   */
+  createThread(name = '') {
+    const thread = createThreadRecord(
+      String(name).trim() || defaultThreadName(this.threads.length + 1)
+    );
+    this.threads.push(thread);
+    this.switchThread(thread.id);
+    return describeThread(thread, this.activeThreadId);
+  }
+
+  /**
+   * Add imported threads (see `parseConversationImport`) and switch to the first of them
+   * @param {Array<object>} threads - Thread records; each gets a new ID
+   * @returns {object} Summary of the thread switched to
+   */
+  importThreads(threads) {
+    const imported = threads.map(thread => ({
+      ...thread,
+      id: createThreadRecord('').id,
+      shared: false,
+    }));
+    this.threads.push(...imported);
+    this.switchThread(imported[0].id);
+    return this.getActiveThread();
+  }
+
+  /**
+   * Rename a thread
+   * @param {string} threadId
+   * @param {string} name - New display name (blank names are ignored)
+   * @returns {boolean} Whether the thread was renamed
+   */
+  renameThread(threadId, name) {
+    const thread = this._findThread(threadId);
+    const trimmed = String(name ?? '').trim();
+    if (!thread || !trimmed) return false;
+    thread.name = trimmed;
+    this._threadsChanged();
+    return true;
+  }
+
+  /**
+   * Make a thread the active conversation (an archived thread is restored)
+   * @param {string} threadId
+   * @returns {boolean} Whether the thread exists
+   */
+  switchThread(threadId) {
+    const thread = this._findThread(threadId);
+    if (!thread) return false;
+    thread.archived = false;
+    if (threadId !== this.activeThreadId) {
+      this._storeActiveThread();
+      this.activeThreadId = threadId;
+      this._loadThread(thread);
+      emitUsageUpdated(this.getUsageSummary());
     }
+    this._threadsChanged();
+    return true;
+  }
 
-    if (!state) return false;
+  /**
+   * Archive or restore a thread. Archiving the active thread switches to the most recently
+   * used open thread, or a new one.
+   * @param {string} threadId
+   * @param {boolean} [archived=true]
+   * @returns {boolean} Whether the thread exists
+   */
+  archiveThread(threadId, archived = true) {
+    const thread = this._findThread(threadId);
+    if (!thread) return false;
+    if (!archived) return this.switchThread(threadId);
+    thread.archived = true;
+    if (threadId === this.activeThreadId) this._switchAwayFrom(threadId);
+    else this._threadsChanged();
+    return true;
+  }
+
+  /**
+   * Delete a thread. Deleting the active thread switches to the most recently used open
+   * thread, or a new one.
+   * @param {string} threadId
+   * @returns {boolean} Whether the thread existed
+   */
+  deleteThread(threadId) {
+    if (!this._findThread(threadId)) return false;
+    if (threadId === this.activeThreadId) this._switchAwayFrom(threadId);
+    this.threads = this.threads.filter(thread => thread.id !== threadId);
+    this._threadsChanged();
+    return true;
+  }
 
-    // Handle schema versions
-    if (state.v === 2) {
-      // v2: Tiered context architecture
-      this.activeMessages = Array.isArray(state.activeMessages) ? state.activeMessages : [];
-      this.rollingSummary = typeof state.rollingSummary === 'string' ? state.rollingSummary : '';
-      this.toolOutputBuffer = new Map(state.toolOutputBuffer || []);
-      this.sessionTokens = Number.isFinite(state.sessionTokens) ? state.sessionTokens : 0;
-      // Sync messages for backward compatibility
-      this.messages = [...this.activeMessages];
-    } else {
-      // v1 or legacy: Migrate - treat all messages as active
-      this.activeMessages = Array.isArray(state.messages) ? state.messages : [];
-      this.rollingSummary = '';
-      this.toolOutputBuffer = new Map();
-      this.sessionTokens = Number.isFinite(state.sessionTokens) ? state.sessionTokens : 0;
-      this.messages = [...this.activeMessages];
+  /**
+   * Share a thread with the other GMs of the world, or make it private again
+   * @param {string} threadId
+   * @param {boolean} shared
+   * @returns {boolean} Whether the thread exists
+   */
+  setThreadShared(threadId, shared) {
+    const thread = this._findThread(threadId);
+    if (!thread) return false;
+    thread.shared = shared;
+    if (shared) this._changedSharedThreads.add(threadId);
+    this._threadsChanged();
+    return true;
+  }
+
+  /**
+   * Take in a shared thread another GM changed
+   * @param {object} record - Thread record
+   * @returns {boolean} Whether it is the thread in use (its messages were reloaded)
+   */
+  receiveSharedThread(record) {
+    const thread = normalizeThread({ ...record, shared: true });
+    this.threads = [...this.threads.filter(existing => existing.id !== thread.id), thread];
+
+    const active = thread.id === this.activeThreadId;
+    if (active) this._loadThread(thread);
+    emitThreadsChanged(this.activeThreadId, this.listThreads());
+    return active;
+  }
+
+  /**
+   * Store the shared threads changed since the last save
+   * @private
+   */
+  async _saveSharedThreads() {
+    const changed = [...this._changedSharedThreads].map(id => this._findThread(id));
+    this._changedSharedThreads.clear();
+    for (const thread of changed) {
+      if (thread?.shared) await this.sharedStore?.storeThread(thread);
     }
+  }
+
+  /** @private */
+  _findThread(threadId) {
+    return this.threads.find(thread => thread.id === threadId) || null;
+  }
+
+  /** @private */
+  _getActiveThread() {
+    return this._findThread(this.activeThreadId);
+  }
+
+  /**
+   * Switch to the most recently used open thread other than `threadId`, creating one if needed
+   * @param {string} threadId
+   * @private
+   */
+  _switchAwayFrom(threadId) {
+    const next = mostRecentOpenThread(this.threads, threadId);
+    if (next) this.switchThread(next.id);
+    else this.createThread();
+  }
+
+  /**
+   * Copy the working state into the active thread's record
+   * @private
+   */
+  _storeActiveThread() {
+    const thread = this._getActiveThread();
+    if (thread) Object.assign(thread, captureThreadState(this));
+  }
+
+  /**
+   * Make a thread's record the working state (per-day usage totals are kept)
+   * @param {object} thread - Thread record
+   * @private
+   */
+  _loadThread(thread) {
+    this.activeMessages = ensureMessageIds(thread.activeMessages);
+    this.rollingSummary = thread.rollingSummary;
+    this.toolOutputBuffer = new Map(thread.toolOutputBuffer);
+    this.sessionTokens = thread.sessionTokens;
+    this.usage = UsageLedger.fromJSON({ ...thread.usage, days: this.usage.days });
+    this.messages = [...this.activeMessages];
 
     // Sanitize loaded messages to ensure tool call/response parity
     // This handles backward compatibility with old conversations and tool changes
     this._sanitizeMessages();
+  }
 
-    return true;
+  /**
+   * Announce a change to the thread list and save it
+   * @private
+   */
+  _threadsChanged() {
+    emitThreadsChanged(this.activeThreadId, this.listThreads());
+    this._triggerStateChange();
   }
 
   /**
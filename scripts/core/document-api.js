@@ -1099,10 +1099,12 @@ export class DocumentAPI {
    * @param {object} data
    * @param {object} [options]
    * @param {string} [options.folder]
+   * @param {string} [options.pack] - Compendium pack to create the document in
+   * @param {UndoRecording} [options.recording] - Undo journal recording of the tool call
    * @returns {Promise<object>} Created document object
    */
   static async createDocument(documentType, data, options = {}) {
-    const { folder } = options;
+    const { folder, pack, recording } = options;
     const documentClass = CONFIG[documentType]?.documentClass;
     if (!documentClass) throw new Error(`Unknown document type: ${documentType}`);
 
@@ -1118,6 +1120,7 @@ export class DocumentAPI {
       }
     }
 
+    recording?.assertOpen();
     if (typeof documentClass.create === 'function') {
       try {
         // Step 1: Use FoundryVTT's official validation for creation data
@@ -1137,7 +1140,8 @@ export class DocumentAPI {
         }
 
         // Step 2: Proceed with creation only after validation passes
-        const created = await documentClass.create(data, { folder });
+        const created = await documentClass.create(data, pack ? { pack } : { folder });
+        recording?.created(created);
         return created?.toObject ? created.toObject() : created;
       } catch (createError) {
         // Re-throw validation errors to be handled by the calling tool
@@ -1170,10 +1174,11 @@ export class DocumentAPI {
    * @param {object} updates
    * @param {object} [options]
    * @param {string} [options.pack] - Compendium pack ID (optional)
+   * @param {UndoRecording} [options.recording] - Undo journal recording of the tool call
    * @returns {Promise<object>} Updated document object
    */
   static async updateDocument(documentType, id, updates, options = {}) {
-    const { pack } = options;
+    const { pack, recording } = options;
     let doc;
     let collection;
 
@@ -1229,6 +1234,7 @@ export class DocumentAPI {
     }
 
     const performUpdate = async () => {
+      recording?.assertOpen();
       try {
         if (typeof doc.validate === 'function') {
           doc.validate({
@@ -1243,7 +1249,9 @@ export class DocumentAPI {
       }
 
       try {
+        const before = recording?.snapshot(doc);
         await doc.update(updates);
+        recording?.updated(doc, updates, before);
       } catch (updateError) {
         // Check by name OR by message pattern OR by getAllFailures method
         const isValidationError =
@@ -1275,8 +1283,11 @@ export class DocumentAPI {
    * @param {string} documentType
    * @param {string} id
    * @param {Array<object>} operations
+   * @param {object} [options]
+   * @param {UndoRecording} [options.recording] - Undo journal recording of the tool call
    */
-  static async applyEmbeddedOperations(documentType, id, operations = []) {
+  static async applyEmbeddedOperations(documentType, id, operations = [], options = {}) {
+    const { recording } = options;
     if (!Array.isArray(operations) || operations.length === 0) return;
 
     const collection = this.#resolveCollection(documentType);
@@ -1361,19 +1372,42 @@ export class DocumentAPI {
           if (!ids.length) {
             throw new Error(`Embedded delete for ${embeddedName} requires target ids`);
           }
+          recording?.assertOpen();
+          const deleted = [];
+          for (const targetId of ids) {
+            const embedded = doc.getEmbeddedDocument?.(embeddedName, targetId);
+            if (embedded && recording)
+              deleted.push({ embedded, before: recording.snapshot(embedded) });
+          }
           await doc.deleteEmbeddedDocuments(embeddedName, ids, { render: false });
+          for (const { embedded, before } of deleted) recording.deleted(embedded, before);
         } else if (action === 'insert') {
           const payloads = ops.map(op => op.data).filter(Boolean);
           if (!payloads.length) {
             throw new Error(`Embedded insert for ${embeddedName} requires data payloads`);
           }
-          await doc.createEmbeddedDocuments(embeddedName, payloads, { render: false });
+          recording?.assertOpen();
+          const created = await doc.createEmbeddedDocuments(embeddedName, payloads, {
+            render: false,
+          });
+          for (const embedded of created ?? []) recording?.created(embedded);
         } else if (action === 'replace') {
           const payloads = ops.map(op => op.data).filter(Boolean);
           if (!payloads.length) {
             throw new Error(`Embedded replace for ${embeddedName} requires data payloads`);
           }
+          recording?.assertOpen();
+          const updated = [];
+          for (const { _id, ...changes } of payloads) {
+            const embedded = _id ? doc.getEmbeddedDocument?.(embeddedName, _id) : null;
+            if (embedded && recording) {
+              updated.push({ embedded, changes, before: recording.snapshot(embedded) });
+            }
+          }
           await doc.updateEmbeddedDocuments(embeddedName, payloads, { render: false });
+          for (const { embedded, changes, before } of updated) {
+            recording.updated(embedded, changes, before);
+          }
         } else {
           throw new Error(`Unsupported embedded operation action: ${action}`);
         }
@@ -1387,9 +1421,11 @@ export class DocumentAPI {
    * @param {string} id
    * @param {Object} [options] - Optional parameters
    * @param {string} [options.pack] - Compendium pack ID to delete from
+   * @param {UndoRecording} [options.recording] - Undo journal recording of the tool call
    * @returns {Promise<boolean>} True if deleted
    */
   static async deleteDocument(documentType, id, options = {}) {
+    const { recording } = options;
     let doc;
 
     // If pack is specified, get document from compendium
@@ -1434,8 +1470,11 @@ export class DocumentAPI {
     }
 
     const performDelete = async () => {
+      recording?.assertOpen();
       try {
+        const before = recording?.snapshot(doc);
         await doc.delete();
+        recording?.deleted(doc, before);
       } catch (deleteError) {
         // Check by name OR by message pattern OR by getAllFailures method
         const isValidationError =
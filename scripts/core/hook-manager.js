@@ -20,6 +20,8 @@ export const SimulacrumHooks = Object.freeze({
   // Conversation hooks
   CONVERSATION_STARTED: 'simulacrum:conversationStarted',
   CONVERSATION_CLEARED: 'simulacrum:conversationCleared',
+  THREADS_CHANGED: 'simulacrum:threadsChanged',
+  THREAD_LOCK_CHANGED: 'simulacrum:threadLockChanged',
 
   // AI response hooks
   AI_RESPONSE_RECEIVED: 'simulacrum:aiResponseReceived',
@@ -38,6 +40,16 @@ export const SimulacrumHooks = Object.freeze({
   // Endpoint validation hooks
   ENDPOINT_STATUS: 'simulacrum:endpointStatus',
 
+  // Connection profile hooks
+  PROFILE_CHANGED: 'simulacrum:profileChanged',
+
+  // Token usage hooks
+  USAGE_UPDATED: 'simulacrum:usageUpdated',
+
+  // Budget cap hooks
+  BUDGET_PAUSED: 'simulacrum:budgetPaused',
+  BUDGET_DECISION: 'simulacrum:budgetDecision',
+
   // Error hooks
   ERROR_OCCURRED: 'simulacrum:errorOccurred',
 });
@@ -140,3 +152,54 @@ export function emitIndexStatus(state, data = {}) {
 export function emitEndpointStatus(state, message = null) {
   emitHook(SimulacrumHooks.ENDPOINT_STATUS, { state, message });
 }
+
+/**
+ * Emit connection profile switch
+ * @param {object} profile - The newly active profile
+ */
+export function emitProfileChanged(profile) {
+  emitHook(SimulacrumHooks.PROFILE_CHANGED, { id: profile.id, name: profile.name });
+}
+
+/**
+ * Emit conversation thread list change (thread created, renamed, switched, archived or deleted)
+ * @param {string} activeThreadId - ID of the thread in use
+ * @param {Array<object>} threads - Thread summaries
+ */
+export function emitThreadsChanged(activeThreadId, threads) {
+  emitHook(SimulacrumHooks.THREADS_CHANGED, { activeThreadId, threads });
+}
+
+/**
+ * Emit a shared thread being locked or released (see shared-threads.js)
+ * @param {string} threadId
+ * @param {string|null} userId - User whose agent works in the thread, or null when released
+ */
+export function emitThreadLockChanged(threadId, userId) {
+  emitHook(SimulacrumHooks.THREAD_LOCK_CHANGED, { threadId, userId });
+}
+
+/**
+ * Emit token usage update after an API response was recorded
+ * @param {{turn: object|null, conversation: object, today: object}} summary - Usage totals
+ */
+export function emitUsageUpdated(summary) {
+  emitHook(SimulacrumHooks.USAGE_UPDATED, summary);
+}
+
+/**
+ * Emit a budget pause (the tool loop waits for a matching decision)
+ * @param {{pauseId: string, scope: string, measure: string, message: string}} pause
+ */
+export function emitBudgetPaused(pause) {
+  emitHook(SimulacrumHooks.BUDGET_PAUSED, pause);
+}
+
+/**
+ * Emit the GM's answer to a budget pause
+ * @param {string} pauseId - ID from the pause payload
+ * @param {'continue'|'stop'|'cancelled'} decision
+ */
+export function emitBudgetDecision(pauseId, decision) {
+  emitHook(SimulacrumHooks.BUDGET_DECISION, { pauseId, decision });
+}
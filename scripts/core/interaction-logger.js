@@ -7,6 +7,7 @@
  */
 
 import { createLogger } from '../utils/logger.js';
+import { describeContent } from '../utils/message-content.js';
 
 const logger = createLogger('InteractionLogger');
 const LOGGER_VERSION = '1.0.0';
@@ -166,7 +167,8 @@ class InteractionLogger {
       id: this._generateId(),
       timestamp: new Date().toISOString(),
       type: message.role,
-      content: message.content,
+      // Attached images are logged as markers; their data would bloat the stored log
+      content: Array.isArray(message.content) ? describeContent(message.content) : message.content,
     };
 
     // Add role-specific metadata
@@ -175,6 +177,7 @@ class InteractionLogger {
         hasToolCalls: Boolean(toolCalls && toolCalls.length > 0),
         toolCallCount: toolCalls?.length || 0,
         ...(metadata?.provider_metadata ? { provider_metadata: metadata.provider_metadata } : {}),
+        ...(metadata?.provider ? { provider: metadata.provider } : {}),
       };
     } else if (message.role === 'system') {
       baseEntry.type = EntryType.SYSTEM;
@@ -282,7 +285,8 @@ class InteractionLogger {
       if (entry.type === EntryType.USER) {
         log += `[${time}] User: ${entry.content || ''}\n`;
       } else if (entry.type === EntryType.ASSISTANT) {
-        log += `[${time}] Assistant: ${(entry.content || '').substring(0, 500)}\n`;
+        const via = this._formatProviderSuffix(entry);
+        log += `[${time}] Assistant${via}: ${(entry.content || '').substring(0, 500)}\n`;
       } else if (entry.type === EntryType.TOOL_CALL) {
         const tn = entry.metadata?.toolName || 'unknown';
         const args = entry.metadata?.arguments ? JSON.stringify(entry.metadata.arguments) : '';
@@ -297,6 +301,17 @@ class InteractionLogger {
     return log;
   }
 
+  /**
+   * Name the provider that produced an assistant entry, for the readable log
+   * @param {object} entry - Log entry
+   * @returns {string} ` (Provider name)`, or '' when unknown
+   * @private
+   */
+  _formatProviderSuffix(entry) {
+    const name = entry.metadata?.provider?.name;
+    return name ? ` (${name})` : '';
+  }
+
   /**
    * Export log as JSON string
    * @returns {string} JSON export
@@ -172,11 +172,11 @@ export class MacroToolManager {
       description: config.description,
       parameters: augmentedParameters,
       schema: augmentedParameters,
-      execute: async args => {
+      execute: async (args, { signal } = {}) => {
         const errors = this._validateSchema(args, config.parameters);
         if (errors.length > 0) throw new Error(`Validation: ${errors.join(', ')}`);
 
-        const rawResult = await macro.execute({ args });
+        const rawResult = await macro.execute({ args, signal });
 
         // Wrap result with proper structure (like normal tools)
         // The 'content' is the full output for AI context
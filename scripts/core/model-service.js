@@ -4,6 +4,12 @@
  */
 
 import { createLogger } from '../utils/logger.js';
+import {
+  buildAuthHeaders,
+  buildModelsURL,
+  isOllamaEndpoint,
+  ollamaRootURL,
+} from './providers/endpoint-utils.js';
 
 const MODULE_ID = 'simulacrum';
 const logger = createLogger('ModelService');
@@ -24,8 +30,15 @@ const CONTEXT_LIMIT_KEYS = [
   'max_context_length', // Alternative naming
   'top_provider.context_length', // OpenRouter nested
   'max_model_len', // vLLM style
+  'max_input_tokens', // Anthropic
 ];
 
+/** How long a failed Ollama `/api/show` probe is remembered before the model is probed again */
+const PROBE_RETRY_MS = 60_000;
+
+/** Most Ollama models probed at once when filtering the model list */
+const PROBE_CONCURRENCY = 4;
+
 class ModelService {
   /** @type {string[]} Cached list of model IDs */
   #cachedModels = [];
@@ -51,6 +64,12 @@ class ModelService {
   /** @type {boolean} Whether OpenRouter fetch has been attempted */
   #openRouterFetched = false;
 
+  /** @type {Map<string, object>} Ollama `/api/show` capabilities by server and model ID */
+  #ollamaModelInfo = new Map();
+
+  /** @type {Map<string, number>} When the last failed Ollama probe of a server's model ended */
+  #ollamaProbeFailures = new Map();
+
   /**
    * Fetch available models from the /models endpoint
    * @param {boolean} [forceRefresh=false] - Force refresh even if cached
@@ -100,13 +119,8 @@ class ModelService {
     }
 
     try {
-      const modelsURL = baseURL.replace(/\/+$/, '') + '/models';
-      const headers = { 'Content-Type': 'application/json' };
-      if (apiKey) {
-        headers['Authorization'] = `Bearer ${apiKey}`;
-      }
-
-      const response = await fetch(modelsURL, { method: 'GET', headers });
+      const headers = { 'Content-Type': 'application/json', ...buildAuthHeaders(baseURL, apiKey) };
+      const response = await fetch(buildModelsURL(baseURL), { method: 'GET', headers });
 
       if (!response.ok) {
         logger.warn(`Models endpoint returned ${response.status}`);
@@ -114,7 +128,10 @@ class ModelService {
       }
 
       const data = await response.json();
-      const models = this._parseModelsResponse(data);
+      let models = this._parseModelsResponse(data);
+      if (isOllamaEndpoint(baseURL)) {
+        models = await this._filterOllamaToolModels(models);
+      }
 
       // Update cache
       this.#cachedModels = models;
@@ -308,12 +325,15 @@ class ModelService {
 
   /**
    * Get context limit for a model, deriving from metadata or using fallback
-   * Priority: Primary provider metadata → OpenRouter cross-reference → User fallback
+   * Priority: Primary provider metadata → Ollama model info → OpenRouter cross-reference →
+   * User fallback
    * @param {string} modelId - Model ID to look up
    * @param {number} [fallback=32000] - Fallback value if not derivable
-   * @returns {{ limit: number, source: 'derived' | 'openrouter' | 'fallback' }} Context limit and source
+   * @param {string} [baseURL] - Ollama server of the model (defaults to the configured one)
+   * @returns {{ limit: number, source: 'derived' | 'ollama' | 'openrouter' | 'fallback' }}
+   *   Context limit and source
    */
-  getContextLimit(modelId, fallback = 32000) {
+  getContextLimit(modelId, fallback = 32000, baseURL = undefined) {
     // First try primary provider metadata
     const metadata = this._findModelById(modelId);
     if (metadata && typeof metadata === 'object') {
@@ -326,6 +346,13 @@ class ModelService {
       }
     }
 
+    // Try Ollama model info (check cache only, probing happens elsewhere)
+    const ollamaInfo = this.getOllamaModelInfo(modelId, baseURL);
+    if (ollamaInfo?.contextLength > 0) {
+      logger.debug(`Ollama context limit for ${modelId}: ${ollamaInfo.contextLength}`);
+      return { limit: ollamaInfo.contextLength, source: 'ollama' };
+    }
+
     // Try OpenRouter cross-reference (check cache only, async fetch happens elsewhere)
     const orModel = this._findInOpenRouter(modelId);
     if (orModel && orModel.context_length > 0) {
@@ -337,6 +364,159 @@ class ModelService {
     return { limit: fallback, source: 'fallback' };
   }
 
+  /**
+   * Whether a model accepts image input
+   * Priority: Primary provider metadata → Ollama model info → OpenRouter cross-reference
+   * @param {string} modelId - Model ID to look up
+   * @returns {boolean|null} Null when no metadata says either way
+   */
+  supportsVision(modelId) {
+    if (!modelId) return null;
+
+    const derived = this._readImageInput(this._findModelById(modelId));
+    if (derived !== null) return derived;
+
+    const ollamaVision = this.getOllamaModelInfo(modelId)?.vision;
+    if (typeof ollamaVision === 'boolean') return ollamaVision;
+
+    return this._readImageInput(this._findInOpenRouter(modelId));
+  }
+
+  /**
+   * Read image input support from model metadata
+   * Understands `architecture.input_modalities` (OpenRouter and others) and the older
+   * `architecture.modality` string (e.g. "text+image->text").
+   * @param {object|null} model - Model metadata
+   * @returns {boolean|null} Null when the metadata has no modality information
+   * @private
+   */
+  _readImageInput(model) {
+    if (!model || typeof model !== 'object') return null;
+    const modalities = model.architecture?.input_modalities ?? model.input_modalities;
+    if (Array.isArray(modalities)) return modalities.includes('image');
+    const modality = model.architecture?.modality;
+    if (typeof modality === 'string') return modality.split('->')[0].includes('image');
+    return null;
+  }
+
+  /**
+   * Read a model's context length and capabilities from Ollama's `/api/show`
+   * Results are cached per model until the cache is invalidated; a failed probe is not retried
+   * for a minute, so an unreachable server is not asked again on every request.
+   * @param {string} modelId - Model ID (e.g. "llama3.1:8b")
+   * @param {object} [endpoint] - Server hosting the model (defaults to the configured one),
+   *   e.g. that of a fallback profile
+   * @param {string} [endpoint.baseURL]
+   * @param {string} [endpoint.apiKey]
+   * @returns {Promise<{contextLength: number|null, tools: boolean|null, vision: boolean|null}|null>}
+   *   Model info, or null when the endpoint is not Ollama or the probe fails
+   */
+  async probeOllamaModel(modelId, { baseURL, apiKey } = {}) {
+    if (!modelId) return null;
+    if (baseURL === undefined) ({ baseURL, apiKey } = this._configuredEndpoint());
+    if (!isOllamaEndpoint(baseURL)) return null;
+    const key = _ollamaKey(baseURL, modelId);
+    if (this.#ollamaModelInfo.has(key)) return this.#ollamaModelInfo.get(key);
+    const failedAt = this.#ollamaProbeFailures.get(key);
+    if (failedAt !== undefined && Date.now() - failedAt < PROBE_RETRY_MS) return null;
+
+    try {
+      const response = await fetch(`${ollamaRootURL(baseURL)}/api/show`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...buildAuthHeaders(baseURL, apiKey) },
+        body: JSON.stringify({ model: modelId }),
+      });
+
+      if (!response.ok) {
+        logger.warn(`Ollama /api/show returned ${response.status} for ${modelId}`);
+        this.#ollamaProbeFailures.set(key, Date.now());
+        return null;
+      }
+
+      const info = this._parseOllamaShow(await response.json());
+      this.#ollamaModelInfo.set(key, info);
+      this.#ollamaProbeFailures.delete(key);
+      logger.debug(`Probed Ollama model ${modelId}:`, info);
+      return info;
+    } catch (e) {
+      logger.warn(`Failed to probe Ollama model ${modelId}:`, e.message);
+      this.#ollamaProbeFailures.set(key, Date.now());
+      return null;
+    }
+  }
+
+  /**
+   * Get cached Ollama capabilities for a model without probing
+   * @param {string} modelId - Model ID to look up
+   * @param {string} [baseURL] - Ollama server of the model (defaults to the configured one)
+   * @returns {{contextLength: number|null, tools: boolean|null, vision: boolean|null}|null}
+   */
+  getOllamaModelInfo(modelId, baseURL = undefined) {
+    if (!modelId) return null;
+    baseURL ??= this._configuredEndpoint().baseURL;
+    if (!isOllamaEndpoint(baseURL)) return null;
+    return this.#ollamaModelInfo.get(_ollamaKey(baseURL, modelId)) ?? null;
+  }
+
+  /**
+   * Endpoint and key from the module settings
+   * @returns {{baseURL?: string, apiKey?: string}} Empty when settings are unavailable
+   * @private
+   */
+  _configuredEndpoint() {
+    try {
+      return {
+        baseURL: game.settings.get(MODULE_ID, 'baseURL'),
+        apiKey: game.settings.get(MODULE_ID, 'apiKey'),
+      };
+    } catch (_e) {
+      return {};
+    }
+  }
+
+  /**
+   * Extract context length and capabilities from an `/api/show` response
+   * Context length lives under `<architecture>.context_length` in `model_info`;
+   * `capabilities` is absent on Ollama versions before 0.6.4, so tools/vision may be unknown.
+   * @param {object} data - `/api/show` response
+   * @returns {{contextLength: number|null, tools: boolean|null, vision: boolean|null}}
+   * @private
+   */
+  _parseOllamaShow(data) {
+    const modelInfo = data?.model_info || {};
+    const architecture = modelInfo['general.architecture'];
+    const contextLength = modelInfo[`${architecture}.context_length`];
+    const capabilities = Array.isArray(data?.capabilities) ? data.capabilities : null;
+
+    return {
+      contextLength: typeof contextLength === 'number' && contextLength > 0 ? contextLength : null,
+      tools: capabilities ? capabilities.includes('tools') : null,
+      vision: capabilities ? capabilities.includes('vision') : null,
+    };
+  }
+
+  /**
+   * Probe listed Ollama models and drop those that report no tool support
+   * Models whose capabilities are unknown are kept. At most PROBE_CONCURRENCY probes run at
+   * once, so a server with many models is not flooded.
+   * @param {string[]} models - Model IDs from `/models`
+   * @returns {Promise<string[]>} Model IDs usable with tool calling
+   * @private
+   */
+  async _filterOllamaToolModels(models) {
+    const infos = [];
+    let next = 0;
+    const probeNext = async () => {
+      while (next < models.length) {
+        const index = next++;
+        infos[index] = await this.probeOllamaModel(models[index]);
+      }
+    };
+    const workers = Math.min(PROBE_CONCURRENCY, models.length);
+    await Promise.all(Array.from({ length: workers }, probeNext));
+    return models.filter((_id, index) => infos[index]?.tools !== false);
+  }
+
   /**
    * Fetch OpenRouter models for cross-reference (public API, no key needed)
    * Should be called early to populate cache for later sync lookups
@@ -422,6 +602,8 @@ class ModelService {
   invalidateCache() {
     this.#cachedModels = [];
     this.#cachedModelMetadata.clear();
+    this.#ollamaModelInfo.clear();
+    this.#ollamaProbeFailures.clear();
     this.#cachedBaseURL = null;
     this.#cachedApiKey = null;
     logger.debug('Model cache invalidated');
@@ -436,5 +618,15 @@ class ModelService {
   }
 }
 
+/**
+ * Cache key of an Ollama model: the same model name can differ between servers
+ * @param {string} baseURL - Server base URL
+ * @param {string} modelId - Model ID
+ * @returns {string}
+ */
+function _ollamaKey(baseURL, modelId) {
+  return `${ollamaRootURL(baseURL)} ${modelId}`;
+}
+
 // Export singleton instance
 export const modelService = new ModelService();
@@ -0,0 +1,165 @@
+/**
+ * Permission Rules - Ordered, argument-aware rules deciding whether a destructive tool call is
+ * allowed, asked about or denied
+ * A rule names a tool (or any destructive tool) and optional conditions on the document the call
+ * targets: its type, compendium pack, folder and whether a player owns it, plus one argument of
+ * the call. Empty conditions match anything. The first enabled rule whose conditions all hold
+ * decides; when none does, the per-tool permission applies. Under Trust All only deny rules are
+ * tried.
+ */
+
+/** Rule tool value matching every destructive tool */
+export const ANY_TOOL = '*';
+
+/**
+ * Who owns the targeted document
+ * @readonly
+ * @enum {string}
+ */
+export const RuleOwner = Object.freeze({
+  ANY: '',
+  PLAYER: 'player', // At least one player has Owner permission
+  GM: 'gm', // Only Gamemasters own it
+});
+
+/**
+ * Fill in the fields of a rule, dropping unknown ones
+ * @param {object} rule - Rule as edited or stored
+ * @returns {{tool: string, documentType: string, pack: string, folder: string, owner: string,
+ *   argument: string, value: string, action: string, enabled: boolean}}
+ */
+export function normalizeRule(rule = {}) {
+  const text = value => String(value ?? '').trim();
+  return {
+    tool: text(rule.tool) || ANY_TOOL,
+    documentType: text(rule.documentType),
+    pack: text(rule.pack),
+    folder: text(rule.folder),
+    owner: Object.values(RuleOwner).includes(rule.owner) ? rule.owner : RuleOwner.ANY,
+    argument: text(rule.argument),
+    value: text(rule.value),
+    action: text(rule.action) || 'ask',
+    enabled: rule.enabled !== false,
+  };
+}
+
+/**
+ * Whether a rule applies to a tool call
+ * @param {object} rule - Normalized rule
+ * @param {object} call - See resolveCallContext
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, call) {
+  if (!rule.enabled) return false;
+  return (
+    (rule.tool === ANY_TOOL || rule.tool === call.toolName) &&
+    _conditionHolds(rule.documentType, call.documentType) &&
+    _conditionHolds(rule.pack, call.pack) &&
+    _conditionHolds(rule.owner, call.owner) &&
+    (!rule.folder || _folderMatches(rule.folder, call.folder)) &&
+    (!rule.argument || _argumentMatches(rule, call.args))
+  );
+}
+
+/**
+ * The first rule that applies to a tool call
+ * @param {Array<object>} rules - Normalized rules, in order
+ * @param {object} call - See resolveCallContext
+ * @param {object} [options]
+ * @param {string} [options.action] - Only consider rules with this action
+ * @returns {{rule: object, index: number}|null}
+ */
+export function findMatchingRule(rules, call, { action } = {}) {
+  const index = rules.findIndex(
+    rule => (!action || rule.action === action) && ruleMatches(rule, call)
+  );
+  return index === -1 ? null : { rule: rules[index], index };
+}
+
+/**
+ * What the rules can match on for a tool call: the call itself and the document it targets
+ * The document is looked up in its world collection or compendium; a new document (create) is
+ * described by its data. Tools name the target `documentType`/`documentId` or
+ * `document_type`/`document_id`; both are understood.
+ * @param {string} toolName
+ * @param {object} args - Tool arguments
+ * @returns {Promise<{toolName: string, documentType: string|null, pack: string|null,
+ *   folder: {id: string|null, name: string}|null, owner: string|null, args: object}>}
+ */
+export async function resolveCallContext(toolName, args = {}) {
+  const target = _callTarget(args);
+  const call = {
+    toolName,
+    documentType: target.documentType ?? null,
+    // Configuring or deleting a pack itself counts as acting in that pack
+    pack:
+      target.pack ?? (target.documentType === 'Compendium' ? (target.documentId ?? null) : null),
+    folder: null,
+    owner: null,
+    args,
+  };
+  const doc = await _findDocument(target);
+  if (doc) {
+    call.folder = doc.folder ? { id: doc.folder.id, name: doc.folder.name } : null;
+    call.owner = _ownedByPlayer(doc.ownership) ? RuleOwner.PLAYER : RuleOwner.GM;
+  } else if (args.data?.folder) {
+    const folder = game.folders?.get(args.data.folder);
+    call.folder = folder
+      ? { id: folder.id, name: folder.name }
+      : { id: null, name: String(args.data.folder) };
+  }
+  return call;
+}
+
+function _callTarget(args) {
+  return {
+    documentType: args.documentType ?? args.document_type,
+    documentId: args.documentId ?? args.document_id,
+    pack: args.pack,
+  };
+}
+
+async function _findDocument({ documentType, documentId, pack }) {
+  if (!documentType || typeof documentId !== 'string') return null;
+  const id = documentId
+    .split(/[.[\]]/)
+    .filter(Boolean)
+    .pop();
+  try {
+    if (pack) return (await game.packs?.get(pack)?.getDocument(id)) ?? null;
+    return game.collections?.get(documentType)?.get(id) ?? null;
+  } catch {
+    // A document that cannot be found matches no folder or owner condition
+    return null;
+  }
+}
+
+function _ownedByPlayer(ownership = {}) {
+  const owner = CONST?.DOCUMENT_OWNERSHIP_LEVELS?.OWNER ?? 3;
+  if ((ownership.default ?? 0) >= owner) return true;
+  return Object.entries(ownership).some(
+    ([userId, level]) => userId !== 'default' && level >= owner && !game.users?.get(userId)?.isGM
+  );
+}
+
+function _conditionHolds(expected, actual) {
+  return !expected || expected === actual;
+}
+
+function _folderMatches(expected, folder) {
+  if (!folder) return false;
+  return folder.id === expected || folder.name?.toLowerCase() === expected.toLowerCase();
+}
+
+/** An argument condition without a value only requires the argument to be given */
+function _argumentMatches({ argument, value }, args) {
+  const actual = argument.split('.').reduce((current, key) => current?.[key], args);
+  if (actual === undefined || actual === null) return false;
+  if (!value) return true;
+  const text = typeof actual === 'string' ? actual : JSON.stringify(actual);
+  const pattern = value
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${pattern}$`, 'i').test(text);
+}
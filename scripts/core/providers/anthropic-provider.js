@@ -0,0 +1,393 @@
+/**
+ * Anthropic Provider - Native Messages API support
+ * Translates OpenAI-style history (`tool_calls` / `tool` messages) into Messages API
+ * `tool_use` / `tool_result` content blocks, and maps responses back to the
+ * `/chat/completions` shape consumed by AIClient and the tool loop.
+ */
+
+import { AIProvider } from './base-provider.js';
+import { buildAnthropicHeaders } from './endpoint-utils.js';
+import { APIError } from '../../utils/errors.js';
+import { isEventStream, readChatStream } from '../../utils/sse-stream.js';
+import { getImageUrls, getTextContent, parseDataUrl } from '../../utils/message-content.js';
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com/v1';
+const DEFAULT_MAX_TOKENS = 8192;
+// Claude 3 (pre-3.5) models cap output at 4096 tokens
+const LEGACY_MAX_TOKENS = 4096;
+const LEGACY_MODEL_PATTERN = /^claude-3-(?:opus|sonnet|haiku)/u;
+// The Messages API expects the first turn to come from the user
+const CONVERSATION_START = '[Conversation start]';
+
+const FINISH_REASONS = Object.freeze({
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  tool_use: 'tool_calls',
+  max_tokens: 'length',
+});
+
+/**
+ * Pick a `max_tokens` value the model accepts (the Messages API requires one)
+ * @param {string} model - Model ID
+ * @returns {number}
+ */
+export function defaultMaxTokens(model) {
+  return LEGACY_MODEL_PATTERN.test(model || '') ? LEGACY_MAX_TOKENS : DEFAULT_MAX_TOKENS;
+}
+
+/**
+ * Convert an OpenAI function tool schema to an Anthropic tool definition
+ * @param {Object} tool - `{type: 'function', function: {name, description, parameters}}`
+ * @returns {Object} `{name, description, input_schema}`
+ */
+export function toAnthropicTool(tool) {
+  const fn = tool?.function || tool;
+  return {
+    name: fn.name,
+    ...(fn.description ? { description: fn.description } : {}),
+    input_schema: fn.parameters || { type: 'object', properties: {} },
+  };
+}
+
+/**
+ * Convert OpenAI-style chat messages to a Messages API request fragment
+ * Leading system messages become the top-level `system` prompt; later system and
+ * developer messages are downgraded to user turns with a correction prefix.
+ * @param {Array} messages - OpenAI-style messages
+ * @returns {{system: string, messages: Array}}
+ */
+export function toAnthropicMessages(messages) {
+  const system = [];
+  const turns = [];
+
+  for (const message of messages || []) {
+    if (message?.role === 'system' && turns.length === 0) {
+      if (message.content) system.push(getTextContent(message.content));
+      continue;
+    }
+    const turn = _toAnthropicTurn(message);
+    if (turn.content.length > 0) _appendTurn(turns, turn);
+  }
+
+  if (turns[0]?.role !== 'user') {
+    turns.unshift({ role: 'user', content: [{ type: 'text', text: CONVERSATION_START }] });
+  }
+  return { system: system.join('\n\n'), messages: turns };
+}
+
+/**
+ * Convert a Messages API response to `/chat/completions` response data
+ * @param {Object} data - Messages API response (or streamed equivalent)
+ * @returns {Object} OpenAI-shaped response data
+ */
+export function fromAnthropicResponse(data) {
+  const blocks = Array.isArray(data?.content) ? data.content : [];
+  const content = blocks
+    .filter(block => block?.type === 'text')
+    .map(block => block.text)
+    .join('');
+  const toolCalls = blocks
+    .filter(block => block?.type === 'tool_use')
+    .map(block => ({
+      id: block.id,
+      type: 'function',
+      function: {
+        name: block.name,
+        // Streamed inputs stay as raw JSON text so malformed fragments can be repaired downstream
+        arguments:
+          typeof block.input === 'string' ? block.input : JSON.stringify(block.input ?? {}),
+      },
+    }));
+
+  return {
+    model: data?.model,
+    usage: _toOpenAIUsage(data?.usage),
+    choices: [
+      {
+        message: {
+          role: 'assistant',
+          content,
+          ...(toolCalls.length ? { tool_calls: toolCalls } : {}),
+        },
+        finish_reason: FINISH_REASONS[data?.stop_reason] ?? data?.stop_reason ?? null,
+      },
+    ],
+  };
+}
+
+/**
+ * Accumulates Messages API stream events into a complete response
+ */
+export class AnthropicStreamAccumulator {
+  constructor() {
+    this.message = { model: null, content: [], stop_reason: null, usage: {} };
+    this.partialInputs = new Map();
+  }
+
+  /**
+   * Apply one stream event
+   * @param {Object} event - Parsed event payload
+   * @returns {string} Text added by this event
+   * @throws {APIError} When the API reports an error mid-stream
+   */
+  push(event) {
+    switch (event?.type) {
+      case 'error':
+        throw _streamError(event.error);
+      case 'message_start':
+        this.message.model = event.message?.model ?? null;
+        Object.assign(this.message.usage, event.message?.usage);
+        return '';
+      case 'content_block_start':
+        this.message.content[event.index] = { ...event.content_block };
+        return '';
+      case 'content_block_delta':
+        return this._applyDelta(event.index, event.delta);
+      case 'message_delta':
+        this.message.stop_reason = event.delta?.stop_reason ?? this.message.stop_reason;
+        Object.assign(this.message.usage, event.usage);
+        return '';
+      default:
+        return '';
+    }
+  }
+
+  _applyDelta(index, delta) {
+    const block = this.message.content[index];
+    if (!block || !delta) return '';
+
+    if (delta.type === 'text_delta') {
+      block.text = (block.text || '') + delta.text;
+      return delta.text;
+    }
+    if (delta.type === 'input_json_delta') {
+      this.partialInputs.set(index, (this.partialInputs.get(index) || '') + delta.partial_json);
+    }
+    return '';
+  }
+
+  /**
+   * Build the response data a non-streaming request would have produced
+   * @returns {Object} OpenAI-shaped response data
+   */
+  toResponse() {
+    const content = this.message.content
+      .map((block, index) => {
+        const partial = this.partialInputs.get(index);
+        return partial ? { ...block, input: partial } : block;
+      })
+      .filter(Boolean);
+    return fromAnthropicResponse({ ...this.message, content });
+  }
+}
+
+/**
+ * Anthropic Messages API provider
+ */
+export class AnthropicProvider extends AIProvider {
+  /**
+   * Create an Anthropic provider instance
+   * @param {Object} config - Anthropic configuration
+   * @param {string} config.apiKey - Anthropic API key
+   * @param {string} [config.baseURL='https://api.anthropic.com/v1'] - Versioned API base URL
+   * @param {string} config.model - Model to use (required)
+   * @param {number} [config.maxTokens] - Output token cap (defaults per model family)
+   */
+  constructor(config = {}) {
+    super(config);
+    this.baseURL = (config.baseURL || DEFAULT_BASE_URL).replace(/\/+$/u, '');
+    this.model = config.model;
+    this.maxTokens = config.maxTokens || defaultMaxTokens(config.model);
+  }
+
+  /** @returns {string} Messages endpoint URL */
+  getEndpoint() {
+    return `${this.baseURL}/messages`;
+  }
+
+  /** @returns {Object} Request headers including authentication */
+  getHeaders() {
+    return { 'Content-Type': 'application/json', ...buildAnthropicHeaders(this.config.apiKey) };
+  }
+
+  /**
+   * Translate an OpenAI-style chat request body to a Messages API body
+   * @param {Object} body - `{model, messages, tools, stream, temperature}`
+   * @returns {Object} Messages API request body
+   */
+  buildRequestBody(body) {
+    const { system, messages } = toAnthropicMessages(body.messages);
+    const tools = Array.isArray(body.tools) ? body.tools.map(toAnthropicTool) : [];
+    return {
+      model: body.model || this.model,
+      max_tokens: this.maxTokens,
+      ...(system ? { system } : {}),
+      messages,
+      // The Messages API accepts temperatures between 0 and 1
+      ...(Number.isFinite(body.temperature) ? { temperature: Math.min(body.temperature, 1) } : {}),
+      ...(tools.length ? { tools, tool_choice: { type: 'auto' } } : {}),
+      ...(body.stream ? { stream: true } : {}),
+    };
+  }
+
+  /**
+   * Read a successful Messages API response as `/chat/completions` data
+   * @param {Response} response - Fetch response
+   * @param {Object} [options]
+   * @param {boolean} [options.stream] - Whether streaming was requested
+   * @param {AbortSignal} [options.signal] - Cancels an in-flight stream
+   * @param {Function} [options.onDelta] - Receives streamed text deltas
+   * @returns {Promise<Object>} OpenAI-shaped response data
+   */
+  async readResponse(response, { stream, signal, onDelta } = {}) {
+    if (stream && isEventStream(response)) {
+      const accumulator = new AnthropicStreamAccumulator();
+      return readChatStream(response, { signal, onDelta, accumulator });
+    }
+    return fromAnthropicResponse(await response.json());
+  }
+
+  /**
+   * Send a message with conversation context
+   * @param {string} message - The message to send
+   * @param {Array} context - Previous conversation messages
+   * @returns {Promise<Object>} Response with content, usage stats, and model info
+   */
+  async sendMessage(message, context = []) {
+    return this.generateResponse([...context, { role: 'user', content: message }]);
+  }
+
+  /**
+   * Generate a response using the Messages API
+   * @param {Array} messages - OpenAI-style messages
+   * @returns {Promise<Object>} Response with content, usage stats, and model info
+   * @throws {APIError} When the API request fails
+   */
+  async generateResponse(messages) {
+    try {
+      const response = await fetch(this.getEndpoint(), {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(this.buildRequestBody({ messages })),
+      });
+
+      if (!response.ok) {
+        throw new APIError(`Anthropic API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await this.readResponse(response);
+      return {
+        content: data.choices[0].message.content,
+        usage: data.usage || {},
+        model: data.model,
+      };
+    } catch (error) {
+      if (error instanceof APIError) throw error;
+      throw new APIError(`Failed to communicate with Anthropic: ${error.message}`);
+    }
+  }
+}
+
+function _toOpenAIUsage(usage) {
+  if (!usage) return undefined;
+  const promptTokens =
+    (usage.input_tokens || 0) +
+    (usage.cache_read_input_tokens || 0) +
+    (usage.cache_creation_input_tokens || 0);
+  const completionTokens = usage.output_tokens || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    prompt_tokens_details: { cached_tokens: usage.cache_read_input_tokens || 0 },
+  };
+}
+
+function _streamError(error) {
+  const detail = error?.message || JSON.stringify(error);
+  return new APIError(`Stream error - ${detail}`, { error });
+}
+
+function _textBlocks(content, prefix = '') {
+  const text = getTextContent(content);
+  return text.trim() ? [{ type: 'text', text: prefix ? `${prefix} ${text}` : text }] : [];
+}
+
+// Messages API tool IDs must match ^[a-zA-Z0-9_-]+$
+function _toolId(id) {
+  return String(id || 'tool_call').replace(/[^a-zA-Z0-9_-]/gu, '_');
+}
+
+function _parseToolInput(args) {
+  if (args && typeof args === 'object') return args;
+  try {
+    const parsed = JSON.parse(args || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function _toAnthropicTurn(message) {
+  switch (message?.role) {
+    case 'assistant':
+      return {
+        role: 'assistant',
+        content: [
+          ..._textBlocks(message.content),
+          ...(message.tool_calls || []).map(call => ({
+            type: 'tool_use',
+            id: _toolId(call.id),
+            name: call.function?.name || call.name,
+            input: _parseToolInput(call.function?.arguments ?? call.arguments),
+          })),
+        ],
+      };
+    case 'tool':
+      return {
+        role: 'user',
+        content: [
+          {
+            type: 'tool_result',
+            tool_use_id: _toolId(message.tool_call_id),
+            content: getTextContent(message.content),
+          },
+        ],
+      };
+    case 'developer':
+      return { role: 'user', content: _textBlocks(message.content, '[DEVELOPER CORRECTION]') };
+    case 'system':
+      return { role: 'user', content: _textBlocks(message.content, '[SYSTEM CORRECTION]') };
+    default:
+      return {
+        role: 'user',
+        content: [..._textBlocks(message?.content), ..._imageBlocks(message?.content)],
+      };
+  }
+}
+
+function _imageBlocks(content) {
+  return getImageUrls(content).map(url => {
+    const inline = parseDataUrl(url);
+    return {
+      type: 'image',
+      source: inline
+        ? { type: 'base64', media_type: inline.mediaType, data: inline.data }
+        : { type: 'url', url },
+    };
+  });
+}
+
+// Consecutive same-role turns are merged; tool_result blocks must lead a user turn
+function _appendTurn(turns, turn) {
+  const last = turns[turns.length - 1];
+  if (last?.role !== turn.role) {
+    turns.push(turn);
+    return;
+  }
+  const blocks = [...last.content, ...turn.content];
+  last.content = [
+    ...blocks.filter(block => block.type === 'tool_result'),
+    ...blocks.filter(block => block.type !== 'tool_result'),
+  ];
+}
@@ -0,0 +1,95 @@
+/**
+ * Endpoint helpers shared by providers, model listing, and endpoint validation
+ */
+
+/** Anthropic Messages API version header value */
+export const ANTHROPIC_VERSION = '2023-06-01';
+
+/** Port the Ollama server listens on unless configured otherwise */
+const OLLAMA_DEFAULT_PORT = '11434';
+
+/**
+ * Check whether a base URL points at the Anthropic API
+ * @param {string} baseURL - Configured base URL
+ * @returns {boolean}
+ */
+export function isAnthropicEndpoint(baseURL) {
+  return typeof baseURL === 'string' && baseURL.includes('anthropic.com');
+}
+
+/**
+ * Check whether a base URL points at an Ollama server
+ * Other local servers (LM Studio, llama.cpp, vLLM) only speak the OpenAI-compatible API,
+ * so plain `localhost` is not enough - require the Ollama port or an `ollama` host name.
+ * @param {string} baseURL - Configured base URL
+ * @returns {boolean}
+ */
+export function isOllamaEndpoint(baseURL) {
+  if (typeof baseURL !== 'string') return false;
+  try {
+    const url = new URL(baseURL);
+    return url.port === OLLAMA_DEFAULT_PORT || url.hostname.includes('ollama');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve the Ollama server root from a configured base URL
+ * Users usually configure the OpenAI-compatible `/v1` path; the native API lives at `/api`.
+ * @param {string} baseURL - Configured base URL (e.g. `http://localhost:11434/v1`)
+ * @returns {string} Server root (e.g. `http://localhost:11434`)
+ */
+export function ollamaRootURL(baseURL) {
+  return baseURL.replace(/\/+$/u, '').replace(/\/(?:v1|api)$/u, '');
+}
+
+/**
+ * Build Anthropic authentication headers
+ * @param {string} [apiKey] - API key, if any
+ * @returns {Object} Header map (without Content-Type)
+ */
+export function buildAnthropicHeaders(apiKey) {
+  return {
+    ...(apiKey ? { 'x-api-key': apiKey } : {}),
+    'anthropic-version': ANTHROPIC_VERSION,
+    // Required for requests made directly from the browser (Foundry client)
+    'anthropic-dangerous-direct-browser-access': 'true',
+  };
+}
+
+/**
+ * Build authentication headers for a provider endpoint
+ * Anthropic uses `x-api-key` plus a version header; everything else uses a Bearer token.
+ * @param {string} baseURL - Configured base URL
+ * @param {string} [apiKey] - API key, if any
+ * @returns {Object} Header map (without Content-Type)
+ */
+export function buildAuthHeaders(baseURL, apiKey) {
+  if (isAnthropicEndpoint(baseURL)) return buildAnthropicHeaders(apiKey);
+  return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+}
+
+/**
+ * Build the model listing URL for an endpoint
+ * Anthropic paginates `/models` (20 per page by default), so request the maximum page size.
+ * @param {string} baseURL - Configured base URL
+ * @returns {string}
+ */
+export function buildModelsURL(baseURL) {
+  const modelsURL = `${baseURL.replace(/\/+$/u, '')}/models`;
+  return isAnthropicEndpoint(baseURL) ? `${modelsURL}?limit=1000` : modelsURL;
+}
+
+/**
+ * Mask credential headers for debug logging
+ * @param {Object} headers - Request headers
+ * @returns {Object} Copy with secrets replaced
+ */
+export function maskAuthHeaders(headers) {
+  const masked = { ...headers };
+  for (const key of ['Authorization', 'x-api-key']) {
+    if (masked[key]) masked[key] = '[MASKED]';
+  }
+  return masked;
+}
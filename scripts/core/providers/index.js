@@ -5,3 +5,6 @@
 export { AIProvider } from './base-provider.js';
 export { MockAIProvider } from './mock-provider.js';
 export { OpenAIProvider } from './openai-provider.js';
+export { AnthropicProvider } from './anthropic-provider.js';
+export { OllamaProvider } from './ollama-provider.js';
+export { ReplayProvider, CassetteRecorder } from './replay-provider.js';
@@ -0,0 +1,308 @@
+/**
+ * Ollama Provider - Native `/api/chat` support
+ * Unlike Ollama's OpenAI-compatible `/v1` endpoint, the native API honours `options.num_ctx`,
+ * so the context window matches the sidebar context limit instead of Ollama's small default.
+ * Requests and responses are translated to and from the `/chat/completions` shape consumed
+ * by AIClient and the tool loop.
+ */
+
+import { AIProvider } from './base-provider.js';
+import { buildAuthHeaders, ollamaRootURL } from './endpoint-utils.js';
+import { APIError } from '../../utils/errors.js';
+import { readChatStream, splitNDJSONLines } from '../../utils/sse-stream.js';
+import { getImageUrls, getTextContent, parseDataUrl } from '../../utils/message-content.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+
+const FINISH_REASONS = Object.freeze({
+  stop: 'stop',
+  length: 'length',
+});
+
+/**
+ * Pick the `num_ctx` to request: the configured limit, capped at what the model supports
+ * @param {number} [configuredLimit] - Context limit from settings (sidebar input)
+ * @param {number} [modelLimit] - Context length reported by `/api/show`
+ * @returns {number|undefined} Context window size, or undefined to keep Ollama's default
+ */
+export function resolveNumCtx(configuredLimit, modelLimit) {
+  const limits = [configuredLimit, modelLimit].filter(value => Number.isFinite(value) && value > 0);
+  return limits.length ? Math.min(...limits) : undefined;
+}
+
+/**
+ * Convert OpenAI-style chat messages to Ollama chat messages
+ * Tool call arguments become objects, and tool results carry the called tool's name
+ * (Ollama has no tool call IDs). Attached images move to `images` as bare base64.
+ * @param {Array} messages - OpenAI-style messages
+ * @returns {Array} Ollama `/api/chat` messages
+ */
+export function toOllamaMessages(messages) {
+  const toolNames = new Map();
+  return (messages || []).map(message => {
+    switch (message?.role) {
+      case 'assistant':
+        return _toOllamaAssistant(message, toolNames);
+      case 'tool': {
+        const toolName = toolNames.get(message.tool_call_id);
+        return {
+          role: 'tool',
+          content: getTextContent(message.content),
+          ...(toolName ? { tool_name: toolName } : {}),
+        };
+      }
+      case 'developer':
+        return {
+          role: 'user',
+          content: `[DEVELOPER CORRECTION] ${getTextContent(message.content)}`,
+        };
+      default:
+        return _toOllamaMessage(message);
+    }
+  });
+}
+
+/**
+ * Convert an `/api/chat` response to `/chat/completions` response data
+ * @param {Object} data - Ollama response (or streamed equivalent)
+ * @returns {Object} OpenAI-shaped response data
+ */
+export function fromOllamaResponse(data) {
+  const message = data?.message || {};
+  const toolCalls = (message.tool_calls || []).map((call, index) => ({
+    id: call.id || _toolCallId(data, index),
+    type: 'function',
+    function: {
+      name: call.function?.name,
+      arguments:
+        typeof call.function?.arguments === 'string'
+          ? call.function.arguments
+          : JSON.stringify(call.function?.arguments ?? {}),
+    },
+  }));
+
+  let finishReason = FINISH_REASONS[data?.done_reason] ?? data?.done_reason ?? null;
+  if (toolCalls.length) finishReason = 'tool_calls';
+
+  return {
+    model: data?.model,
+    usage: _toOpenAIUsage(data),
+    choices: [
+      {
+        message: {
+          role: 'assistant',
+          content: message.content || '',
+          ...(toolCalls.length ? { tool_calls: toolCalls } : {}),
+        },
+        finish_reason: finishReason,
+      },
+    ],
+  };
+}
+
+/**
+ * Accumulates streamed `/api/chat` lines into a complete response
+ * Content arrives in fragments; tool calls arrive whole; the final line carries usage.
+ */
+export class OllamaStreamAccumulator {
+  constructor() {
+    this.response = { model: null, message: { content: '', tool_calls: [] }, done_reason: null };
+  }
+
+  /**
+   * Apply one parsed line
+   * @param {Object} chunk - Parsed NDJSON line
+   * @returns {string} Content text added by this line
+   * @throws {APIError} When Ollama reports an error mid-stream
+   */
+  push(chunk) {
+    if (chunk?.error) {
+      throw new APIError(`Stream error - ${chunk.error}`, { error: chunk.error });
+    }
+    if (chunk?.model) this.response.model = chunk.model;
+    if (chunk?.created_at) this.response.created_at = chunk.created_at;
+    if (chunk?.done) {
+      this.response.done_reason = chunk.done_reason;
+      this.response.prompt_eval_count = chunk.prompt_eval_count;
+      this.response.eval_count = chunk.eval_count;
+    }
+
+    const message = chunk?.message || {};
+    this.response.message.tool_calls.push(...(message.tool_calls || []));
+    const text = typeof message.content === 'string' ? message.content : '';
+    this.response.message.content += text;
+    return text;
+  }
+
+  /**
+   * Build the response data a non-streaming request would have produced
+   * @returns {Object} OpenAI-shaped response data
+   */
+  toResponse() {
+    return fromOllamaResponse(this.response);
+  }
+}
+
+/**
+ * Ollama native chat provider
+ */
+export class OllamaProvider extends AIProvider {
+  /**
+   * Create an Ollama provider instance
+   * @param {Object} config - Ollama configuration
+   * @param {string} [config.apiKey] - Bearer token for authenticating proxies (optional)
+   * @param {string} [config.baseURL='http://localhost:11434'] - Server URL (a `/v1` suffix is ignored)
+   * @param {string} config.model - Model to use (required)
+   * @param {number} [config.numCtx] - Context window to request (`options.num_ctx`)
+   */
+  constructor(config = {}) {
+    super(config);
+    this.baseURL = ollamaRootURL(config.baseURL || DEFAULT_BASE_URL);
+    this.model = config.model;
+    this.numCtx = config.numCtx;
+  }
+
+  /** @returns {string} Native chat endpoint URL */
+  getEndpoint() {
+    return `${this.baseURL}/api/chat`;
+  }
+
+  /** @returns {Object} Request headers including authentication */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...buildAuthHeaders(this.baseURL, this.config.apiKey),
+    };
+  }
+
+  /**
+   * Translate an OpenAI-style chat request body to an `/api/chat` body
+   * @param {Object} body - `{model, messages, tools, stream, temperature}`
+   * @returns {Object} Ollama request body
+   */
+  buildRequestBody(body) {
+    const options = {
+      ...(this.numCtx ? { num_ctx: this.numCtx } : {}),
+      ...(Number.isFinite(body.temperature) ? { temperature: body.temperature } : {}),
+    };
+    return {
+      model: body.model || this.model,
+      messages: toOllamaMessages(body.messages),
+      ...(Array.isArray(body.tools) && body.tools.length ? { tools: body.tools } : {}),
+      // Ollama streams unless told otherwise
+      stream: !!body.stream,
+      ...(Object.keys(options).length ? { options } : {}),
+    };
+  }
+
+  /**
+   * Read a successful `/api/chat` response as `/chat/completions` data
+   * @param {Response} response - Fetch response
+   * @param {Object} [options]
+   * @param {boolean} [options.stream] - Whether streaming was requested
+   * @param {AbortSignal} [options.signal] - Cancels an in-flight stream
+   * @param {Function} [options.onDelta] - Receives streamed text deltas
+   * @returns {Promise<Object>} OpenAI-shaped response data
+   */
+  async readResponse(response, { stream, signal, onDelta } = {}) {
+    if (stream && response.body) {
+      const accumulator = new OllamaStreamAccumulator();
+      return readChatStream(response, { signal, onDelta, accumulator, split: splitNDJSONLines });
+    }
+    return fromOllamaResponse(await response.json());
+  }
+
+  /**
+   * Send a message with conversation context
+   * @param {string} message - The message to send
+   * @param {Array} context - Previous conversation messages
+   * @returns {Promise<Object>} Response with content, usage stats, and model info
+   */
+  async sendMessage(message, context = []) {
+    return this.generateResponse([...context, { role: 'user', content: message }]);
+  }
+
+  /**
+   * Generate a response using the native chat API
+   * @param {Array} messages - OpenAI-style messages
+   * @returns {Promise<Object>} Response with content, usage stats, and model info
+   * @throws {APIError} When the API request fails
+   */
+  async generateResponse(messages) {
+    try {
+      const response = await fetch(this.getEndpoint(), {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(this.buildRequestBody({ messages })),
+      });
+
+      if (!response.ok) {
+        throw new APIError(`Ollama API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await this.readResponse(response);
+      return {
+        content: data.choices[0].message.content,
+        usage: data.usage || {},
+        model: data.model,
+      };
+    } catch (error) {
+      if (error instanceof APIError) throw error;
+      throw new APIError(`Failed to communicate with Ollama: ${error.message}`);
+    }
+  }
+}
+
+function _toOpenAIUsage(data) {
+  if (typeof data?.prompt_eval_count !== 'number' && typeof data?.eval_count !== 'number') {
+    return undefined;
+  }
+  const promptTokens = data.prompt_eval_count || 0;
+  const completionTokens = data.eval_count || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+  };
+}
+
+// Ollama omits tool call IDs; derive ones that stay unique across turns
+function _toolCallId(data, index) {
+  const stamp = Date.parse(data?.created_at) || Date.now();
+  return `call_${stamp.toString(36)}_${index}`;
+}
+
+function _toOllamaMessage(message) {
+  // Ollama only accepts inline base64 images, so remote image URLs are dropped
+  const images = getImageUrls(message?.content)
+    .map(url => parseDataUrl(url)?.data)
+    .filter(Boolean);
+  return {
+    role: message?.role || 'user',
+    content: getTextContent(message?.content),
+    ...(images.length ? { images } : {}),
+  };
+}
+
+function _toOllamaAssistant(message, toolNames) {
+  const toolCalls = (message.tool_calls || []).map(call => {
+    const name = call.function?.name || call.name;
+    if (call.id) toolNames.set(call.id, name);
+    return { function: { name, arguments: _parseToolArguments(call.function?.arguments) } };
+  });
+  return {
+    role: 'assistant',
+    content: getTextContent(message.content),
+    ...(toolCalls.length ? { tool_calls: toolCalls } : {}),
+  };
+}
+
+function _parseToolArguments(args) {
+  if (args && typeof args === 'object') return args;
+  try {
+    const parsed = JSON.parse(args || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
@@ -0,0 +1,340 @@
+/**
+ * OpenAI Responses API Provider - Translates chat requests to and from `/responses`
+ * Reasoning models keep their chain of thought in `reasoning` output items. Those items are
+ * returned as `response_state` with each response and stored on the assistant message, so the
+ * next request in a tool loop can continue from `previous_response_id` (or, when history was
+ * rewritten, send the reasoning items back in `input`).
+ */
+
+import { AIProvider } from './base-provider.js';
+import { APIError } from '../../utils/errors.js';
+import { isEventStream, readChatStream } from '../../utils/sse-stream.js';
+import { getImageUrls, getTextContent } from '../../utils/message-content.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/** Stream events carrying a snapshot of the whole response */
+const RESPONSE_EVENTS = new Set([
+  'response.created',
+  'response.in_progress',
+  'response.completed',
+  'response.incomplete',
+]);
+
+/**
+ * Convert a `/chat/completions` tool schema to a Responses API function tool
+ * @param {Object} tool - `{type: 'function', function: {name, description, parameters}}`
+ * @returns {Object} `{type: 'function', name, description, parameters}`
+ */
+export function toResponsesTool(tool) {
+  const fn = tool?.function || tool || {};
+  return {
+    type: 'function',
+    name: fn.name,
+    ...(fn.description ? { description: fn.description } : {}),
+    parameters: fn.parameters || { type: 'object', properties: {} },
+  };
+}
+
+/**
+ * Convert OpenAI-style messages to Responses API `instructions` and `input` items.
+ * A leading system message becomes `instructions`. When the last assistant message made tool
+ * calls and carries a response ID, only the items after it are sent, chained with
+ * `previous_response_id`; otherwise the whole history is sent with its reasoning items.
+ * @param {Array} messages - OpenAI-style messages (assistant messages may carry `response_state`)
+ * @returns {{instructions: string, input: Array, previousResponseId: string|null}}
+ */
+export function toResponsesInput(messages) {
+  const list = messages || [];
+  const instructions = [];
+  let start = 0;
+  while (list[start]?.role === 'system') {
+    instructions.push(getTextContent(list[start].content));
+    start++;
+  }
+
+  let previousResponseId = null;
+  const anchor = list.findLastIndex(message => message?.role === 'assistant');
+  const anchorMessage = list[anchor];
+  if (anchor >= start && anchorMessage.tool_calls?.length && anchorMessage.response_state?.id) {
+    previousResponseId = anchorMessage.response_state.id;
+    start = anchor + 1;
+  }
+
+  return {
+    instructions: instructions.filter(Boolean).join('\n\n'),
+    input: list.slice(start).flatMap(_toInputItems),
+    previousResponseId,
+  };
+}
+
+/**
+ * Convert a Responses API response to `/chat/completions` response data
+ * @param {Object} data - Responses API response object
+ * @returns {Object} OpenAI-shaped response data with `response_state`
+ */
+export function fromResponsesResponse(data) {
+  const output = Array.isArray(data?.output) ? data.output : [];
+  const content = output
+    .filter(item => item?.type === 'message')
+    .flatMap(item => item.content || [])
+    .map(part => (part?.type === 'refusal' ? part.refusal : part?.text))
+    .filter(text => typeof text === 'string')
+    .join('');
+  const toolCalls = output
+    .filter(item => item?.type === 'function_call')
+    .map(item => ({
+      id: item.call_id,
+      type: 'function',
+      function: { name: item.name, arguments: item.arguments || '{}' },
+    }));
+
+  return {
+    id: data?.id,
+    model: data?.model,
+    usage: _toOpenAIUsage(data?.usage),
+    choices: [
+      {
+        message: {
+          role: 'assistant',
+          content,
+          ...(toolCalls.length ? { tool_calls: toolCalls } : {}),
+        },
+        finish_reason: _finishReason(data, toolCalls.length > 0),
+      },
+    ],
+    response_state: {
+      id: data?.id ?? null,
+      reasoning: output.filter(item => item?.type === 'reasoning'),
+    },
+  };
+}
+
+/**
+ * Accumulates Responses API stream events into a complete response
+ */
+export class ResponsesStreamAccumulator {
+  constructor() {
+    /** @type {Array<Object>} Finished output items by output index */
+    this.items = [];
+    /** @type {Object} Latest response snapshot (complete once `response.completed` arrives) */
+    this.response = {};
+  }
+
+  /**
+   * Apply one stream event
+   * @param {Object} event - Parsed event payload
+   * @returns {string} Text added by this event
+   * @throws {APIError} When the API reports an error mid-stream
+   */
+  push(event) {
+    const type = event?.type;
+    if (type === 'error' || type === 'response.failed') {
+      throw _streamError(event.response?.error || event);
+    }
+    if (type === 'response.output_text.delta') {
+      return typeof event.delta === 'string' ? event.delta : '';
+    }
+    if (type === 'response.output_item.done') {
+      this.items[event.output_index ?? this.items.length] = event.item;
+    } else if (RESPONSE_EVENTS.has(type) && event.response) {
+      this.response = event.response;
+    }
+    return '';
+  }
+
+  /**
+   * Build the response data a non-streaming request would have produced
+   * @returns {Object} OpenAI-shaped response data
+   */
+  toResponse() {
+    if (this.response.output?.length) return fromResponsesResponse(this.response);
+    return fromResponsesResponse({ ...this.response, output: this.items.filter(Boolean) });
+  }
+}
+
+/**
+ * OpenAI Responses API provider
+ */
+export class OpenAIResponsesProvider extends AIProvider {
+  /**
+   * Create a Responses API provider instance
+   * @param {Object} config - Provider configuration
+   * @param {string} [config.apiKey] - API key
+   * @param {string} [config.baseURL='https://api.openai.com/v1'] - Versioned API base URL
+   * @param {string} config.model - Model to use (required)
+   */
+  constructor(config = {}) {
+    super(config);
+    this.baseURL = (config.baseURL || DEFAULT_BASE_URL).replace(/\/+$/u, '');
+    this.model = config.model;
+  }
+
+  /**
+   * Whether assistant messages must carry their `response_state` into requests
+   * @returns {boolean}
+   */
+  get keepsResponseState() {
+    return true;
+  }
+
+  /** @returns {string} Responses endpoint URL */
+  getEndpoint() {
+    return `${this.baseURL}/responses`;
+  }
+
+  /** @returns {Object} Request headers including authentication */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.config.apiKey ? { Authorization: `Bearer ${this.config.apiKey}` } : {}),
+    };
+  }
+
+  /**
+   * Translate an OpenAI-style chat request body to a Responses API body
+   * @param {Object} body - `{model, messages, tools, stream, temperature}`
+   * @returns {Object} Responses API request body
+   */
+  buildRequestBody(body) {
+    const { instructions, input, previousResponseId } = toResponsesInput(body.messages);
+    const tools = Array.isArray(body.tools) ? body.tools.map(toResponsesTool) : [];
+    return {
+      model: body.model || this.model,
+      ...(instructions ? { instructions } : {}),
+      input,
+      ...(previousResponseId ? { previous_response_id: previousResponseId } : {}),
+      ...(Number.isFinite(body.temperature) ? { temperature: body.temperature } : {}),
+      ...(tools.length ? { tools, tool_choice: 'auto' } : {}),
+      ...(body.stream ? { stream: true } : {}),
+    };
+  }
+
+  /**
+   * Read a successful Responses API response as `/chat/completions` data
+   * @param {Response} response - Fetch response
+   * @param {Object} [options]
+   * @param {boolean} [options.stream] - Whether streaming was requested
+   * @param {AbortSignal} [options.signal] - Cancels an in-flight stream
+   * @param {Function} [options.onDelta] - Receives streamed text deltas
+   * @returns {Promise<Object>} OpenAI-shaped response data
+   */
+  async readResponse(response, { stream, signal, onDelta } = {}) {
+    if (stream && isEventStream(response)) {
+      const accumulator = new ResponsesStreamAccumulator();
+      return readChatStream(response, { signal, onDelta, accumulator });
+    }
+    return fromResponsesResponse(await response.json());
+  }
+
+  /**
+   * Send a message with conversation context
+   * @param {string} message - The message to send
+   * @param {Array} context - Previous conversation messages
+   * @returns {Promise<Object>} Response with content, usage stats, and model info
+   */
+  async sendMessage(message, context = []) {
+    return this.generateResponse([...context, { role: 'user', content: message }]);
+  }
+
+  /**
+   * Generate a response using the Responses API
+   * @param {Array} messages - OpenAI-style messages
+   * @returns {Promise<Object>} Response with content, usage stats, and model info
+   * @throws {APIError} When the API request fails
+   */
+  async generateResponse(messages) {
+    try {
+      const response = await fetch(this.getEndpoint(), {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(this.buildRequestBody({ messages })),
+      });
+
+      if (!response.ok) {
+        throw new APIError(`OpenAI API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await this.readResponse(response);
+      return {
+        content: data.choices[0].message.content,
+        usage: data.usage || {},
+        model: data.model,
+      };
+    } catch (error) {
+      if (error instanceof APIError) throw error;
+      throw new APIError(`Failed to communicate with OpenAI: ${error.message}`);
+    }
+  }
+}
+
+function _toInputItems(message) {
+  switch (message?.role) {
+    case 'assistant':
+      return [
+        ...(message.response_state?.reasoning || []),
+        ..._messageItem('assistant', getTextContent(message.content)),
+        ...(message.tool_calls || []).map(call => ({
+          type: 'function_call',
+          call_id: call.id,
+          name: call.function?.name,
+          arguments: call.function?.arguments || '{}',
+        })),
+      ];
+    case 'tool':
+      return [
+        {
+          type: 'function_call_output',
+          call_id: message.tool_call_id,
+          output: getTextContent(message.content),
+        },
+      ];
+    case 'system':
+    case 'developer':
+      return _messageItem('developer', getTextContent(message.content));
+    default:
+      return [{ role: 'user', content: _userContent(message?.content) }];
+  }
+}
+
+function _messageItem(role, text) {
+  return text.trim() ? [{ role, content: text }] : [];
+}
+
+function _userContent(content) {
+  const images = getImageUrls(content);
+  if (images.length === 0) return getTextContent(content);
+  const text = getTextContent(content);
+  return [
+    ...(text ? [{ type: 'input_text', text }] : []),
+    ...images.map(url => ({ type: 'input_image', image_url: url })),
+  ];
+}
+
+function _finishReason(data, hasToolCalls) {
+  if (hasToolCalls) return 'tool_calls';
+  if (data?.status === 'incomplete') {
+    return data.incomplete_details?.reason === 'content_filter' ? 'content_filter' : 'length';
+  }
+  return 'stop';
+}
+
+function _toOpenAIUsage(usage) {
+  if (!usage) return undefined;
+  const promptTokens = usage.input_tokens || 0;
+  const completionTokens = usage.output_tokens || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usage.total_tokens ?? promptTokens + completionTokens,
+    prompt_tokens_details: { cached_tokens: usage.input_tokens_details?.cached_tokens || 0 },
+    completion_tokens_details: {
+      reasoning_tokens: usage.output_tokens_details?.reasoning_tokens || 0,
+    },
+  };
+}
+
+function _streamError(error) {
+  const detail = error?.message || JSON.stringify(error);
+  return new APIError(`Stream error - ${detail}`, { error });
+}
@@ -0,0 +1,200 @@
+/**
+ * Record/Replay Provider - Deterministic offline reruns of AI conversations
+ * A CassetteRecorder captures every request/response pair `AIClient.chat` makes into a JSON
+ * cassette; a ReplayProvider serves those responses back by request fingerprint, so a whole
+ * tool loop can be rerun without a network connection or an API key.
+ */
+
+import { AIProvider } from './base-provider.js';
+import { APIError, SimulacrumError } from '../../utils/errors.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('ReplayProvider');
+
+/** Cassette format version */
+export const CASSETTE_VERSION = 1;
+
+/**
+ * 53-bit string hash (cyrb53), hex encoded
+ * @param {string} text
+ * @returns {string}
+ */
+function _hash(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * Fingerprint a chat request.
+ * System messages are left out because the system prompt embeds live world state, and tool
+ * call IDs are left out because some providers leave them to the client to generate.
+ * @param {Array<object>} messages - Messages passed to `AIClient.chat`
+ * @param {Array<object>|null} [tools] - Tool schemas passed to `AIClient.chat`
+ * @returns {string}
+ */
+export function fingerprintRequest(messages, tools = null) {
+  const canonical = {
+    messages: (messages || [])
+      .filter(message => message?.role !== 'system')
+      .map(message => [
+        message.role,
+        message.content ?? '',
+        (message.tool_calls || []).map(call => [call.function?.name, call.function?.arguments]),
+      ]),
+    tools: (tools || []).map(tool => tool?.function?.name || tool?.name).sort(),
+  };
+  return _hash(JSON.stringify(canonical));
+}
+
+/**
+ * Captures the requests `AIClient.chat` makes and the responses (or errors) it returns
+ */
+export class CassetteRecorder {
+  /**
+   * @param {object} [options]
+   * @param {function(): Date} [options.clock] - Timestamp source
+   */
+  constructor({ clock = () => new Date() } = {}) {
+    this.clock = clock;
+    this.startedAt = clock().toISOString();
+    /** @type {Array<object>} */
+    this.interactions = [];
+  }
+
+  /**
+   * Record one request and its outcome
+   * @param {{messages: Array, tools: Array|null}} request - What was sent
+   * @param {{response?: object, error?: Error}} outcome - What came back
+   */
+  record({ messages, tools }, { response, error }) {
+    const interaction = {
+      fingerprint: fingerprintRequest(messages, tools),
+      recordedAt: this.clock().toISOString(),
+      // Deep copies: the conversation keeps mutating the arrays it passed in
+      request: JSON.parse(JSON.stringify({ messages, tools: tools || null })),
+    };
+    if (error) {
+      interaction.error = { name: error.name, message: error.message, data: error.data ?? null };
+    } else {
+      interaction.response = JSON.parse(JSON.stringify(response));
+    }
+    this.interactions.push(interaction);
+  }
+
+  /**
+   * The recording as a cassette
+   * @returns {{version: number, startedAt: string, interactions: Array<object>}}
+   */
+  toCassette() {
+    return {
+      version: CASSETTE_VERSION,
+      startedAt: this.startedAt,
+      interactions: this.interactions,
+    };
+  }
+}
+
+/**
+ * Serves recorded responses instead of calling a provider
+ */
+export class ReplayProvider extends AIProvider {
+  /**
+   * @param {object} config
+   * @param {object|string} config.cassette - Cassette (or its JSON) from a CassetteRecorder
+   * @param {boolean} [config.strict] - Fail on unknown requests instead of serving the next
+   *   unplayed response in recorded order
+   * @throws {SimulacrumError} When the cassette cannot be read
+   */
+  constructor(config) {
+    super(config);
+    const cassette =
+      typeof config?.cassette === 'string' ? JSON.parse(config.cassette) : config?.cassette;
+    if (!Array.isArray(cassette?.interactions)) {
+      throw new SimulacrumError('Replay cassette has no interactions');
+    }
+    if (cassette.version !== CASSETTE_VERSION) {
+      throw new SimulacrumError(`Unsupported replay cassette version: ${cassette.version}`);
+    }
+    this.strict = config.strict === true;
+    this.interactions = cassette.interactions;
+    /** @type {Set<number>} Indexes of interactions already served */
+    this.played = new Set();
+  }
+
+  /**
+   * Recorded interactions that have not been served yet
+   * @returns {number}
+   */
+  get remaining() {
+    return this.interactions.length - this.played.size;
+  }
+
+  /**
+   * Serve the recorded response for a request
+   * @param {Array<object>} messages - Chat messages
+   * @param {object} [options]
+   * @param {Array<object>|null} [options.tools] - Tool schemas
+   * @param {function(object): void} [options.onDelta] - Receives the content as one delta
+   * @returns {Promise<object>} The recorded `AIClient.chat` response
+   * @throws {APIError} The recorded error, or when no response was recorded for the request
+   */
+  async generateResponse(messages, { tools = null, onDelta } = {}) {
+    const index = this._findInteraction(fingerprintRequest(messages, tools));
+    this.played.add(index);
+    const interaction = this.interactions[index];
+    if (interaction.error) {
+      throw new APIError(interaction.error.message, interaction.error.data || {});
+    }
+
+    const response = JSON.parse(JSON.stringify(interaction.response));
+    const content = response.choices?.[0]?.message?.content;
+    if (typeof onDelta === 'function' && content) {
+      onDelta({ type: 'start' });
+      onDelta({ type: 'content', text: content });
+    }
+    return response;
+  }
+
+  /**
+   * @param {string} message - User message
+   * @param {Array} [context] - Earlier messages
+   * @returns {Promise<object>}
+   */
+  async sendMessage(message, context = []) {
+    return this.generateResponse([...context, { role: 'user', content: message }]);
+  }
+
+  /**
+   * Index of the first unplayed interaction recorded for a fingerprint
+   * @param {string} fingerprint
+   * @returns {number}
+   * @private
+   */
+  _findInteraction(fingerprint) {
+    const unplayed = index => !this.played.has(index);
+    const match = this.interactions.findIndex(
+      (interaction, index) => unplayed(index) && interaction.fingerprint === fingerprint
+    );
+    if (match >= 0) return match;
+
+    const next = this.interactions.findIndex((_, index) => unplayed(index));
+    if (this.strict || next < 0) {
+      throw new APIError(`No recorded response for request ${fingerprint}`, {
+        replayMiss: true,
+      });
+    }
+    logger.warn(
+      `No recorded response for request ${fingerprint}; ` +
+        `serving recorded interaction ${next + 1} of ${this.interactions.length}`
+    );
+    return next;
+  }
+}
@@ -0,0 +1,541 @@
+/**
+ * Script Sandbox - Runs model-written JavaScript away from the Foundry page
+ * Each script gets a fresh Web Worker started from a sandboxed, opaque-origin iframe whose
+ * Content Security Policy allows no network requests or script loading; the iframe's origin has
+ * no storage of its own and cannot read Foundry's. The worker sees none of the page's globals.
+ * What the script can do is a proxied API whose calls are served here, on the page, limited to
+ * the capabilities the GM enabled. A script that runs longer than its time limit is killed
+ * together with its iframe; time spent serving API calls does not count against the limit.
+ */
+
+import { DocumentAPI } from './document-api.js';
+import { ToolError } from '../utils/errors.js';
+import { createLogger } from '../utils/logger.js';
+import { createAbortError, throwIfAborted } from '../utils/retry-helpers.js';
+
+const logger = createLogger('ScriptSandbox');
+
+/**
+ * API surfaces a sandboxed script can be given
+ * @readonly
+ * @enum {string}
+ */
+export const SandboxCapability = Object.freeze({
+  READ: 'read', // Read-only game collections and the read methods of DocumentAPI
+  DOCUMENTS: 'documents', // Create, update and delete through DocumentAPI
+  DICE: 'dice', // Evaluate dice rolls
+});
+
+/**
+ * How run_javascript runs scripts
+ * @readonly
+ * @enum {string}
+ */
+export const JavascriptMode = Object.freeze({
+  SANDBOXED: 'sandboxed',
+  UNRESTRICTED: 'unrestricted', // Opt-in: the page's full API, as a plain async function
+});
+
+/** World setting enabling each capability */
+export const SANDBOX_CAPABILITY_SETTINGS = Object.freeze({
+  [SandboxCapability.READ]: 'javascriptReadWorld',
+  [SandboxCapability.DOCUMENTS]: 'javascriptDocuments',
+  [SandboxCapability.DICE]: 'javascriptDice',
+});
+
+/** Default running time of a script, in seconds */
+export const DEFAULT_TIME_LIMIT = 10;
+
+/**
+ * Default of each capability setting: a script can only touch the world once the GM allows it
+ */
+export const SANDBOX_CAPABILITY_DEFAULTS = Object.freeze({
+  [SandboxCapability.READ]: false,
+  [SandboxCapability.DOCUMENTS]: false,
+  [SandboxCapability.DICE]: true,
+});
+
+/**
+ * `game` collections a script with the read capability can see, with their document types
+ * Nothing outside this list can be reached through the DocumentAPI bridge either: Settings (the
+ * API key, the JavaScript mode) and Users in particular.
+ */
+const SANDBOX_COLLECTIONS = Object.freeze({
+  actors: 'Actor',
+  items: 'Item',
+  journal: 'JournalEntry',
+  scenes: 'Scene',
+  tables: 'RollTable',
+  macros: 'Macro',
+  playlists: 'Playlist',
+  cards: 'Cards',
+  folders: 'Folder',
+  messages: 'ChatMessage',
+  combats: 'Combat',
+});
+
+/** Document types a script can read */
+const READABLE_TYPES = Object.freeze(Object.values(SANDBOX_COLLECTIONS));
+
+/** Document types a script can change; macros are left out so no script can write one */
+const WRITABLE_TYPES = Object.freeze(READABLE_TYPES.filter(type => type !== 'Macro'));
+
+/** Document types refused by name, whatever the lists above say */
+const FORBIDDEN_TYPES = Object.freeze(['Setting', 'User']);
+
+/** Worker globals removed before a script runs: network, storage, and ways out of the worker */
+const BLOCKED_GLOBALS = Object.freeze([
+  'fetch',
+  'XMLHttpRequest',
+  'WebSocket',
+  'WebTransport',
+  'EventSource',
+  'importScripts',
+  'indexedDB',
+  'caches',
+  'BroadcastChannel',
+  'Worker',
+  'SharedWorker',
+  'postMessage',
+]);
+
+const FRAME_POLICY =
+  "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval'; worker-src blob:";
+
+/**
+ * Configured JavaScript mode; anything but an explicit opt-in is sandboxed
+ * @returns {string} A JavascriptMode value
+ */
+export function readJavascriptMode() {
+  try {
+    const mode = game.settings.get('simulacrum', 'javascriptMode');
+    return mode === JavascriptMode.UNRESTRICTED ? mode : JavascriptMode.SANDBOXED;
+  } catch {
+    return JavascriptMode.SANDBOXED;
+  }
+}
+
+/**
+ * Capabilities and time limit from the world settings
+ * @returns {{capabilities: Array<string>, timeLimit: number}} Time limit in seconds
+ */
+export function readSandboxOptions() {
+  const setting = key => {
+    try {
+      return game.settings.get('simulacrum', key);
+    } catch {
+      // Settings unavailable (tests, early init)
+      return undefined;
+    }
+  };
+  const capabilities = Object.entries(SANDBOX_CAPABILITY_SETTINGS)
+    .filter(([capability, key]) => setting(key) ?? SANDBOX_CAPABILITY_DEFAULTS[capability])
+    .map(([capability]) => capability);
+  const timeLimit = Number(setting('javascriptTimeLimit'));
+  return {
+    capabilities,
+    timeLimit: Number.isFinite(timeLimit) && timeLimit > 0 ? timeLimit : DEFAULT_TIME_LIMIT,
+  };
+}
+
+/**
+ * Page-side handlers of the API calls a sandboxed script may make
+ * Results are plain data; documents are sent as `toObject()` data, never as live documents.
+ * Every DocumentAPI call is checked against the document types the sandbox allows.
+ * @param {Array<string>} capabilities - Enabled SandboxCapability values
+ * @param {object} [options]
+ * @param {UndoRecording} [options.recording] - Undo journal recording of the tool call; the
+ *   script's document changes are recorded there
+ * @returns {Object<string, Function>} Handlers keyed by method name
+ */
+export function createSandboxApi(capabilities, { recording } = {}) {
+  const api = {};
+  if (capabilities.includes(SandboxCapability.READ)) Object.assign(api, _readApi());
+  if (capabilities.includes(SandboxCapability.DOCUMENTS)) Object.assign(api, _writeApi(recording));
+  if (capabilities.includes(SandboxCapability.DICE)) {
+    api.roll = async (formula, data = {}) => {
+      const roll = await new foundry.dice.Roll(String(formula), data).evaluate();
+      return { formula: roll.formula, result: roll.result, total: roll.total };
+    };
+  }
+  return api;
+}
+
+/**
+ * What a script with the given capabilities is told about the world when it starts
+ * @param {Array<string>} capabilities
+ * @returns {{info: object|null, collections: Array<string>}}
+ */
+export function describeSandboxWorld(capabilities) {
+  if (!capabilities.includes(SandboxCapability.READ)) return { info: null, collections: [] };
+  return {
+    info: {
+      world: { id: game.world?.id, title: game.world?.title },
+      system: { id: game.system?.id, title: game.system?.title, version: game.system?.version },
+      user: { id: game.user?.id, name: game.user?.name, isGM: game.user?.isGM },
+    },
+    collections: Object.keys(SANDBOX_COLLECTIONS).filter(name => game[name]),
+  };
+}
+
+/**
+ * Running-time budget of a script: counts only while the script itself runs
+ */
+export class SandboxClock {
+  /**
+   * @param {number} limit - Milliseconds the script may run
+   * @param {Function} onExpire - Called once when the budget is spent
+   */
+  constructor(limit, onExpire) {
+    this.remaining = limit;
+    this._onExpire = onExpire;
+    this._timer = null;
+    this._startedAt = 0;
+    /** Calls being served; the clock runs only when there are none */
+    this._waiting = 0;
+  }
+
+  /** Start or resume counting */
+  start() {
+    if (this._timer) return;
+    this._startedAt = Date.now();
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.remaining = 0;
+      this._onExpire();
+    }, this.remaining);
+  }
+
+  /** Stop counting, keeping what is left */
+  stop() {
+    if (!this._timer) return;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.remaining = Math.max(0, this.remaining - (Date.now() - this._startedAt));
+  }
+
+  /** A call from the script is being served */
+  pause() {
+    this._waiting++;
+    this.stop();
+  }
+
+  /** A call from the script was answered */
+  resume() {
+    this._waiting = Math.max(0, this._waiting - 1);
+    if (this._waiting === 0 && this.remaining > 0) this.start();
+  }
+}
+
+/**
+ * Runs scripts in the sandbox
+ */
+export class ScriptSandbox {
+  /**
+   * Run a script as an async function body
+   * @param {string} script
+   * @param {{capabilities: Array<string>, timeLimit: number, signal: AbortSignal,
+   *   recording: UndoRecording}} options - Time limit in seconds; the script is stopped when the
+   *   signal aborts, and its document changes are recorded in the tool call's recording
+   * @returns {Promise<{result: string, logs: Array<{type: string, message: string}>}>} The
+   *   returned value as JSON (`undefined` when nothing is returned) and the captured console
+   * @throws {ToolError} When the script throws or runs out of time; `data.logs` holds the console
+   * @throws {Error} AbortError when the signal aborts
+   */
+  run(script, { capabilities, timeLimit, signal = null, recording = null }) {
+    throwIfAborted(signal);
+    const api = createSandboxApi(capabilities, { recording });
+    const frame = _createFrame();
+    return new Promise((resolve, reject) => {
+      const finish = (settle, value) => {
+        clock.stop();
+        signal?.removeEventListener('abort', onAbort);
+        window.removeEventListener('message', onMessage);
+        frame.remove();
+        settle(value);
+      };
+      const clock = new SandboxClock(timeLimit * 1000, () =>
+        finish(
+          reject,
+          new ToolError(`Script exceeded its time limit of ${timeLimit}s`, 'run_javascript', {
+            errorName: 'TimeoutError',
+            logs: [],
+          })
+        )
+      );
+      const onMessage = event => {
+        if (event.source !== frame.contentWindow) return;
+        this._handleMessage(event.data, { frame, api, clock, finish, resolve, reject });
+        if (event.data?.type === 'ready') {
+          const world = describeSandboxWorld(capabilities);
+          _post(frame, { type: 'run', script, methods: Object.keys(api), ...world });
+          clock.start();
+        }
+      };
+      const onAbort = () => finish(reject, createAbortError());
+      signal?.addEventListener('abort', onAbort, { once: true });
+      window.addEventListener('message', onMessage);
+      document.body.append(frame);
+    });
+  }
+
+  /** @private */
+  async _handleMessage(data, { frame, api, clock, finish, resolve, reject }) {
+    if (data?.type === 'done') {
+      finish(resolve, { result: data.result, logs: data.logs ?? [] });
+    } else if (data?.type === 'error') {
+      const details = { errorName: data.name || 'Error', logs: data.logs ?? [] };
+      finish(reject, new ToolError(data.message, 'run_javascript', details));
+    } else if (data?.type === 'call') {
+      clock.pause();
+      const reply = await serveSandboxCall(api, data);
+      if (clock.remaining === 0) return;
+      _post(frame, reply);
+      clock.resume();
+    }
+  }
+}
+
+/**
+ * Answer an API call from a script
+ * @param {Object<string, Function>} api - See createSandboxApi
+ * @param {{callId: number, method: string, args: Array}} call
+ * @returns {Promise<object>} Reply message
+ */
+export async function serveSandboxCall(api, { callId, method, args }) {
+  const handler = Object.hasOwn(api, method) ? api[method] : null;
+  if (!handler) {
+    return { type: 'reply', callId, error: `${method} is not available in the sandbox` };
+  }
+  try {
+    const value = await handler(...(Array.isArray(args) ? args : []));
+    // Plain JSON data only: nothing with methods or references back into the page
+    return { type: 'reply', callId, value: JSON.parse(JSON.stringify(value ?? null)) };
+  } catch (error) {
+    logger.warn(`Sandbox call ${method} failed:`, error);
+    return { type: 'reply', callId, error: error.message };
+  }
+}
+
+/**
+ * Worker side: removes the blocked globals, then runs the scripts it is sent with a proxied
+ * `game`, `DocumentAPI` and `roll` whose calls are answered by the page
+ * Serialized into the worker, so it may only use its arguments and the functions after it.
+ * @param {object} scope - The worker's global scope
+ * @param {Array<string>} blockedGlobals
+ */
+export function sandboxWorker(scope, blockedGlobals) {
+  const post = scope.postMessage.bind(scope);
+  const pending = new Map();
+  let nextCallId = 0;
+  const call = (method, args) =>
+    new Promise((resolve, reject) => {
+      const callId = ++nextCallId;
+      pending.set(callId, { resolve, reject });
+      post({ type: 'call', callId, method, args });
+    });
+
+  sandboxLockDown(scope, blockedGlobals);
+  scope.addEventListener('message', ({ data }) => {
+    if (data?.type === 'reply' && pending.has(data.callId)) {
+      const { resolve, reject } = pending.get(data.callId);
+      pending.delete(data.callId);
+      if (data.error) reject(new Error(data.error));
+      else resolve(data.value);
+    } else if (data?.type === 'run') {
+      sandboxRun(data, call, blockedGlobals).then(post);
+    }
+  });
+}
+
+/**
+ * Delete globals from a scope and every prototype it inherits them from
+ * @param {object} scope
+ * @param {Array<string>} names
+ */
+export function sandboxLockDown(scope, names) {
+  for (const name of names) {
+    for (let target = scope; target; target = Object.getPrototypeOf(target)) {
+      if (Object.hasOwn(target, name)) delete target[name];
+    }
+  }
+}
+
+/**
+ * Run one script in the worker
+ * @param {{script: string, methods: Array<string>, info: object|null,
+ *   collections: Array<string>}} request
+ * @param {Function} call - Sends an API call to the page
+ * @param {Array<string>} blockedGlobals - Also shadowed inside the script
+ * @returns {Promise<object>} `done` or `error` message
+ */
+export async function sandboxRun({ script, methods, info, collections }, call, blockedGlobals) {
+  const logs = [];
+  const capture =
+    type =>
+    (...args) =>
+      logs.push({ type, message: args.map(arg => String(arg)).join(' ') });
+  const console = Object.fromEntries(
+    ['log', 'warn', 'error', 'info', 'debug'].map(type => [type, capture(type)])
+  );
+  const api = sandboxFacade(methods, info, collections, call);
+  try {
+    const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+    const names = ['console', 'game', 'DocumentAPI', 'roll', ...blockedGlobals];
+    const fn = new AsyncFunction(...names, script);
+    const value = await fn(console, api.game, api.DocumentAPI, api.roll);
+    return {
+      type: 'done',
+      result: value !== undefined ? JSON.stringify(value) : 'undefined',
+      logs,
+    };
+  } catch (error) {
+    return { type: 'error', name: error?.name ?? 'Error', message: String(error?.message), logs };
+  }
+}
+
+/**
+ * The API a script sees: only the methods the page will serve
+ * @param {Array<string>} methods - Method names served by the page
+ * @param {object|null} info - World, system and user summary
+ * @param {Array<string>} collections - Readable `game` collections
+ * @param {Function} call - Sends an API call to the page
+ * @returns {{game: object, DocumentAPI: object, roll: Function|undefined}}
+ */
+export function sandboxFacade(methods, info, collections, call) {
+  const served = new Set(methods);
+  const game = { ...info };
+  for (const name of collections) {
+    game[name] = Object.freeze({
+      list: options => call('collection.list', [name, options]),
+      get: id => call('collection.get', [name, id]),
+      getName: docName => call('collection.getName', [name, docName]),
+    });
+  }
+  const documentApi = {};
+  for (const method of served) {
+    if (method.startsWith('DocumentAPI.')) {
+      documentApi[method.slice('DocumentAPI.'.length)] = (...args) => call(method, args);
+    }
+  }
+  return {
+    game: Object.freeze(game),
+    DocumentAPI: Object.freeze(documentApi),
+    roll: served.has('roll') ? (formula, data) => call('roll', [formula, data]) : undefined,
+  };
+}
+
+function _readApi() {
+  return {
+    'collection.list': (name, { limit = 100, offset = 0 } = {}) =>
+      _collection(name)
+        .contents.slice(offset, offset + limit)
+        .map(doc => ({
+          _id: doc.id,
+          name: doc.name,
+          type: doc.type ?? null,
+          folder: doc.folder?.id ?? null,
+        })),
+    'collection.get': (name, id) => _collection(name).get(id)?.toObject() ?? null,
+    'collection.getName': (name, docName) =>
+      _collection(name).getName?.(docName)?.toObject() ?? null,
+    'DocumentAPI.listDocuments': (documentType, options = {}) => {
+      _assertAccess(documentType, options?.pack, READABLE_TYPES);
+      return DocumentAPI.listDocuments(documentType, options);
+    },
+    'DocumentAPI.getDocument': (documentType, id, options = {}) => {
+      _assertAccess(documentType, options?.pack, READABLE_TYPES);
+      return DocumentAPI.getDocument(documentType, id, options);
+    },
+    'DocumentAPI.searchDocuments': (params = {}) => {
+      const types = params?.types?.length ? params.types : READABLE_TYPES;
+      for (const type of types) _assertAccess(type, undefined, READABLE_TYPES);
+      if (params?.pack) _assertAccess(undefined, params.pack, READABLE_TYPES);
+      return DocumentAPI.searchDocuments({ ...params, types: [...types] });
+    },
+  };
+}
+
+function _writeApi(recording) {
+  return {
+    'DocumentAPI.createDocument': (documentType, data, options = {}) => {
+      _assertAccess(documentType, options?.pack, WRITABLE_TYPES);
+      return DocumentAPI.createDocument(documentType, data, { ...options, recording });
+    },
+    'DocumentAPI.updateDocument': (documentType, id, updates, options = {}) => {
+      _assertAccess(documentType, options?.pack, WRITABLE_TYPES);
+      return DocumentAPI.updateDocument(documentType, id, updates, { ...options, recording });
+    },
+    'DocumentAPI.deleteDocument': (documentType, id, options = {}) => {
+      _assertAccess(documentType, options?.pack, WRITABLE_TYPES);
+      return DocumentAPI.deleteDocument(documentType, id, { ...options, recording });
+    },
+    'DocumentAPI.applyEmbeddedOperations': (documentType, id, operations) => {
+      _assertAccess(documentType, undefined, WRITABLE_TYPES);
+      return DocumentAPI.applyEmbeddedOperations(documentType, id, operations, { recording });
+    },
+  };
+}
+
+/**
+ * Refuse a document type, or a compendium holding one, that the sandbox does not allow
+ * @param {string|undefined} documentType - May be left out when a pack is given
+ * @param {string|undefined} pack - Compendium pack ID
+ * @param {Array<string>} allowed - READABLE_TYPES or WRITABLE_TYPES
+ */
+function _assertAccess(documentType, pack, allowed) {
+  const types = pack ? [game.packs?.get(pack)?.documentName ?? pack] : [];
+  if (documentType !== undefined || !pack) types.push(documentType);
+  for (const type of types) {
+    if (FORBIDDEN_TYPES.includes(type) || !allowed.includes(type)) {
+      throw new Error(`${type} documents are not available in the sandbox`);
+    }
+  }
+}
+
+function _collection(name) {
+  if (!Object.hasOwn(SANDBOX_COLLECTIONS, name) || !game[name]) {
+    throw new Error(`Unknown collection: ${name}`);
+  }
+  return game[name];
+}
+
+function _post(frame, message) {
+  // The frame's origin is opaque, so it cannot be named as the target origin
+  frame.contentWindow?.postMessage(message, '*');
+}
+
+/**
+ * The sandboxed iframe: relays messages between the page and the worker it starts
+ * @returns {HTMLIFrameElement}
+ */
+function _createFrame() {
+  const workerSource = [sandboxWorker, sandboxLockDown, sandboxRun, sandboxFacade]
+    .map(String)
+    .concat(`sandboxWorker(self, ${JSON.stringify(BLOCKED_GLOBALS)});`)
+    .join('\n');
+  // Escaped so the source cannot end the inline script early
+  const sourceLiteral = JSON.stringify(workerSource).replace(/</g, '\\u003c');
+  const frame = document.createElement('iframe');
+  frame.setAttribute('sandbox', 'allow-scripts');
+  frame.hidden = true;
+  frame.srcdoc = `<!DOCTYPE html>
+<meta http-equiv="Content-Security-Policy" content="${FRAME_POLICY}">
+<script>
+const blob = new Blob([${sourceLiteral}], { type: 'text/javascript' });
+const worker = new Worker(URL.createObjectURL(blob));
+worker.onmessage = event => parent.postMessage(event.data, '*');
+worker.onerror = event => {
+  event.preventDefault();
+  parent.postMessage({ type: 'error', name: 'Error', message: event.message, logs: [] }, '*');
+};
+addEventListener('message', event => {
+  if (event.source === parent) worker.postMessage(event.data);
+});
+parent.postMessage({ type: 'ready' }, '*');
+</script>`;
+  return frame;
+}
+
+// Export singleton instance
+export const scriptSandbox = new ScriptSandbox();
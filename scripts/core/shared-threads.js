@@ -0,0 +1,197 @@
+/**
+ * Shared Threads - Conversation threads every GM of the world can read and continue
+ * A shared thread is stored in the `sharedThreads` world setting (keyed by thread ID) instead
+ * of the user flag holding the user's own threads. Each save is also sent to the other GMs over
+ * the module socket so their sidebars follow along live. While one GM's agent works in a shared
+ * thread, the thread is locked for the others; locks live only in the connected clients and are
+ * dropped when their holder disconnects.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { emitThreadLockChanged } from './hook-manager.js';
+
+const logger = createLogger('SharedThreads');
+
+/** Socket channel of the module (requires `"socket": true` in module.json) */
+export const SOCKET_NAME = 'module.simulacrum';
+
+/** World setting holding the shared thread records */
+const SETTING_KEY = 'sharedThreads';
+
+/**
+ * Socket message types
+ * @readonly
+ * @enum {string}
+ */
+export const SharedThreadMessage = Object.freeze({
+  THREAD_UPDATED: 'threadUpdated',
+  THREAD_REMOVED: 'threadRemoved',
+  LOCKED: 'threadLocked',
+  UNLOCKED: 'threadUnlocked',
+  LOCKS_REQUESTED: 'locksRequested',
+});
+
+/**
+ * Storage, live sync and locking of shared threads
+ */
+export class SharedThreadSync {
+  constructor() {
+    /** @type {Map<string, string>} Thread ID → ID of the user whose agent works in it */
+    this.locks = new Map();
+    /** @type {{onThreadUpdated: Function, onThreadRemoved: Function}|null} */
+    this._handlers = null;
+  }
+
+  /**
+   * Start listening to the other GMs and ask them which threads they have locked
+   * @param {object} handlers
+   * @param {function(object): void} handlers.onThreadUpdated - Receives a changed thread record
+   * @param {function(string): void} handlers.onThreadRemoved - Receives the ID of a thread that
+   *   was deleted or is no longer shared
+   */
+  initialize(handlers) {
+    if (this._handlers || !game.user?.isGM) return;
+    this._handlers = handlers;
+    game.socket?.on(SOCKET_NAME, message => this._receive(message));
+    Hooks.on('userConnected', (user, connected) => {
+      if (!connected) this._releaseLocksOf(user.id);
+    });
+    this._emit({ type: SharedThreadMessage.LOCKS_REQUESTED });
+  }
+
+  /**
+   * Shared thread records stored for the world
+   * @returns {Array<object>}
+   */
+  readThreads() {
+    return Object.values(this._getStore());
+  }
+
+  /**
+   * Store a shared thread and send it to the other GMs
+   * @param {object} thread - Thread record
+   * @returns {Promise<void>}
+   */
+  async storeThread(thread) {
+    const record = structuredClone(thread);
+    await game.settings.set('simulacrum', SETTING_KEY, {
+      ...this._getStore(),
+      [record.id]: record,
+    });
+    this._emit({ type: SharedThreadMessage.THREAD_UPDATED, thread: record });
+  }
+
+  /**
+   * Remove a thread from the shared threads (deleted, or no longer shared)
+   * @param {string} threadId
+   * @returns {Promise<void>}
+   */
+  async removeThread(threadId) {
+    const store = { ...this._getStore() };
+    if (!store[threadId]) return;
+    delete store[threadId];
+    await game.settings.set('simulacrum', SETTING_KEY, store);
+    this._emit({ type: SharedThreadMessage.THREAD_REMOVED, threadId });
+  }
+
+  /**
+   * The other user whose agent is working in a thread
+   * @param {string} threadId
+   * @returns {User|null} Null when the thread is free or locked by this user
+   */
+  lockHolder(threadId) {
+    const userId = this.locks.get(threadId);
+    if (!userId || userId === game.user?.id) return null;
+    return game.users?.get(userId) ?? null;
+  }
+
+  /**
+   * Lock a thread for the other GMs. Locks are advisory: two GMs starting in the same moment
+   * can both get one.
+   * @param {string} threadId
+   * @returns {boolean} False when another GM's agent is already working in the thread
+   */
+  lock(threadId) {
+    if (this.lockHolder(threadId)) return false;
+    this._setLock(threadId, game.user.id);
+    this._emit({ type: SharedThreadMessage.LOCKED, threadId, userId: game.user.id });
+    return true;
+  }
+
+  /**
+   * Release this user's lock on a thread
+   * @param {string} threadId
+   */
+  unlock(threadId) {
+    if (this.locks.get(threadId) !== game.user?.id) return;
+    this._setLock(threadId, null);
+    this._emit({ type: SharedThreadMessage.UNLOCKED, threadId, userId: game.user.id });
+  }
+
+  /**
+   * Handle a message from another GM
+   * @param {object} message
+   * @private
+   */
+  _receive(message) {
+    switch (message?.type) {
+      case SharedThreadMessage.THREAD_UPDATED:
+        this._handlers.onThreadUpdated(message.thread);
+        break;
+      case SharedThreadMessage.THREAD_REMOVED:
+        this._setLock(message.threadId, null);
+        this._handlers.onThreadRemoved(message.threadId);
+        break;
+      case SharedThreadMessage.LOCKED:
+        this._setLock(message.threadId, message.userId);
+        break;
+      case SharedThreadMessage.UNLOCKED:
+        if (this.locks.get(message.threadId) === message.userId) {
+          this._setLock(message.threadId, null);
+        }
+        break;
+      case SharedThreadMessage.LOCKS_REQUESTED:
+        // A GM who just connected learns which threads are busy
+        for (const [threadId, userId] of this.locks) {
+          if (userId === game.user.id) {
+            this._emit({ type: SharedThreadMessage.LOCKED, threadId, userId });
+          }
+        }
+        break;
+      default:
+        logger.warn('Unknown shared thread message', message);
+    }
+  }
+
+  /** @private */
+  _setLock(threadId, userId) {
+    if ((this.locks.get(threadId) ?? null) === userId) return;
+    if (userId) this.locks.set(threadId, userId);
+    else this.locks.delete(threadId);
+    emitThreadLockChanged(threadId, userId);
+  }
+
+  /** @private */
+  _releaseLocksOf(userId) {
+    for (const [threadId, holder] of this.locks) {
+      if (holder === userId) this._setLock(threadId, null);
+    }
+  }
+
+  /** @private */
+  _emit(message) {
+    try {
+      game.socket?.emit(SOCKET_NAME, message);
+    } catch (error) {
+      logger.warn('Could not reach the other GMs', error);
+    }
+  }
+
+  /** @private */
+  _getStore() {
+    return game.settings.get('simulacrum', SETTING_KEY) || {};
+  }
+}
+
+// Export singleton instance
+export const sharedThreads = new SharedThreadSync();
@@ -4,9 +4,12 @@
  */
 import { createLogger, isDebugEnabled } from '../utils/logger.js';
 import { AIClient } from './ai-client.js';
+import { CassetteRecorder, ReplayProvider } from './providers/replay-provider.js';
+import { connectionProfiles } from './connection-profiles.js';
 import { COMPACTION_STATUS, ConversationManager, MAX_COMPACTION_ROUNDS } from './conversation.js';
 import { toolRegistry } from './tool-registry.js';
 import { documentReadRegistry } from '../utils/document-read-registry.js';
+import { createDefaultTokenizer } from '../utils/tokenizer.js';
 import { toolPermissionManager } from './tool-permission-manager.js';
 
 import { DocumentAPI } from './document-api.js';
@@ -18,6 +21,12 @@ import {
 import { smartSliceMessages, formatToolCallDisplay } from '../utils/message-utils.js';
 import { processToolCallLoop } from './tool-loop-handler.js';
 import { emitProcessCancelled } from './hook-manager.js';
+import { exportConversation, parseConversationImport } from './conversation-export.js';
+import { searchHistory } from './conversation-search.js';
+import { interactionLogger } from './interaction-logger.js';
+import { sharedThreads } from './shared-threads.js';
+import { describeUndo, undoJournal } from './undo-journal.js';
+import { getTextContent } from '../utils/message-content.js';
 import {
   buildSystemPrompt,
   getDocumentTypesInfo as getDocTypesInfo,
@@ -33,6 +42,9 @@ class SimulacrumCore {
   static init() {
     // Initialize AI client
     this.aiClient = null;
+    // Record/replay of AI requests (see startRecording and startReplay)
+    this.recorder = null;
+    this.replay = null;
 
     // Initialize conversation manager
     this.conversationManager = null;
@@ -86,9 +98,10 @@ class SimulacrumCore {
       game.user.id,
       game.world.id,
       tokenLimit,
-      null,
+      createDefaultTokenizer(game.settings.get('simulacrum', 'model')),
       () => this.saveConversationState() // Auto-save callback
     );
+    this.conversationManager.sharedStore = sharedThreads;
     // Attempt to load any previously saved conversation state
     try {
       const loaded = await this.loadConversationState();
@@ -98,21 +111,21 @@ class SimulacrumCore {
         if (isDebugEnabled())
           this.logger.debug('No saved conversation history found, starting fresh');
         // Task-06: Add welcome message to ConversationManager so it persists across reloads
-        const welcomeContent =
-          game.i18n?.localize('SIMULACRUM.WelcomeMessage') ||
-          "Hello! I'm your AI assistant for campaign document management. How can I help you today?";
-        this.conversationManager.addMessage('assistant', welcomeContent);
+        this._addWelcomeMessage();
         if (isDebugEnabled()) this.logger.debug('Added welcome message to conversation history');
       }
     } catch (error) {
       this.logger.warn('Failed to load conversation history:', error);
       // Start with welcome message on load failure
-      const welcomeContent =
-        game.i18n?.localize('SIMULACRUM.WelcomeMessage') ||
-        "Hello! I'm your AI assistant for campaign document management. How can I help you today?";
-      this.conversationManager.addMessage('assistant', welcomeContent);
+      this._addWelcomeMessage();
     }
 
+    // Follow the threads shared by the other GMs
+    sharedThreads.initialize({
+      onThreadUpdated: thread => this._receiveSharedThread(thread),
+      onThreadRemoved: threadId => this._dropSharedThread(threadId),
+    });
+
     // Register default tools so the model can call them
     this.registerDefaultTools();
 
@@ -136,12 +149,23 @@ class SimulacrumCore {
 
       // Do not enforce API key at this layer. Some endpoints may not require it.
 
-      // Create AI client (OpenAI-compatible)
+      // Create AI client (OpenAI-compatible), falling back through the profile chain
+      const profile = connectionProfiles.getActive();
       this.aiClient = new AIClient({
         apiKey,
         baseURL,
         model,
+        temperature: profile?.temperature ?? undefined,
+        profile: profile ? { id: profile.id, name: profile.name } : null,
+        fallbacks: connectionProfiles.getFallbackChain(),
+        onUsage: (usage, meta) => this.conversationManager?.recordUsage(usage, meta),
+        recorder: this.recorder,
+        replay: this.replay,
       });
+      // Count history with the new model's tokenizer
+      if (this.conversationManager && this.conversationManager.tokenizer.model !== model) {
+        this.conversationManager.setTokenizer(createDefaultTokenizer(model));
+      }
       this.logger.info('AI Client Initialized');
 
       // Validate connection
@@ -153,6 +177,66 @@ class SimulacrumCore {
     }
   }
 
+  /**
+   * Start capturing every AI request and response into a replay cassette
+   * @returns {Promise<CassetteRecorder>}
+   */
+  static async startRecording() {
+    this.replay = null;
+    this.recorder = new CassetteRecorder();
+    await this.initializeAIClient();
+    this.logger.info('Recording AI requests');
+    return this.recorder;
+  }
+
+  /**
+   * Stop recording and save the cassette as a JSON file
+   * @param {object} [options]
+   * @param {boolean} [options.download=true] - Download the cassette
+   * @returns {Promise<object|null>} The cassette, or null when nothing was being recorded
+   */
+  static async stopRecording({ download = true } = {}) {
+    if (!this.recorder) return null;
+    const cassette = this.recorder.toCassette();
+    this.recorder = null;
+    await this.initializeAIClient();
+
+    if (download) {
+      const dateStr = cassette.startedAt.slice(0, 19).replace(/:/g, '-');
+      foundry.utils.saveDataToFile(
+        JSON.stringify(cassette, null, 2),
+        'application/json',
+        `simulacrum-cassette-${dateStr}.json`
+      );
+    }
+    this.logger.info(`Recorded ${cassette.interactions.length} AI requests`);
+    return cassette;
+  }
+
+  /**
+   * Answer AI requests from a recorded cassette instead of the configured provider
+   * @param {object|string} cassette - Cassette (or its JSON) from {@link SimulacrumCore.stopRecording}
+   * @param {object} [options]
+   * @param {boolean} [options.strict=false] - Fail on requests that were not recorded
+   * @returns {Promise<ReplayProvider>}
+   * @throws {SimulacrumError} When the cassette cannot be read
+   */
+  static async startReplay(cassette, { strict = false } = {}) {
+    this.recorder = null;
+    this.replay = new ReplayProvider({ cassette, strict });
+    await this.initializeAIClient();
+    this.logger.info(`Replaying ${this.replay.interactions.length} recorded AI requests`);
+    return this.replay;
+  }
+
+  /**
+   * Go back to the configured provider after a replay
+   */
+  static async stopReplay() {
+    this.replay = null;
+    await this.initializeAIClient();
+  }
+
   /**
    * Cancel the current agent processing
    */
@@ -271,6 +355,7 @@ class SimulacrumCore {
       const raw = useNativeTools
         ? await this.aiClient.chatWithSystem(limitedMessages, getSystemPromptFn, sendTools, {
             signal,
+            onDelta: options.onDelta,
           })
         : await this.aiClient.chat(
             sanitizeMessagesForFallback([
@@ -278,7 +363,7 @@ class SimulacrumCore {
               ...limitedMessages,
             ]),
             sendTools,
-            { signal }
+            { signal, onDelta: options.onDelta }
           );
       if (raw == null) {
         throw new Error('Empty AI response');
@@ -320,7 +405,6 @@ class SimulacrumCore {
       // Clear the document read registry since conversation context is reset
       documentReadRegistry.clear();
       // Clear interaction log when conversation is cleared
-      const { interactionLogger } = await import('./interaction-logger.js');
       await interactionLogger.clear();
       return true;
     } catch (_e) {
@@ -328,6 +412,227 @@ class SimulacrumCore {
     }
   }
 
+  /**
+   * Start a new conversation thread and switch to it
+   * @param {string} [name] - Thread name (defaults to "Conversation N")
+   * @returns {Promise<object|null>} Summary of the new thread
+   */
+  static async createThread(name = '') {
+    if (!this.conversationManager) return null;
+    const previousThreadId = this.conversationManager.activeThreadId;
+    const thread = this.conversationManager.createThread(name);
+    await this._saveThreads(previousThreadId);
+    return thread;
+  }
+
+  /**
+   * Switch the active conversation thread
+   * @param {string} threadId
+   * @returns {Promise<boolean>} Whether the thread exists
+   */
+  static async switchThread(threadId) {
+    const previousThreadId = this.conversationManager?.activeThreadId;
+    if (!this.conversationManager?.switchThread(threadId)) return false;
+    await this._saveThreads(previousThreadId);
+    return true;
+  }
+
+  /**
+   * Rename a conversation thread
+   * @param {string} threadId
+   * @param {string} name
+   * @returns {Promise<boolean>} Whether the thread was renamed
+   */
+  static async renameThread(threadId, name) {
+    const previousThreadId = this.conversationManager?.activeThreadId;
+    if (!this.conversationManager?.renameThread(threadId, name)) return false;
+    await this._saveThreads(previousThreadId);
+    return true;
+  }
+
+  /**
+   * Archive a conversation thread (switches away when it is the active one)
+   * @param {string} threadId
+   * @returns {Promise<boolean>} Whether the thread exists
+   */
+  static async archiveThread(threadId) {
+    const previousThreadId = this.conversationManager?.activeThreadId;
+    if (!this.conversationManager?.archiveThread(threadId)) return false;
+    // A shared thread is archived for every GM
+    const thread = this.conversationManager.threads.find(record => record.id === threadId);
+    if (thread.shared) await sharedThreads.storeThread(thread);
+    await this._saveThreads(previousThreadId);
+    return true;
+  }
+
+  /**
+   * Delete a conversation thread (switches away when it is the active one)
+   * @param {string} threadId
+   * @returns {Promise<boolean>} Whether the thread existed
+   */
+  static async deleteThread(threadId) {
+    const previousThreadId = this.conversationManager?.activeThreadId;
+    const shared = this.conversationManager?.threads.some(
+      thread => thread.id === threadId && thread.shared
+    );
+    if (!this.conversationManager?.deleteThread(threadId)) return false;
+    if (shared) await sharedThreads.removeThread(threadId);
+    await this._saveThreads(previousThreadId);
+    return true;
+  }
+
+  /**
+   * Share a thread with the other GMs of the world, or make it one of this user's own again
+   * (the other GMs then lose it)
+   * @param {string} threadId
+   * @param {boolean} [shared=true]
+   * @returns {Promise<boolean>} Whether the thread exists
+   */
+  static async shareThread(threadId, shared = true) {
+    const previousThreadId = this.conversationManager?.activeThreadId;
+    if (!this.conversationManager?.setThreadShared(threadId, shared)) return false;
+    if (!shared) await sharedThreads.removeThread(threadId);
+    await this._saveThreads(previousThreadId);
+    return true;
+  }
+
+  /**
+   * The other GM whose agent is working in the thread in use (a shared thread)
+   * @returns {User|null}
+   */
+  static getThreadLockHolder() {
+    const threadId = this.conversationManager?.activeThreadId;
+    return threadId ? sharedThreads.lockHolder(threadId) : null;
+  }
+
+  /**
+   * Take in a shared thread another GM changed; the sidebar reloads when it is in use
+   * @param {object} thread - Thread record
+   * @private
+   */
+  static _receiveSharedThread(thread) {
+    if (this.conversationManager?.receiveSharedThread(thread)) {
+      Hooks.callAll('simulacrumConversationLoaded', this.conversationManager);
+    }
+  }
+
+  /**
+   * Drop a shared thread another GM deleted or stopped sharing
+   * @param {string} threadId
+   * @private
+   */
+  static async _dropSharedThread(threadId) {
+    const manager = this.conversationManager;
+    const previousThreadId = manager?.activeThreadId;
+    if (!manager?.threads.some(thread => thread.id === threadId && thread.shared)) return;
+    manager.deleteThread(threadId);
+    await this._saveThreads(previousThreadId);
+  }
+
+  /**
+   * Export the active thread as a Markdown or JSON download, or as a new JournalEntry
+   * @param {'markdown'|'json'|'journal'} format
+   * @returns {Promise<{format: string, filename?: string, journal?: JournalEntry}|null>}
+   */
+  static async exportConversation(format) {
+    if (!this.conversationManager) return null;
+    return exportConversation(this.conversationManager, format);
+  }
+
+  /**
+   * Import a JSON conversation export as new threads and switch to it
+   * @param {string} text - Contents of the exported file
+   * @returns {Promise<object|null>} Summary of the imported thread
+   * @throws {ValidationError} When the text is not a conversation export
+   */
+  static async importConversation(text) {
+    if (!this.conversationManager) return null;
+    const threads = parseConversationImport(text);
+    const previousThreadId = this.conversationManager.activeThreadId;
+    const thread = this.conversationManager.importThreads(threads);
+    await this._saveThreads(previousThreadId);
+    return thread;
+  }
+
+  /**
+   * Search every conversation thread and the interaction log
+   * @param {string} query - Words or "quoted phrases" that must all occur
+   * @param {object} [options] - See `searchHistory`
+   * @returns {{terms: string[], total: number, results: Array<object>}}
+   */
+  static searchConversations(query, options = {}) {
+    const manager = this.conversationManager;
+    if (!manager) return { terms: [], total: 0, results: [] };
+    // The thread in use is searched as shown, and listed first
+    const active = {
+      ...manager.threads.find(thread => thread.id === manager.activeThreadId),
+      activeMessages: manager.messages,
+      rollingSummary: manager.rollingSummary,
+    };
+    const others = manager.threads
+      .filter(thread => thread.id !== manager.activeThreadId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    return searchHistory(
+      { threads: [active, ...others], logEntries: interactionLogger.getEntries() },
+      query,
+      options
+    );
+  }
+
+  /**
+   * Revert document changes made by the agent's tools, and tell the agent
+   * @param {{toolCallId?: string, turn?: boolean}} [target] - One tool call, or the latest turn;
+   *   by default the latest tool call with changes left to undo
+   * @returns {Promise<{entries: Array<object>, failures: Array<string>}>}
+   */
+  static async undoChanges({ toolCallId, turn = false } = {}) {
+    let result;
+    if (toolCallId) result = await undoJournal.undoToolCall(toolCallId);
+    else result = turn ? await undoJournal.undoTurn() : await undoJournal.undoLast();
+    if (result.entries.length > 0) await this.noteForAgent(describeUndo(result));
+    return result;
+  }
+
+  /**
+   * Tell the agent about something the GM did outside the conversation, such as undoing its
+   * changes; the note is part of the history but not shown in the log
+   * @param {string} note
+   * @returns {Promise<void>}
+   */
+  static async noteForAgent(note) {
+    if (!this.conversationManager) return;
+    this.conversationManager.addMessage('user', note, null, null, { _internal: true });
+    await this.conversationManager.save();
+  }
+
+  /**
+   * Save a thread change, resetting per-conversation state when the active thread changed
+   * @param {string} previousThreadId - Thread that was active before the change
+   * @private
+   */
+  static async _saveThreads(previousThreadId) {
+    const switched = this.conversationManager.activeThreadId !== previousThreadId;
+    if (switched) {
+      // Reads recorded in one thread do not count as reads in another
+      documentReadRegistry.clear();
+      if (this.conversationManager.messages.length === 0) this._addWelcomeMessage();
+    }
+    await this.conversationManager.save();
+    // The sidebar reloads its log from the newly active thread
+    if (switched) Hooks.callAll('simulacrumConversationLoaded', this.conversationManager);
+  }
+
+  /**
+   * Add the welcome message to the (empty) conversation
+   * @private
+   */
+  static _addWelcomeMessage() {
+    const welcomeContent =
+      game.i18n?.localize('SIMULACRUM.WelcomeMessage') ||
+      "Hello! I'm your AI assistant for campaign document management. How can I help you today?";
+    this.conversationManager.addMessage('assistant', welcomeContent);
+  }
+
   /**
    * Get persistence key - delegates to ConversationManager
    * @deprecated Use conversationManager.getPersistenceKey() directly
@@ -436,13 +741,24 @@ class SimulacrumCore {
   }
 
   static async getSystemPrompt() {
-    let prompt = await buildSystemPrompt();
+    let prompt = await buildSystemPrompt({ memoryQuery: this._latestUserText() });
     if (this.conversationManager?.rollingSummary) {
       prompt = `### PREVIOUS CONVERSATION SUMMARY\n${this.conversationManager.rollingSummary}\n### END OF SUMMARY\n\n${prompt}`;
     }
     return prompt;
   }
 
+  /**
+   * Text of the latest message the user typed, used to pick relevant campaign memories
+   * @returns {string}
+   * @private
+   */
+  static _latestUserText() {
+    const messages = this.conversationManager?.messages || [];
+    const message = messages.findLast(m => m.role === 'user' && m._internal !== true);
+    return message ? getTextContent(message.content) : '';
+  }
+
   static _estimatePromptOverhead(systemPrompt, includeRollingSummary = true) {
     return this.conversationManager.estimatePromptOverhead(systemPrompt, includeRollingSummary);
   }
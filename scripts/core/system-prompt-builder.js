@@ -6,6 +6,7 @@
 
 import { createLogger } from '../utils/logger.js';
 import { toolRegistry } from './tool-registry.js';
+import { campaignMemory, formatMemoriesForPrompt } from './campaign-memory.js';
 
 const logger = createLogger('SystemPrompt');
 
@@ -65,9 +66,12 @@ export async function getAvailableMacrosList() {
 
 /**
  * Build the complete system prompt
+ * @param {object} [options]
+ * @param {string} [options.memoryQuery] - The user's latest message; campaign memories that
+ *   match it are included
  * @returns {Promise<string>} The system prompt
  */
-export async function buildSystemPrompt() {
+export async function buildSystemPrompt({ memoryQuery = '' } = {}) {
   const documentTypesInfo = getDocumentTypesInfo();
   const legacyMode = game?.settings?.get('simulacrum', 'legacyMode') || false;
   const customSystemPrompt = game?.settings?.get('simulacrum', 'customSystemPrompt') || '';
@@ -142,6 +146,10 @@ export async function buildSystemPrompt() {
     basePrompt = basePrompt + '\n\n' + customInstructions;
   }
 
+  // Campaign memories: pinned ones and those relevant to the current request
+  const memorySection = formatMemoriesForPrompt(campaignMemory.relevant(memoryQuery));
+  if (memorySection) basePrompt = basePrompt + '\n\n' + memorySection;
+
   // Security check: verify no HTML tags exist in the prompt (logged only in debug mode)
   if (globalThis.CONFIG?.debug?.simulacrum) {
     const tagRegex = /<\/?[a-z][a-z0-9]*\b[^>]*>/gi;
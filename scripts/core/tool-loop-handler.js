@@ -22,14 +22,27 @@ import {
   buildRetryLabel,
   getRetryDelayMs,
   delayWithSignal,
+  isAbortError,
   throwIfAborted,
 } from '../utils/retry-helpers.js';
-import { emitProcessStatus, emitRetryStatus, SimulacrumHooks } from './hook-manager.js';
+import {
+  emitBudgetDecision,
+  emitBudgetPaused,
+  emitProcessStatus,
+  emitRetryStatus,
+  SimulacrumHooks,
+} from './hook-manager.js';
+import { describeBudgetCap } from './budget-guard.js';
 import { toolPermissionManager, PermissionState } from './tool-permission-manager.js';
 import { interactionLogger } from './interaction-logger.js';
+import { undoJournal } from './undo-journal.js';
+import { isRewindPoint } from './conversation-branches.js';
+import { diffDocuments } from '../utils/document-diff.js';
 
 const logger = createLogger('ToolLoop');
 const MAX_TOOL_FAILURE_ATTEMPTS = 3;
+/** Read-only tool calls from one response that may run at the same time */
+const MAX_PARALLEL_TOOL_CALLS = 8;
 const TOOL_RETRY_STATUS_PREFIX = 'tool-retry';
 
 // Store justifications keyed by toolCallId for retrieval when result is ready
@@ -358,12 +371,18 @@ You cannot respond without a tool call. Either continue with the next tool in yo
     _notifyLegacyToolResults(toolResults, context);
   }
 
+  // 6.5 Budget caps - pause before spending more on this request
+  const budgetStop = await enforceBudget(context);
+  if (budgetStop) return { action: 'return', value: budgetStop };
+
   // 7. Get Next Response (with retry on transient API errors)
   for (let apiAttempt = 0; apiAttempt < MAX_TOOL_FAILURE_ATTEMPTS; apiAttempt++) {
     try {
       const response = await _getNextAIResponse(toolResults, context);
       return { action: 'continue', response, repeatCount, toolFailureAttempts };
     } catch (error) {
+      // A cancelled request ends the loop; retrying would only send it again
+      if (isAbortError(error, context.signal)) throw error;
       logger.error(
         `API Error during loop cycle (attempt ${apiAttempt + 1}/${MAX_TOOL_FAILURE_ATTEMPTS}):`,
         error
@@ -409,64 +428,181 @@ async function _handleToolRefusal(response, context, attempts) {
   }
 }
 
-/* eslint-disable max-depth */ // Refactor tracked in #147
-// eslint-disable-next-line complexity, max-lines-per-function, max-statements -- Refactor tracked in #147
+/**
+ * Execute the tool calls from one response.
+ * Consecutive read-only calls run concurrently; everything else (destructive tools and their
+ * confirmations included) runs one call at a time. Results are recorded in call order.
+ * @param {Array<object>} toolCalls - Tool calls from the AI response
+ * @param {object} context - Execution context
+ * @returns {Promise<Array<object>>} One result per tool call, in call order
+ */
 async function _executeToolCalls(toolCalls, context) {
-  const { onToolResult, signal, currentToolSupport, conversationManager } = context;
   const results = [];
+  for (const batch of _batchToolCalls(toolCalls)) {
+    throwIfAborted(context.signal);
+    const started = batch.length > 1 ? _startReadOnlyCalls(batch, context.signal) : [];
+    for (const [index, toolCall] of batch.entries()) {
+      throwIfAborted(context.signal);
+      await _executeToolCall(toolCall, context, results, started[index]);
+    }
+  }
+  return results;
+}
 
+/**
+ * Group tool calls into batches: runs of read-only calls, and single other calls
+ * @param {Array<object>} toolCalls
+ * @returns {Array<Array<object>>}
+ */
+function _batchToolCalls(toolCalls) {
+  const batches = [];
   for (const toolCall of toolCalls) {
-    throwIfAborted(signal);
+    const last = batches[batches.length - 1];
+    const joins =
+      last &&
+      last.length < MAX_PARALLEL_TOOL_CALLS &&
+      _isReadOnlyCall(toolCall) &&
+      _isReadOnlyCall(last[0]);
+    if (joins) last.push(toolCall);
+    else batches.push([toolCall]);
+  }
+  return batches;
+}
+
+function _isReadOnlyCall(toolCall) {
+  const toolName = toolCall?.function?.name || toolCall?.name;
+  return (
+    toolRegistry.getTool(toolName)?.readOnly === true &&
+    !toolPermissionManager.isDestructive(toolName)
+  );
+}
 
+/**
+ * Start a batch of read-only calls together
+ * Calls whose arguments do not parse are left to {@link _executeToolCall} to report.
+ * @param {Array<object>} batch - Read-only tool calls
+ * @param {AbortSignal} [signal] - Cancels the calls
+ * @returns {Array<{parsedArgs: object, startedAt: number, outcome: Promise<object>}|null>}
+ *   Per call, in call order
+ */
+function _startReadOnlyCalls(batch, signal) {
+  return batch.map(toolCall => {
     const toolName = toolCall?.function?.name || toolCall?.name;
-    const toolArgs = toolCall?.function?.arguments ?? toolCall?.arguments;
-    let result = null;
-    let isSuccess = false;
-    let error = null;
-    let executionStart = 0;
+    const { parsedArgs } = _parseToolCallArguments(
+      toolCall?.function?.arguments ?? toolCall?.arguments,
+      toolName
+    );
+    if (!parsedArgs) return null;
+    // Settle into a value so a failure is not reported as unhandled before its turn to record
+    const outcome = toolRegistry.executeTool(toolName, parsedArgs, { signal }).then(
+      value => ({ value }),
+      error => ({ error })
+    );
+    return { parsedArgs, startedAt: Date.now(), outcome };
+  });
+}
 
-    try {
-      const parseOutcome = _parseToolCallArguments(toolArgs, toolName);
-      if (parseOutcome.error) {
-        await _recordInvalidArgsResult({
-          toolCall,
-          toolName,
-          toolArgs,
-          parseError: parseOutcome.error,
-          currentToolSupport,
-          conversationManager,
-          onToolResult,
-          results,
-        });
-        continue;
-      }
-      const parsedArgs = parseOutcome.parsedArgs;
+async function _settledValue(outcome) {
+  const { value, error } = await outcome;
+  if (error) throw error;
+  return value;
+}
+
+/* eslint-disable max-depth */ // Refactor tracked in #147
+// eslint-disable-next-line complexity, max-lines-per-function, max-statements -- Refactor tracked in #147
+async function _executeToolCall(toolCall, context, results, started = null) {
+  const { onToolResult, currentToolSupport, conversationManager } = context;
+
+  const toolName = toolCall?.function?.name || toolCall?.name;
+  const toolArgs = toolCall?.function?.arguments ?? toolCall?.arguments;
+  let result = null;
+  let isSuccess = false;
+  let error = null;
+  let executionStart = 0;
+
+  try {
+    const parseOutcome = started
+      ? { parsedArgs: started.parsedArgs, error: null }
+      : _parseToolCallArguments(toolArgs, toolName);
+    if (parseOutcome.error) {
+      await _recordInvalidArgsResult({
+        toolCall,
+        toolName,
+        toolArgs,
+        parseError: parseOutcome.error,
+        currentToolSupport,
+        conversationManager,
+        onToolResult,
+        results,
+      });
+      return;
+    }
+    const parsedArgs = parseOutcome.parsedArgs;
+
+    executionStart = Date.now();
 
-      executionStart = Date.now();
+    // Log tool call before execution (must happen before any early-exit so rejections appear in logs)
+    interactionLogger.logToolCall(toolName, parsedArgs, toolCall.id);
+
+    // Warn if justification is missing — the AI-facing schema marks it required, but
+    // models (especially smaller ones) may skip it. Log a warning but still execute.
+    if (
+      !parsedArgs.justification ||
+      typeof parsedArgs.justification !== 'string' ||
+      !parsedArgs.justification.trim()
+    ) {
+      logger.warn(`Tool call "${toolName}" missing justification parameter`);
+    }
 
-      // Log tool call before execution (must happen before any early-exit so rejections appear in logs)
-      interactionLogger.logToolCall(toolName, parsedArgs, toolCall.id);
+    // Permission check for destructive tools
+    if (toolPermissionManager.isDestructive(toolName)) {
+      // Trust All, then the first matching permission rule, then the per-tool state
+      const decision = await toolPermissionManager.evaluate(toolName, parsedArgs);
+      const permission = decision.state;
+      const reason = toolPermissionManager.explain(toolName, decision);
+
+      if (permission === PermissionState.DENY) {
+        // Tool is blacklisted or a rule denies this call - deny without prompting, saying why
+        result = {
+          error:
+            game.i18n?.localize('SIMULACRUM.ToolConfirmation.Blacklisted') ||
+            'Tool is blacklisted and cannot be executed',
+          reason,
+          denied: true,
+          toolName,
+        };
+        isSuccess = false;
+
+        if (currentToolSupport === true) {
+          conversationManager.addMessage('tool', JSON.stringify(result), null, toolCall.id);
+          await conversationManager.save();
+        }
 
-      // Warn if justification is missing — the AI-facing schema marks it required, but
-      // models (especially smaller ones) may skip it. Log a warning but still execute.
-      if (
-        !parsedArgs.justification ||
-        typeof parsedArgs.justification !== 'string' ||
-        !parsedArgs.justification.trim()
-      ) {
-        logger.warn(`Tool call "${toolName}" missing justification parameter`);
+        const resultObj = { toolCall, toolName, result, success: isSuccess, error: null };
+        results.push(resultObj);
+        if (onToolResult) {
+          await onToolResult({
+            role: 'tool',
+            content: JSON.stringify(result),
+            toolCallId: toolCall.id,
+            toolName,
+          });
+        }
+        return;
       }
 
-      // Permission check for destructive tools
-      if (toolPermissionManager.isDestructive(toolName)) {
-        const permission = toolPermissionManager.getPermission(toolName);
+      if (permission === PermissionState.ASK) {
+        // Need to prompt user for confirmation
+        const confirmResult = await _promptToolConfirmation(toolName, parsedArgs, toolCall.id, {
+          signal: context.signal,
+          reason,
+        });
 
-        if (permission === PermissionState.DENY) {
-          // Tool is blacklisted - deny without prompting
+        if (confirmResult === 'deny') {
           result = {
             error:
-              game.i18n?.localize('SIMULACRUM.ToolConfirmation.Blacklisted') ||
-              'Tool is blacklisted and cannot be executed',
+              game.i18n?.localize('SIMULACRUM.ToolConfirmation.Denied') ||
+              'Tool execution denied by user',
             denied: true,
             toolName,
           };
@@ -487,171 +623,149 @@ async function _executeToolCalls(toolCalls, context) {
               toolName,
             });
           }
-          continue;
+          return;
         }
 
-        if (permission === PermissionState.ASK) {
-          // Need to prompt user for confirmation
-          const confirmResult = await _promptToolConfirmation(
+        if (confirmResult === 'blacklist') {
+          await toolPermissionManager.setPermission(toolName, PermissionState.DENY);
+          result = {
+            error:
+              game.i18n?.localize('SIMULACRUM.ToolConfirmation.Blacklisted') ||
+              'Tool is blacklisted and cannot be executed',
+            denied: true,
             toolName,
-            parsedArgs,
-            toolCall.id,
-            context
-          );
+          };
+          isSuccess = false;
 
-          if (confirmResult === 'deny') {
-            result = {
-              error:
-                game.i18n?.localize('SIMULACRUM.ToolConfirmation.Denied') ||
-                'Tool execution denied by user',
-              denied: true,
-              toolName,
-            };
-            isSuccess = false;
-
-            if (currentToolSupport === true) {
-              conversationManager.addMessage('tool', JSON.stringify(result), null, toolCall.id);
-              await conversationManager.save();
-            }
-
-            const resultObj = { toolCall, toolName, result, success: isSuccess, error: null };
-            results.push(resultObj);
-            if (onToolResult) {
-              await onToolResult({
-                role: 'tool',
-                content: JSON.stringify(result),
-                toolCallId: toolCall.id,
-                toolName,
-              });
-            }
-            continue;
+          if (currentToolSupport === true) {
+            conversationManager.addMessage('tool', JSON.stringify(result), null, toolCall.id);
+            await conversationManager.save();
           }
 
-          if (confirmResult === 'blacklist') {
-            await toolPermissionManager.setPermission(toolName, PermissionState.DENY);
-            result = {
-              error:
-                game.i18n?.localize('SIMULACRUM.ToolConfirmation.Blacklisted') ||
-                'Tool is blacklisted and cannot be executed',
-              denied: true,
+          const resultObj = { toolCall, toolName, result, success: isSuccess, error: null };
+          results.push(resultObj);
+          if (onToolResult) {
+            await onToolResult({
+              role: 'tool',
+              content: JSON.stringify(result),
+              toolCallId: toolCall.id,
               toolName,
-            };
-            isSuccess = false;
-
-            if (currentToolSupport === true) {
-              conversationManager.addMessage('tool', JSON.stringify(result), null, toolCall.id);
-              await conversationManager.save();
-            }
-
-            const resultObj = { toolCall, toolName, result, success: isSuccess, error: null };
-            results.push(resultObj);
-            if (onToolResult) {
-              await onToolResult({
-                role: 'tool',
-                content: JSON.stringify(result),
-                toolCallId: toolCall.id,
-                toolName,
-              });
-            }
-            continue;
+            });
           }
+          return;
+        }
 
-          if (confirmResult === 'always') {
-            await toolPermissionManager.setPermission(toolName, PermissionState.ALLOW);
-            // Continue to execute below
-          }
-          // confirmResult === 'allow' -> Continue to execute normally
+        if (confirmResult === 'always') {
+          await toolPermissionManager.setPermission(toolName, PermissionState.ALLOW);
+          // Continue to execute below
         }
-        // permission === ALLOW -> Continue to execute normally
+        // confirmResult === 'allow' -> Continue to execute normally
       }
+      // permission === ALLOW -> Continue to execute normally
+    }
 
-      // Execute the tool
-      const execution = await toolRegistry.executeTool(toolName, parsedArgs);
-      result = execution.result;
-
-      isSuccess = !result.error;
-
-      // Context Compaction: Store large outputs in buffer, inject reference
-      // IMPORTANT: Store BEFORE truncation so read_tool_output can access full content
-      let resultForConversation = result;
-      const resultStr = JSON.stringify(result);
-      const TOKEN_THRESHOLD = 1000; // ~4000 chars
-      const estimatedTokens = Math.ceil(resultStr.length / 4);
-
-      if (
-        toolName !== 'read_tool_output' &&
-        estimatedTokens > TOKEN_THRESHOLD &&
-        conversationManager.toolOutputBuffer
-      ) {
-        // Store the FULL content before truncation (preserves newlines for pagination)
-        const contentToStore = typeof result.content === 'string' ? result.content : resultStr;
-        conversationManager.toolOutputBuffer.set(toolCall.id, contentToStore);
-
-        // Create compact reference
-        const lines = contentToStore.split('\n');
-        const preview = lines.slice(0, 5).join('\n');
-
-        resultForConversation = {
-          _compacted: true,
-          display: result.display || null, // Preserve display for formatted rendering on refresh
-          total_lines: lines.length,
-          total_chars: resultStr.length,
-          preview: preview.substring(0, 500),
-          access: `Use read_tool_output(tool_call_id="${toolCall.id}", start_line, end_line) to read full content`,
-        };
-      } else {
-        // For smaller outputs AND read_tool_output results, truncate for conversation context
-        _truncateInitialResult(result, toolName);
-      }
+    // Execute the tool (read-only calls may already be running, see _startReadOnlyCalls)
+    if (started) executionStart = started.startedAt;
+    const execution = started
+      ? await _settledValue(started.outcome)
+      : await _executeRecorded(toolCall, toolName, parsedArgs, context);
+    result = execution.result;
+
+    isSuccess = !result.error;
+
+    // Context Compaction: Store large outputs in buffer, inject reference
+    // IMPORTANT: Store BEFORE truncation so read_tool_output can access full content
+    let resultForConversation = result;
+    const resultStr = JSON.stringify(result);
+    const TOKEN_THRESHOLD = 1000; // ~4000 chars
+    const estimatedTokens = Math.ceil(resultStr.length / 4);
+
+    if (
+      toolName !== 'read_tool_output' &&
+      estimatedTokens > TOKEN_THRESHOLD &&
+      conversationManager.toolOutputBuffer
+    ) {
+      // Store the FULL content before truncation (preserves newlines for pagination)
+      const contentToStore = typeof result.content === 'string' ? result.content : resultStr;
+      conversationManager.toolOutputBuffer.set(toolCall.id, contentToStore);
+
+      // Create compact reference
+      const lines = contentToStore.split('\n');
+      const preview = lines.slice(0, 5).join('\n');
+
+      resultForConversation = {
+        _compacted: true,
+        display: result.display || null, // Preserve display for formatted rendering on refresh
+        total_lines: lines.length,
+        total_chars: resultStr.length,
+        preview: preview.substring(0, 500),
+        access: `Use read_tool_output(tool_call_id="${toolCall.id}", start_line, end_line) to read full content`,
+      };
+    } else {
+      // For smaller outputs AND read_tool_output results, truncate for conversation context
+      _truncateInitialResult(result, toolName);
+    }
 
-      if (currentToolSupport === true) {
-        conversationManager.addMessage(
-          'tool',
-          JSON.stringify(resultForConversation),
-          null,
-          toolCall.id
-        );
-        await conversationManager.save();
-      }
+    if (currentToolSupport === true) {
+      conversationManager.addMessage(
+        'tool',
+        JSON.stringify(resultForConversation),
+        null,
+        toolCall.id
+      );
+      await conversationManager.save();
+    }
 
-      if (isSuccess) {
-        try {
-          await performPostToolVerification(toolName, parsedArgs, result, onToolResult);
-        } catch (e) {
-          logger.warn(`Post-verification failed: ${toolName}`, e);
-        }
-      }
-    } catch (err) {
-      if (isDebugEnabled()) logger.debug(`Tool execution error caught: ${err.message}`);
-      error = err;
-      logger.error(`Tool execution failed for ${toolName}:`, err);
-      result = { error: err.message, toolName, arguments: toolArgs };
-      if (currentToolSupport === true) {
-        conversationManager.addMessage('tool', JSON.stringify(result), null, toolCall.id);
-        await conversationManager.save();
+    if (isSuccess) {
+      try {
+        await performPostToolVerification(toolName, parsedArgs, result, onToolResult);
+      } catch (e) {
+        logger.warn(`Post-verification failed: ${toolName}`, e);
       }
     }
+  } catch (err) {
+    if (isDebugEnabled()) logger.debug(`Tool execution error caught: ${err.message}`);
+    error = err;
+    logger.error(`Tool execution failed for ${toolName}:`, err);
+    result = { error: err.message, toolName, arguments: toolArgs };
+    if (currentToolSupport === true) {
+      conversationManager.addMessage('tool', JSON.stringify(result), null, toolCall.id);
+      await conversationManager.save();
+    }
+  }
 
-    const resultObj = { toolCall, toolName, result, success: isSuccess, error };
-    results.push(resultObj);
+  const resultObj = { toolCall, toolName, result, success: isSuccess, error };
+  results.push(resultObj);
 
-    // Log tool result with execution duration
-    const durationMs = executionStart > 0 ? Date.now() - executionStart : 0;
-    interactionLogger.logToolResult(toolCall.id, result, isSuccess, durationMs);
+  // Log tool result with execution duration
+  const durationMs = executionStart > 0 ? Date.now() - executionStart : 0;
+  interactionLogger.logToolResult(toolCall.id, result, isSuccess, durationMs);
 
-    if (onToolResult) {
-      await onToolResult({
-        role: 'tool',
-        content: JSON.stringify(result),
-        toolCallId: toolCall.id,
-        toolName,
-      });
-    }
+  if (onToolResult) {
+    await onToolResult({
+      role: 'tool',
+      content: JSON.stringify(result),
+      toolCallId: toolCall.id,
+      toolName,
+    });
   }
-  return results;
 }
 /* eslint-enable max-depth */
 
+/**
+ * Execute a tool call, recording its document changes in the undo journal
+ * The turn is identified by the user message that started it.
+ */
+function _executeRecorded(toolCall, toolName, parsedArgs, context) {
+  const turnId = context.conversationManager?.messages?.findLast(isRewindPoint)?.id ?? null;
+  const { signal } = context;
+  return undoJournal.record(
+    { toolCallId: toolCall.id, toolName, turnId },
+    recording => toolRegistry.executeTool(toolName, parsedArgs, { signal, recording }),
+    { signal }
+  );
+}
+
 function _parseToolCallArguments(toolArgs, toolName) {
   if (typeof toolArgs !== 'string') {
     if (toolArgs && toolArgs.__simulacrumParseError === true) {
@@ -728,11 +842,14 @@ async function _recordInvalidArgsResult(opts) {
  * @param {string} toolName - Name of the tool
  * @param {object} parsedArgs - Tool arguments
  * @param {string} toolCallId - Tool call ID
- * @param {object} context - Execution context
+ * @param {object} options
+ * @param {AbortSignal} [options.signal] - Denies the call when aborted
+ * @param {string} [options.reason] - Why the GM is asked (see ToolPermissionManager#explain)
  * @returns {Promise<'allow'|'deny'|'always'|'blacklist'>}
  */
-async function _promptToolConfirmation(toolName, parsedArgs, toolCallId, context) {
+async function _promptToolConfirmation(toolName, parsedArgs, toolCallId, { signal, reason }) {
   const meta = toolPermissionManager.getDestructiveToolMeta(toolName);
+  const diff = await _previewToolCall(toolName, parsedArgs);
 
   // Emit a hook that the UI can listen to
   return new Promise(resolve => {
@@ -751,11 +868,13 @@ async function _promptToolConfirmation(toolName, parsedArgs, toolCallId, context
       explainerText: meta?.explainer || 'This tool can modify your game data.',
       justification: parsedArgs.justification,
       toolArgs: JSON.stringify(parsedArgs, null, 2),
+      diff,
+      reason,
     });
 
     // Handle cancellation via signal
-    if (context.signal) {
-      context.signal.addEventListener(
+    if (signal) {
+      signal.addEventListener(
         'abort',
         () => {
           Hooks.off('simulacrumToolConfirmationResponse', hookId);
@@ -767,6 +886,89 @@ async function _promptToolConfirmation(toolName, parsedArgs, toolCallId, context
   });
 }
 
+/**
+ * Dry-run a tool call for its confirmation card
+ * Tools that change documents implement `previewChanges`, which computes the document before and
+ * after the call without saving anything. A preview that fails (say, the document does not exist)
+ * is reported in the card; the call itself will fail the same way if the GM allows it.
+ * @param {string} toolName - Name of the tool
+ * @param {object} parsedArgs - Tool arguments (left untouched)
+ * @returns {Promise<object|null>} Result of diffDocuments, `{error}`, or null without a preview
+ */
+async function _previewToolCall(toolName, parsedArgs) {
+  const tool = toolRegistry.getTool(toolName);
+  if (typeof tool?.previewChanges !== 'function') return null;
+  try {
+    const preview = await tool.previewChanges(structuredClone(parsedArgs));
+    return preview ? diffDocuments(preview.before, preview.after) : null;
+  } catch (error) {
+    logger.warn(`Dry run of ${toolName} failed:`, error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Pause while a budget cap is crossed and ask the GM whether to go on
+ * Runs before the first request of a turn and before each follow-up request in the loop.
+ * @param {object} context - Execution context (`context.budget` is a BudgetGuard)
+ * @returns {Promise<object|null>} Final response when the GM stops, null to continue
+ */
+export async function enforceBudget(context) {
+  const { budget } = context;
+  let cap = budget?.check();
+  while (cap) {
+    const message = describeBudgetCap(cap);
+    logger.warn(`Budget cap reached, pausing tool loop: ${message}`);
+    const decision = await _promptBudgetPause(cap, message, context);
+    budget.skipIdleTime();
+    throwIfAborted(context.signal);
+    if (decision !== 'continue') {
+      const stopped =
+        game.i18n?.localize('SIMULACRUM.Budget.Stopped') || 'Stopped at the budget cap.';
+      const notice = `${stopped} ${message}`;
+      return { content: '', display: notice, toolCalls: [], _budgetStopped: cap };
+    }
+    budget.extend(cap);
+    cap = budget.check();
+  }
+  return null;
+}
+
+/**
+ * Show the budget pause prompt in the sidebar and wait for the GM's decision
+ * @param {object} cap - Crossed cap
+ * @param {string} message - Description of the cap
+ * @param {object} context - Execution context
+ * @returns {Promise<'continue'|'stop'|'cancelled'>}
+ */
+function _promptBudgetPause(cap, message, context) {
+  const pauseId = `budget-${foundry.utils.randomID()}`;
+
+  return new Promise(resolve => {
+    const hookId = Hooks.on(SimulacrumHooks.BUDGET_DECISION, payload => {
+      if (payload?.pauseId === pauseId) {
+        Hooks.off(SimulacrumHooks.BUDGET_DECISION, hookId);
+        resolve(payload.decision);
+      }
+    });
+
+    emitBudgetPaused({ pauseId, scope: cap.scope, measure: cap.measure, message });
+
+    if (context.signal) {
+      context.signal.addEventListener(
+        'abort',
+        () => {
+          Hooks.off(SimulacrumHooks.BUDGET_DECISION, hookId);
+          resolve('cancelled');
+          // Lets the sidebar drop the prompt it is still holding
+          emitBudgetDecision(pauseId, 'cancelled');
+        },
+        { once: true }
+      );
+    }
+  });
+}
+
 // eslint-disable-next-line no-unused-vars
 async function _getNextAIResponse(toolResults, context) {
   const { getSystemPrompt, conversationManager, aiClient } = context;
@@ -890,7 +1092,7 @@ function _getConversationMessages(context) {
 }
 
 async function _chatWithAI(messages, systemPrompt, context) {
-  const { aiClient, tools, currentToolSupport, signal } = context;
+  const { aiClient, tools, currentToolSupport, signal, onDelta } = context;
   const toolsToSend = currentToolSupport === true ? tools : null;
 
   // We already have messages.
@@ -926,8 +1128,11 @@ async function _chatWithAI(messages, systemPrompt, context) {
 
   const raw =
     currentToolSupport !== true
-      ? await aiClient.chat(fallbackMsgs, toolsToSend, { signal })
-      : await aiClient.chatWithSystem(messages, () => systemPrompt, toolsToSend, { signal });
+      ? await aiClient.chat(fallbackMsgs, toolsToSend, { signal, onDelta })
+      : await aiClient.chatWithSystem(messages, () => systemPrompt, toolsToSend, {
+          signal,
+          onDelta,
+        });
 
   const normalized = normalizeAIResponse(raw);
 
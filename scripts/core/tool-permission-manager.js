@@ -1,9 +1,11 @@
 /**
  * Tool Permission Manager - Manages permissions for destructive AI tools
- * Handles whitelist/blacklist persistence and confirmation flow control
+ * Handles whitelist/blacklist persistence, ordered permission rules (see permission-rules.js)
+ * and confirmation flow control
  */
 
 import { createLogger } from '../utils/logger.js';
+import { findMatchingRule, normalizeRule, resolveCallContext } from './permission-rules.js';
 
 const logger = createLogger('ToolPermissionManager');
 
@@ -17,6 +19,16 @@ export const PermissionState = {
   DENY: 'deny', // Always deny (blacklisted)
 };
 
+/**
+ * Where a permission decision came from
+ * @enum {string}
+ */
+export const DecisionSource = {
+  TRUST_ALL: 'trustAll',
+  RULE: 'rule',
+  TOOL: 'tool',
+};
+
 /**
  * Metadata for destructive tools including explainer text
  */
@@ -51,6 +63,16 @@ set_document_ownership: {
     explainer: 'SIMULACRUM.ToolExplainer.SetDocumentOwnership',
     defaultState: PermissionState.ASK,
   },
+  remember: {
+    displayName: 'SIMULACRUM.Tools.remember',
+    explainer: 'SIMULACRUM.ToolExplainer.Remember',
+    defaultState: PermissionState.ASK,
+  },
+  forget: {
+    displayName: 'SIMULACRUM.Tools.forget',
+    explainer: 'SIMULACRUM.ToolExplainer.Forget',
+    defaultState: PermissionState.ASK,
+  },
 };
 
 /**
@@ -60,6 +82,7 @@ set_document_ownership: {
 class ToolPermissionManager {
   constructor() {
     this._settingsKey = 'toolPermissions';
+    this._rulesKey = 'toolPermissionRules';
     this._trustAllKey = 'trustAllTools';
   }
 
@@ -116,6 +139,77 @@ class ToolPermissionManager {
     logger.info(`Permission for ${toolName} set to ${state}`);
   }
 
+  /**
+   * Decide on a tool call: the first matching rule, then the per-tool permission
+   * Trust All allows everything except what a matching deny rule forbids.
+   * @param {string} toolName - Tool name
+   * @param {object} args - Tool arguments
+   * @returns {Promise<{state: string, source: string, rule: object|null, ruleIndex: number|null}>}
+   */
+  async evaluate(toolName, args) {
+    const rules = this.getRules();
+    const call = rules.length > 0 ? await resolveCallContext(toolName, args) : null;
+    if (this.isTrustAllEnabled()) {
+      const denial = call && findMatchingRule(rules, call, { action: PermissionState.DENY });
+      if (denial) return _decision(PermissionState.DENY, DecisionSource.RULE, denial);
+      return _decision(PermissionState.ALLOW, DecisionSource.TRUST_ALL);
+    }
+    const match = call && findMatchingRule(rules, call);
+    if (match) return _decision(match.rule.action, DecisionSource.RULE, match);
+    return _decision(this.getPermission(toolName), DecisionSource.TOOL);
+  }
+
+  /**
+   * Why a decision was made, for the confirmation card and denial messages
+   * @param {string} toolName - Tool name
+   * @param {{state: string, source: string, rule: object|null, ruleIndex: number|null}} decision
+   * @returns {string}
+   */
+  explain(toolName, decision) {
+    const state = game.i18n.localize(
+      `SIMULACRUM.Settings.ToolPermissions.PermissionState.${_capitalize(decision.state)}`
+    );
+    if (decision.source === DecisionSource.TRUST_ALL) {
+      return game.i18n.localize('SIMULACRUM.PermissionRules.Reason.TrustAll');
+    }
+    if (decision.source === DecisionSource.RULE) {
+      return game.i18n.format('SIMULACRUM.PermissionRules.Reason.Rule', {
+        number: decision.ruleIndex + 1,
+        conditions: describeRuleConditions(decision.rule),
+        state,
+      });
+    }
+    return game.i18n.format('SIMULACRUM.PermissionRules.Reason.Tool', { tool: toolName, state });
+  }
+
+  /**
+   * Permission rules, in the order they are tried
+   * @returns {Array<object>} Normalized rules
+   */
+  getRules() {
+    try {
+      const rules = game.settings.get('simulacrum', this._rulesKey);
+      return Array.isArray(rules) ? rules.map(normalizeRule) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Replace the permission rules
+   * @param {Array<object>} rules - Rules in the order they are tried
+   */
+  async setRules(rules) {
+    const normalized = rules.map(normalizeRule);
+    for (const rule of normalized) {
+      if (!Object.values(PermissionState).includes(rule.action)) {
+        throw new Error(`Invalid permission state: ${rule.action}`);
+      }
+    }
+    await game.settings.set('simulacrum', this._rulesKey, normalized);
+    logger.info(`Saved ${normalized.length} permission rule(s)`);
+  }
+
   /**
    * Check if tool is whitelisted (always allowed)
    * @param {string} toolName - Tool name
@@ -242,6 +336,37 @@ class ToolPermissionManager {
   }
 }
 
+/**
+ * Conditions of a rule in words, e.g. "update_document, Item, in folder Loot"
+ * @param {object} rule - Normalized rule
+ * @returns {string}
+ */
+export function describeRuleConditions(rule) {
+  const format = (key, data) =>
+    game.i18n.format(`SIMULACRUM.PermissionRules.Describe.${key}`, data);
+  const parts = [rule.tool === '*' ? format('AnyTool') : rule.tool];
+  if (rule.documentType) parts.push(rule.documentType);
+  if (rule.pack) parts.push(format('Pack', { pack: rule.pack }));
+  if (rule.folder) parts.push(format('Folder', { folder: rule.folder }));
+  if (rule.owner) parts.push(format(rule.owner === 'player' ? 'PlayerOwned' : 'GmOwned'));
+  if (rule.argument) {
+    parts.push(
+      rule.value
+        ? format('Argument', { argument: rule.argument, value: rule.value })
+        : format('ArgumentGiven', { argument: rule.argument })
+    );
+  }
+  return parts.join(', ');
+}
+
+function _decision(state, source, match = null) {
+  return { state, source, rule: match?.rule ?? null, ruleIndex: match?.index ?? null };
+}
+
+function _capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
 // Singleton instance
 export const toolPermissionManager = new ToolPermissionManager();
 export { ToolPermissionManager, DESTRUCTIVE_TOOL_META };
@@ -4,7 +4,8 @@
  * Handles tool registration, discovery, and execution
  */
 
-import { ToolError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { ToolError, NotFoundError, ValidationError, TimeoutError } from '../utils/errors.js';
+import { isAbortError, withTimeLimit } from '../utils/retry-helpers.js';
 import { ValidationResult } from '../utils/validation.js';
 import { createLogger } from '../utils/logger.js';
 import { DocumentCreateTool } from '../tools/document-create.js';
@@ -25,7 +26,11 @@ import { RunJavascriptTool } from '../tools/run-javascript.js';
 import { ReadToolOutputTool } from '../tools/read-tool-output.js';
 import { DocumentOwnershipTool } from '../tools/document-ownership.js';
 import { NotifyUserTool } from '../tools/notify-user.js';
+import { RememberTool } from '../tools/remember.js';
+import { RecallTool } from '../tools/recall.js';
+import { ForgetTool } from '../tools/forget.js';
 import { DocumentAPI } from './document-api.js';
+import { DEFAULT_TOOL_TIMEOUT } from '../tools/base-tool.js';
 
 /**
  * Tool Registry - Manages all available tools and their registration
@@ -83,6 +88,9 @@ export class ToolRegistry {
         new RunJavascriptTool(),
         new ReadToolOutputTool(),
         new DocumentOwnershipTool(),
+        new RememberTool(),
+        new RecallTool(),
+        new ForgetTool(),
         new NotifyUserTool(),
       ];
 
@@ -363,11 +371,17 @@ export class ToolRegistry {
 
   /**
    * Execute a tool synchronously
+   * The tool gets a signal that aborts when the caller's signal does or the tool's time limit
+   * (`tool.timeout`) passes. A timed-out tool resolves with a TimeoutError result for the model;
+   * a cancelled one rejects with an AbortError.
    * @param {string} name - Tool name
    * @param {object} context - Execution context
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the call
+   * @param {UndoRecording} [options.recording] - Undo journal recording handed to the tool
    * @returns {Promise<object>}
    */
-  async executeTool(name, context = {}) {
+  async executeTool(name, context = {}, { signal, recording } = {}) {
     this.logger.debug(`[ToolExecution] Starting execution of tool '${name}'`);
     this.logger.debug(`[ToolExecution] Context:`, context);
 
@@ -395,7 +409,7 @@ export class ToolRegistry {
 
       this.logger.debug(`[ToolExecution] Executing tool '${name}' with ID ${executionId}`);
       // Execute tool
-      const result = await tool.execute(context);
+      const result = await this._runTool(tool, context, { signal, recording });
 
       // Update success stats
       registration.successCount++;
@@ -416,6 +430,11 @@ export class ToolRegistry {
       // Update failure stats
       registration.failureCount++;
 
+      if (isAbortError(error)) throw error;
+      if (error instanceof TimeoutError) {
+        return { success: false, tool: name, executionId, result: _timeoutResult(error) };
+      }
+
       // Tool execution errors should be handled by the agentic loop, not logged to console
 
       // Error hook removed (internal hooks deprecated)
@@ -428,6 +447,22 @@ export class ToolRegistry {
     }
   }
 
+  /**
+   * Run a tool under its time limit (`tool.timeout`, see BaseTool)
+   * A tool that ignores its signal keeps running in the background; its outcome is dropped, and
+   * its recording refuses any document change it starts from then on.
+   * @private
+   */
+  _runTool(tool, context, { signal, recording }) {
+    const timeout = tool.timeout ?? DEFAULT_TOOL_TIMEOUT;
+    const message = `${tool.name} did not finish within ${timeout / 1000}s`;
+    return withTimeLimit(toolSignal => tool.execute(context, { signal: toolSignal, recording }), {
+      signal,
+      timeout,
+      onTimeout: () => new TimeoutError(message, tool.name, timeout),
+    });
+  }
+
   /**
    * Execute multiple tools in sequence
    * @param {Array<object>} tasks - Array of {tool, context} objects
@@ -654,6 +689,22 @@ export class ToolRegistry {
   // addHook/removeHook removed
 }
 
+/**
+ * What the model is told about a timed-out tool, in the shape of a tool's own error result
+ * @param {TimeoutError} error
+ * @returns {object}
+ */
+function _timeoutResult(error) {
+  const message =
+    `${error.message} and was stopped. It may have made some of its changes before stopping: ` +
+    'check the affected documents before retrying, and do not retry unchanged.';
+  return {
+    content: message,
+    display: message,
+    error: { message, type: 'TimeoutError', timeout: error.data.timeout },
+  };
+}
+
 // Export singleton instance explicitly to guarantee named binding in bundlers
 export const toolRegistry = new ToolRegistry();
 export default toolRegistry;
@@ -0,0 +1,394 @@
+/**
+ * Undo Journal - A reversible record of the document changes made by the agent's tools
+ * Each tool call run inside {@link UndoJournal#record} gets its own {@link UndoRecording}, which
+ * the tool passes to the DocumentAPI writes it makes. They report each change once it succeeded:
+ * the IDs of created documents, the previous values of updated fields, and a full snapshot
+ * (embedded documents included) of deleted ones, taken before the write. Undoing replays that record
+ * backwards, restoring deleted documents with their original IDs. The journal is kept per user
+ * and world in a user flag, like the interaction log.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const logger = createLogger('UndoJournal');
+const FLAG_KEY = 'undoJournal';
+
+/** Most tool calls kept in the journal; the oldest are forgotten first */
+export const MAX_JOURNAL_ENTRIES = 100;
+
+/**
+ * Kinds of recorded change
+ * @readonly
+ * @enum {string}
+ */
+export const UndoAction = Object.freeze({
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+});
+
+/**
+ * The update that puts back what an update changed
+ * Fields the update added are deleted again (`-=` keys), so other changes made since are kept.
+ * @param {object} before - Document data before the update
+ * @param {object} changes - The update (nested or with dotted keys)
+ * @returns {object} Flat update with dotted keys
+ */
+export function invertChanges(before, changes) {
+  const inverse = {};
+  for (const path of Object.keys(_flatten(changes))) {
+    const parts = path.split('.');
+    const last = parts.length - 1;
+    // A deletion ("flags.mod.-=key") is undone by setting the key again
+    if (parts[last].startsWith('-=')) parts[last] = parts[last].slice(2);
+    if (parts[0] === '_id') continue;
+
+    const missing = parts.findIndex(
+      (_part, index) => _get(before, parts.slice(0, index + 1)) === undefined
+    );
+    if (missing === -1) {
+      inverse[parts.join('.')] = structuredClone(_get(before, parts));
+    } else {
+      const parent = parts.slice(0, missing);
+      inverse[[...parent, `-=${parts[missing]}`].join('.')] = null;
+    }
+  }
+  return inverse;
+}
+
+/**
+ * Agent-facing note about reverted changes, so the agent does not rely on them
+ * @param {{entries: Array<object>, failures: Array<string>}} result - Result of an undo
+ * @returns {string}
+ */
+export function describeUndo({ entries, failures }) {
+  const changes = entries.flatMap(entry => entry.changes);
+  const lines = changes
+    .slice()
+    .reverse()
+    .map(change => `- ${_describeChange(change)}`);
+  let note = `[The GM undid these document changes you made; they no longer apply]\n${lines.join('\n')}`;
+  if (failures.length > 0) note += `\nSome could not be undone: ${failures.join('; ')}`;
+  return note;
+}
+
+/**
+ * The document changes of one tool call, as they are made
+ * Once the call is over, or its signal aborted, no new write may start: a tool left running after
+ * its time limit can neither change the world unrecorded nor have its changes credited to a later
+ * call. A write already under way when the call ended is still recorded.
+ */
+export class UndoRecording {
+  /**
+   * @param {object} entry - Journal entry the changes are added to
+   * @param {object} [options]
+   * @param {AbortSignal|null} [options.signal] - Cancels the tool call
+   * @param {function(object): void} [options.onLateChange] - Called with the entry when a change
+   *   is added after the call ended
+   */
+  constructor(entry, { signal = null, onLateChange = null } = {}) {
+    this.entry = entry;
+    this.signal = signal;
+    this.closed = false;
+    this._onLateChange = onLateChange;
+  }
+
+  /** @returns {boolean} Whether the tool call may still start a write */
+  get open() {
+    return !this.closed && !this.signal?.aborted;
+  }
+
+  /**
+   * Refuse a write once the tool call is over
+   * @throws {Error} AbortError
+   */
+  assertOpen() {
+    if (this.open) return;
+    const error = new Error(`${this.entry.toolName} has ended; its document change was refused`);
+    error.name = 'AbortError';
+    throw error;
+  }
+
+  /**
+   * Data of a document about to be updated or deleted, handed back once the write succeeded
+   * @param {foundry.abstract.Document} doc
+   * @returns {object}
+   */
+  snapshot(doc) {
+    return doc.toObject();
+  }
+
+  /**
+   * Record a created document
+   * @param {foundry.abstract.Document} doc
+   */
+  created(doc) {
+    this._addChange(UndoAction.CREATE, doc, null);
+  }
+
+  /**
+   * Record the fields an update changed
+   * @param {foundry.abstract.Document} doc - The updated document
+   * @param {object} changes - The update
+   * @param {object} before - Snapshot taken before the update
+   */
+  updated(doc, changes, before) {
+    this._addChange(UndoAction.UPDATE, doc, invertChanges(before, changes));
+  }
+
+  /**
+   * Record a deleted document
+   * @param {foundry.abstract.Document} doc - The deleted document
+   * @param {object} before - Snapshot taken before the deletion
+   */
+  deleted(doc, before) {
+    this._addChange(UndoAction.DELETE, doc, before);
+  }
+
+  /** End the tool call */
+  close() {
+    this.closed = true;
+  }
+
+  /** @private */
+  _addChange(action, doc, data) {
+    if (!doc?.uuid) return;
+    this.entry.changes.push({
+      action,
+      uuid: doc.uuid,
+      documentName: doc.documentName,
+      name: doc.name || doc.id,
+      parentUuid: doc.parent?.uuid ?? null,
+      pack: doc.pack ?? null,
+      data,
+    });
+    if (this.closed) this._onLateChange?.(this.entry);
+  }
+}
+
+/**
+ * Records document changes per tool call and reverts them
+ */
+export class UndoJournal {
+  constructor() {
+    /** @type {Array<{toolCallId: string, toolName: string, turnId: string|null, timestamp: string,
+     *   undone: boolean, changes: Array<object>}>} Oldest first */
+    this.entries = [];
+  }
+
+  /**
+   * Load the journal of this user and world
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      const state = await game.user?.getFlag?.('simulacrum', this._getPersistenceKey());
+      this.entries = Array.isArray(state?.entries) ? state.entries : [];
+    } catch (error) {
+      logger.warn('Failed to load the undo journal', error);
+    }
+  }
+
+  /**
+   * Run a tool call, recording the document changes it makes
+   * The action is handed the call's recording, for the tool to pass to its DocumentAPI writes.
+   * @param {{toolCallId: string, toolName: string, turnId?: string|null}} call - The tool call, and
+   *   the ID of the user message that started its turn
+   * @param {function(UndoRecording): Promise<*>} action - Runs the tool
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the tool call
+   * @returns {Promise<*>} What the action returned
+   */
+  async record({ toolCallId, toolName, turnId = null }, action, { signal = null } = {}) {
+    const entry = {
+      toolCallId,
+      toolName,
+      turnId,
+      timestamp: new Date().toISOString(),
+      undone: false,
+      changes: [],
+    };
+    const recording = new UndoRecording(entry, {
+      signal,
+      onLateChange: late => this._addLate(late),
+    });
+    try {
+      return await action(recording);
+    } finally {
+      recording.close();
+      if (entry.changes.length > 0) await this._add(entry);
+    }
+  }
+
+  /**
+   * Journal entry of a tool call
+   * @param {string} toolCallId
+   * @returns {object|null}
+   */
+  getEntry(toolCallId) {
+    return this.entries.find(entry => entry.toolCallId === toolCallId) ?? null;
+  }
+
+  /**
+   * ID of the latest turn with changes that can still be undone
+   * @returns {string|null}
+   */
+  lastTurnId() {
+    return this.entries.findLast(entry => !entry.undone && entry.turnId)?.turnId ?? null;
+  }
+
+  /**
+   * Undo the changes of one tool call
+   * @param {string} toolCallId
+   * @returns {Promise<{entries: Array<object>, failures: Array<string>}>}
+   */
+  async undoToolCall(toolCallId) {
+    return this._undo(this.entries.filter(entry => entry.toolCallId === toolCallId));
+  }
+
+  /**
+   * Undo every change of a turn (by default the latest one)
+   * @param {string|null} [turnId]
+   * @returns {Promise<{entries: Array<object>, failures: Array<string>}>}
+   */
+  async undoTurn(turnId = this.lastTurnId()) {
+    return this._undo(turnId ? this.entries.filter(entry => entry.turnId === turnId) : []);
+  }
+
+  /**
+   * Undo the latest tool call that has changes left to undo
+   * @returns {Promise<{entries: Array<object>, failures: Array<string>}>}
+   */
+  async undoLast() {
+    const entry = this.entries.findLast(candidate => !candidate.undone);
+    return this._undo(entry ? [entry] : []);
+  }
+
+  /**
+   * Revert entries, newest change first
+   * A change that cannot be reverted (say, the document was deleted by hand since) is reported
+   * and skipped; the entry still counts as undone.
+   * @param {Array<object>} entries
+   * @returns {Promise<{entries: Array<object>, failures: Array<string>}>}
+   * @private
+   */
+  async _undo(entries) {
+    const pending = entries.filter(entry => !entry.undone);
+    const failures = [];
+    for (const entry of pending.slice().reverse()) {
+      for (const change of entry.changes.slice().reverse()) {
+        try {
+          await this._revert(change);
+        } catch (error) {
+          logger.warn(`Could not undo ${_describeChange(change)}`, error);
+          failures.push(`${_describeChange(change)}: ${error.message}`);
+        }
+      }
+      entry.undone = true;
+    }
+    if (pending.length > 0) await this.save();
+    return { entries: pending, failures };
+  }
+
+  /** @private */
+  async _revert(change) {
+    const current = await fromUuid(change.uuid);
+    switch (change.action) {
+      case UndoAction.CREATE:
+        if (current) await current.delete();
+        return;
+      case UndoAction.UPDATE:
+        if (!current)
+          throw new NotFoundError(`${change.name} no longer exists`, change.documentName);
+        await current.update(change.data);
+        return;
+      case UndoAction.DELETE:
+        if (!current) await this._restore(change);
+        return;
+      default:
+        throw new Error(`Unknown change: ${change.action}`);
+    }
+  }
+
+  /**
+   * Recreate a deleted document with its original ID and embedded documents
+   * @private
+   */
+  async _restore({ documentName, data, parentUuid, pack, name }) {
+    if (parentUuid) {
+      const parent = await fromUuid(parentUuid);
+      if (!parent) throw new NotFoundError(`The document holding ${name} no longer exists`);
+      await parent.createEmbeddedDocuments(documentName, [data], { keepId: true });
+      return;
+    }
+    const documentClass = CONFIG[documentName]?.documentClass;
+    if (!documentClass) throw new NotFoundError(`Unknown document type: ${documentName}`);
+    await documentClass.create(data, { keepId: true, ...(pack ? { pack } : {}) });
+  }
+
+  /** @private */
+  async _add(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > MAX_JOURNAL_ENTRIES) {
+      this.entries.splice(0, this.entries.length - MAX_JOURNAL_ENTRIES);
+    }
+    await this.save();
+  }
+
+  /**
+   * Keep a change that finished after its tool call ended
+   * @private
+   */
+  _addLate(entry) {
+    if (this.entries.includes(entry)) return this.save();
+    return this._add(entry);
+  }
+
+  /**
+   * Persist the journal to the user's flags
+   * @returns {Promise<void>}
+   */
+  async save() {
+    try {
+      await game.user?.setFlag?.('simulacrum', this._getPersistenceKey(), {
+        entries: this.entries,
+      });
+    } catch (error) {
+      logger.warn('Failed to save the undo journal', error);
+    }
+  }
+
+  /** @private */
+  _getPersistenceKey() {
+    return `${FLAG_KEY}:${game?.world?.id || 'unknown'}`;
+  }
+}
+
+function _describeChange({ action, documentName, name }) {
+  const verb = { create: 'created', update: 'updated', delete: 'deleted' }[action];
+  return `${verb} ${documentName} "${name}"`;
+}
+
+/** Flatten nested objects (not arrays) into dotted keys */
+function _flatten(object, prefix = '', into = {}) {
+  for (const [key, value] of Object.entries(object ?? {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const nested = value && typeof value === 'object' && !Array.isArray(value);
+    if (nested && Object.keys(value).length > 0) _flatten(value, path, into);
+    else into[path] = value;
+  }
+  return into;
+}
+
+function _get(object, parts) {
+  let current = object;
+  for (const part of parts) {
+    if (!current || typeof current !== 'object' || !(part in current)) return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+// Export singleton instance
+export const undoJournal = new UndoJournal();
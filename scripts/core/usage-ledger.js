@@ -0,0 +1,287 @@
+/**
+ * Usage Ledger - Provider-reported token usage and spend per turn, conversation and day
+ * Counts come from the `usage` block of each API response (not our heuristic tokenizer).
+ * Prices are optional and come from the `modelPrices` setting, in USD per million tokens.
+ */
+
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('UsageLedger');
+
+/** Most recent turns kept in the persisted ledger */
+const MAX_TURNS = 50;
+/** Most recent days kept in the persisted ledger */
+const MAX_DAYS = 90;
+
+/**
+ * Read an OpenAI-shaped usage block (providers convert to this shape)
+ * @param {object} usage - `usage` from a chat completion
+ * @returns {{promptTokens: number, completionTokens: number, cachedTokens: number}|null}
+ *   Null when the provider reported no usage
+ */
+export function readUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  const count = value => (Number.isFinite(value) && value > 0 ? value : 0);
+  const promptTokens = count(usage.prompt_tokens);
+  const completionTokens = count(usage.completion_tokens);
+  const cachedTokens = count(usage.prompt_tokens_details?.cached_tokens);
+  if (!promptTokens && !completionTokens) return null;
+  return { promptTokens, completionTokens, cachedTokens: Math.min(cachedTokens, promptTokens) };
+}
+
+/**
+ * Parse the price table setting
+ * One model per line: `model = input / output [/ cached]`, in USD per million tokens.
+ * A trailing `*` matches any model starting with the prefix; `#` starts a comment.
+ * @param {string} text - Setting value
+ * @returns {Array<{pattern: string, input: number, output: number, cached: number}>}
+ */
+export function parsePriceTable(text) {
+  const table = [];
+  const lines = String(text || '')
+    .replace(/\\n/g, '\n')
+    .split('\n');
+
+  for (const line of lines) {
+    const entry = line.replace(/#.*/, '').trim();
+    if (!entry) continue;
+    const match = entry.match(/^(.+?)\s*=\s*(.+)$/);
+    const prices = match ? match[2].split('/').map(part => Number(part.trim())) : [];
+    if (prices.length < 2 || prices.some(price => !Number.isFinite(price) || price < 0)) {
+      logger.warn(`Ignoring invalid price table line: ${line}`);
+      continue;
+    }
+    const [input, output, cached = input] = prices;
+    table.push({ pattern: match[1], input, output, cached });
+  }
+  return table;
+}
+
+/**
+ * Find the price entry for a model (exact matches win over the longest prefix match)
+ * @param {string} model - Model ID
+ * @param {Array<object>} table - Parsed price table
+ * @returns {object|null}
+ */
+export function findModelPrice(model, table) {
+  if (!model) return null;
+  const exact = table.find(entry => entry.pattern === model);
+  if (exact) return exact;
+  return (
+    table
+      .filter(entry => entry.pattern.endsWith('*') && model.startsWith(entry.pattern.slice(0, -1)))
+      .sort((a, b) => b.pattern.length - a.pattern.length)[0] || null
+  );
+}
+
+/**
+ * Cost of one request in USD
+ * @param {{promptTokens: number, completionTokens: number, cachedTokens: number}} usage
+ * @param {object|null} price - Price entry, or null when the model is not priced
+ * @returns {number|null} Null when the model is not priced
+ */
+export function computeCost(usage, price) {
+  if (!price) return null;
+  const uncached = usage.promptTokens - usage.cachedTokens;
+  return (
+    (uncached * price.input +
+      usage.cachedTokens * price.cached +
+      usage.completionTokens * price.output) /
+    1e6
+  );
+}
+
+/**
+ * Empty usage totals
+ * @returns {{promptTokens: number, completionTokens: number, cachedTokens: number,
+ *   requests: number, cost: number, unpricedRequests: number, activeMs: number}}
+ */
+export function emptyTotals() {
+  return {
+    promptTokens: 0,
+    completionTokens: 0,
+    cachedTokens: 0,
+    requests: 0,
+    cost: 0,
+    unpricedRequests: 0,
+    activeMs: 0,
+  };
+}
+
+function _addTo(totals, usage, cost) {
+  totals.promptTokens += usage.promptTokens;
+  totals.completionTokens += usage.completionTokens;
+  totals.cachedTokens += usage.cachedTokens;
+  totals.requests += 1;
+  if (cost === null) totals.unpricedRequests += 1;
+  else totals.cost += cost;
+}
+
+/**
+ * Format a USD amount for display
+ * @param {number} cost - Amount in USD
+ * @returns {string}
+ */
+export function formatCost(cost) {
+  return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Format a token count compactly (e.g. 1234 -> "1.2k")
+ * @param {number} tokens - Token count
+ * @returns {string}
+ */
+export function formatTokens(tokens) {
+  if (tokens >= 1e6) return `${(tokens / 1e6).toFixed(1)}M`;
+  if (tokens >= 1e3) return `${(tokens / 1e3).toFixed(1)}k`;
+  return String(tokens);
+}
+
+/**
+ * Token usage and spend for one conversation, plus per-day totals that survive `/clear`
+ */
+export class UsageLedger {
+  constructor() {
+    this.conversation = emptyTotals();
+    /** @type {Object<string, object>} Totals keyed by local date (YYYY-MM-DD) */
+    this.days = {};
+    /** @type {Array<object>} Totals per user turn, oldest first */
+    this.turns = [];
+    /** @type {number} User turns started in this conversation */
+    this.turnCount = 0;
+  }
+
+  /**
+   * Start a new turn (called when the user sends a message)
+   */
+  startTurn() {
+    this.turnCount += 1;
+  }
+
+  /**
+   * Record one API response
+   * @param {object} rawUsage - `usage` block from the response
+   * @param {object} [meta] - Request metadata
+   * @param {string} [meta.model] - Model that answered
+   * @param {string} [meta.provider] - Provider name
+   * @param {Array<object>} [meta.prices] - Parsed price table
+   * @param {Date} [meta.now] - Time of the request
+   * @returns {object|null} The turn totals, or null when the response carried no usage
+   */
+  record(rawUsage, { model = null, provider = null, prices = [], now = new Date() } = {}) {
+    const usage = readUsage(rawUsage);
+    if (!usage) return null;
+    const cost = computeCost(usage, findModelPrice(model, prices));
+
+    _addTo(this.conversation, usage, cost);
+    _addTo(this._getDay(now), usage, cost);
+
+    let turn = this.turns.at(-1);
+    if (!turn || turn.turn !== this.turnCount) {
+      turn = { turn: this.turnCount, at: now.toISOString(), ...emptyTotals() };
+      this.turns.push(turn);
+      if (this.turns.length > MAX_TURNS) this.turns.shift();
+    }
+    _addTo(turn, usage, cost);
+    turn.model = model;
+    turn.provider = provider;
+    return turn;
+  }
+
+  /**
+   * Add time spent working on requests (agent runtime, not time waiting for the user)
+   * @param {number} ms - Milliseconds
+   * @param {Date} [now] - End of the measured span
+   */
+  recordActiveTime(ms, now = new Date()) {
+    if (!(ms > 0)) return;
+    const day = this._getDay(now);
+    day.activeMs = (day.activeMs || 0) + ms;
+    this.conversation.activeMs = (this.conversation.activeMs || 0) + ms;
+    const turn = this.turns.at(-1);
+    if (turn?.turn === this.turnCount) turn.activeMs = (turn.activeMs || 0) + ms;
+  }
+
+  /**
+   * Totals for the turn in progress
+   * @returns {object} Empty totals when nothing has been recorded for it yet
+   */
+  getCurrentTurn() {
+    const turn = this.turns.at(-1);
+    return turn?.turn === this.turnCount ? turn : emptyTotals();
+  }
+
+  /**
+   * Totals for a day
+   * @param {Date} [date] - Day to read (defaults to today)
+   * @returns {object}
+   */
+  getDay(date = new Date()) {
+    return this.days[_dayKey(date)] || emptyTotals();
+  }
+
+  /**
+   * Reset the conversation and turn totals (per-day totals are kept)
+   */
+  resetConversation() {
+    this.conversation = emptyTotals();
+    this.turns = [];
+    this.turnCount = 0;
+  }
+
+  /**
+   * @returns {object} Plain object for persistence
+   */
+  toJSON() {
+    return {
+      conversation: this.conversation,
+      days: this.days,
+      turns: this.turns,
+      turnCount: this.turnCount,
+    };
+  }
+
+  /**
+   * Restore a persisted ledger (tolerates missing or partial state)
+   * @param {object} [state] - Output of {@link UsageLedger#toJSON}
+   * @returns {UsageLedger}
+   */
+  static fromJSON(state) {
+    const ledger = new UsageLedger();
+    if (!state || typeof state !== 'object') return ledger;
+    ledger.conversation = { ...emptyTotals(), ...state.conversation };
+    ledger.days = state.days && typeof state.days === 'object' ? { ...state.days } : {};
+    ledger.turns = Array.isArray(state.turns) ? state.turns.slice(-MAX_TURNS) : [];
+    ledger.turnCount = Number.isFinite(state.turnCount) ? state.turnCount : 0;
+    return ledger;
+  }
+
+  _getDay(date) {
+    const key = _dayKey(date);
+    if (!this.days[key]) {
+      this.days[key] = emptyTotals();
+      const keys = Object.keys(this.days).sort();
+      for (const old of keys.slice(0, Math.max(0, keys.length - MAX_DAYS))) {
+        delete this.days[old];
+      }
+    }
+    return this.days[key];
+  }
+}
+
+function _dayKey(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Read the configured price table
+ * @returns {Array<object>} Parsed price table (empty when unset or unavailable)
+ */
+export function getConfiguredPrices() {
+  try {
+    return parsePriceTable(game.settings.get('simulacrum', 'modelPrices'));
+  } catch {
+    return [];
+  }
+}
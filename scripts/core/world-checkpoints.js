@@ -0,0 +1,320 @@
+/**
+ * World Checkpoints - Saved states of the world's main collections the GM can roll back to
+ * A checkpoint holds the full data (embedded documents included) of every Actor, Item,
+ * JournalEntry, Scene and RollTable of the world. Restoring one puts every document back as it
+ * was, recreates deleted documents with their original IDs and deletes documents created since.
+ * Checkpoints are stored as JSON in this browser's IndexedDB, like the asset index: they can be
+ * large, and they only serve the GM who took them.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const logger = createLogger('WorldCheckpoints');
+
+const DB_NAME = 'simulacrum-checkpoints';
+const DB_VERSION = 1;
+
+/** Document types a checkpoint captures, in the order they are restored */
+export const CHECKPOINT_COLLECTIONS = Object.freeze([
+  'Actor',
+  'Item',
+  'JournalEntry',
+  'Scene',
+  'RollTable',
+]);
+
+/** Most checkpoints kept per world; the oldest are pruned first */
+export const MAX_CHECKPOINTS = 10;
+
+/** Fields that change on every write and say nothing about the content */
+const VOLATILE_FIELDS = ['_stats'];
+
+/**
+ * What restoring a collection takes: documents to recreate, update and delete
+ * @param {Array<object>} saved - Document data in the checkpoint
+ * @param {Array<object>} current - Current document data
+ * @returns {{create: Array<object>, update: Array<object>, remove: Array<string>}} Updates are
+ *   the saved data of documents that differ from it now; `remove` holds IDs
+ */
+export function planRestore(saved, current) {
+  const currentById = new Map(current.map(data => [data._id, data]));
+  const savedIds = new Set(saved.map(data => data._id));
+  return {
+    create: saved.filter(data => !currentById.has(data._id)),
+    update: saved.filter(
+      data => currentById.has(data._id) && !sameContent(data, currentById.get(data._id))
+    ),
+    remove: current.filter(data => !savedIds.has(data._id)).map(data => data._id),
+  };
+}
+
+/**
+ * Whether two versions of a document's data have the same content
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+export function sameContent(a, b) {
+  return JSON.stringify(_withoutVolatile(a)) === JSON.stringify(_withoutVolatile(b));
+}
+
+/**
+ * Agent-facing note about a restored checkpoint, so the agent does not rely on undone work
+ * @param {object} checkpoint - Summary of the restored checkpoint
+ * @returns {string}
+ */
+export function describeRestore(checkpoint) {
+  return (
+    `[The GM restored the world checkpoint "${checkpoint.label}" taken ${checkpoint.createdAt}. ` +
+    'Every change to Actors, Items, Journal Entries, Scenes and Roll Tables made since then, ' +
+    'including yours, no longer applies; documents created since were deleted]'
+  );
+}
+
+/**
+ * Checkpoint storage in IndexedDB: summaries and snapshot JSON are kept in separate stores so
+ * listing checkpoints does not load the snapshots
+ */
+export class CheckpointStore {
+  constructor() {
+    /** @type {Promise<IDBDatabase>|null} */
+    this._db = null;
+  }
+
+  /**
+   * Summaries of the checkpoints of a world
+   * @param {string} worldId
+   * @returns {Promise<Array<object>>}
+   */
+  async list(worldId) {
+    const summaries = await this._request('checkpoints', 'readonly', store =>
+      store.index('worldId').getAll(worldId)
+    );
+    return summaries ?? [];
+  }
+
+  /**
+   * Snapshot JSON of a checkpoint
+   * @param {string} id
+   * @returns {Promise<string|null>}
+   */
+  async read(id) {
+    const record = await this._request('snapshots', 'readonly', store => store.get(id));
+    return record?.json ?? null;
+  }
+
+  /**
+   * Save a checkpoint
+   * @param {object} summary - Summary, keyed by `id`
+   * @param {string} json - Snapshot JSON
+   * @returns {Promise<void>}
+   */
+  async write(summary, json) {
+    const db = await this._open();
+    await _transaction(db, ['checkpoints', 'snapshots'], 'readwrite', tx => {
+      tx.objectStore('checkpoints').put(summary);
+      tx.objectStore('snapshots').put({ id: summary.id, json });
+    });
+  }
+
+  /**
+   * Delete a checkpoint
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    const db = await this._open();
+    await _transaction(db, ['checkpoints', 'snapshots'], 'readwrite', tx => {
+      tx.objectStore('checkpoints').delete(id);
+      tx.objectStore('snapshots').delete(id);
+    });
+  }
+
+  /** @private */
+  async _request(storeName, mode, makeRequest) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /** @private */
+  _open() {
+    this._db ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = event => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains('checkpoints')) {
+          const store = db.createObjectStore('checkpoints', { keyPath: 'id' });
+          store.createIndex('worldId', 'worldId', { unique: false });
+        }
+        if (!db.objectStoreNames.contains('snapshots')) {
+          db.createObjectStore('snapshots', { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this._db;
+  }
+}
+
+/**
+ * Takes, lists, restores and prunes the checkpoints of the current world
+ */
+export class WorldCheckpoints {
+  /**
+   * @param {CheckpointStore} [store] - Where checkpoints are kept
+   */
+  constructor(store = new CheckpointStore()) {
+    this.store = store;
+  }
+
+  /**
+   * Checkpoints of this world, newest first
+   * @returns {Promise<Array<{id: string, worldId: string, label: string, createdAt: string,
+   *   counts: Object<string, number>, size: number}>>}
+   */
+  async list() {
+    const summaries = await this.store.list(_worldId());
+    return summaries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Capture the world's collections; the oldest checkpoints beyond MAX_CHECKPOINTS are pruned
+   * @param {string} [label] - Name shown in the list
+   * @returns {Promise<object>} Summary of the new checkpoint
+   */
+  async create(label) {
+    const snapshot = {};
+    const counts = {};
+    for (const documentName of CHECKPOINT_COLLECTIONS) {
+      const collection = game.collections?.get(documentName);
+      if (!collection) continue;
+      snapshot[documentName] = collection.contents.map(doc => doc.toObject());
+      counts[documentName] = snapshot[documentName].length;
+    }
+    const json = JSON.stringify(snapshot);
+    const createdAt = new Date().toISOString();
+    const summary = {
+      id: foundry.utils.randomID(),
+      worldId: _worldId(),
+      label: String(label ?? '').trim() || new Date(createdAt).toLocaleString(),
+      createdAt,
+      counts,
+      size: json.length,
+    };
+    await this.store.write(summary, json);
+    logger.info(`Checkpoint "${summary.label}" saved (${json.length} characters)`);
+
+    const stale = (await this.list()).slice(MAX_CHECKPOINTS);
+    for (const checkpoint of stale) await this.store.delete(checkpoint.id);
+    return summary;
+  }
+
+  /**
+   * Put every captured collection back as the checkpoint saved it
+   * A collection that fails is reported and the others are still restored.
+   * @param {string} id - Checkpoint ID
+   * @returns {Promise<{checkpoint: object, created: number, updated: number, deleted: number,
+   *   failures: Array<string>}>}
+   */
+  async restore(id) {
+    const checkpoint = (await this.list()).find(summary => summary.id === id);
+    const json = checkpoint ? await this.store.read(id) : null;
+    if (!json) throw new NotFoundError(`Checkpoint ${id} not found`, 'Checkpoint', id);
+
+    const snapshot = JSON.parse(json);
+    const result = { checkpoint, created: 0, updated: 0, deleted: 0, failures: [] };
+    for (const documentName of CHECKPOINT_COLLECTIONS) {
+      if (!Array.isArray(snapshot[documentName])) continue;
+      try {
+        await this._restoreCollection(documentName, snapshot[documentName], result);
+      } catch (error) {
+        logger.warn(`Could not restore ${documentName} documents`, error);
+        result.failures.push(`${documentName}: ${error.message}`);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Delete a checkpoint
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this.store.delete(id);
+  }
+
+  /** @private */
+  async _restoreCollection(documentName, saved, result) {
+    const documentClass = CONFIG[documentName].documentClass;
+    const collection = game.collections.get(documentName);
+    const current = collection.contents.map(doc => doc.toObject());
+    const plan = planRestore(saved, current);
+
+    if (plan.remove.length > 0) await documentClass.deleteDocuments(plan.remove);
+    if (plan.create.length > 0) await documentClass.createDocuments(plan.create, { keepId: true });
+    for (const data of plan.update) await _restoreDocument(collection.get(data._id), data);
+    result.created += plan.create.length;
+    result.updated += plan.update.length;
+    result.deleted += plan.remove.length;
+  }
+}
+
+/**
+ * Put one document back: its own fields are replaced wholesale (fields added since go away),
+ * and each embedded collection is restored like a world collection
+ * @param {foundry.abstract.Document} doc
+ * @param {object} data - Saved document data
+ */
+async function _restoreDocument(doc, data) {
+  const changes = _withoutVolatile(data);
+  const now = doc.toObject();
+  for (const [embeddedName, field] of Object.entries(doc.constructor.metadata?.embedded ?? {})) {
+    if (!Array.isArray(data[field])) continue;
+    delete changes[field];
+    delete now[field];
+    const current = doc.getEmbeddedCollection(embeddedName).contents.map(e => e.toObject());
+    const plan = planRestore(data[field], current);
+    if (plan.remove.length > 0) await doc.deleteEmbeddedDocuments(embeddedName, plan.remove);
+    if (plan.create.length > 0) {
+      await doc.createEmbeddedDocuments(embeddedName, plan.create, { keepId: true });
+    }
+    if (plan.update.length > 0) {
+      await doc.updateEmbeddedDocuments(embeddedName, plan.update.map(_withoutVolatile), {
+        diff: false,
+        recursive: false,
+      });
+    }
+  }
+  if (!sameContent(changes, now)) await doc.update(changes, { diff: false, recursive: false });
+}
+
+function _withoutVolatile(data) {
+  const copy = { ...data };
+  for (const field of VOLATILE_FIELDS) delete copy[field];
+  return copy;
+}
+
+function _transaction(db, storeNames, mode, fill) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    fill(tx);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    // Aborts without a failed request, such as running out of quota, fire only this
+    tx.onabort = () => reject(tx.error ?? new Error('Transaction aborted'));
+  });
+}
+
+function _worldId() {
+  return game?.world?.id || 'unknown';
+}
+
+// Export singleton instance
+export const worldCheckpoints = new WorldCheckpoints();
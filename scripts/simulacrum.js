@@ -25,6 +25,9 @@ try {
 import { InteractionLogDownloader } from './core/interaction-logger.js';
 import { assetIndexService } from './core/asset-index-service.js';
 import { modelService } from './core/model-service.js';
+import { connectionProfiles } from './core/connection-profiles.js';
+import { SimulacrumHooks } from './core/hook-manager.js';
+import { buildAuthHeaders, buildModelsURL } from './core/providers/endpoint-utils.js';
 
 const MODULE_ID = 'simulacrum';
 const MODULE_NAME = 'Simulacrum AI Assistant';
@@ -67,13 +70,8 @@ async function testEndpoint() {
 
     if (!baseURL) return false;
 
-    const modelsURL = baseURL.replace(/\/+$/, '') + '/models';
-    const headers = { 'Content-Type': 'application/json' };
-    if (apiKey) {
-      headers['Authorization'] = `Bearer ${apiKey}`;
-    }
-
-    const response = await fetch(modelsURL, { method: 'GET', headers });
+    const headers = { 'Content-Type': 'application/json', ...buildAuthHeaders(baseURL, apiKey) };
+    const response = await fetch(buildModelsURL(baseURL), { method: 'GET', headers });
     return response.ok;
   } catch (e) {
     logger.debug('Endpoint validation failed:', e);
@@ -156,6 +154,7 @@ async function initializeForGMUser() {
 
   // Validate endpoint - CSS defaults to disabled, this enables if valid
   await validateAndUpdateTabButton();
+  Hooks.on(SimulacrumHooks.PROFILE_CHANGED, () => validateAndUpdateTabButton());
 
   // Expose API
   const module = game.modules.get(MODULE_ID);
@@ -176,6 +175,10 @@ async function initializeForGMUser() {
   const { interactionLogger } = await import('./core/interaction-logger.js');
   await interactionLogger.initialize();
 
+  // Load the undo journal of document changes made by tools
+  const { undoJournal } = await import('./core/undo-journal.js');
+  await undoJournal.initialize();
+
   // Initialize asset index service in background (non-blocking)
   // Search tool will await the index if called before it's ready
   assetIndexService.initialize();
@@ -199,8 +202,11 @@ function registerAPISettings() {
     type: String,
     default: '',
     restricted: true,
-    onChange: async _value => {
+    onChange: async (_value, _options, userId) => {
+      // Profile switches rebuild once after all settings are applied
+      if (connectionProfiles.isApplying) return;
       try {
+        await connectionProfiles.onSettingChange('apiKey', userId);
         modelService.invalidateCache();
         ui.simulacrum?.invalidateModelList();
         await SimulacrumCore.initializeAIClient();
@@ -220,11 +226,13 @@ function registerAPISettings() {
     type: String,
     default: 'http://localhost:11434/v1',
     restricted: true,
-    onChange: async _value => {
+    onChange: async (_value, _options, userId) => {
+      if (connectionProfiles.isApplying) return;
       try {
         modelService.invalidateCache();
         ui.simulacrum?.invalidateModelList(true);
-        await game.settings.set(MODULE_ID, 'model', '');
+        // Also clears the model, when this client made the change
+        await connectionProfiles.onSettingChange('baseURL', userId);
         await SimulacrumCore.initializeAIClient();
         await validateAndUpdateTabButton();
         createLogger('Module').info('AI client reinitialized after baseURL change');
@@ -242,8 +250,10 @@ function registerAPISettings() {
     type: String,
     default: '', // No default - user must select from their configured endpoint
     restricted: true,
-    onChange: async _value => {
+    onChange: async (_value, _options, userId) => {
+      if (connectionProfiles.isApplying) return;
       try {
+        await connectionProfiles.onSettingChange('model', userId);
         await SimulacrumCore.initializeAIClient();
         await validateAndUpdateTabButton();
         createLogger('Module').info('AI client reinitialized after model change');
@@ -263,6 +273,8 @@ function registerAPISettings() {
     type: Number,
     default: 500,
     restricted: true,
+    onChange: (_value, _options, userId) =>
+      connectionProfiles.onSettingChange('apiRequestDelay', userId),
   });
 
   game.settings.register(MODULE_ID, 'toolLoopLimit', {
@@ -317,6 +329,9 @@ Hooks.once('init', async () => {
   try {
     const templates = [
       'modules/simulacrum/templates/simulacrum/sidebar.hbs',
+      'modules/simulacrum/templates/simulacrum/sidebar-threads.hbs',
+      'modules/simulacrum/templates/simulacrum/sidebar-search.hbs',
+      'modules/simulacrum/templates/simulacrum/sidebar-checkpoints.hbs',
       'modules/simulacrum/templates/simulacrum/sidebar-log.hbs',
       'modules/simulacrum/templates/simulacrum/sidebar-input.hbs',
       'modules/simulacrum/templates/simulacrum/message.hbs',
@@ -39,6 +39,7 @@ export class AssetSearchTool extends BaseTool {
         required: ['query'],
       }
     );
+    this.readOnly = true;
   }
 
   /**
@@ -8,6 +8,9 @@ import { SimulacrumError } from '../utils/errors.js';
 import { ValidationUtils } from '../utils/validation.js';
 import { createLogger } from '../utils/logger.js';
 
+/** Milliseconds a tool may run before the registry reports it as timed out */
+export const DEFAULT_TOOL_TIMEOUT = 120000;
+
 /**
  * Base tool that all other tools extend from
  */
@@ -31,6 +34,10 @@ export class BaseTool {
     this.schema = schema;
     this.requiresConfirmation = requiresConfirmation;
     this.responseRequired = responseRequired;
+    /** Whether the tool only reads data; read-only calls from one response run concurrently */
+    this.readOnly = false;
+    /** Milliseconds the tool may run (see ToolRegistry#executeTool); 0 for no limit */
+    this.timeout = DEFAULT_TOOL_TIMEOUT;
     this.documentAPI = null;
     this.logger = createLogger('BaseTool');
   }
@@ -97,6 +104,11 @@ export class BaseTool {
    * Execute the tool with given parameters
    * Must be implemented by subclasses
    * @param {Object} parameters - Tool parameters
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Aborted when the GM cancels or the tool times out;
+   *   long-running tools should stop when it fires
+   * @param {UndoRecording} [options.recording] - Undo journal recording of this call; tools pass
+   *   it to their DocumentAPI writes, which refuse to start once the call is over
    * @returns {Promise<Object>} Result of the tool execution
    */
   async execute() {
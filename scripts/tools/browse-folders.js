@@ -38,6 +38,7 @@ export class BrowseFoldersTool extends BaseTool {
         required: ['action', 'path'],
       }
     );
+    this.readOnly = true;
   }
 
   /**
@@ -65,7 +65,7 @@ export class DocumentCopyTool extends BaseTool {
     };
   }
 
-  async execute(args) {
+  async execute(args, { recording } = {}) {
     if (!this.documentAPI) {
       throw new Error('DocumentAPI not available to Tool');
     }
@@ -83,7 +83,8 @@ export class DocumentCopyTool extends BaseTool {
       const { createdDoc, targetDesc } = await this._createTarget(
         documentType, 
         cloneData, 
-        targetLocation
+        targetLocation,
+        recording
       );
 
       return this.createSuccessResponse(
@@ -133,9 +134,11 @@ export class DocumentCopyTool extends BaseTool {
     return cloneData;
   }
 
-  async _createTarget(documentType, cloneData, location) {
+  async _createTarget(documentType, cloneData, location, recording) {
     if (location.type === 'world') {
-      const createdDoc = await this.documentAPI.createDocument(documentType, cloneData);
+      const createdDoc = await this.documentAPI.createDocument(documentType, cloneData, {
+        recording
+      });
       return { createdDoc, targetDesc: 'World' };
     } 
     
@@ -144,10 +147,11 @@ export class DocumentCopyTool extends BaseTool {
       const packCollection = game.packs.get(location.pack);
       if (!packCollection) throw new Error(`Target pack not found: ${location.pack}`);
       if (packCollection.locked) throw new Error(`Target pack is locked: ${location.pack}`);
-      const created = await CONFIG[documentType].documentClass.create(cloneData, { 
-        pack: location.pack 
+      const createdDoc = await this.documentAPI.createDocument(documentType, cloneData, {
+        pack: location.pack,
+        recording
       });
-      return { createdDoc: created.toObject(), targetDesc: `Compendium (${location.pack})` };
+      return { createdDoc, targetDesc: `Compendium (${location.pack})` };
     } 
     
     if (location.type === 'embedded') {
@@ -158,7 +162,7 @@ export class DocumentCopyTool extends BaseTool {
          embeddedName: documentType,
          action: 'insert',
          data: cloneData
-      }]);
+      }], { recording });
       const targetDesc = `Embedded (${location.parentType}: ${location.parentId})`;
       const createdDoc = { name: cloneData.name, _id: "embedded_copied", ...cloneData };
       return { createdDoc, targetDesc };
@@ -61,21 +61,14 @@ export class DocumentCreateTool extends BaseTool {
   }
 
   /**
-   * Get confirmation details for this tool
+   * Dry run for the confirmation card: the document this call would create
+   * Field values are shown as given; reshaping and schema defaults happen only on execute.
+   * @param {Object} params - Tool parameters
+   * @returns {Promise<{before: Object, after: Object}|null>} Null for compendium packs
    */
-  async getConfirmationDetails(params) {
-    const { documentType, data } = params;
-
-    // Mock DocumentAPI call (would be real in actual implementation)
-    const mockSchema = { fields: ['name', 'type'], systemFields: ['attributes'] };
-
-    return {
-      type: 'create',
-      title: `Create ${documentType} Document`,
-      details: `Creating ${documentType}: ${data.name || 'Unnamed'}`,
-      availableFields: mockSchema.fields,
-      systemFields: mockSchema.systemFields,
-    };
+  async previewChanges(params) {
+    if (params.documentType === 'Compendium') return null;
+    return { before: {}, after: params.data ?? {} };
   }
 
   /**
@@ -172,9 +165,11 @@ export class DocumentCreateTool extends BaseTool {
   /**
    * Execute document creation
    * @param {Object} parameters - Creation parameters
+   * @param {Object} [options]
+   * @param {UndoRecording} [options.recording] - Undo journal recording of this call
    * @returns {Promise<Object>} Creation result
    */
-  async execute(parameters) {
+  async execute(parameters, { recording } = {}) {
     try {
       const { documentType, data } = parameters;
 
@@ -240,7 +235,6 @@ export class DocumentCreateTool extends BaseTool {
         this.#reshapeData(data, documentClass, data.type);
       }
 
-      let document;
       if (parameters.pack) {
         const packCollection = game.packs.get(parameters.pack);
         if (!packCollection) {
@@ -268,19 +262,14 @@ export class DocumentCreateTool extends BaseTool {
             error: { message: `Type mismatch`, type: 'TYPE_MISMATCH' },
           };
         }
-
-        // Create directly in pack - wrap in try/catch to capture validation errors
-        // that Foundry might throw during creation
-        try {
-          document = await documentClass.create(data, { pack: parameters.pack });
-        } catch (packCreateError) {
-          // Re-throw to be handled by the outer catch block with ValidationErrorHandler
-          throw packCreateError;
-        }
-      } else {
-        document = await DocumentAPI.createDocument(documentType, data);
       }
 
+      // Pack creates go through the DocumentAPI too, so the undo journal records them
+      const document = await DocumentAPI.createDocument(documentType, data, {
+        pack: parameters.pack,
+        recording,
+      });
+
       if (!document) {
         // Foundry sometimes returns null/undefined on validation failure instead of throwing
         // This can happen when strict validation fails during document instantiation
@@ -342,7 +331,7 @@ export class DocumentCreateTool extends BaseTool {
     } catch (error) {
       // Attempt to auto-correct invalid document ID fields and retry once
       try {
-        const retryResult = await this.#retryWithCorrectedIds(error, parameters);
+        const retryResult = await this.#retryWithCorrectedIds(error, parameters, recording);
         if (retryResult) return retryResult;
       } catch {
         // Retry also failed — fall through to original error response
@@ -470,9 +459,10 @@ export class DocumentCreateTool extends BaseTool {
    * fields, and retry the creation — reporting what was auto-corrected.
    * @param {Error} error - The original validation error from Foundry
    * @param {Object} parameters - The tool parameters (data is mutated in place)
+   * @param {UndoRecording} [recording] - Undo journal recording of this call
    * @returns {Promise<Object|null>} Success response with warnings, or null if not an ID error
    */
-  async #retryWithCorrectedIds(error, parameters) {
+  async #retryWithCorrectedIds(error, parameters, recording) {
     const parsed = ValidationErrorHandler.parseFoundryValidationError(error);
     if (!parsed) return null;
 
@@ -501,13 +491,10 @@ export class DocumentCreateTool extends BaseTool {
 
     // Retry the creation with corrected data
     const { DocumentAPI } = await import('../core/document-api.js');
-    let document;
-    if (parameters.pack) {
-      const documentClass = CONFIG[parameters.documentType]?.documentClass;
-      document = await documentClass.create(parameters.data, { pack: parameters.pack });
-    } else {
-      document = await DocumentAPI.createDocument(parameters.documentType, parameters.data);
-    }
+    const document = await DocumentAPI.createDocument(parameters.documentType, parameters.data, {
+      pack: parameters.pack,
+      recording,
+    });
 
     if (!document) return null;
 
@@ -64,25 +64,28 @@ class DocumentDeleteTool extends BaseTool {
   }
 
   /**
-   * Get confirmation details for document deletion
+   * Dry run for the confirmation card: the document this call would delete
    * @param {Object} params - Tool parameters
-   * @returns {Object} Confirmation details
+   * @returns {Promise<{before: Object, after: Object}|null>} Null for compendium packs
    */
-  async getConfirmationDetails(params) {
-    // Show what will be deleted
-    return {
-      type: 'delete',
-      title: `Delete ${params.documentType} Document`,
-      details: `Permanently delete ${params.documentType} document with ID: ${params.documentId}`,
-    };
+  async previewChanges(params) {
+    if (params.documentType === 'Compendium') return null;
+    const documentId = BaseTool.extractRawId(String(params.documentId ?? ''));
+    const before = await DocumentAPI.getDocument(params.documentType, documentId, {
+      includeEmbedded: true,
+      pack: params.pack,
+    });
+    return { before, after: {} };
   }
 
   /**
    * Execute the tool
    * @param {Object} params - Tool parameters
+   * @param {Object} [options]
+   * @param {UndoRecording} [options.recording] - Undo journal recording of this call
    * @returns {Object} Tool result
    */
-  async execute(params) {
+  async execute(params, { recording } = {}) {
     // Extract raw ID from UUID references that models may pass
     if (typeof params.documentId === 'string') {
       params.documentId = BaseTool.extractRawId(params.documentId);
@@ -106,7 +109,7 @@ class DocumentDeleteTool extends BaseTool {
       // Enforce read-before-delete
       await this.#enforceReadBeforeDelete(params.documentType, params.documentId, params.pack);
 
-      const deleteOpts = params.pack ? { pack: params.pack } : {};
+      const deleteOpts = params.pack ? { pack: params.pack, recording } : { recording };
       await DocumentAPI.deleteDocument(params.documentType, params.documentId, deleteOpts);
       documentReadRegistry.unregister(params.documentType, params.documentId);
 
@@ -40,6 +40,7 @@ class DocumentListTool extends BaseTool {
         },
       }
     );
+    this.readOnly = true;
   }
 
   /**
@@ -65,15 +65,15 @@ export class DocumentMoveTool extends BaseTool {
     };
   }
 
-  async execute(args) {
+  async execute(args, { recording } = {}) {
     if (!this.documentAPI) {
       throw new Error('DocumentAPI not available to Tool');
     }
 
-    const { documentType, sourceId, sourceLocation, targetLocation, newName } = args;
+    const { documentType, sourceId, sourceLocation, targetLocation } = args;
 
     if (sourceLocation.type === 'world' && targetLocation.type === 'world') {
-      return this._handleWorldFolderMove(documentType, sourceId, targetLocation, newName);
+      return this._handleWorldFolderMove(args, recording);
     }
 
     const { toolRegistry } = await import('../core/tool-registry.js');
@@ -83,12 +83,12 @@ export class DocumentMoveTool extends BaseTool {
     }
 
     try {
-      const copyResult = await copyTool.execute(args);
+      const copyResult = await copyTool.execute(args, { recording });
       if (copyResult.error) {
         return this.createErrorResponse(`Copy phase failed: ${copyResult.error}`);
       }
 
-      await this._deleteOriginal(documentType, sourceId, sourceLocation);
+      await this._deleteOriginal(documentType, sourceId, sourceLocation, recording);
 
       const parsed = this._parseCopyResult(copyResult, documentType);
       return this.createSuccessResponse(
@@ -100,7 +100,7 @@ export class DocumentMoveTool extends BaseTool {
     }
   }
 
-  async _handleWorldFolderMove(documentType, sourceId, targetLocation, newName) {
+  async _handleWorldFolderMove({ documentType, sourceId, targetLocation, newName }, recording) {
     try {
       const updates = {};
       if (newName) updates.name = newName;
@@ -110,7 +110,8 @@ export class DocumentMoveTool extends BaseTool {
           const updatedDoc = await this.documentAPI.updateDocument(
             documentType, 
             sourceId, 
-            updates
+            updates,
+            { recording }
           );
           return this.createSuccessResponse(
             `{ "message": "Moved ${documentType}", "id": "${updatedDoc._id}" }`,
@@ -126,21 +127,20 @@ export class DocumentMoveTool extends BaseTool {
     }
   }
 
-  async _deleteOriginal(documentType, sourceId, location) {
+  async _deleteOriginal(documentType, sourceId, location, recording) {
     if (location.type === 'world') {
-      await this.documentAPI.deleteDocument(documentType, sourceId);
+      await this.documentAPI.deleteDocument(documentType, sourceId, { recording });
     } else if (location.type === 'compendium') {
-      const packCollection = game.packs.get(location.pack);
-      if (!packCollection) throw new Error(`Target pack not found: ${location.pack}`);
-      if (packCollection.locked) throw new Error(`Target pack is locked: ${location.pack}`);
-      const doc = await packCollection.getDocument(sourceId);
-      if (doc) await doc.delete();
+      await this.documentAPI.deleteDocument(documentType, sourceId, {
+        pack: location.pack,
+        recording
+      });
     } else if (location.type === 'embedded') {
       await this.documentAPI.applyEmbeddedOperations(location.parentType, location.parentId, [{
          embeddedName: documentType,
          action: 'delete',
          targetId: sourceId
-      }]);
+      }], { recording });
     }
   }
 
@@ -68,9 +68,11 @@ export class DocumentOwnershipTool extends BaseTool {
    * @param {string} params.document_type - Document type
    * @param {string} params.document_id - Document ID
    * @param {Object} params.ownership - Ownership mapping
+   * @param {Object} [options]
+   * @param {UndoRecording} [options.recording] - Undo journal recording of this call
    * @returns {Promise<Object>} Result of the operation
    */
-  async execute(params) {
+  async execute(params, { recording } = {}) {
     const { document_type, document_id, ownership } = params;
 
     // Validate parameters
@@ -117,7 +119,10 @@ export class DocumentOwnershipTool extends BaseTool {
 
     try {
       // Update the document
+      recording?.assertOpen();
+      const before = recording?.snapshot(doc);
       await doc.update({ ownership });
+      recording?.updated(doc, { ownership }, before);
 
       logger.info(`Ownership updated for ${document_type} "${doc.name}" (${document_id})`);
 
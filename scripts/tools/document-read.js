@@ -16,6 +16,7 @@ export class DocumentReadTool extends BaseTool {
       'read_document',
       "Read a document's full data by type and ID. Returns the complete JSON representation including all fields and, optionally, embedded documents (items, pages, effects, etc.). Use `list_documents` or `search_documents` to discover document IDs. This tool must be called before `update_document` or `delete_document` can modify the same document."
     );
+    this.readOnly = true;
     this.logger = createLogger('DocumentReadTool');
     this.schema = {
       type: 'object',
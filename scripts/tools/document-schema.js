@@ -27,6 +27,7 @@ class DocumentSchemaTool extends BaseTool {
         required: ['documentType'],
       }
     );
+    this.readOnly = true;
   }
 
   async execute(params) {
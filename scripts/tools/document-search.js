@@ -42,6 +42,7 @@ class DocumentSearchTool extends BaseTool {
         required: ['query'],
       }
     );
+    this.readOnly = true;
   }
 
   /**
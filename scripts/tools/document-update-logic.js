@@ -392,6 +392,42 @@ export class DocumentUpdateLogic {
     });
   }
 
+  /**
+   * Apply an update to a copy of the document data without saving it (dry run)
+   * @param {object} document - Document data (`toObject()`), embedded collections included
+   * @param {object} [updates] - Field updates, dot notation allowed, `-=key` deletes
+   * @param {Array<object>} [embeddedOperations] - Operations from prepareEmbeddedOperation
+   * @returns {object} The resulting document data
+   */
+  static simulateUpdate(document, updates = {}, embeddedOperations = []) {
+    const result = this.cloneValue(document) ?? {};
+    for (const [path, value] of Object.entries(updates ?? {})) {
+      const segments = path.split('.');
+      const last = segments.pop();
+      if (last.startsWith('-=')) {
+        const parent = segments.reduce((current, segment) => current?.[segment], result);
+        if (parent && typeof parent === 'object') delete parent[last.slice(2)];
+      } else {
+        this._applyNestedValue(result, [...segments, last], this.cloneValue(value));
+      }
+    }
+    for (const operation of embeddedOperations) {
+      if (!Array.isArray(result[operation.collection])) result[operation.collection] = [];
+      const entries = result[operation.collection];
+      const position = entries.findIndex(entry => entry?._id === operation.targetId);
+      if (operation.action === 'insert') {
+        entries.splice(operation.index ?? entries.length, 0, this.cloneValue(operation.data));
+      } else if (position !== -1 && operation.action === 'delete') {
+        entries.splice(position, 1);
+      } else if (position !== -1) {
+        const changes = { ...operation.data };
+        delete changes._id;
+        entries[position] = this.simulateUpdate(entries[position], changes);
+      }
+    }
+    return result;
+  }
+
   static performArrayOperation(currentArray, operation, index) {
     const clonedArray = Array.isArray(currentArray) ? this.cloneValue(currentArray) : [];
     if (!Array.isArray(clonedArray)) {
@@ -103,29 +103,39 @@ class DocumentUpdateTool extends BaseTool {
     this.logger = createLogger('DocumentUpdateTool');
   }
 
-  // eslint-disable-next-line no-unused-vars
-  getConfirmationDetails(params) {
+  /**
+   * Dry run for the confirmation card: the document before and after this call, computed
+   * through the same operation plan as {@link execute} but without saving
+   * @param {Object} params - Tool parameters
+   * @returns {Promise<{before: Object, after: Object}|null>} Null for compendium packs
+   */
+  async previewChanges(params) {
+    if (params.documentType === 'Compendium') return null;
+    const normalizedParams = { ...params };
+    if (typeof normalizedParams.documentId === 'string') {
+      normalizedParams.documentId = BaseTool.extractRawId(normalizedParams.documentId.trim());
+    }
+    this._validateBasicParams(normalizedParams);
+    const { documentType, documentId, pack } = normalizedParams;
+    const { updates, embeddedOperations } = await this.#buildOperationPlan(normalizedParams);
+    const before = await DocumentAPI.getDocument(documentType, documentId, {
+      includeEmbedded: true,
+      pack,
+    });
     return {
-      title: `Update ${params.documentType}`,
-      html: `
-        <div class="simulacrum-confirmation">
-          <p><strong>Type:</strong> ${params.documentType}</p>
-          <p><strong>ID:</strong> ${params.documentId}</p>
-          <div class="code-preview">
-            ${params.updates ? `<strong>Updates:</strong><pre>${JSON.stringify(params.updates, null, 2)}</pre>` : ''}
-            ${params.operations ? `<strong>Operations:</strong><pre>${JSON.stringify(params.operations, null, 2)}</pre>` : ''}
-          </div>
-        </div>
-      `,
+      before,
+      after: DocumentUpdateLogic.simulateUpdate(before, updates, embeddedOperations),
     };
   }
 
   /**
    * Execute the tool
    * @param {Object} params - Tool parameters
+   * @param {Object} [options]
+   * @param {UndoRecording} [options.recording] - Undo journal recording of this call
    * @returns {Object} Tool result
    */
-  async execute(params) {
+  async execute(params, { recording } = {}) {
     if (isDebugEnabled()) {
       this.logger.info('Starting execute with params:', params);
     }
@@ -188,7 +198,7 @@ class DocumentUpdateTool extends BaseTool {
         throw new ToolValidationError('No updates provided. Supply `updates` or `operations`.');
       }
 
-      await this.#applyOperations(normalizedParams, updates, embeddedOperations);
+      await this.#applyOperations(normalizedParams, updates, embeddedOperations, recording);
 
       return await this.#buildSuccessResponse(normalizedParams);
     } catch (error) {
@@ -312,13 +322,14 @@ class DocumentUpdateTool extends BaseTool {
     }
   }
 
-  async #applyOperations(params, updates, embeddedOperations) {
+  async #applyOperations(params, updates, embeddedOperations, recording) {
     if (embeddedOperations.length) {
       if (isDebugEnabled()) this.logger.info('Applying embedded operations:', embeddedOperations);
       await DocumentAPI.applyEmbeddedOperations(
         params.documentType,
         params.documentId,
-        embeddedOperations
+        embeddedOperations,
+        { recording }
       );
     }
 
@@ -327,6 +338,7 @@ class DocumentUpdateTool extends BaseTool {
         this.logger.info('Calling DocumentAPI.updateDocument() with updates:', updates);
       await DocumentAPI.updateDocument(params.documentType, params.documentId, updates, {
         pack: params.pack,
+        recording,
       });
     }
   }
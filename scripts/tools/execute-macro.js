@@ -9,7 +9,7 @@ export class ExecuteMacroTool extends BaseTool {
   constructor() {
     super(
       'execute_macro',
-      'Execute a FoundryVTT macro by name or UUID. Macros are user-defined scripts that automate game actions such as rolling dice, applying effects, or modifying tokens. Provide `uuid` for precise targeting or `name` to search by macro name. Only GMs can execute macros through this tool.',
+      'Execute a FoundryVTT macro by name or UUID. Macros are user-defined scripts that automate game actions such as rolling dice, applying effects, or modifying tokens. Provide `uuid` for precise targeting or `name` to search by macro name. Only GMs can execute macros through this tool. A macro that runs longer than 60 seconds is reported as timed out; it receives an AbortSignal as `signal` so it can stop.',
       {
         type: 'object',
         properties: {
@@ -31,6 +31,8 @@ export class ExecuteMacroTool extends BaseTool {
         },
       }
     );
+    // A macro awaiting a dialog nobody answers must not hold up the tool loop
+    this.timeout = 60000;
   }
 
   getParameterSchema() {
@@ -42,9 +44,11 @@ export class ExecuteMacroTool extends BaseTool {
    * @param {string} [args.name]
    * @param {string} [args.uuid]
    * @param {object} [args.args]
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Passed to the macro as `scope.signal`
    * @returns {Promise<Object>} Result with content and display
    */
-  async execute({ name, uuid, args = {} } = {}) {
+  async execute({ name, uuid, args = {} } = {}, { signal } = {}) {
     if (!game.user.isGM) {
       return this.handleError(
         'Permission denied: Only GMs can execute macros via Simulacrum.',
@@ -80,7 +84,7 @@ export class ExecuteMacroTool extends BaseTool {
 
     try {
       // Execute the macro, passing args in the scope
-      const result = await macro.execute(args);
+      const result = await macro.execute({ ...args, signal });
       const resultStr = result !== undefined ? `\nResult: ${JSON.stringify(result)}` : '';
       const content = `Successfully executed macro: ${macro.name}${resultStr}`;
       const display = `Executed macro: ${macro.name}`;
@@ -0,0 +1,54 @@
+/**
+ * Forget Tool - Remove a fact from the world's campaign memory
+ */
+
+import { BaseTool } from './base-tool.js';
+import { campaignMemory } from '../core/campaign-memory.js';
+
+/**
+ * Tool to delete a campaign memory that is wrong or no longer applies
+ */
+export class ForgetTool extends BaseTool {
+  constructor() {
+    super(
+      'forget',
+      'Delete a campaign memory that is wrong, outdated, or that the GM asks you to forget. Use the memory ID shown in the Campaign Memory section of your instructions or returned by `recall`. To correct a memory, use `remember` with its ID instead.',
+      null,
+      true // requiresConfirmation
+    );
+  }
+
+  /** @override */
+  getParameterSchema() {
+    return this._addResponseParam({
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'ID of the memory to delete.',
+        },
+      },
+      required: ['id'],
+    });
+  }
+
+  /**
+   * Execute the forget tool
+   * @param {Object} params - Tool parameters
+   * @returns {Promise<Object>} Result naming the deleted memory
+   */
+  async execute(params) {
+    if (!params.id || typeof params.id !== 'string') {
+      return this.handleError('id is required and must be a string', 'ValidationError');
+    }
+
+    const memory = await campaignMemory.forget(params.id);
+    if (!memory) {
+      return this.handleError(`No memory with ID "${params.id}"`, 'NotFoundError');
+    }
+    return this.createSuccessResponse(
+      `Forgot (id: ${memory.id}): ${memory.text}`,
+      `Forgot: ${memory.text}`
+    );
+  }
+}
@@ -1,67 +1,76 @@
 import { BaseTool } from './base-tool.js';
 import { SimulacrumHooks } from '../core/hook-manager.js';
+import { worldCheckpoints } from '../core/world-checkpoints.js';
 
-export class ManageTaskTool extends BaseTool {
-  constructor() {
-    super(
-      'manage_task',
-      'Track progress on multi-step tasks with a visual step tracker shown to the user. Call with "start_task" to define a task with named steps, "update_task" to advance to each step as you work, and "finish_task" to complete the task with a summary. The final step in every task must have the title "Summary".',
-      {
+/** Parameters of manage_task */
+const TASK_PARAMETERS = {
+  type: 'object',
+  properties: {
+    action: {
+      type: 'string',
+      enum: ['start_task', 'update_task', 'finish_task'],
+      description:
+        'The lifecycle action: "start_task" creates a new task with a name, goal, and step list. "update_task" advances to a step and reports progress. "finish_task" completes the task and displays a summary.',
+    },
+    taskName: {
+      type: 'string',
+      description: 'The display name for the task (required for start_task).',
+    },
+    taskGoal: {
+      type: 'string',
+      description:
+        'A brief description of what the task aims to accomplish (required for start_task).',
+    },
+    steps: {
+      type: 'array',
+      items: {
         type: 'object',
         properties: {
-          action: {
-            type: 'string',
-            enum: ['start_task', 'update_task', 'finish_task'],
-            description:
-              'The lifecycle action: "start_task" creates a new task with a name, goal, and step list. "update_task" advances to a step and reports progress. "finish_task" completes the task and displays a summary.',
-          },
-          taskName: {
-            type: 'string',
-            description: 'The display name for the task (required for start_task).',
-          },
-          taskGoal: {
-            type: 'string',
-            description:
-              'A brief description of what the task aims to accomplish (required for start_task).',
-          },
-          steps: {
-            type: 'array',
-            items: {
-              type: 'object',
-              properties: {
-                title: {
-                  type: 'string',
-                  description:
-                    'A short label for the step (e.g., "Research", "Implement", "Verify", "Summary").',
-                },
-                description: {
-                  type: 'string',
-                  description: 'A description of what this step accomplishes.',
-                },
-              },
-              required: ['title', 'description'],
-            },
-            description:
-              'The ordered list of steps for the task (required for start_task). Each step has a `title` and `description`. The last step must have title "Summary".',
-          },
-          currentStep: {
-            type: 'integer',
-            description:
-              'The 0-indexed step number to advance to (for update_task). All steps before this index are marked completed.',
-          },
-          status: {
+          title: {
             type: 'string',
             description:
-              'A human-readable progress message for the current step (e.g., "Researching existing documents", "Creating the NPC actor"). Do not use machine-style values like "in_progress" or "completed".',
+              'A short label for the step (e.g., "Research", "Implement", "Verify", "Summary").',
           },
-          summary: {
+          description: {
             type: 'string',
-            description:
-              'A concise summary of what was accomplished (required for finish_task). This text is displayed as the final Summary step content.',
+            description: 'A description of what this step accomplishes.',
           },
         },
-        required: ['action'],
-      }
+        required: ['title', 'description'],
+      },
+      description:
+        'The ordered list of steps for the task (required for start_task). Each step has a `title` and `description`. The last step must have title "Summary".',
+    },
+    currentStep: {
+      type: 'integer',
+      description:
+        'The 0-indexed step number to advance to (for update_task). All steps before this index are marked completed.',
+    },
+    status: {
+      type: 'string',
+      description:
+        'A human-readable progress message for the current step (e.g., "Researching existing documents", "Creating the NPC actor"). Do not use machine-style values like "in_progress" or "completed".',
+    },
+    checkpoint: {
+      type: 'boolean',
+      description:
+        'For start_task: set to true when the task will create, change or delete many documents. A checkpoint of all Actors, Items, Journal Entries, Scenes and Roll Tables is saved first, so the GM can roll the whole world back to it.',
+    },
+    summary: {
+      type: 'string',
+      description:
+        'A concise summary of what was accomplished (required for finish_task). This text is displayed as the final Summary step content.',
+    },
+  },
+  required: ['action'],
+};
+
+export class ManageTaskTool extends BaseTool {
+  constructor() {
+    super(
+      'manage_task',
+      'Track progress on multi-step tasks with a visual step tracker shown to the user. Call with "start_task" to define a task with named steps, "update_task" to advance to each step as you work, and "finish_task" to complete the task with a summary. The final step in every task must have the title "Summary".',
+      TASK_PARAMETERS
     );
 
     this.currentTask = null;
@@ -71,7 +80,9 @@ export class ManageTaskTool extends BaseTool {
     const { action } = params;
 
     if (action === 'start_task') {
-      return this._startTask(params);
+      const result = this._startTask(params);
+      if (params.checkpoint && !result.error) await this._takeCheckpoint(params.taskName, result);
+      return result;
     }
 
     if (action === 'update_task') {
@@ -145,6 +156,23 @@ export class ManageTaskTool extends BaseTool {
     };
   }
 
+  /**
+   * Save a world checkpoint before the task changes anything and report it in the result
+   * @param {string} taskName - Label of the checkpoint
+   * @param {object} result - start_task result, extended in place
+   */
+  async _takeCheckpoint(taskName, result) {
+    try {
+      const checkpoint = await worldCheckpoints.create(taskName);
+      result.content += `\nCheckpoint saved: "${checkpoint.label}" (the GM can restore it)`;
+    } catch (error) {
+      this.logger.warn('Could not save a checkpoint', error);
+      result.content +=
+        `\nCheckpoint failed: ${error.message}. ` +
+        'Tell the GM there is no checkpoint before making large changes.';
+    }
+  }
+
   _updateTask({ currentStep, status }) {
     if (!this.currentTask) return { content: 'No active task to update.', display: '' };
 
@@ -19,6 +19,7 @@ export class ReadToolOutputTool extends BaseTool {
       null,
       false
     );
+    this.readOnly = true;
   }
 
   /**
@@ -0,0 +1,67 @@
+/**
+ * Recall Tool - Search the world's campaign memory
+ */
+
+import { BaseTool } from './base-tool.js';
+import { campaignMemory } from '../core/campaign-memory.js';
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Tool to look up campaign memories beyond the ones already in the system prompt
+ */
+export class RecallTool extends BaseTool {
+  constructor() {
+    super(
+      'recall',
+      'Search the campaign memory for facts saved in earlier sessions. The most relevant memories are already listed in your instructions; use this to look for others, or with an empty query to list everything that is remembered.',
+      null,
+      false
+    );
+    this.readOnly = true;
+  }
+
+  /** @override */
+  getParameterSchema() {
+    return this._addResponseParam({
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Words to search for in memory text and tags. Leave empty to list all.',
+        },
+        limit: {
+          type: 'integer',
+          description: `Maximum number of memories to return (default ${DEFAULT_LIMIT}).`,
+        },
+      },
+      required: [],
+    });
+  }
+
+  /**
+   * Execute the recall tool
+   * @param {Object} params - Tool parameters
+   * @returns {Promise<Object>} Result listing matching memories with their IDs
+   */
+  async execute(params) {
+    const query = typeof params.query === 'string' ? params.query : '';
+    const limit = Number.isInteger(params.limit) && params.limit > 0 ? params.limit : DEFAULT_LIMIT;
+    const memories = campaignMemory.recall(query, limit);
+
+    if (memories.length === 0) {
+      return this.createSuccessResponse(
+        query ? `No memories match "${query}".` : 'Nothing is remembered yet.',
+        'No matching memories'
+      );
+    }
+    const lines = memories.map(memory => {
+      const details = [memory.pinned ? 'pinned' : '', ...memory.tags].filter(Boolean);
+      return `- [${memory.id}] ${memory.text}${details.length ? ` (${details.join(', ')})` : ''}`;
+    });
+    return this.createSuccessResponse(
+      lines.join('\n'),
+      `Recalled ${memories.length} ${memories.length === 1 ? 'memory' : 'memories'}`
+    );
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Remember Tool - Store a fact in the world's campaign memory
+ */
+
+import { BaseTool } from './base-tool.js';
+import { campaignMemory } from '../core/campaign-memory.js';
+
+/**
+ * Tool to add or update a campaign memory that carries over to later sessions and threads
+ */
+export class RememberTool extends BaseTool {
+  constructor() {
+    super(
+      'remember',
+      'Save a lasting fact about this campaign to memory, so it is available in later sessions and other conversation threads. Use it for house rules, player and party preferences ("the party hates necromancers"), recurring decisions and important campaign facts the GM asks you to keep. Keep each memory to one short statement. Pass the `id` of an existing memory (shown in the Campaign Memory section of your instructions or returned by `recall`) to correct it instead of adding a new one.',
+      null,
+      true // requiresConfirmation
+    );
+  }
+
+  /** @override */
+  getParameterSchema() {
+    return this._addResponseParam({
+      type: 'object',
+      properties: {
+        text: {
+          type: 'string',
+          description: 'The fact to remember, as one short self-contained statement.',
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description:
+            'Optional keywords that help find the memory later (e.g., "house-rule", "npc", a character name).',
+        },
+        pinned: {
+          type: 'boolean',
+          description:
+            'Include this memory in every conversation, not only when it looks relevant. Use for house rules and standing preferences.',
+        },
+        id: {
+          type: 'string',
+          description: 'ID of an existing memory to update instead of adding a new one.',
+        },
+      },
+      required: ['text'],
+    });
+  }
+
+  /**
+   * Execute the remember tool
+   * @param {Object} params - Tool parameters
+   * @returns {Promise<Object>} Result with the stored memory
+   */
+  async execute(params) {
+    const { text, tags, pinned, id } = params;
+    if (!text || typeof text !== 'string') {
+      return this.handleError('text is required and must be a string', 'ValidationError');
+    }
+
+    try {
+      const memory = await campaignMemory.remember({ text, tags, pinned, id });
+      return this.createSuccessResponse(
+        `Remembered (id: ${memory.id}): ${memory.text}`,
+        `Remembered: ${memory.text}`
+      );
+    } catch (error) {
+      return this.handleError(error.message, error.name);
+    }
+  }
+}
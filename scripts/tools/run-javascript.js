@@ -1,15 +1,22 @@
 /* eslint-disable no-new-func */
 import { BaseTool } from './base-tool.js';
+import {
+  JavascriptMode,
+  readJavascriptMode,
+  readSandboxOptions,
+  scriptSandbox,
+} from '../core/script-sandbox.js';
 
 /**
  * Tool to execute arbitrary JavaScript code.
- * WARNING: This tool allows full code execution.
+ * Scripts run in the sandbox (see script-sandbox.js) unless the GM opted into unrestricted mode.
+ * WARNING: Unrestricted mode allows full code execution.
  */
 export class RunJavascriptTool extends BaseTool {
   constructor() {
     super(
       'run_javascript',
-      'Execute JavaScript code in the FoundryVTT browser context. The script runs with full access to the Foundry API (`game`, `canvas`, `CONFIG`, `ui`, etc.) and can interact with any game data or UI element. Use `return` to send a value back. Console output is captured and included in the result.',
+      'Execute JavaScript code. By default the script runs in a sandbox without network, storage or page access, and only these async APIs (each may be disabled by the GM): `game.<collection>.list({limit, offset})`, `.get(id)` and `.getName(name)` for actors, items, journal, scenes, tables, macros, playlists, cards, folders, messages and combats, returning plain document data; `game.world`, `game.system` and `game.user` summaries; `DocumentAPI.listDocuments`, `getDocument`, `searchDocuments`, `createDocument`, `updateDocument`, `deleteDocument` and `applyEmbeddedOperations`; and `roll(formula, data)`. Sandboxed scripts have a time limit. If the GM enabled unrestricted mode, the script instead runs with full access to the Foundry API (`game`, `canvas`, `CONFIG`, `ui`, etc.) and gets an AbortSignal as `signal`, aborted when the call is cancelled or times out after 60 seconds; long-running unrestricted scripts should check it, and must never loop without awaiting. Use `return` to send a value back. Console output is captured and included in the result.',
       {
         type: 'object',
         properties: {
@@ -22,14 +29,47 @@ export class RunJavascriptTool extends BaseTool {
         required: ['script'],
       }
     );
+    // Sandboxed scripts stop at their own, shorter time limit; this bounds unrestricted ones
+    this.timeout = 60000;
   }
 
   /**
    * @param {object} args
    * @param {string} args.script
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Stops a sandboxed script; passed to unrestricted ones
+   * @param {UndoRecording} [options.recording] - Records a sandboxed script's document changes
    * @returns {Promise<Object>} Result with content and display
    */
-  async execute({ script }) {
+  async execute({ script }, { signal, recording } = {}) {
+    if (readJavascriptMode() === JavascriptMode.UNRESTRICTED) {
+      return this._executeUnrestricted(script, signal);
+    }
+    try {
+      const { result, logs } = await scriptSandbox.run(script, {
+        ...readSandboxOptions(),
+        signal,
+        recording,
+      });
+      return this.createSuccessResponse(
+        `Result: ${result}${formatLogs(logs)}`,
+        'Script executed in the sandbox'
+      );
+    } catch (err) {
+      const message = `Script error: ${err.message}${formatLogs(err.data?.logs ?? [])}`;
+      return this.handleError(message, err.data?.errorName ?? err.constructor.name);
+    }
+  }
+
+  /**
+   * Run the script on the page with the full Foundry API
+   * The script gets the abort signal as `signal`; it cannot be stopped otherwise.
+   * @param {string} script
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Object>} Result with content and display
+   * @private
+   */
+  async _executeUnrestricted(script, signal) {
     const logs = [];
     const originalConsole = console;
 
@@ -58,26 +98,32 @@ export class RunJavascriptTool extends BaseTool {
       },
     };
 
-    const formatLogs = () =>
-      logs.length > 0
-        ? '\nConsole output:\n' + logs.map(l => `[${l.type}] ${l.message}`).join('\n')
-        : '';
-
     try {
       // Use AsyncFunction
       // We pass 'console' as an argument to shadow the global console within the script scope
       const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
-      const fn = new AsyncFunction('console', script);
+      const fn = new AsyncFunction('console', 'signal', script);
 
-      const result = await fn(capturedConsole);
+      const result = await fn(capturedConsole, signal);
 
       const resultStr = result !== undefined ? JSON.stringify(result) : 'undefined';
-      const content = `Result: ${resultStr}${formatLogs()}`;
+      const content = `Result: ${resultStr}${formatLogs(logs)}`;
       const display = `Script executed successfully`;
       return this.createSuccessResponse(content, display);
     } catch (err) {
-      const message = `Script error: ${err.message}${formatLogs()}`;
+      const message = `Script error: ${err.message}${formatLogs(logs)}`;
       return this.handleError(message, err.constructor.name);
     }
   }
 }
+
+/**
+ * Captured console output appended to a result
+ * @param {Array<{type: string, message: string}>} logs
+ * @returns {string}
+ */
+function formatLogs(logs) {
+  return logs.length > 0
+    ? '\nConsole output:\n' + logs.map(l => `[${l.type}] ${l.message}`).join('\n')
+    : '';
+}
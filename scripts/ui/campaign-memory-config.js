@@ -0,0 +1,142 @@
+/**
+ * Campaign Memory Configuration - ApplicationV2 for browsing and editing campaign memories
+ * Uses the modern Foundry V13 HandlebarsApplicationMixin pattern
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { campaignMemory } from '../core/campaign-memory.js';
+
+const logger = createLogger('CampaignMemoryConfig');
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * ApplicationV2 for searching, adding, editing, pinning and deleting campaign memories
+ * Edits are saved as they are made.
+ * @extends ApplicationV2
+ * @mixes HandlebarsApplication
+ */
+export class CampaignMemoryConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @type {string} Current search text */
+  #query = '';
+
+  /** @inheritDoc */
+  static DEFAULT_OPTIONS = {
+    id: 'simulacrum-campaign-memory',
+    tag: 'form',
+    window: {
+      contentClasses: ['standard-form'],
+      icon: 'fa-solid fa-brain',
+      title: 'SIMULACRUM.CampaignMemoryConfig.Title',
+    },
+    position: { width: 560, height: 640 },
+    form: {
+      submitOnChange: true,
+      closeOnSubmit: false,
+      handler: CampaignMemoryConfig.#onSubmit,
+    },
+    actions: {
+      addMemory: CampaignMemoryConfig.#onAddMemory,
+      deleteMemory: CampaignMemoryConfig.#onDeleteMemory,
+    },
+  };
+
+  /** @override */
+  static PARTS = {
+    form: {
+      id: 'form',
+      template: 'modules/simulacrum/templates/campaign-memory-config.hbs',
+      root: true,
+      scrollable: ['.scrollable'],
+    },
+  };
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _prepareContext(_options = {}) {
+    const memories = this.#query
+      ? campaignMemory.recall(this.#query, Infinity)
+      : campaignMemory.list();
+    return {
+      query: this.#query,
+      memories: memories.map(memory => ({ ...memory, tagList: memory.tags.join(', ') })),
+    };
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Listeners and Handlers                */
+  /* -------------------------------------------- */
+
+  /**
+   * Handle form changes - save edited memories and apply the search text
+   * @this {CampaignMemoryConfig}
+   * @param {SubmitEvent} event - Submit event
+   * @param {HTMLFormElement} form - The form element
+   * @param {FormDataExtended} formData - Processed form data
+   */
+  static async #onSubmit(event, form, formData) {
+    const { memories = {}, query = '' } = foundry.utils.expandObject(formData.object);
+
+    let saved = 0;
+    for (const [id, data] of Object.entries(memories)) {
+      const stored = campaignMemory.get(id);
+      const changed =
+        stored &&
+        data.text?.trim() &&
+        (data.text.trim() !== stored.text ||
+          data.tags !== stored.tags.join(', ') ||
+          Boolean(data.pinned) !== stored.pinned);
+      if (!changed) continue;
+      await campaignMemory.remember({
+        id,
+        text: data.text,
+        tags: data.tags,
+        pinned: !!data.pinned,
+      });
+      saved++;
+    }
+    if (saved) logger.info(`Saved ${saved} campaign memory edit(s)`);
+
+    if (query.trim() !== this.#query) {
+      this.#query = query.trim();
+      this.render();
+    }
+  }
+
+  /**
+   * Add the memory typed in the new memory field
+   * @this {CampaignMemoryConfig}
+   */
+  static async #onAddMemory() {
+    const text = this.element.querySelector('[name="newMemory"]')?.value.trim();
+    if (!text) return;
+    await campaignMemory.remember({ text });
+    this.render();
+  }
+
+  /**
+   * Delete the clicked memory after confirmation
+   * @this {CampaignMemoryConfig}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The button element
+   */
+  static async #onDeleteMemory(event, target) {
+    const memory = campaignMemory.get(target.dataset.memoryId);
+    if (!memory) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize('SIMULACRUM.CampaignMemoryConfig.Delete') },
+      content: `<p>${game.i18n.localize('SIMULACRUM.CampaignMemoryConfig.DeleteConfirm')}</p>
+        <blockquote>${foundry.utils.escapeHTML(memory.text)}</blockquote>`,
+      yes: { default: true },
+    });
+
+    if (confirmed) {
+      await campaignMemory.forget(memory.id);
+      this.render();
+    }
+  }
+}
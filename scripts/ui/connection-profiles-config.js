@@ -0,0 +1,141 @@
+/**
+ * Connection Profiles Configuration - ApplicationV2 for managing named connection profiles
+ * Uses the modern Foundry V13 HandlebarsApplicationMixin pattern
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { connectionProfiles } from '../core/connection-profiles.js';
+
+const logger = createLogger('ConnectionProfilesConfig');
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * ApplicationV2 for creating, editing, switching and deleting connection profiles
+ * Edits are saved as they are made; editing the active profile re-applies it.
+ * @extends ApplicationV2
+ * @mixes HandlebarsApplication
+ */
+export class ConnectionProfilesConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @inheritDoc */
+  static DEFAULT_OPTIONS = {
+    id: 'simulacrum-connection-profiles',
+    tag: 'form',
+    window: {
+      contentClasses: ['standard-form'],
+      icon: 'fa-solid fa-plug',
+      title: 'SIMULACRUM.ConnectionProfilesConfig.Title',
+    },
+    position: { width: 560, height: 640 },
+    form: {
+      submitOnChange: true,
+      closeOnSubmit: false,
+      handler: ConnectionProfilesConfig.#onSubmit,
+    },
+    actions: {
+      addProfile: ConnectionProfilesConfig.#onAddProfile,
+      activateProfile: ConnectionProfilesConfig.#onActivateProfile,
+      deleteProfile: ConnectionProfilesConfig.#onDeleteProfile,
+    },
+  };
+
+  /** @override */
+  static PARTS = {
+    form: {
+      id: 'form',
+      template: 'modules/simulacrum/templates/connection-profiles-config.hbs',
+      root: true,
+      scrollable: ['.scrollable'],
+    },
+  };
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _prepareContext(_options = {}) {
+    const activeId = connectionProfiles.getActive()?.id ?? null;
+    return {
+      profiles: connectionProfiles.list().map(profile => ({
+        ...profile,
+        isActive: profile.id === activeId,
+      })),
+    };
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Listeners and Handlers                */
+  /* -------------------------------------------- */
+
+  /**
+   * Handle form changes - save every edited profile
+   * @this {ConnectionProfilesConfig}
+   * @param {SubmitEvent} event - Submit event
+   * @param {HTMLFormElement} form - The form element
+   * @param {FormDataExtended} formData - Processed form data
+   */
+  static async #onSubmit(event, form, formData) {
+    const { profiles = {} } = foundry.utils.expandObject(formData.object);
+    const activeId = connectionProfiles.getActive()?.id ?? null;
+
+    for (const [id, data] of Object.entries(profiles)) {
+      await connectionProfiles.save({ ...data, id });
+    }
+    if (activeId && profiles[activeId]) {
+      await connectionProfiles.activate(activeId);
+    } else {
+      // Only the fallback chain changed; rebuild the client so it picks up the new order
+      const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+      await SimulacrumCore.initializeAIClient();
+    }
+    logger.info(`Saved ${Object.keys(profiles).length} connection profile(s)`);
+  }
+
+  /**
+   * Create a profile from the current connection settings
+   * @this {ConnectionProfilesConfig}
+   */
+  static async #onAddProfile() {
+    const name = game.i18n.format('SIMULACRUM.ConnectionProfilesConfig.DefaultName', {
+      number: connectionProfiles.list().length + 1,
+    });
+    await connectionProfiles.saveCurrentAs(name);
+    this.render();
+  }
+
+  /**
+   * Switch to the clicked profile
+   * @this {ConnectionProfilesConfig}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The button element
+   */
+  static async #onActivateProfile(event, target) {
+    await connectionProfiles.activate(target.dataset.profileId);
+    this.render();
+  }
+
+  /**
+   * Delete the clicked profile after confirmation
+   * @this {ConnectionProfilesConfig}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The button element
+   */
+  static async #onDeleteProfile(event, target) {
+    const profile = connectionProfiles.get(target.dataset.profileId);
+    if (!profile) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize('SIMULACRUM.ConnectionProfilesConfig.Delete') },
+      content: `<p>${game.i18n.format('SIMULACRUM.ConnectionProfilesConfig.DeleteConfirm', {
+        name: foundry.utils.escapeHTML(profile.name),
+      })}</p>`,
+      yes: { default: true },
+    });
+
+    if (confirmed) {
+      await connectionProfiles.delete(profile.id);
+      this.render();
+    }
+  }
+}
@@ -3,9 +3,14 @@
  * Adapted from qwen-code conversation command patterns
  */
 
+import { formatCost, formatTokens } from '../core/usage-ledger.js';
+import { EXPORT_FORMATS } from '../core/conversation-export.js';
+import { promptExportFormat, promptImportFile } from './conversation-transfer.js';
+
 /**
  * @class ConversationCommands
- * @description Handles conversation management commands like /clear, /compress, /stats
+ * @description Handles conversation management commands like /clear, /compress, /stats,
+ *              /export, /import, /search and /undo
  */
 class ConversationCommands {
   /**
@@ -16,6 +21,10 @@ class ConversationCommands {
       clear: 'Clear conversation history',
       compress: 'Compress conversation history to save tokens',
       stats: 'Show conversation statistics',
+      export: 'Export this conversation (markdown, json or journal)',
+      import: 'Import a conversation from a JSON export',
+      search: 'Search every saved conversation and the interaction log',
+      undo: "Undo the agent's last document change (/undo turn for its whole last turn)",
     };
   }
 
@@ -59,6 +68,18 @@ class ConversationCommands {
         case 'stats':
           return this._executeStats(conversationManager);
 
+        case 'export':
+          return this._executeExport(args);
+
+        case 'import':
+          return this._executeImport();
+
+        case 'search':
+          return this._executeSearch(args);
+
+        case 'undo':
+          return this._executeUndo(args);
+
         default:
           return {
             success: false,
@@ -134,6 +155,7 @@ class ConversationCommands {
     message += `• **Tokens**: ${currentTokens} / ${maxTokens} (${tokenUsage}%)\n`;
     message += `• **User**: ${conversationManager.userId}\n`;
     message += `• **World**: ${conversationManager.worldId}`;
+    message += this._formatUsageStats(conversationManager);
 
     if (currentTokens > maxTokens * 0.8) {
       message += '\n⚠️ Warning: Token usage is high. Consider using `/compress`.';
@@ -145,6 +167,131 @@ class ConversationCommands {
     };
   }
 
+  /**
+   * Execute export command (asks for the format when none is given)
+   * @param {Array} args - Optional format: markdown, json or journal
+   * @returns {Promise<Object>} Command result
+   * @private
+   */
+  static async _executeExport(args) {
+    const requested = args[0]?.toLowerCase() === 'md' ? 'markdown' : args[0]?.toLowerCase();
+    if (requested && !EXPORT_FORMATS.includes(requested)) {
+      return {
+        success: false,
+        message: `Unknown export format: ${args[0]}. Use ${EXPORT_FORMATS.join(', ')}.`,
+      };
+    }
+    const format = requested || (await promptExportFormat());
+    if (!format) return { success: false, cancelled: true, message: 'Export cancelled.' };
+
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    const result = await SimulacrumCore.exportConversation(format);
+    if (result?.journal) {
+      result.journal.sheet?.render(true);
+      return {
+        success: true,
+        message: `✅ Conversation saved to the journal entry "${result.journal.name}".`,
+      };
+    }
+    return { success: true, message: `✅ Conversation exported to ${result.filename}.` };
+  }
+
+  /**
+   * Execute import command (asks for the file)
+   * @returns {Promise<Object>} Command result
+   * @private
+   */
+  static async _executeImport() {
+    const text = await promptImportFile();
+    if (!text) return { success: false, cancelled: true, message: 'Import cancelled.' };
+
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    const thread = await SimulacrumCore.importConversation(text);
+    return {
+      success: true,
+      message: `✅ Imported "${thread.name}" as a new conversation thread.`,
+    };
+  }
+
+  /**
+   * Execute search command (results are listed in the sidebar search panel)
+   * @param {Array} args - Search words; "quoted phrases" must occur as written
+   * @returns {Promise<Object>} Command result
+   * @private
+   */
+  static async _executeSearch(args) {
+    const query = args.join(' ');
+    if (!query) {
+      return { success: false, message: 'Usage: /search <words or "a phrase">' };
+    }
+
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    const sidebar = typeof window !== 'undefined' ? window.ui?.simulacrum : null;
+    const { total } =
+      (await sidebar?.openSearch?.(query)) ?? SimulacrumCore.searchConversations(query);
+    // The command result is shown as HTML
+    const shown = foundry.utils.escapeHTML(query);
+    if (total === 0) return { success: true, message: `🔍 No results for ${shown}.` };
+    return {
+      success: true,
+      message: `🔍 ${total} result${total === 1 ? '' : 's'} for ${shown} in the search panel.`,
+    };
+  }
+
+  /**
+   * Execute undo command
+   * @param {Array} args - "turn" to undo every change of the last turn
+   * @returns {Promise<Object>} Command result
+   * @private
+   */
+  static async _executeUndo(args) {
+    const turn = args[0]?.toLowerCase() === 'turn';
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    const { entries, failures } = await SimulacrumCore.undoChanges({ turn });
+    if (entries.length === 0) return { success: true, message: '↩️ Nothing left to undo.' };
+
+    // Tool cards show which calls were undone
+    if (typeof window !== 'undefined') await window.ui?.simulacrum?.reloadMessages?.();
+    const changes = entries.reduce((total, entry) => total + entry.changes.length, 0);
+    const count = changes - failures.length;
+    let message = `↩️ Undid ${count} document change${count === 1 ? '' : 's'}.`;
+    if (failures.length > 0) {
+      // The command result is shown as HTML
+      const reasons = failures.map(failure => `• ${foundry.utils.escapeHTML(failure)}`);
+      message += `\n⚠️ Could not undo:\n${reasons.join('\n')}`;
+    }
+    return { success: failures.length === 0, message };
+  }
+
+  /**
+   * Format provider-reported token usage and spend for the stats command
+   * @param {ConversationManager} conversationManager
+   * @returns {string} Usage lines, or '' when no usage has been recorded
+   * @private
+   */
+  static _formatUsageStats(conversationManager) {
+    const summary = conversationManager.getUsageSummary?.();
+    if (!summary || summary.today.requests === 0) return '';
+
+    const line = (label, totals) => {
+      let text = `• **${label}**: ${formatTokens(totals.promptTokens)} prompt`;
+      if (totals.cachedTokens > 0) text += ` (${formatTokens(totals.cachedTokens)} cached)`;
+      text += ` / ${formatTokens(totals.completionTokens)} completion`;
+      text += ` in ${totals.requests} request${totals.requests === 1 ? '' : 's'}`;
+      if (totals.requests > totals.unpricedRequests) text += ` — ${formatCost(totals.cost)}`;
+      if (totals.unpricedRequests > 0 && totals.unpricedRequests < totals.requests) {
+        text += ` (${totals.unpricedRequests} unpriced)`;
+      }
+      return `${text}\n`;
+    };
+
+    let message = '\n\n📈 **Provider Usage**\n';
+    if (summary.turn) message += line('Last turn', summary.turn);
+    message += line('Conversation', summary.conversation);
+    message += line('Today', summary.today);
+    return message.trimEnd();
+  }
+
   /**
    * Handle a conversation command from the UI
    * @param {string} message - The message that might be a command
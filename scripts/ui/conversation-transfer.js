@@ -0,0 +1,47 @@
+/**
+ * Conversation Transfer - Dialogs choosing how to export a conversation and which file to
+ * import
+ */
+
+/**
+ * Ask which format to export the active thread in
+ * @returns {Promise<'markdown'|'json'|'journal'|null>} Null when the dialog was dismissed
+ */
+export async function promptExportFormat() {
+  const button = (action, icon, label) => ({
+    action,
+    icon,
+    label: game.i18n.localize(label),
+  });
+  const format = await foundry.applications.api.DialogV2.wait({
+    window: { title: game.i18n.localize('SIMULACRUM.Transfer.Export') },
+    content: `<p>${game.i18n.localize('SIMULACRUM.Transfer.ExportHint')}</p>`,
+    buttons: [
+      button('journal', 'fa-solid fa-book-open', 'SIMULACRUM.Transfer.Journal'),
+      button('markdown', 'fa-brands fa-markdown', 'SIMULACRUM.Transfer.Markdown'),
+      button('json', 'fa-solid fa-file-code', 'SIMULACRUM.Transfer.JSON'),
+    ],
+    rejectClose: false,
+  });
+  return format || null;
+}
+
+/**
+ * Ask for a JSON conversation export and read it
+ * @returns {Promise<string|null>} File contents, or null when no file was chosen
+ */
+export async function promptImportFile() {
+  const label = game.i18n.localize('SIMULACRUM.Transfer.ImportFile');
+  const file = await foundry.applications.api.DialogV2.prompt({
+    window: { title: game.i18n.localize('SIMULACRUM.Transfer.Import') },
+    content:
+      `<p>${game.i18n.localize('SIMULACRUM.Transfer.ImportHint')}</p>` +
+      `<label>${label} <input type="file" name="file" accept=".json,application/json"></label>`,
+    ok: {
+      label: game.i18n.localize('SIMULACRUM.Transfer.Import'),
+      callback: (_event, button) => button.form.elements.file.files[0] ?? null,
+    },
+    rejectClose: false,
+  });
+  return file ? foundry.utils.readTextFromFile(file) : null;
+}
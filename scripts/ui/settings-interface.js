@@ -6,6 +6,20 @@
 
 import { createLogger } from '../utils/logger.js';
 import { ToolPermissionsConfig } from './tool-permissions-config.js';
+import { ConnectionProfilesConfig } from './connection-profiles-config.js';
+import { CampaignMemoryConfig } from './campaign-memory-config.js';
+import { connectionProfiles } from '../core/connection-profiles.js';
+import { BUDGET_SETTINGS } from '../core/budget-guard.js';
+import {
+  DEFAULT_TIME_LIMIT,
+  JavascriptMode,
+  SANDBOX_CAPABILITY_DEFAULTS,
+  SANDBOX_CAPABILITY_SETTINGS,
+} from '../core/script-sandbox.js';
+import { getCompactionStrategyChoices } from '../core/compaction-strategies.js';
+
+/** String settings edited as multi-line textareas */
+const TEXTAREA_SETTINGS = ['customSystemPrompt', 'modelPrices'];
 
 /**
  * Helper function that converts an input field for a setting into a textarea.
@@ -74,10 +88,130 @@ function convertSettingToTextarea({
  */
 export function registerAdvancedSettings() {
   _registerCoreSettings();
+  _registerConnectionProfileSettings();
   _registerLegacySettings();
   _registerContextSettings();
   _registerStylingSettings();
   _registerToolPermissionSettings();
+  _registerJavascriptSettings();
+  _registerBudgetSettings();
+  _registerCampaignMemorySettings();
+  _registerCompactionSettings();
+  _registerSharedThreadSettings();
+}
+
+/**
+ * Conversation threads shared between the GMs of the world (see shared-threads.js)
+ */
+function _registerSharedThreadSettings() {
+  game.settings.register('simulacrum', 'sharedThreads', {
+    name: 'Shared Threads',
+    hint: 'Conversation threads shared by every GM of the world, keyed by thread ID.',
+    scope: 'world',
+    config: false, // Managed from the thread picker in the sidebar
+    type: Object,
+    default: {},
+    restricted: true,
+  });
+}
+
+/**
+ * How long conversations are shortened (see compaction-strategies.js)
+ */
+function _registerCompactionSettings() {
+  game.settings.register('simulacrum', 'compactionStrategy', {
+    name: 'SIMULACRUM.Settings.CompactionStrategy',
+    hint: 'SIMULACRUM.Settings.CompactionStrategyHint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: getCompactionStrategyChoices(),
+    default: 'rolling-summary',
+    restricted: true,
+  });
+}
+
+/**
+ * Campaign memory - facts the assistant keeps across threads and sessions
+ */
+function _registerCampaignMemorySettings() {
+  game.settings.registerMenu('simulacrum', 'campaignMemoryMenu', {
+    name: 'SIMULACRUM.Settings.CampaignMemory.Name',
+    label: 'SIMULACRUM.Settings.CampaignMemory.Label',
+    hint: 'SIMULACRUM.Settings.CampaignMemory.Hint',
+    icon: 'fa-solid fa-brain',
+    type: CampaignMemoryConfig,
+    restricted: true,
+  });
+
+  game.settings.register('simulacrum', 'campaignMemory', {
+    name: 'Campaign Memory',
+    hint: 'Facts remembered across conversations, keyed by ID.',
+    scope: 'world',
+    config: false, // Managed via CampaignMemoryConfig UI and the remember/forget tools
+    type: Object,
+    default: {},
+    restricted: true,
+  });
+}
+
+/**
+ * How run_javascript runs scripts (see script-sandbox.js)
+ */
+function _registerJavascriptSettings() {
+  game.settings.register('simulacrum', 'javascriptMode', {
+    name: 'SIMULACRUM.Settings.JavascriptMode',
+    hint: 'SIMULACRUM.Settings.JavascriptModeHint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      [JavascriptMode.SANDBOXED]: 'SIMULACRUM.Settings.JavascriptModes.Sandboxed',
+      [JavascriptMode.UNRESTRICTED]: 'SIMULACRUM.Settings.JavascriptModes.Unrestricted',
+    },
+    default: JavascriptMode.SANDBOXED,
+    restricted: true,
+  });
+
+  // API surfaces a sandboxed script may use
+  for (const [capability, key] of Object.entries(SANDBOX_CAPABILITY_SETTINGS)) {
+    const label = key.charAt(0).toUpperCase() + key.slice(1);
+    game.settings.register('simulacrum', key, {
+      name: `SIMULACRUM.Settings.${label}`,
+      hint: `SIMULACRUM.Settings.${label}Hint`,
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: SANDBOX_CAPABILITY_DEFAULTS[capability],
+      restricted: true,
+    });
+  }
+
+  game.settings.register('simulacrum', 'javascriptTimeLimit', {
+    name: 'SIMULACRUM.Settings.JavascriptTimeLimit',
+    hint: 'SIMULACRUM.Settings.JavascriptTimeLimitHint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: DEFAULT_TIME_LIMIT,
+    restricted: true,
+  });
+}
+
+function _registerBudgetSettings() {
+  // Caps on agent spend; crossing one pauses the tool loop until the GM continues or stops
+  for (const key of Object.values(BUDGET_SETTINGS).flatMap(Object.values)) {
+    const label = key.charAt(0).toUpperCase() + key.slice(1);
+    game.settings.register('simulacrum', key, {
+      name: `SIMULACRUM.Settings.${label}`,
+      hint: `SIMULACRUM.Settings.${label}Hint`,
+      scope: 'world',
+      config: true,
+      type: Number,
+      default: 0,
+      restricted: true,
+    });
+  }
 }
 
 function _registerToolPermissionSettings() {
@@ -112,6 +246,17 @@ function _registerToolPermissionSettings() {
     default: {},
     restricted: true,
   });
+
+  // Ordered permission rules tried before the per-tool states (see permission-rules.js)
+  game.settings.register('simulacrum', 'toolPermissionRules', {
+    name: 'Tool Permission Rules',
+    hint: 'Ordered rules deciding destructive tool calls by document, folder, pack and arguments.',
+    scope: 'world',
+    config: false, // Managed via ToolPermissionsConfig UI
+    type: Array,
+    default: [],
+    restricted: true,
+  });
 }
 
 function _registerCoreSettings() {
@@ -123,6 +268,38 @@ function _registerCoreSettings() {
     type: Number,
     default: 32000,
     restricted: true,
+    onChange: (_value, _options, userId) =>
+      connectionProfiles.onSettingChange('fallbackContextLimit', userId),
+  });
+
+  game.settings.register('simulacrum', 'streamResponses', {
+    name: 'SIMULACRUM.Settings.StreamResponses',
+    hint: 'SIMULACRUM.Settings.StreamResponsesHint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+    restricted: true,
+  });
+
+  game.settings.register('simulacrum', 'responsesApi', {
+    name: 'SIMULACRUM.Settings.ResponsesApi',
+    hint: 'SIMULACRUM.Settings.ResponsesApiHint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+    restricted: true,
+  });
+
+  game.settings.register('simulacrum', 'modelPrices', {
+    name: 'SIMULACRUM.Settings.ModelPrices',
+    hint: 'SIMULACRUM.Settings.ModelPricesHint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '',
+    restricted: true,
   });
 
   game.settings.register('simulacrum', 'temperature', {
@@ -136,6 +313,40 @@ function _registerCoreSettings() {
   });
 }
 
+/**
+ * Named connection profiles - switched from the sidebar model selector
+ */
+function _registerConnectionProfileSettings() {
+  game.settings.registerMenu('simulacrum', 'connectionProfilesMenu', {
+    name: 'SIMULACRUM.Settings.ConnectionProfiles.Name',
+    label: 'SIMULACRUM.Settings.ConnectionProfiles.Label',
+    hint: 'SIMULACRUM.Settings.ConnectionProfiles.Hint',
+    icon: 'fa-solid fa-plug',
+    type: ConnectionProfilesConfig,
+    restricted: true,
+  });
+
+  game.settings.register('simulacrum', 'connectionProfiles', {
+    name: 'Connection Profiles',
+    hint: 'Named endpoint, key, model and limit sets.',
+    scope: 'world',
+    config: false, // Managed via ConnectionProfilesConfig UI
+    type: Object,
+    default: {},
+    restricted: true,
+  });
+
+  game.settings.register('simulacrum', 'activeConnectionProfile', {
+    name: 'Active Connection Profile',
+    hint: 'ID of the connection profile currently applied to the live settings.',
+    scope: 'world',
+    config: false, // Managed via sidebar model selector
+    type: String,
+    default: '',
+    restricted: true,
+  });
+}
+
 function _registerLegacySettings() {
   // Legacy mode is disabled for v1.0 release - not fully tested or at parity with native tool mode
   // The setting is registered but hidden from UI (config: false)
@@ -193,28 +404,32 @@ function _applyEnhancements(html) {
     }
   };
 
-  convertSettingToTextarea({
-    html: $html,
-    moduleId: 'simulacrum',
-    settingKey: 'customSystemPrompt',
-    textareaStyle: style,
-    repositionCallback: callback,
-  });
+  for (const settingKey of TEXTAREA_SETTINGS) {
+    convertSettingToTextarea({
+      html: $html,
+      moduleId: 'simulacrum',
+      settingKey,
+      textareaStyle: style,
+      repositionCallback: callback,
+    });
+  }
 
   // Add Discord link to Simulacrum settings tab
   _addDiscordLink($html);
 
   $html.find('a.item[data-tab="simulacrum"]').on('click', () => {
     setTimeout(() => {
-      // Check if input exists and hasn't been converted to textarea yet
-      if ($html.find('input[name="simulacrum.customSystemPrompt"]').length) {
-        convertSettingToTextarea({
-          html: $html,
-          moduleId: 'simulacrum',
-          settingKey: 'customSystemPrompt',
-          textareaStyle: style,
-          repositionCallback: callback,
-        });
+      for (const settingKey of TEXTAREA_SETTINGS) {
+        // Check if input exists and hasn't been converted to textarea yet
+        if ($html.find(`input[name="simulacrum.${settingKey}"]`).length) {
+          convertSettingToTextarea({
+            html: $html,
+            moduleId: 'simulacrum',
+            settingKey,
+            textareaStyle: style,
+            repositionCallback: callback,
+          });
+        }
       }
       // Re-add Discord link when tab is clicked (in case it was re-rendered)
       _addDiscordLink($html);
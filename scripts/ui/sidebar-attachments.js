@@ -0,0 +1,251 @@
+/**
+ * Sidebar Attachments - Images attached to the next chat message
+ * Images come from a file, the clipboard, drag and drop, the current scene view or the
+ * selected token's portrait. Each one is downscaled and re-encoded as a JPEG `data:` URL so it
+ * can be sent inline to any provider. Images stay with the live session only; saved
+ * conversations keep a text marker in their place (see conversation-threads.js).
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { modelService } from '../core/model-service.js';
+
+const logger = createLogger('SidebarAttachments');
+
+/** Longest side of an attached image, in pixels */
+const MAX_IMAGE_SIZE = 1024;
+const JPEG_QUALITY = 0.85;
+/** Images allowed on one message */
+const MAX_ATTACHMENTS = 4;
+
+/**
+ * Downscale an image and encode it as a JPEG data URL
+ * @param {string} src - Image URL (path, object URL or data URL)
+ * @returns {Promise<string>}
+ */
+export async function encodeImage(src) {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.src = src;
+  await image.decode();
+
+  // SVGs without intrinsic dimensions report 0; draw them at full size
+  const width = image.naturalWidth || MAX_IMAGE_SIZE;
+  const height = image.naturalHeight || MAX_IMAGE_SIZE;
+  const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(width, height));
+  const target = document.createElement('canvas');
+  target.width = Math.max(1, Math.round(width * scale));
+  target.height = Math.max(1, Math.round(height * scale));
+
+  const context = target.getContext('2d');
+  // JPEG has no alpha channel; transparent portraits get a white background
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, target.width, target.height);
+  context.drawImage(image, 0, 0, target.width, target.height);
+  return target.toDataURL('image/jpeg', JPEG_QUALITY);
+}
+
+/**
+ * Encode an image file chosen, pasted or dropped by the user
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export async function encodeImageFile(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    return await encodeImage(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Capture the part of the scene currently visible on the canvas
+ * @returns {Promise<string>}
+ */
+export async function captureSceneView() {
+  if (!canvas?.ready || !canvas.app) {
+    throw new Error(game.i18n.localize('SIMULACRUM.Attachments.NoScene'));
+  }
+  // The WebGL drawing buffer is cleared after each frame, so render and read in the same tick
+  canvas.app.renderer.render(canvas.app.stage);
+  return encodeImage(canvas.app.view.toDataURL('image/jpeg', JPEG_QUALITY));
+}
+
+/**
+ * Capture the portrait of the selected token's actor (or the token image without an actor)
+ * @returns {Promise<string>}
+ */
+export async function captureTokenPortrait() {
+  const token = canvas?.tokens?.controlled?.[0];
+  const src = token?.actor?.img || token?.document?.texture?.src;
+  if (!src) {
+    throw new Error(game.i18n.localize('SIMULACRUM.Attachments.NoToken'));
+  }
+  return encodeImage(src);
+}
+
+/** Canvas captures offered in the attach menu (files go through the file picker) */
+const CAPTURES = Object.freeze({
+  scene: captureSceneView,
+  token: captureTokenPortrait,
+});
+
+/**
+ * Images waiting to be sent with the next message, and the input controls that add them
+ */
+export class SidebarAttachments {
+  constructor() {
+    /** @type {Array<{id: string, url: string}>} */
+    this.items = [];
+    /** @type {HTMLElement|null} Input part the tray is rendered into */
+    this.element = null;
+  }
+
+  /**
+   * Attached image URLs
+   * @returns {string[]}
+   */
+  get urls() {
+    return this.items.map(item => item.url);
+  }
+
+  /**
+   * Wire the attach menu, paste and drop handlers into a freshly rendered input part
+   * @param {HTMLElement} element - The input part element
+   */
+  bind(element) {
+    const form = element.querySelector('.chat-form') || element;
+    this.element = form;
+    this._renderTray();
+    if (form.dataset.simulacrumAttachmentsBound) return;
+    form.dataset.simulacrumAttachmentsBound = '1';
+
+    const button = form.querySelector('.attach-image-button');
+    const menu = form.querySelector('.attachment-menu');
+    const fileInput = form.querySelector('.attachment-file-input');
+
+    button?.addEventListener('click', event => {
+      event.preventDefault();
+      menu?.classList.toggle('hidden');
+    });
+    // Close on focus loss; the delay lets a click on a menu entry land first
+    button?.addEventListener('blur', () => setTimeout(() => menu?.classList.add('hidden'), 150));
+    menu?.addEventListener('click', event => {
+      const source = event.target.closest('[data-source]')?.dataset.source;
+      if (!source) return;
+      menu.classList.add('hidden');
+      if (source === 'file') fileInput?.click();
+      else if (CAPTURES[source]) this._addFrom(CAPTURES[source]);
+    });
+    fileInput?.addEventListener('change', () => {
+      this._addFiles(fileInput.files);
+      fileInput.value = '';
+    });
+    form.addEventListener('paste', event => this._onPasteOrDrop(event, event.clipboardData));
+    form.addEventListener('dragover', event => {
+      if (event.dataTransfer?.types?.includes('Files')) event.preventDefault();
+    });
+    form.addEventListener('drop', event => this._onPasteOrDrop(event, event.dataTransfer));
+    form.querySelector('.simulacrum-attachment-tray')?.addEventListener('click', event => {
+      const id = event.target.closest('[data-attachment-id]')?.dataset.attachmentId;
+      if (id) this.remove(id);
+    });
+  }
+
+  /**
+   * Remove one attachment
+   * @param {string} id
+   */
+  remove(id) {
+    this.items = this.items.filter(item => item.id !== id);
+    this._renderTray();
+  }
+
+  /**
+   * Remove every attachment (after the message was sent)
+   */
+  clear() {
+    this.items = [];
+    this._renderTray();
+  }
+
+  /**
+   * Put attachments back (when sending failed)
+   * @param {string[]} urls
+   */
+  restore(urls) {
+    for (const url of urls || []) this._push(url);
+    this._renderTray();
+  }
+
+  /**
+   * Whether the current model is known to reject images; warns the user when it is
+   * @returns {boolean}
+   * @private
+   */
+  _visionUnavailable() {
+    const model = game.settings.get('simulacrum', 'model');
+    if (modelService.supportsVision(model) !== false) return false;
+    ui.notifications?.warn(game.i18n.format('SIMULACRUM.Attachments.NoVision', { model }));
+    return true;
+  }
+
+  _onPasteOrDrop(event, transfer) {
+    const files = [...(transfer?.files || [])].filter(file => file.type.startsWith('image/'));
+    if (files.length === 0) return;
+    event.preventDefault();
+    this._addFiles(files);
+  }
+
+  _addFiles(files) {
+    for (const file of files || []) {
+      if (file.type.startsWith('image/')) this._addFrom(() => encodeImageFile(file));
+    }
+  }
+
+  /**
+   * Capture an image and attach it, unless the model rejects images or the limit is reached
+   * @param {function(): Promise<string>} capture - Produces the image data URL
+   * @private
+   */
+  async _addFrom(capture) {
+    try {
+      if (this._visionUnavailable()) return;
+      if (this.items.length >= MAX_ATTACHMENTS) {
+        ui.notifications?.warn(
+          game.i18n.format('SIMULACRUM.Attachments.TooMany', { max: MAX_ATTACHMENTS })
+        );
+        return;
+      }
+      this._push(await capture());
+      this._renderTray();
+    } catch (error) {
+      logger.warn('Could not attach image', error);
+      ui.notifications?.error(
+        game.i18n.format('SIMULACRUM.Attachments.Failed', { error: error.message })
+      );
+    }
+  }
+
+  _push(url) {
+    if (url && this.items.length < MAX_ATTACHMENTS) {
+      this.items.push({ id: foundry.utils.randomID(), url });
+    }
+  }
+
+  _renderTray() {
+    const tray = this.element?.querySelector('.simulacrum-attachment-tray');
+    if (!tray) return;
+    const removeLabel = foundry.utils.escapeHTML(
+      game.i18n.localize('SIMULACRUM.Attachments.Remove')
+    );
+    tray.innerHTML = this.items
+      .map(
+        item =>
+          `<div class="attachment" data-attachment-id="${item.id}" title="${removeLabel}">` +
+          `<img src="${item.url}" alt=""><i class="fa-solid fa-xmark"></i></div>`
+      )
+      .join('');
+    tray.hidden = this.items.length === 0;
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Sidebar Checkpoints - The world checkpoint panel under the thread picker
+ * Lists the checkpoints of the world (see world-checkpoints.js) with restore and delete
+ * controls, and takes new ones on demand.
+ */
+
+import { CHECKPOINT_COLLECTIONS, worldCheckpoints } from '../core/world-checkpoints.js';
+
+/**
+ * Checkpoint panel state of one sidebar (the docked tab and its popout each have one)
+ */
+export class SidebarCheckpoints {
+  constructor() {
+    this.open = false;
+    /** @type {Array<object>} Checkpoint summaries, newest first */
+    this.entries = [];
+  }
+
+  /**
+   * Show or hide the panel; the list is reloaded when it opens
+   * @param {boolean} [open] - Defaults to toggling
+   * @returns {Promise<void>}
+   */
+  async toggle(open = !this.open) {
+    this.open = open;
+    if (open) await this.refresh();
+  }
+
+  /**
+   * Reload the checkpoint list
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    this.entries = await worldCheckpoints.list();
+  }
+
+  /**
+   * Summary of a listed checkpoint
+   * @param {string} id
+   * @returns {object|null}
+   */
+  get(id) {
+    return this.entries.find(entry => entry.id === id) ?? null;
+  }
+
+  /**
+   * Template context for the checkpoints part
+   * @returns {object}
+   */
+  context() {
+    return {
+      open: this.open,
+      entries: this.entries.map(entry => ({
+        id: entry.id,
+        label: entry.label,
+        date: new Date(entry.createdAt).toLocaleString(),
+        contents: CHECKPOINT_COLLECTIONS.map(documentName =>
+          game.i18n.format(`SIMULACRUM.Checkpoints.Counts.${documentName}`, {
+            count: entry.counts?.[documentName] ?? 0,
+          })
+        ).join(', '),
+      })),
+    };
+  }
+}
@@ -6,6 +6,9 @@
 import { ConversationCommands } from './conversation-commands.js';
 import { createLogger } from '../utils/logger.js';
 import { processMessageForDisplay } from './sidebar-state-syncer.js';
+import { formatImageAttachments } from '../utils/message-utils.js';
+import { sharedThreads } from '../core/shared-threads.js';
+import { describeRestore, worldCheckpoints } from '../core/world-checkpoints.js';
 
 export class SidebarEventHandlers {
   /* eslint-disable-next-line max-lines-per-function */
@@ -13,16 +16,17 @@ export class SidebarEventHandlers {
     const form = target.closest('form');
     const input = form.querySelector('textarea[name="message"]');
     const message = input.value.trim();
+    const images = app.attachments?.urls || [];
 
-    if (!message) return;
+    if (!message && images.length === 0) return;
 
-    // Check if agent is processing
-    if (app.isProcessing()) {
-      return;
-    }
+    // Check if an agent is processing, here or for another GM in this shared thread
+    await app.ensureChatHandler();
+    if (this._isBusy(app)) return;
 
     // Clear input immediately
     input.value = '';
+    app.attachments?.clear();
 
     // Record process ownership for this request
     const signal = app.startProcess();
@@ -37,51 +41,22 @@ export class SidebarEventHandlers {
         throw new Error('ChatHandler not available');
       }
 
-      // Handle conversation commands
-      if (app.chatHandler.conversationManager) {
-        const commandResult = await ConversationCommands.handleConversationCommand(
-          message,
-          app.chatHandler.conversationManager
-        );
-
-        if (commandResult.isCommand) {
-          if (!app.isCurrentProcess(signal)) return;
-          await app.addMessage('assistant', commandResult.message, commandResult.message);
-          return;
-        }
-      }
+      // Handle conversation commands (a message with images is never a command)
+      if (images.length === 0 && (await this._handleCommand(app, message, signal))) return;
 
       // Add user message to chat log
-      await app.addMessage('user', message);
-
-      // Define callbacks for ChatHandler
-      /* eslint-disable no-unused-vars */
-      const onUserMessage = ({ _content }) => {
-        /* User message already added */
-      };
-      /* eslint-enable no-unused-vars */
-
-      const onAssistantMessage = async response => {
-        const isErrorResponse = !!response?.error;
-        if (!isErrorResponse && !app.isCurrentProcess(signal)) return;
-        // Apply markdown rendering and enrichment before display
-        // processMessageForDisplay handles null/undefined content by defaulting to '&nbsp;'
-        const processedDisplay = await processMessageForDisplay(
-          response.display || response.content
-        );
-        if (!isErrorResponse && !app.isCurrentProcess(signal)) return;
-        await app.addMessage('assistant', response.content, processedDisplay, response.noGroup);
-      };
+      await app.addMessage('user', message, await this._userDisplay(message, images));
 
       // Process message through ChatHandler
       await app.chatHandler.processUserMessage(message, game.user, {
-        onUserMessage,
-        onAssistantMessage,
+        ...this._turnCallbacks(app, signal),
+        images,
         onError: ({ originalMessage }) => {
           app.rollbackUserMessage();
           const appForm = app.element?.querySelector('form');
           const textarea = appForm?.querySelector('textarea[name="message"]');
           if (textarea) textarea.value = originalMessage;
+          app.attachments?.restore(images);
         },
         signal,
       });
@@ -94,6 +69,163 @@ export class SidebarEventHandlers {
     }
   }
 
+  /**
+   * ChatHandler callbacks that show a turn's progress in the log
+   * @param {SimulacrumSidebarTab} app
+   * @param {AbortSignal} signal - The turn's process signal
+   * @returns {{onUserMessage: Function, onAssistantMessage: Function, onDelta: Function}}
+   * @private
+   */
+  static _turnCallbacks(app, signal) {
+    // The user message is already in the log; link it to the conversation for edit/regenerate
+    const onUserMessage = ({ id }) => {
+      const shown = app.messages.findLast(entry => entry.role === 'user');
+      if (shown && id) shown.sourceId = id;
+    };
+
+    const onAssistantMessage = async response => {
+      const isErrorResponse = !!response?.error;
+      if (!isErrorResponse && !app.isCurrentProcess(signal)) return;
+      // Apply markdown rendering and enrichment before display
+      // processMessageForDisplay handles null/undefined content by defaulting to '&nbsp;'
+      const processedDisplay = await processMessageForDisplay(response.display || response.content);
+      if (!isErrorResponse && !app.isCurrentProcess(signal)) return;
+      app.endStream();
+      await app.addMessage('assistant', response.content, processedDisplay, response.noGroup);
+    };
+
+    // Streamed tokens are previewed in the log until the finished message arrives
+    const onDelta = delta => {
+      if (app.isCurrentProcess(signal)) app.streamDelta(delta);
+    };
+
+    return { onUserMessage, onAssistantMessage, onDelta };
+  }
+
+  static async handleEditMessage(app, target) {
+    const shown = this._rewindTarget(app, target);
+    if (!shown) return;
+
+    const text = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize('SIMULACRUM.Branches.Edit') },
+      content:
+        '<textarea name="text" rows="6" autofocus>' +
+        `${foundry.utils.escapeHTML(shown.content)}</textarea>`,
+      ok: {
+        label: game.i18n.localize('SIMULACRUM.Branches.Resend'),
+        callback: (_event, button) => button.form.elements.text.value,
+      },
+      rejectClose: false,
+    });
+    if (typeof text === 'string' && text.trim()) {
+      await this._rewindAndContinue(app, shown.sourceId, { text: text.trim() });
+    }
+  }
+
+  static async handleRegenerateMessage(app, target) {
+    const shown = this._rewindTarget(app, target);
+    if (shown) await this._rewindAndContinue(app, shown.sourceId);
+  }
+
+  static async handleSwitchBranch(app, target) {
+    const shown = this._rewindTarget(app, target);
+    if (!shown || !(await app.ensureChatHandler())) return;
+    if (app.chatHandler.switchBranch(shown.sourceId, Number(target.dataset.offset))) {
+      await app.reloadMessages();
+    }
+  }
+
+  /**
+   * The logged user message an edit, regenerate or branch control belongs to
+   * @returns {object|null} Null while the agent is working
+   * @private
+   */
+  static _rewindTarget(app, target) {
+    if (this._isBusy(app)) return null;
+    const id = target.closest('[data-message-id]')?.dataset.messageId;
+    return app.messages.find(entry => entry.id === id && entry.sourceId) || null;
+  }
+
+  /**
+   * Whether an agent is working in the thread in use, here or for another GM
+   * @param {SimulacrumSidebarTab} app
+   * @returns {boolean}
+   * @private
+   */
+  static _isBusy(app) {
+    return app.isProcessing() || this._warnIfThreadLocked(app);
+  }
+
+  /**
+   * Warn when the thread in use is a shared thread another GM's agent is working in
+   * @param {SimulacrumSidebarTab} app
+   * @returns {boolean} Whether the thread is locked
+   * @private
+   */
+  static _warnIfThreadLocked(app) {
+    const threadId = app.chatHandler?.conversationManager?.activeThreadId;
+    const holder = threadId ? sharedThreads.lockHolder(threadId) : null;
+    if (holder) {
+      ui.notifications?.warn(
+        game.i18n.format('SIMULACRUM.Threads.LockedBy', { name: holder.name })
+      );
+    }
+    return !!holder;
+  }
+
+  /**
+   * Rewind the conversation to a user message and answer it again
+   * @param {SimulacrumSidebarTab} app
+   * @param {string} sourceId - Conversation ID of the user message
+   * @param {{text?: string}} [options] - Replacement text for an edit
+   * @private
+   */
+  static async _rewindAndContinue(app, sourceId, options = {}) {
+    await app.ensureChatHandler();
+    if (!app.chatHandler?.rewindToMessage(sourceId, options)) return;
+    await app.reloadMessages();
+
+    const signal = app.startProcess();
+    app.setProcessing(true);
+    try {
+      await app.chatHandler.continueConversation({ ...this._turnCallbacks(app, signal), signal });
+    } catch (error) {
+      if (signal.aborted) return;
+      createLogger('SidebarEventHandlers').error('Error regenerating response', error);
+      ui.notifications?.error(`Simulacrum: ${error.message}`, { permanent: false });
+    } finally {
+      app.finishProcess(signal);
+    }
+  }
+
+  /**
+   * Run a conversation command (e.g. /clear) and show its result
+   * @returns {Promise<boolean>} True when the message was a command
+   * @private
+   */
+  static async _handleCommand(app, message, signal) {
+    const conversationManager = app.chatHandler.conversationManager;
+    if (!conversationManager) return false;
+    const commandResult = await ConversationCommands.handleConversationCommand(
+      message,
+      conversationManager
+    );
+    if (!commandResult.isCommand) return false;
+    if (app.isCurrentProcess(signal)) {
+      await app.addMessage('assistant', commandResult.message, commandResult.message);
+    }
+    return true;
+  }
+
+  /**
+   * Display HTML for a user message with attached images (null lets the log render plain text)
+   * @private
+   */
+  static async _userDisplay(message, images) {
+    if (images.length === 0) return null;
+    return (await processMessageForDisplay(message)) + formatImageAttachments(images);
+  }
+
   static async handleClearChat(app) {
     try {
       if (app.chatHandler) {
@@ -109,6 +241,259 @@ export class SidebarEventHandlers {
     await app.addMessage('assistant', game.i18n.localize('SIMULACRUM.WelcomeMessage'));
   }
 
+  static async handleCreateThread(app) {
+    if (app.isProcessing()) return;
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    await SimulacrumCore.createThread();
+  }
+
+  static async handleSwitchThread(app, threadId) {
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    if (app.isProcessing()) {
+      // The picker is disabled while the agent works; undo a change that slipped through
+      app.render({ parts: ['threads'] });
+      return;
+    }
+    await SimulacrumCore.switchThread(threadId);
+  }
+
+  static async handleRenameThread(_app) {
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    const thread = SimulacrumCore.conversationManager?.getActiveThread();
+    if (!thread) return;
+
+    const label = game.i18n.localize('SIMULACRUM.Threads.Name');
+    const name = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize('SIMULACRUM.Threads.Rename') },
+      content:
+        `<label>${label} <input type="text" name="name" ` +
+        `value="${foundry.utils.escapeHTML(thread.name)}" autofocus></label>`,
+      ok: { callback: (_event, button) => button.form.elements.name.value },
+      rejectClose: false,
+    });
+    if (name) await SimulacrumCore.renameThread(thread.id, name);
+  }
+
+  static async handleArchiveThread(app) {
+    if (app.isProcessing()) return;
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    const thread = SimulacrumCore.conversationManager?.getActiveThread();
+    if (thread) await SimulacrumCore.archiveThread(thread.id);
+  }
+
+  static async handleShareThread(app) {
+    if (app.isProcessing()) return;
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    const thread = SimulacrumCore.conversationManager?.getActiveThread();
+    if (!thread) return;
+    if (thread.shared) {
+      const confirmed = await foundry.applications.api.DialogV2.confirm({
+        window: { title: game.i18n.localize('SIMULACRUM.Threads.Unshare') },
+        content: `<p>${game.i18n.localize('SIMULACRUM.Threads.UnshareConfirm')}</p>`,
+        yes: { default: true },
+      });
+      if (!confirmed) return;
+    }
+    await SimulacrumCore.shareThread(thread.id, !thread.shared);
+  }
+
+  static async handleUndoToolCall(app, target) {
+    if (app.isProcessing()) return;
+    const toolCallId = target.closest('[data-tool-call-id]')?.dataset.toolCallId;
+    if (toolCallId) await this._undo(app, { toolCallId });
+  }
+
+  static async handleUndoTurn(app) {
+    if (app.isProcessing()) return;
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize('SIMULACRUM.Undo.Turn') },
+      content: `<p>${game.i18n.localize('SIMULACRUM.Undo.TurnConfirm')}</p>`,
+      yes: { default: true },
+    });
+    if (confirmed) await this._undo(app, { turn: true });
+  }
+
+  /**
+   * Revert document changes of the agent's tools and report the outcome
+   * @param {SimulacrumSidebarTab} app
+   * @param {{toolCallId?: string, turn?: boolean}} target - See SimulacrumCore.undoChanges
+   * @private
+   */
+  static async _undo(app, target) {
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    const { entries, failures } = await SimulacrumCore.undoChanges(target);
+    const count = entries.reduce((total, entry) => total + entry.changes.length, 0);
+    if (failures.length > 0) {
+      ui.notifications?.warn(
+        game.i18n.format('SIMULACRUM.Undo.Failed', { count: failures.length })
+      );
+    } else if (count > 0) {
+      ui.notifications?.info(game.i18n.format('SIMULACRUM.Undo.Done', { count }));
+    } else {
+      ui.notifications?.info(game.i18n.localize('SIMULACRUM.Undo.Nothing'));
+    }
+    // Tool cards and the undo button follow the journal
+    await app.reloadMessages();
+    await app.render({ parts: ['input'] });
+  }
+
+  static async handleDeleteThread(app) {
+    if (app.isProcessing()) return;
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    const thread = SimulacrumCore.conversationManager?.getActiveThread();
+    if (!thread) return;
+
+    const confirmKey = thread.shared ? 'DeleteSharedConfirm' : 'DeleteConfirm';
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize('SIMULACRUM.Threads.Delete') },
+      content: `<p>${game.i18n.format(`SIMULACRUM.Threads.${confirmKey}`, {
+        name: foundry.utils.escapeHTML(thread.name),
+      })}</p>`,
+      yes: { default: true },
+    });
+    if (confirmed) await SimulacrumCore.deleteThread(thread.id);
+  }
+
+  static async handleExportConversation(_app) {
+    await this._runTransferCommand('export');
+  }
+
+  static async handleImportConversation(app) {
+    if (app.isProcessing()) return;
+    await this._runTransferCommand('import');
+  }
+
+  /**
+   * Run /export or /import from a sidebar button and report the result as a notification
+   * @param {'export'|'import'} command
+   * @private
+   */
+  static async _runTransferCommand(command) {
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    const result = await ConversationCommands.executeCommand(
+      command,
+      [],
+      SimulacrumCore.conversationManager
+    );
+    if (result.cancelled) return;
+    if (result.success) ui.notifications?.info(result.message);
+    else ui.notifications?.error(`Simulacrum: ${result.message}`);
+  }
+
+  static async handleToggleCheckpoints(app) {
+    await app.checkpoints.toggle();
+    await app.render({ parts: ['checkpoints'] });
+  }
+
+  static async handleCreateCheckpoint(app) {
+    if (app.isProcessing()) return;
+    const label = game.i18n.localize('SIMULACRUM.Checkpoints.Name');
+    const name = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize('SIMULACRUM.Checkpoints.Create') },
+      content: `<label>${label} <input type="text" name="name" autofocus></label>`,
+      ok: { callback: (_event, button) => button.form.elements.name.value },
+      rejectClose: false,
+    });
+    if (name === null || name === undefined) return;
+    try {
+      const checkpoint = await worldCheckpoints.create(name);
+      ui.notifications?.info(
+        game.i18n.format('SIMULACRUM.Checkpoints.Created', { label: checkpoint.label })
+      );
+    } catch (error) {
+      ui.notifications?.error(
+        game.i18n.format('SIMULACRUM.Checkpoints.CreateFailed', { error: error.message })
+      );
+    }
+    await this._renderCheckpoints(app);
+  }
+
+  /**
+   * Roll the world back to a checkpoint, after confirmation, and tell the agent
+   * @param {SimulacrumSidebarTab} app
+   * @param {HTMLElement} target - The clicked restore button
+   */
+  static async handleRestoreCheckpoint(app, target) {
+    if (app.isProcessing()) return;
+    const checkpoint = app.checkpoints.get(
+      target.closest('[data-checkpoint-id]')?.dataset.checkpointId
+    );
+    if (!checkpoint) return;
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize('SIMULACRUM.Checkpoints.Restore') },
+      content: `<p>${game.i18n.format('SIMULACRUM.Checkpoints.RestoreConfirm', {
+        label: foundry.utils.escapeHTML(checkpoint.label),
+      })}</p>`,
+      yes: { default: true },
+    });
+    if (!confirmed) return;
+
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    try {
+      const { created, updated, deleted, failures } = await worldCheckpoints.restore(checkpoint.id);
+      await SimulacrumCore.noteForAgent(describeRestore(checkpoint));
+      const counts = { created, updated, deleted, count: failures.length };
+      if (failures.length > 0) {
+        ui.notifications?.warn(game.i18n.format('SIMULACRUM.Checkpoints.RestorePartial', counts));
+      } else {
+        ui.notifications?.info(game.i18n.format('SIMULACRUM.Checkpoints.Restored', counts));
+      }
+    } catch (error) {
+      ui.notifications?.error(
+        game.i18n.format('SIMULACRUM.Checkpoints.RestoreFailed', { error: error.message })
+      );
+    }
+  }
+
+  static async handleDeleteCheckpoint(app, target) {
+    const checkpoint = app.checkpoints.get(
+      target.closest('[data-checkpoint-id]')?.dataset.checkpointId
+    );
+    if (!checkpoint) return;
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize('SIMULACRUM.Checkpoints.Delete') },
+      content: `<p>${game.i18n.format('SIMULACRUM.Checkpoints.DeleteConfirm', {
+        label: foundry.utils.escapeHTML(checkpoint.label),
+      })}</p>`,
+    });
+    if (!confirmed) return;
+    await worldCheckpoints.delete(checkpoint.id);
+    await this._renderCheckpoints(app);
+  }
+
+  /** @private */
+  static async _renderCheckpoints(app) {
+    await app.checkpoints.refresh();
+    await app.render({ parts: ['checkpoints'] });
+  }
+
+  static async handleToggleSearch(app) {
+    app.search.toggle();
+    await app.render({ parts: ['search'] });
+  }
+
+  /**
+   * Switch to the thread of a search result and show its message
+   * @param {SimulacrumSidebarTab} app
+   * @param {HTMLElement} target - The clicked result
+   */
+  static async handleOpenSearchResult(app, target) {
+    // Threads cannot be switched, nor the log rebuilt, while the agent works
+    if (app.isProcessing()) return;
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    const { threadId, messageIndex } = target.dataset;
+
+    // A rolling summary result has no message; its thread is shown from the start
+    app.search.pendingIndex = Number(messageIndex) || 0;
+    if (threadId === SimulacrumCore.conversationManager?.activeThreadId) {
+      await app.reloadMessages();
+    } else if (!(await SimulacrumCore.switchThread(threadId))) {
+      app.search.pendingIndex = null;
+      ui.notifications?.warn(game.i18n.localize('SIMULACRUM.Search.ThreadGone'));
+    }
+    // Otherwise the thread switch reloads the log, which then shows the message
+  }
+
   static async handleJumpToBottom(app) {
     const log = app.element?.querySelector('.chat-scroll');
     if (log) {
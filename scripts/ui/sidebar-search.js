@@ -0,0 +1,116 @@
+/**
+ * Sidebar Search - The search panel under the thread picker
+ * Lists matches from every conversation thread and the interaction log (see
+ * conversation-search.js). Opening a thread result switches to that thread and scrolls the log
+ * to the matching message.
+ */
+
+/** How long a message revealed by a search result stays highlighted, in milliseconds */
+const REVEAL_HIGHLIGHT_MS = 2000;
+
+/**
+ * Search panel state and controls of one sidebar (the docked tab and its popout each have one)
+ */
+export class SidebarSearch {
+  constructor() {
+    this.open = false;
+    this.query = '';
+    /** @type {{terms: string[], total: number, results: Array<object>}|null} */
+    this.result = null;
+    /** @type {number|null} Conversation index of the message to show after the next log render */
+    this.pendingIndex = null;
+  }
+
+  /**
+   * Show or hide the panel
+   * @param {boolean} [open] - Defaults to toggling
+   */
+  toggle(open = !this.open) {
+    this.open = open;
+  }
+
+  /**
+   * Open the panel and search every conversation
+   * @param {string} query - Words or "quoted phrases" that must all occur
+   * @returns {Promise<{terms: string[], total: number, results: Array<object>}>}
+   */
+  async run(query) {
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    this.open = true;
+    this.query = String(query ?? '').trim();
+    this.result = this.query ? SimulacrumCore.searchConversations(this.query) : null;
+    return this.result;
+  }
+
+  /**
+   * Template context for the search part
+   * @returns {object}
+   */
+  context() {
+    return {
+      open: this.open,
+      query: this.query,
+      summary: this._summary(),
+      results: (this.result?.results || []).map(result => ({
+        ...result,
+        jumpable: result.source === 'thread',
+        sourceLabel:
+          result.source === 'thread'
+            ? result.threadName
+            : game.i18n.format('SIMULACRUM.Search.LogSource', {
+                time: new Date(result.timestamp).toLocaleString(),
+              }),
+        roleLabel: game.i18n.localize(`SIMULACRUM.Search.Roles.${result.role}`),
+      })),
+    };
+  }
+
+  /**
+   * Wire the search field of a freshly rendered search part
+   * @param {HTMLElement} element - The search part element
+   * @param {function(): void} onResults - Called after a search ran
+   */
+  bind(element, onResults) {
+    const input = element.querySelector('input[name="searchQuery"]');
+    if (!input) return;
+    if (this.open && !this.result) input.focus();
+    input.addEventListener('keydown', async event => {
+      if (event.key !== 'Enter') return;
+      event.preventDefault();
+      await this.run(input.value);
+      onResults();
+    });
+  }
+
+  /**
+   * Scroll the log to the message a search result was opened for and highlight it
+   * @param {HTMLElement|null} log - The chat scroll element
+   * @returns {boolean} Whether a result was waiting to be shown
+   */
+  revealPending(log) {
+    if (this.pendingIndex === null || !log) return false;
+    const index = this.pendingIndex;
+    this.pendingIndex = null;
+
+    // Grouped assistant messages carry the index of their first message
+    const target = [...log.querySelectorAll('.chat-message[data-source-index]')]
+      .filter(element => element.dataset.sourceIndex !== '')
+      .findLast(element => Number(element.dataset.sourceIndex) <= index);
+    if (!target) return true;
+    target.scrollIntoView({ block: 'center' });
+    target.classList.add('search-target');
+    setTimeout(() => target.classList.remove('search-target'), REVEAL_HIGHLIGHT_MS);
+    return true;
+  }
+
+  /** @private */
+  _summary() {
+    if (!this.result) return '';
+    const { total, results } = this.result;
+    if (total === 0) return game.i18n.localize('SIMULACRUM.Search.NoResults');
+    if (total > results.length) {
+      return game.i18n.format('SIMULACRUM.Search.SomeResults', { shown: results.length, total });
+    }
+    return game.i18n.format('SIMULACRUM.Search.Results', { total });
+  }
+}
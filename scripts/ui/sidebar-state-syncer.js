@@ -6,11 +6,16 @@
 import { MarkdownRenderer } from '../lib/markdown-renderer.js';
 import { transformThinkTags, hasThinkTags } from '../utils/content-processor.js';
 import {
+  formatImageAttachments,
   formatToolCallDisplay,
+  formatUndoControl,
   groupConsecutiveMessages,
   getToolDisplayContent,
 } from '../utils/message-utils.js';
+import { getImageUrls, getTextContent } from '../utils/message-content.js';
 import { ChatHandler } from '../core/chat-handler.js';
+import { getBranchInfo, isRewindPoint } from '../core/conversation-branches.js';
+import { undoJournal } from '../core/undo-journal.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('SidebarSync');
@@ -185,7 +190,9 @@ async function createToolResultDisplayMessage(message, toolCallNames, toolCallJu
 
   const justification = toolCallJustifications.get(message.tool_call_id) || '';
   const preRendered = await renderToolDisplayContent(message);
-  const displayHtml = formatToolCallDisplay(message, toolName, preRendered, justification);
+  const displayHtml =
+    formatToolCallDisplay(message, toolName, preRendered, justification) +
+    formatUndoControl(message.tool_call_id, undoJournal.getEntry(message.tool_call_id));
   return createDisplayMessage('assistant', message.content, displayHtml);
 }
 
@@ -196,6 +203,15 @@ async function createSyncedMessage(message, toolCallNames, toolCallJustification
     return createToolResultDisplayMessage(message, toolCallNames, toolCallJustifications);
   }
 
+  // User messages with attached images: text plus thumbnails
+  if (Array.isArray(message.content)) {
+    const text = getTextContent(message.content);
+    const display =
+      (await processMessageForDisplay(text)) +
+      formatImageAttachments(getImageUrls(message.content));
+    return createDisplayMessage(message.role, text, display);
+  }
+
   return createDisplayMessage(message.role, message.content);
 }
 
@@ -213,19 +229,40 @@ export async function syncMessagesFromCore(conversationManager) {
   const toolCallNames = new Map();
   const toolCallJustifications = new Map();
 
-  for (const message of conversationManager.messages.filter(isDisplayableMessage)) {
+  for (const [index, message] of conversationManager.messages.entries()) {
+    if (!isDisplayableMessage(message)) continue;
     const displayMessage = await createSyncedMessage(
       message,
       toolCallNames,
       toolCallJustifications
     );
-    if (displayMessage) messages.push(displayMessage);
+    if (!displayMessage) continue;
+    // Position in the conversation, for jumping to search results
+    displayMessage.sourceIndex = index;
+    annotateUserMessage(displayMessage, message);
+    messages.push(displayMessage);
   }
 
   // Apply grouping for consecutive assistant messages
   return groupConsecutiveMessages(messages);
 }
 
+/**
+ * Add the rewind controls and sender of a user message
+ * @param {object} displayMessage - Display message to annotate
+ * @param {object} message - Its conversation message
+ */
+function annotateUserMessage(displayMessage, message) {
+  // User messages offer edit, regenerate and (once rewound) branch switching
+  if (isRewindPoint(message) && message.id) {
+    displayMessage.sourceId = message.id;
+    displayMessage.branch = getBranchInfo(message);
+  }
+  // In a shared thread, user messages may come from another GM
+  const sender = message.userId ? game.users?.get(message.userId) : null;
+  if (sender && displayMessage.role === 'user') displayMessage.user = getDisplayUser(sender);
+}
+
 /**
  * Initialize ChatHandler from SimulacrumCore
  * @returns {Promise<ChatHandler|null>} ChatHandler instance or null
@@ -16,9 +16,19 @@ import {
   processMessageForDisplay,
 } from './sidebar-state-syncer.js';
 import { modelService } from '../core/model-service.js';
-import { formatPendingToolCall, formatToolCallDisplay } from '../utils/message-utils.js';
-import { emitProcessCancelled, SimulacrumHooks } from '../core/hook-manager.js';
+import { connectionProfiles } from '../core/connection-profiles.js';
+import { formatCost, formatTokens } from '../core/usage-ledger.js';
+import {
+  formatPendingToolCall,
+  formatToolCallDisplay,
+  formatUndoControl,
+} from '../utils/message-utils.js';
+import { undoJournal } from '../core/undo-journal.js';
+import { emitBudgetDecision, emitProcessCancelled, SimulacrumHooks } from '../core/hook-manager.js';
 import { SequentialQueue } from '../utils/sequential-queue.js';
+import { SidebarAttachments } from './sidebar-attachments.js';
+import { SidebarSearch } from './sidebar-search.js';
+import { SidebarCheckpoints } from './sidebar-checkpoints.js';
 
 // Stable base class resolution for FoundryVTT v13 with fallback safety
 const AbstractSidebarTab =
@@ -26,6 +36,9 @@ const AbstractSidebarTab =
 const HandlebarsApplicationMixin =
   foundry?.applications?.api?.HandlebarsApplicationMixin ?? globalThis.HandlebarsApplicationMixin;
 
+// Keyboard-navigable model selector entries (models, profiles and the profile manager link)
+const DROPDOWN_ITEM_SELECTOR = 'li[data-model], li[data-profile], li[data-profile-action]';
+
 export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSidebarTab) {
   static tabName = 'simulacrum';
 
@@ -33,6 +46,15 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
   static emittedEvents = Object.freeze(['render', 'close', 'position', 'activate', 'deactivate']);
 
   static PARTS = {
+    threads: {
+      template: 'modules/simulacrum/templates/simulacrum/sidebar-threads.hbs',
+    },
+    search: {
+      template: 'modules/simulacrum/templates/simulacrum/sidebar-search.hbs',
+    },
+    checkpoints: {
+      template: 'modules/simulacrum/templates/simulacrum/sidebar-checkpoints.hbs',
+    },
     taskTracker: {
       template: 'modules/simulacrum/templates/simulacrum/sidebar-task-tracker.hbs',
     },
@@ -60,6 +82,24 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
       clearChat: SimulacrumSidebarTab.prototype._onClearChat,
       jumpToBottom: SimulacrumSidebarTab.prototype._onJumpToBottom,
       cancelProcess: SimulacrumSidebarTab.prototype._onCancelProcess,
+      createThread: SimulacrumSidebarTab.prototype._onCreateThread,
+      renameThread: SimulacrumSidebarTab.prototype._onRenameThread,
+      archiveThread: SimulacrumSidebarTab.prototype._onArchiveThread,
+      shareThread: SimulacrumSidebarTab.prototype._onShareThread,
+      deleteThread: SimulacrumSidebarTab.prototype._onDeleteThread,
+      exportConversation: SimulacrumSidebarTab.prototype._onExportConversation,
+      importConversation: SimulacrumSidebarTab.prototype._onImportConversation,
+      editMessage: SimulacrumSidebarTab.prototype._onEditMessage,
+      regenerateMessage: SimulacrumSidebarTab.prototype._onRegenerateMessage,
+      switchBranch: SimulacrumSidebarTab.prototype._onSwitchBranch,
+      toggleSearch: SimulacrumSidebarTab.prototype._onToggleSearch,
+      openSearchResult: SimulacrumSidebarTab.prototype._onOpenSearchResult,
+      undoToolCall: SimulacrumSidebarTab.prototype._onUndoToolCall,
+      undoTurn: SimulacrumSidebarTab.prototype._onUndoTurn,
+      toggleCheckpoints: SimulacrumSidebarTab.prototype._onToggleCheckpoints,
+      createCheckpoint: SimulacrumSidebarTab.prototype._onCreateCheckpoint,
+      restoreCheckpoint: SimulacrumSidebarTab.prototype._onRestoreCheckpoint,
+      deleteCheckpoint: SimulacrumSidebarTab.prototype._onDeleteCheckpoint,
     },
   };
 
@@ -91,6 +131,9 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     this.chatHandler = null;
     this.logger = createLogger('SimulacrumSidebarTab');
     this._messageQueue = new SequentialQueue();
+    this.attachments = new SidebarAttachments();
+    this.search = new SidebarSearch();
+    this.checkpoints = new SidebarCheckpoints();
 
     // Sync when conversation is loaded (race condition fix)
     Hooks.on('simulacrumConversationLoaded', async () => {
@@ -103,6 +146,9 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
       this._showToolConfirmation(data);
     });
 
+    // Listen for budget cap pauses to ask whether the agent should keep going
+    this._listenForBudgetPauses();
+
     // Listen for pending tool notifications to render styled pending cards
     Hooks.on('simulacrumToolPending', data => {
       this._addPendingToolCard(data);
@@ -141,6 +187,13 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
       this._updateTaskTracker(null, false);
     });
 
+    this._registerStatusHooks();
+  }
+
+  /**
+   * Listen for index, endpoint, connection profile and token usage status changes
+   */
+  _registerStatusHooks() {
     // Asset index status hooks
     Hooks.on(SimulacrumHooks.INDEX_STATUS, payload => {
       this._updateIndexStatus(payload);
@@ -150,6 +203,81 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     Hooks.on(SimulacrumHooks.ENDPOINT_STATUS, payload => {
       this._updateEndpointStatus(payload);
     });
+
+    // Refresh the model selector and context limit after a profile switch
+    Hooks.on(SimulacrumHooks.PROFILE_CHANGED, () => {
+      if (this.rendered) this.render({ parts: ['input'] });
+    });
+
+    // Thread picker (a thread switch also fires simulacrumConversationLoaded)
+    Hooks.on(SimulacrumHooks.THREADS_CHANGED, () => {
+      if (this.rendered) this.render({ parts: ['threads'] });
+    });
+
+    // Another GM's agent started or stopped working in a shared thread
+    Hooks.on(SimulacrumHooks.THREAD_LOCK_CHANGED, () => {
+      if (this.rendered) this.render({ parts: ['threads'] });
+    });
+
+    // Token usage footer (updated in place so a half-typed message is not lost)
+    Hooks.on(SimulacrumHooks.USAGE_UPDATED, summary => {
+      this._updateUsageFooter(summary);
+    });
+  }
+
+  /**
+   * Update the token usage footer under the chat input
+   * @param {{conversation: object, today: object}} summary - Usage totals
+   */
+  _updateUsageFooter(summary) {
+    const container = this.element?.[0] || this.element;
+    const footer = container?.querySelector?.('.simulacrum-usage-footer');
+    if (!footer) return;
+
+    const text = this._formatUsageFooter(summary);
+    footer.textContent = text;
+    footer.hidden = !text;
+  }
+
+  /**
+   * Format conversation (and today's) token usage and spend for the footer
+   * @param {{conversation: object, today: object}|null} summary - Usage totals
+   * @returns {string} Footer text, or '' before any usage was reported
+   */
+  _formatUsageFooter(summary) {
+    const conversation = summary?.conversation;
+    if (!conversation?.requests) return '';
+
+    let text = game.i18n.format('SIMULACRUM.Usage.Footer', {
+      prompt: formatTokens(conversation.promptTokens),
+      completion: formatTokens(conversation.completionTokens),
+    });
+    if (conversation.requests > conversation.unpricedRequests) {
+      text += ` · ${formatCost(conversation.cost)}`;
+    }
+    if (summary.today.requests > summary.today.unpricedRequests) {
+      text += ` · ${game.i18n.format('SIMULACRUM.Usage.Today', {
+        cost: formatCost(summary.today.cost),
+      })}`;
+    }
+    return text;
+  }
+
+  /**
+   * Get the usage footer text for the current conversation
+   * @returns {Promise<string>}
+   */
+  async _getUsageFooterText() {
+    try {
+      let cm = this.chatHandler?.conversationManager;
+      if (!cm) {
+        const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+        cm = SimulacrumCore?.conversationManager;
+      }
+      return this._formatUsageFooter(cm?.getUsageSummary?.() ?? null);
+    } catch (_e) {
+      return '';
+    }
   }
 
   /**
@@ -417,8 +545,40 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
         !this.isPopout &&
         !!ui.sidebar.popouts[this.constructor.tabName]?.rendered &&
         !this._popoutClosing,
-      currentModel: game.settings.get('simulacrum', 'model') || '',
-      contextLimit: this._getFormattedContextLimit(game.settings.get('simulacrum', 'model')),
+      ...(await this._prepareInputContext()),
+      ...(await this._prepareThreadContext()),
+    };
+  }
+
+  /**
+   * Context for the thread picker and the search and checkpoint panels under it
+   * @returns {Promise<{threads: Array<object>, archivedThreads: Array<object>,
+   *   activeShared: boolean, lockedBy: string|null, search: object, checkpoints: object}>}
+   */
+  async _prepareThreadContext() {
+    const { SimulacrumCore } = await import('../core/simulacrum-core.js');
+    const threads = SimulacrumCore?.conversationManager?.listThreads({ includeArchived: true });
+    return {
+      threads: (threads || []).filter(thread => !thread.archived),
+      archivedThreads: (threads || []).filter(thread => thread.archived),
+      activeShared: !!threads?.find(thread => thread.active)?.shared,
+      lockedBy: SimulacrumCore?.getThreadLockHolder?.()?.name ?? null,
+      search: this.search.context(),
+      checkpoints: this.checkpoints.context(),
+    };
+  }
+
+  /**
+   * Context for the input part: model selector, context limit and usage footer
+   * @returns {Promise<{currentModel: string, contextLimit: string, usageText: string}>}
+   */
+  async _prepareInputContext() {
+    const currentModel = game.settings.get('simulacrum', 'model') || '';
+    return {
+      currentModel,
+      contextLimit: this._getFormattedContextLimit(currentModel),
+      usageText: await this._getUsageFooterText(),
+      canUndoTurn: undoJournal.lastTurnId() !== null,
     };
   }
 
@@ -441,6 +601,11 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
 
     // Use stored fallback if no derived limit
     const storedLimit = game.settings.get('simulacrum', 'fallbackContextLimit');
+
+    // Ollama runs with num_ctx set to the stored limit, capped at the model's context length
+    if (limit > 0 && source === 'ollama') {
+      return this._formatLimitValue(Math.min(storedLimit || limit, limit));
+    }
     return this._formatLimitValue(storedLimit);
   }
 
@@ -498,6 +663,7 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
         // the AI client uses the new model before returning control to the UI.
         const { SimulacrumCore } = await import('../core/simulacrum-core.js');
         await SimulacrumCore.initializeAIClient();
+        await modelService.probeOllamaModel(model);
 
         // Update context limit input
         const limitInput = this.element.querySelector('.context-limit-input');
@@ -562,6 +728,15 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     // Only attempt scroll if the tab is currently active. If not active, scrolling a hidden
     // element will fail silently. Keep #needsScroll = true so _onActivate can try again.
     const isTabActive = ui.sidebar?.tabGroups?.primary === this.constructor.tabName;
+    const log =
+      this.element[0]?.querySelector('.chat-scroll') ??
+      this.element.querySelector?.('.chat-scroll');
+
+    // An opened search result is shown instead of the newest message
+    if (options.parts?.includes('log') && this.search.revealPending(log)) {
+      this.#needsScroll = false;
+      return;
+    }
 
     if (this.#needsScroll || options.isFirstRender) {
       if (isTabActive) {
@@ -571,12 +746,9 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
         // Tab is not active. Set the flag so _onActivate will scroll when the tab becomes visible.
         this.#needsScroll = true;
       }
-    } else {
+    } else if (log) {
       // Ensure button visibility is correct even if we didn't scroll to bottom
-      const log =
-        this.element[0]?.querySelector('.chat-scroll') ??
-        this.element.querySelector?.('.chat-scroll');
-      if (log) this._updateJumpToBottomVisibility(log);
+      this._updateJumpToBottomVisibility(log);
     }
   }
 
@@ -666,14 +838,14 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     if (active) {
       this.#processingWordIndex = 0;
       this.#needsScroll = true;
-      this.render({ parts: ['log', 'input'] });
+      this.render({ parts: ['threads', 'log', 'input'] });
       this.#startProcessingInterval();
     } else {
       this.#stopProcessingInterval();
       const textarea = this.element?.querySelector('textarea[name="message"]');
       const preservedText = textarea?.value || '';
       this.#needsScroll = true;
-      this.render({ parts: ['log', 'input'] });
+      this.render({ parts: ['threads', 'log', 'input'] });
       if (preservedText) {
         requestAnimationFrame(() => {
           const restored = this.element?.querySelector('textarea[name="message"]');
@@ -747,7 +919,8 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     if (lastMsg.role !== 'assistant') return false;
 
     // Merge with proper HTML separation to prevent content running together
-    lastMsg.content += '\n\n' + content;
+    // (an empty message is a streaming placeholder and is simply filled in)
+    lastMsg.content = lastMsg.content ? `${lastMsg.content}\n\n${content}` : content;
     const existingDisplay = lastMsg.display || lastMsg.content;
     lastMsg.display = existingDisplay + `<div class="merged-content">${processedDisplay}</div>`;
 
@@ -854,6 +1027,83 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     contentEl.appendChild(newBlock);
   }
 
+  /**
+   * Render a streamed response delta into the chat log
+   * Text is previewed verbatim until the finished message is merged in via addMessage.
+   * @param {{type: string, text?: string}} delta - Delta reported by AIClient streaming
+   */
+  streamDelta(delta) {
+    this._messageQueue.add(async () => {
+      if (delta?.type === 'start') {
+        this._removeStreamPreview();
+        return;
+      }
+      if (delta?.type !== 'content' || !delta.text) return;
+
+      const messageId = await this._ensureStreamPreview();
+      if (!messageId) return;
+      this._updateMessageInDOM(messageId, foundry.utils.escapeHTML(delta.text));
+      if (this.#isAtBottom) this._scrollToBottom();
+    });
+  }
+
+  /**
+   * Drop the streaming preview before the finished message is displayed
+   */
+  endStream() {
+    this._messageQueue.add(async () => this._removeStreamPreview());
+  }
+
+  /**
+   * Make the last assistant message end with a streaming preview block
+   * @returns {Promise<string|null>} ID of the message receiving the stream
+   * @private
+   */
+  async _ensureStreamPreview() {
+    if (this.messages[this.messages.length - 1]?.role !== 'assistant') {
+      await this._appendNewMessage('assistant', '', '');
+    }
+
+    const contentEl = this._getLastAssistantMessageContent();
+    if (!contentEl) return null;
+
+    if (!contentEl.lastElementChild?.classList.contains('stream-preview')) {
+      const block = document.createElement('div');
+      block.className = 'content-block text stream-preview';
+      contentEl.appendChild(block);
+    }
+    return this.messages[this.messages.length - 1].id;
+  }
+
+  /**
+   * Remove any streaming preview blocks from the DOM
+   * @private
+   */
+  _removeStreamPreview() {
+    const chatScroll =
+      this.element?.[0]?.querySelector('.chat-scroll') ||
+      this.element?.querySelector?.('.chat-scroll');
+    chatScroll?.querySelectorAll('.stream-preview').forEach(el => el.remove());
+  }
+
+  /**
+   * Discard an interrupted stream, including a placeholder message that never received content
+   * @private
+   */
+  _discardStreamPreview() {
+    this._messageQueue.add(async () => {
+      this._removeStreamPreview();
+      const lastMsg = this.messages[this.messages.length - 1];
+      if (lastMsg?.role !== 'assistant' || lastMsg.content) return;
+
+      this.messages.pop();
+      const selector = `.chat-message[data-message-id="${lastMsg.id}"]`;
+      const el =
+        this.element?.[0]?.querySelector(selector) || this.element?.querySelector?.(selector);
+      el?.remove();
+    });
+  }
+
   /**
    * Add a pending tool card to the chat display
    * Appended inside the last assistant message's content to maintain card continuity
@@ -925,7 +1175,7 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
         const wrapper = document.createElement('div');
         wrapper.className = 'content-block tool-card tool-result';
         wrapper.dataset.toolCallId = toolCallId; // Optional: track it
-        wrapper.innerHTML = html;
+        wrapper.innerHTML = html + formatUndoControl(toolCallId, undoJournal.getEntry(toolCallId));
         lastAssistantContent.appendChild(wrapper);
         this._scrollToBottom();
 
@@ -994,6 +1244,14 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     }
   }
 
+  /**
+   * Rebuild the log from the conversation (after it was rewound or switched to another branch)
+   */
+  async reloadMessages() {
+    await this._syncFromCoreConversation();
+    await this.render({ parts: ['log'] });
+  }
+
   async clearMessages() {
     this.messages = [];
     await this.render({ parts: ['log'] });
@@ -1027,6 +1285,7 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
 
   finishProcess(signal) {
     if (this.#currentAbortController && this.#currentAbortController.signal === signal) {
+      this._discardStreamPreview();
       this.setProcessing(false);
       this.#currentAbortController = null;
     }
@@ -1041,6 +1300,7 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     this.#isRetrying = false;
     this.#retryLabel = null;
     this._activeProcesses.clear();
+    this._discardStreamPreview();
     emitProcessCancelled();
     this.setProcessing(false);
     this._updateRetryStatusInDOM(false);
@@ -1065,6 +1325,7 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     }
 
     const { toolName, toolCallId, displayName, explainerText, justification, toolArgs } = data;
+    const { diff, reason } = data;
 
     // Render the confirmation template
     const templatePath = 'modules/simulacrum/templates/simulacrum/tool-confirmation.hbs';
@@ -1075,6 +1336,8 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
       explainerText,
       justification,
       toolArgs,
+      diff,
+      reason,
     });
 
     // Find the last assistant message's content container
@@ -1113,6 +1376,88 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     });
   }
 
+  /**
+   * Show the budget cap prompt inline in chat; the tool loop waits for the decision
+   * @param {Object} data - Pause data
+   * @param {string} data.pauseId - ID echoed back with the decision
+   * @param {string} data.scope - 'request' or 'daily'
+   * @param {string} data.message - Description of the crossed cap
+   */
+  async _showBudgetPause(data) {
+    if (!this.rendered || !this.element) return;
+
+    const { pauseId, scope, message } = data;
+    const templatePath = 'modules/simulacrum/templates/simulacrum/budget-pause.hbs';
+    const html = await foundry.applications.handlebars.renderTemplate(templatePath, {
+      pauseId,
+      message,
+      daily: scope === 'daily',
+    });
+    // Decided while the template rendered, or already shown by an overlapping render
+    if (!this._pendingBudgetPauses.has(pauseId) || this._findBudgetPause(pauseId)) return;
+
+    // Attach to the last assistant message, or to the log when the turn has none yet
+    const container =
+      this._getLastAssistantMessageContent() ||
+      this.element?.querySelector?.('.chat-scroll .chat-log');
+    if (!container) {
+      this.logger.warn('No chat log found to attach budget prompt');
+      return;
+    }
+
+    const pauseEl = document.createElement('div');
+    pauseEl.className = 'tool-confirmation-inline';
+    pauseEl.dataset.pauseId = pauseId;
+    pauseEl.innerHTML = html;
+    container.appendChild(pauseEl);
+    this._scrollToBottom();
+
+    pauseEl.querySelectorAll('.confirm-btn').forEach(btn => {
+      btn.addEventListener('click', e => {
+        e.preventDefault();
+        pauseEl.remove();
+        emitBudgetDecision(pauseId, btn.dataset.decision);
+      });
+    });
+  }
+
+  /**
+   * Track budget pauses until they are decided, so a closed or re-rendered sidebar
+   * still shows the prompt on its next render instead of leaving the loop waiting
+   */
+  _listenForBudgetPauses() {
+    this._pendingBudgetPauses = new Map();
+    Hooks.on(SimulacrumHooks.BUDGET_PAUSED, data => {
+      this._pendingBudgetPauses.set(data.pauseId, data);
+      this._showBudgetPause(data);
+    });
+    Hooks.on(SimulacrumHooks.BUDGET_DECISION, ({ pauseId }) => {
+      this._pendingBudgetPauses.delete(pauseId);
+      this._findBudgetPause(pauseId)?.remove();
+    });
+  }
+
+  /**
+   * Find the prompt element of a budget pause in the rendered chat log
+   * @param {string} pauseId - Pause ID
+   * @returns {HTMLElement|null}
+   */
+  _findBudgetPause(pauseId) {
+    return this.element?.querySelector?.(`[data-pause-id="${pauseId}"]`) ?? null;
+  }
+
+  /**
+   * Re-attach budget prompts that are still waiting for a decision after a render
+   * @param {object} context - Render context
+   * @param {object} options - Render options
+   */
+  async _onRender(context, options) {
+    await super._onRender?.(context, options);
+    for (const pause of this._pendingBudgetPauses.values()) {
+      if (!this._findBudgetPause(pause.pauseId)) await this._showBudgetPause(pause);
+    }
+  }
+
   /** Event Handler Delegates */
 
   async _onSendMessage(event, target) {
@@ -1132,6 +1477,89 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     await SidebarEventHandlers.handleCancelProcess(this, event, target);
   }
 
+  async _onCreateThread(_event, _target) {
+    await SidebarEventHandlers.handleCreateThread(this);
+  }
+
+  async _onRenameThread(_event, _target) {
+    await SidebarEventHandlers.handleRenameThread(this);
+  }
+
+  async _onArchiveThread(_event, _target) {
+    await SidebarEventHandlers.handleArchiveThread(this);
+  }
+
+  async _onShareThread(_event, _target) {
+    await SidebarEventHandlers.handleShareThread(this);
+  }
+
+  async _onDeleteThread(_event, _target) {
+    await SidebarEventHandlers.handleDeleteThread(this);
+  }
+
+  async _onExportConversation(_event, _target) {
+    await SidebarEventHandlers.handleExportConversation(this);
+  }
+
+  async _onImportConversation(_event, _target) {
+    await SidebarEventHandlers.handleImportConversation(this);
+  }
+
+  async _onEditMessage(_event, target) {
+    await SidebarEventHandlers.handleEditMessage(this, target);
+  }
+
+  async _onRegenerateMessage(_event, target) {
+    await SidebarEventHandlers.handleRegenerateMessage(this, target);
+  }
+
+  async _onToggleSearch(_event, _target) {
+    await SidebarEventHandlers.handleToggleSearch(this);
+  }
+
+  async _onOpenSearchResult(_event, target) {
+    await SidebarEventHandlers.handleOpenSearchResult(this, target);
+  }
+
+  async _onUndoToolCall(_event, target) {
+    await SidebarEventHandlers.handleUndoToolCall(this, target);
+  }
+
+  async _onUndoTurn(_event, _target) {
+    await SidebarEventHandlers.handleUndoTurn(this);
+  }
+
+  async _onToggleCheckpoints(_event, _target) {
+    await SidebarEventHandlers.handleToggleCheckpoints(this);
+  }
+
+  async _onCreateCheckpoint(_event, _target) {
+    await SidebarEventHandlers.handleCreateCheckpoint(this);
+  }
+
+  async _onRestoreCheckpoint(_event, target) {
+    await SidebarEventHandlers.handleRestoreCheckpoint(this, target);
+  }
+
+  async _onDeleteCheckpoint(_event, target) {
+    await SidebarEventHandlers.handleDeleteCheckpoint(this, target);
+  }
+
+  /**
+   * Open the search panel with the results for a query (the /search command)
+   * @param {string} query
+   * @returns {Promise<object>} The search result (see `searchHistory`)
+   */
+  async openSearch(query) {
+    const result = await this.search.run(query);
+    if (this.rendered) await this.render({ parts: ['search'] });
+    return result;
+  }
+
+  async _onSwitchBranch(_event, target) {
+    await SidebarEventHandlers.handleSwitchBranch(this, target);
+  }
+
   _activateListeners(html) {
     super._activateListeners(html);
     // Basic listeners that don't fit in parts or needed globally?
@@ -1164,8 +1592,10 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
         });
       }
     }
+    this._attachThreadListeners(partId, element);
     if (partId === 'input') {
       this.#inputElement = element;
+      this.attachments.bind(element);
 
       const form = element.querySelector('.chat-form');
       if (form && !form.dataset.simulacrumBound) {
@@ -1193,6 +1623,22 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     this._attachModelSelectorListeners(element);
   }
 
+  /**
+   * Attach event listeners for the thread picker and search panel parts
+   * @param {string} partId - The rendered part
+   * @param {HTMLElement} element - The part element
+   */
+  _attachThreadListeners(partId, element) {
+    if (partId === 'threads') {
+      element.querySelector('.thread-select')?.addEventListener('change', event => {
+        SidebarEventHandlers.handleSwitchThread(this, event.target.value);
+      });
+    }
+    if (partId === 'search') {
+      this.search.bind(element, () => this.render({ parts: ['search'] }));
+    }
+  }
+
   /**
    * Attach event listeners for the model selector combobox
    * @param {HTMLElement} element - The input part element
@@ -1238,9 +1684,14 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
       const isOpen = !dropdown.classList.contains('hidden');
       if (e.key === 'Enter') {
         e.preventDefault();
-        this._commitHighlightedModel(modelInput, dropdown, isOpen);
+        const item = this._getHighlightedItem(dropdown, isOpen);
         this._closeDropdown(wrapper, dropdown);
-        this._saveModelSelection(modelInput.value);
+        if (item && !item.dataset.model) {
+          this._onProfileItemSelected(item, modelInput);
+        } else {
+          if (item) modelInput.value = item.dataset.model;
+          this._saveModelSelection(modelInput.value);
+        }
         modelInput.blur();
       } else if (e.key === 'Escape') {
         e.preventDefault();
@@ -1260,20 +1711,23 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     });
   }
 
-  _commitHighlightedModel(modelInput, dropdown, isOpen) {
-    if (!isOpen || this.#modelDropdownHighlightIndex < 0) return;
-    const items = dropdown.querySelectorAll('li:not(.no-models)');
-    const selected = items[this.#modelDropdownHighlightIndex];
-    if (selected) modelInput.value = selected.dataset.model;
+  _getHighlightedItem(dropdown, isOpen) {
+    if (!isOpen || this.#modelDropdownHighlightIndex < 0) return null;
+    const items = dropdown.querySelectorAll(DROPDOWN_ITEM_SELECTOR);
+    return items[this.#modelDropdownHighlightIndex] ?? null;
   }
 
   _attachDropdownClickEvents({ wrapper, modelInput, dropdown }) {
     dropdown.addEventListener('mousedown', e => {
-      const li = e.target.closest('li:not(.no-models)');
-      if (!li || !li.dataset.model) return;
+      const li = e.target.closest(DROPDOWN_ITEM_SELECTOR);
+      if (!li) return;
       e.preventDefault();
-      modelInput.value = li.dataset.model;
       this._closeDropdown(wrapper, dropdown);
+      if (!li.dataset.model) {
+        this._onProfileItemSelected(li, modelInput);
+        return;
+      }
+      modelInput.value = li.dataset.model;
       if (this.#modelSaveDebounceTimer) {
         clearTimeout(this.#modelSaveDebounceTimer);
         this.#modelSaveDebounceTimer = null;
@@ -1282,6 +1736,34 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     });
   }
 
+  /**
+   * Switch connection profile (or open the profile manager) from a dropdown item
+   * @param {HTMLLIElement} item - Profile dropdown item
+   * @param {HTMLInputElement} modelInput - The model input element
+   */
+  async _onProfileItemSelected(item, modelInput) {
+    if (item.dataset.profileAction === 'manage') {
+      const { ConnectionProfilesConfig } = await import('./connection-profiles-config.js');
+      new ConnectionProfilesConfig().render({ force: true });
+      return;
+    }
+
+    const profile = connectionProfiles.get(item.dataset.profile);
+    if (!profile) return;
+
+    // The pending blur handler saves whatever is in the input; make that the profile's model
+    modelInput.value = profile.model || '';
+    if (this.#modelSaveDebounceTimer) {
+      clearTimeout(this.#modelSaveDebounceTimer);
+      this.#modelSaveDebounceTimer = null;
+    }
+    try {
+      await connectionProfiles.activate(profile.id);
+    } catch (e) {
+      this.logger.warn('Failed to switch connection profile:', e);
+    }
+  }
+
   _attachContextLimitListeners(element) {
     const limitInput = element.querySelector('.context-limit-input');
     if (!limitInput) return;
@@ -1408,10 +1890,11 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
       : this.#availableModels;
 
     // Build dropdown HTML with context limit suffix
+    dropdown.innerHTML = '';
+    this._appendProfileItems(dropdown, query, currentModel);
     if (filtered.length === 0) {
-      dropdown.innerHTML = '<li class="no-models">No models found</li>';
+      dropdown.insertAdjacentHTML('beforeend', '<li class="no-models">No models found</li>');
     } else {
-      dropdown.innerHTML = '';
       filtered.forEach(model => {
         const isSelected = model === currentModel;
         const displayName = this._formatModelDisplayName(model);
@@ -1431,6 +1914,51 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
     this.#modelDropdownHighlightIndex = -1;
   }
 
+  /**
+   * Prepend connection profiles (and a manage entry) to the model dropdown
+   * All profiles show while the input holds the current model; typing filters them by name.
+   * @param {HTMLUListElement} dropdown - The dropdown element
+   * @param {string} query - Lowercased input value
+   * @param {string} currentModel - The saved model ID
+   */
+  _appendProfileItems(dropdown, query, currentModel) {
+    const profiles = connectionProfiles.list();
+    if (profiles.length === 0) return;
+
+    const showAll = !query || query === (currentModel || '').toLowerCase();
+    const matching = showAll
+      ? profiles
+      : profiles.filter(p => p.name.toLowerCase().includes(query));
+    if (matching.length === 0) return;
+
+    const activeId = connectionProfiles.getActive()?.id;
+    const addItem = (className, icon, label, data) => {
+      const li = document.createElement('li');
+      li.className = className;
+      Object.assign(li.dataset, data);
+      li.title = label;
+      li.innerHTML = `<i class="fa-solid ${icon}" inert></i>`;
+      li.append(label);
+      dropdown.appendChild(li);
+    };
+
+    const header = document.createElement('li');
+    header.className = 'dropdown-header';
+    header.textContent = game.i18n.localize('SIMULACRUM.ModelSelector.Profiles');
+    dropdown.appendChild(header);
+
+    for (const profile of matching) {
+      const selected = profile.id === activeId ? ' selected' : '';
+      addItem(`profile-option${selected}`, 'fa-plug', profile.name, { profile: profile.id });
+    }
+    addItem(
+      'profile-option manage',
+      'fa-gear',
+      game.i18n.localize('SIMULACRUM.ModelSelector.ManageProfiles'),
+      { profileAction: 'manage' }
+    );
+  }
+
   /**
    * Format model name with context limit suffix
    * @param {string} modelId - The model ID
@@ -1439,8 +1967,8 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
   _formatModelDisplayName(modelId) {
     const { limit, source } = modelService.getContextLimit(modelId);
 
-    // Show suffix for derived or openrouter sources (not fallback)
-    if ((source === 'derived' || source === 'openrouter') && limit > 0) {
+    // Show suffix for derived, ollama or openrouter sources (not fallback)
+    if (source !== 'fallback' && limit > 0) {
       const suffix = this._formatLimitValue(limit);
       return `${modelId} (${suffix})`;
     }
@@ -1454,7 +1982,7 @@ export class SimulacrumSidebarTab extends HandlebarsApplicationMixin(AbstractSid
    * @param {number} direction - 1 for down, -1 for up
    */
   _navigateDropdown(dropdown, direction) {
-    const items = dropdown.querySelectorAll('li:not(.no-models)');
+    const items = dropdown.querySelectorAll(DROPDOWN_ITEM_SELECTOR);
     if (items.length === 0) return;
 
     // Remove current highlight
@@ -5,6 +5,7 @@
 
 import { createLogger } from '../utils/logger.js';
 import { toolPermissionManager, PermissionState } from '../core/tool-permission-manager.js';
+import { ANY_TOOL, RuleOwner, normalizeRule } from '../core/permission-rules.js';
 
 const logger = createLogger('ToolPermissionsConfig');
 
@@ -12,7 +13,8 @@ const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 /**
  * ApplicationV2 for configuring tool permissions
- * Allows users to set per-tool permission states (ask/allow/deny)
+ * Allows users to set per-tool permission states (ask/allow/deny) and the ordered permission
+ * rules tried before them. Rules are edited as a working copy until the form is saved.
  * @extends ApplicationV2
  * @mixes HandlebarsApplication
  */
@@ -26,13 +28,16 @@ export class ToolPermissionsConfig extends HandlebarsApplicationMixin(Applicatio
       icon: 'fa-solid fa-shield-halved',
       title: 'SIMULACRUM.ToolPermissionsConfig.Title',
     },
-    position: { width: 500, height: 640 },
+    position: { width: 640, height: 760 },
     form: {
       closeOnSubmit: true,
       handler: ToolPermissionsConfig.#onSubmit,
     },
     actions: {
       reset: ToolPermissionsConfig.#onReset,
+      addRule: ToolPermissionsConfig.#onAddRule,
+      moveRule: ToolPermissionsConfig.#onMoveRule,
+      deleteRule: ToolPermissionsConfig.#onDeleteRule,
     },
   };
 
@@ -44,6 +49,10 @@ export class ToolPermissionsConfig extends HandlebarsApplicationMixin(Applicatio
       root: true,
       scrollable: ['.scrollable'],
     },
+    rules: {
+      template: 'modules/simulacrum/templates/tool-permission-rules.hbs',
+      scrollable: ['.scrollable'],
+    },
     footer: {
       template: 'templates/generic/form-footer.hbs',
     },
@@ -111,6 +120,53 @@ export class ToolPermissionsConfig extends HandlebarsApplicationMixin(Applicatio
     };
   }
 
+  /** @override */
+  async _preparePartContext(partId, context, options) {
+    context = await super._preparePartContext(partId, context, options);
+    if (partId !== 'rules') return context;
+
+    this._rules ??= toolPermissionManager.getRules();
+    const toolChoices = {
+      [ANY_TOOL]: game.i18n.localize('SIMULACRUM.PermissionRules.AnyTool'),
+      ...Object.fromEntries(
+        context.staticTools
+          .concat(context.macroTools)
+          .map(tool => [tool.toolName, tool.displayName])
+      ),
+    };
+    const anything = game.i18n.localize('SIMULACRUM.PermissionRules.Anything');
+    const typeChoices = {
+      '': anything,
+      ...Object.fromEntries((CONST.WORLD_DOCUMENT_TYPES ?? []).map(type => [type, type])),
+    };
+    const ownerChoices = {
+      [RuleOwner.ANY]: anything,
+      [RuleOwner.PLAYER]: game.i18n.localize('SIMULACRUM.PermissionRules.Owner.Player'),
+      [RuleOwner.GM]: game.i18n.localize('SIMULACRUM.PermissionRules.Owner.Gm'),
+    };
+    context.rules = this._rules.map((rule, index) => ({
+      ...rule,
+      index,
+      number: index + 1,
+      isFirst: index === 0,
+      isLast: index === this._rules.length - 1,
+      tools: _choices(toolChoices, rule.tool),
+      documentTypes: _choices(typeChoices, rule.documentType),
+      owners: _choices(ownerChoices, rule.owner),
+      actions: _choices(context.permissionChoices, rule.action),
+    }));
+    return context;
+  }
+
+  /**
+   * Take the rule rows as currently edited in the form as the working copy
+   * @private
+   */
+  _readRules() {
+    const formData = new foundry.applications.ux.FormDataExtended(this.element);
+    this._rules = _rulesFromForm(formData.object);
+  }
+
   /* -------------------------------------------- */
   /*  Event Listeners and Handlers                */
   /* -------------------------------------------- */
@@ -146,6 +202,7 @@ export class ToolPermissionsConfig extends HandlebarsApplicationMixin(Applicatio
 
     // Save permissions
     await game.settings.set('simulacrum', 'toolPermissions', permissions);
+    await toolPermissionManager.setRules(_rulesFromForm(data));
 
     logger.info('Tool permissions saved:', permissions);
     ui.notifications.info(
@@ -169,7 +226,9 @@ export class ToolPermissionsConfig extends HandlebarsApplicationMixin(Applicatio
     if (confirmed) {
       // Clear all stored permissions
       await game.settings.set('simulacrum', 'toolPermissions', {});
+      await game.settings.set('simulacrum', 'toolPermissionRules', []);
       await game.settings.set('simulacrum', 'trustAllTools', false);
+      this._rules = null;
       ui.notifications.info(
         game.i18n.localize('SIMULACRUM.Settings.ToolPermissions.ResetSuccess') ||
           'Tool permissions reset to defaults.'
@@ -177,4 +236,67 @@ export class ToolPermissionsConfig extends HandlebarsApplicationMixin(Applicatio
       this.render();
     }
   }
+
+  /**
+   * Append an empty rule, asking about any destructive tool
+   * @this {ToolPermissionsConfig}
+   */
+  static async #onAddRule() {
+    this._readRules();
+    this._rules.push(normalizeRule({ tool: ANY_TOOL, action: PermissionState.ASK }));
+    this.render({ parts: ['rules'] });
+  }
+
+  /**
+   * Move the clicked rule one place up or down; earlier rules win
+   * @this {ToolPermissionsConfig}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The button element
+   */
+  static async #onMoveRule(event, target) {
+    this._readRules();
+    const index = Number(target.closest('[data-rule-index]').dataset.ruleIndex);
+    const destination = index + (target.dataset.direction === 'up' ? -1 : 1);
+    if (destination < 0 || destination >= this._rules.length) return;
+    [this._rules[index], this._rules[destination]] = [this._rules[destination], this._rules[index]];
+    this.render({ parts: ['rules'] });
+  }
+
+  /**
+   * Remove the clicked rule
+   * @this {ToolPermissionsConfig}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The button element
+   */
+  static async #onDeleteRule(event, target) {
+    this._readRules();
+    this._rules.splice(Number(target.closest('[data-rule-index]').dataset.ruleIndex), 1);
+    this.render({ parts: ['rules'] });
+  }
+}
+
+/**
+ * Select options with the current value marked
+ * @param {Object<string, string>} choices - Labels by value
+ * @param {string} selected - Current value
+ * @returns {Array<{value: string, label: string, selected: boolean}>}
+ */
+function _choices(choices, selected) {
+  return Object.entries(choices).map(([value, label]) => ({
+    value,
+    label,
+    selected: value === selected,
+  }));
+}
+
+/**
+ * Rules from the rule rows of submitted form data, in row order
+ * @param {object} data - Flat form data
+ * @returns {Array<object>} Normalized rules
+ */
+function _rulesFromForm(data) {
+  const { rules = {} } = foundry.utils.expandObject(data);
+  return Object.entries(rules)
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .map(([, rule]) => normalizeRule(rule));
 }
@@ -3,10 +3,11 @@
  */
 import { createLogger, isDebugEnabled } from './logger.js';
 import { toolRegistry } from '../core/tool-registry.js';
+import { getImageUrls, getTextContent } from './message-content.js';
 
 /**
  * Sanitize messages for providers without native tool support.
- * Keeps only system/user/assistant roles and non-empty string content.
+ * Keeps only system/user/assistant roles and non-empty content (text, or attached images).
  */
 export function sanitizeMessagesForFallback(messages) {
   try {
@@ -14,19 +15,20 @@ export function sanitizeMessagesForFallback(messages) {
       .filter(m => {
         const r = m && m.role;
         if (r !== 'system' && r !== 'user' && r !== 'assistant' && r !== 'developer') return false;
-        const c = typeof m.content === 'string' ? m.content.trim() : '';
-        return c.length > 0;
+        const c = getTextContent(m.content).trim();
+        return c.length > 0 || getImageUrls(m.content).length > 0;
       })
       .map((m, i) => {
         // Downgrade 'developer' to 'user' in fallback mode (no provider detection available)
         if (m.role === 'developer') {
-          return { role: 'user', content: `[DEVELOPER CORRECTION] ${String(m.content)}` };
+          return { role: 'user', content: `[DEVELOPER CORRECTION] ${getTextContent(m.content)}` };
         }
         // Downgrade mid-conversation 'system' to 'user' (position 0 is fine)
         if (m.role === 'system' && i > 0) {
-          return { role: 'user', content: `[SYSTEM CORRECTION] ${String(m.content)}` };
+          return { role: 'user', content: `[SYSTEM CORRECTION] ${getTextContent(m.content)}` };
         }
-        return { role: m.role, content: String(m.content) };
+        // Multimodal content parts pass through unchanged
+        return { role: m.role, content: Array.isArray(m.content) ? m.content : String(m.content) };
       });
   } catch {
     return [];
@@ -123,11 +125,7 @@ function _attachProviderMetadata(payload, source) {
   if (source && source.errorMetadata) result.errorMetadata = source.errorMetadata;
 
   // New: Standardized metadata persistence
-  if (source) {
-    result.provider_metadata = {
-      original_response: source._originalResponse || source,
-    };
-  }
+  if (source) result.provider_metadata = _buildProviderMetadata(source);
 
   if (source && source._originalResponse) {
     result._originalResponse = source._originalResponse;
@@ -137,6 +135,13 @@ function _attachProviderMetadata(payload, source) {
   return result;
 }
 
+function _buildProviderMetadata(source) {
+  const metadata = { original_response: source._originalResponse || source };
+  // Which connection produced this turn (set by AIClient.chat, may be a fallback provider)
+  if (source.provider) metadata.provider = source.provider;
+  return metadata;
+}
+
 function _handleAlreadyNormalized(raw) {
   if (!raw.content || raw.content.trim().length === 0) {
     _logEmptyResponse('already-normalized', raw);
@@ -0,0 +1,192 @@
+/**
+ * BPE Token Counter - Offline byte-pair-encoding token counts (tiktoken-compatible)
+ * Rank tables ship with the module under `assets/tokenizers/` and are loaded on first use.
+ * Only counting is implemented; nothing here needs to decode tokens back to text.
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('BpeTokenizer');
+
+/** Pieces longer than this are counted in chunks (merging is quadratic in piece length) */
+const MAX_PIECE_BYTES = 512;
+/** Distinct pieces whose counts are memoized per encoding */
+const PIECE_CACHE_SIZE = 20000;
+
+/**
+ * Bundled encodings
+ * @readonly
+ */
+export const BPE_ENCODINGS = Object.freeze({
+  CL100K: 'cl100k_base',
+  O200K: 'o200k_base',
+});
+
+/** Model ID prefixes that use o200k_base; every other model is counted with cl100k_base */
+const O200K_MODEL_PATTERN =
+  /(^|\/)(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|gpt-oss|chatgpt-4o|o[134]\b|o[134]-)/i;
+
+/** Model ID prefixes whose native tokenizer is the selected encoding (counts are exact) */
+const OPENAI_MODEL_PATTERN = /(^|\/)(gpt-|chatgpt-|o[134]\b|o[134]-|text-embedding-3)/i;
+
+/**
+ * Pick the bundled encoding for a model
+ * @param {string|null} model - Model ID (provider prefixes such as `openai/` are allowed)
+ * @returns {string} Encoding name
+ */
+export function encodingForModel(model) {
+  return O200K_MODEL_PATTERN.test(model || '') ? BPE_ENCODINGS.O200K : BPE_ENCODINGS.CL100K;
+}
+
+/**
+ * Whether the bundled encoding is the model's own tokenizer (otherwise counts are approximate)
+ * @param {string|null} model - Model ID
+ * @returns {boolean}
+ */
+export function isNativeEncoding(model) {
+  return OPENAI_MODEL_PATTERN.test(model || '');
+}
+
+const textEncoder = new TextEncoder();
+
+/**
+ * UTF-8 encode a string as a binary string (one char per byte), the key format of the ranks
+ * @param {string} text
+ * @returns {string}
+ */
+function _toBinary(text) {
+  const bytes = textEncoder.encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  }
+  return binary;
+}
+
+/**
+ * Byte-pair merge count for one pre-tokenized piece
+ * @param {string} bytes - Piece as a binary string (one char per byte)
+ * @param {Map<string, number>} ranks - Merge ranks keyed by binary string
+ * @returns {number} Token count
+ */
+function _countMerged(bytes, ranks) {
+  // Boundaries between parts; each pass merges the adjacent pair with the lowest rank
+  const starts = Array.from({ length: bytes.length + 1 }, (_, i) => i);
+  while (starts.length > 2) {
+    let best = -1;
+    let bestRank = Infinity;
+    for (let i = 0; i < starts.length - 2; i++) {
+      const rank = ranks.get(bytes.slice(starts[i], starts[i + 2]));
+      if (rank !== undefined && rank < bestRank) {
+        bestRank = rank;
+        best = i;
+      }
+    }
+    if (best < 0) break;
+    starts.splice(best + 1, 1);
+  }
+  return starts.length - 1;
+}
+
+/**
+ * Token counter for one encoding
+ */
+export class BpeEncoding {
+  /**
+   * @param {{name: string, pat_str: string, bpe_ranks: string}} data - Rank table
+   *   (`bpe_ranks` lines are `<prefix> <first rank> <base64 token>...`)
+   */
+  constructor(data) {
+    this.name = data.name;
+    this.pattern = new RegExp(data.pat_str, 'gu');
+    /** @type {Map<string, number>} */
+    this.ranks = new Map();
+    /** @type {Map<string, number>} */
+    this._pieceCache = new Map();
+
+    for (const line of data.bpe_ranks.split('\n')) {
+      if (!line) continue;
+      const [, offset, ...tokens] = line.split(' ');
+      const first = Number.parseInt(offset, 10);
+      tokens.forEach((token, i) => this.ranks.set(atob(token), first + i));
+    }
+  }
+
+  /**
+   * Count the tokens in a text
+   * @param {string} text
+   * @returns {number}
+   */
+  countTokens(text) {
+    let count = 0;
+    for (const [piece] of String(text || '').matchAll(this.pattern)) {
+      count += this._countPiece(piece);
+    }
+    return count;
+  }
+
+  /**
+   * @param {string} piece - Pre-tokenized piece
+   * @returns {number}
+   * @private
+   */
+  _countPiece(piece) {
+    const cached = this._pieceCache.get(piece);
+    if (cached !== undefined) return cached;
+
+    const bytes = _toBinary(piece);
+    let count = 0;
+    if (this.ranks.has(bytes)) {
+      count = 1;
+    } else {
+      for (let i = 0; i < bytes.length; i += MAX_PIECE_BYTES) {
+        count += _countMerged(bytes.slice(i, i + MAX_PIECE_BYTES), this.ranks);
+      }
+    }
+
+    if (this._pieceCache.size >= PIECE_CACHE_SIZE) this._pieceCache.clear();
+    this._pieceCache.set(piece, count);
+    return count;
+  }
+}
+
+/** @type {Map<string, Promise<BpeEncoding|null>>} */
+const encodings = new Map();
+
+/**
+ * Make a rank table available without fetching it (tests and tooling)
+ * @param {{name: string, pat_str: string, bpe_ranks: string}} data - Rank table
+ * @returns {BpeEncoding}
+ */
+export function registerEncoding(data) {
+  const encoding = new BpeEncoding(data);
+  encodings.set(data.name, Promise.resolve(encoding));
+  return encoding;
+}
+
+/**
+ * Load a bundled encoding (once; later calls share the same promise)
+ * @param {string} name - Encoding name
+ * @returns {Promise<BpeEncoding|null>} Null when the rank table cannot be loaded
+ */
+export function loadEncoding(name) {
+  // Rank tables are served by Foundry; elsewhere they must be registered explicitly
+  if (!encodings.has(name) && typeof window === 'undefined') return Promise.resolve(null);
+  if (!encodings.has(name)) {
+    const url = `modules/simulacrum/assets/tokenizers/${name}.json`;
+    encodings.set(
+      name,
+      fetch(url)
+        .then(response => {
+          if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+          return response.json();
+        })
+        .then(data => new BpeEncoding(data))
+        .catch(error => {
+          logger.warn(`Could not load ${name} tokenizer, using estimates: ${error.message}`);
+          return null;
+        })
+    );
+  }
+  return encodings.get(name);
+}
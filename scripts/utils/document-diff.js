@@ -0,0 +1,124 @@
+/**
+ * Document Diff - Field-level differences between two versions of a document's data
+ * Used by the dry run shown in tool confirmation cards. Nested fields are compared by dotted
+ * path; top-level arrays of objects are embedded collections (items, pages, effects, results...)
+ * and are compared entry by entry, so added, removed and changed entries can be listed by name.
+ */
+
+/** Most changed fields listed; the rest are only counted */
+export const MAX_DIFF_FIELDS = 25;
+
+/** Longest value shown, in characters */
+const MAX_VALUE_LENGTH = 120;
+
+/** Bookkeeping fields left out of diffs */
+const IGNORED_FIELDS = new Set(['_id', '_stats', 'sort']);
+
+/**
+ * Compare two versions of a document
+ * @param {object} before - Data before the change (`{}` for a new document)
+ * @param {object} after - Data after the change (`{}` for a deleted document)
+ * @param {{limit?: number}} [options]
+ * @returns {{fields: Array<{path: string, before: string, after: string}>, moreFields: number,
+ *   embedded: Array<{collection: string, action: 'added'|'removed'|'changed', name: string}>,
+ *   empty: boolean}} Values are display strings ('' when the field is absent)
+ */
+export function diffDocuments(before, after, { limit = MAX_DIFF_FIELDS } = {}) {
+  const fields = [];
+  const embedded = [];
+  for (const key of _keys(before, after)) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    if (_isCollection(before?.[key]) || _isCollection(after?.[key])) {
+      embedded.push(..._diffCollection(key, before?.[key], after?.[key]));
+    } else {
+      _diffValues(key, before?.[key], after?.[key], fields);
+    }
+  }
+  return {
+    fields: fields.slice(0, limit),
+    moreFields: Math.max(0, fields.length - limit),
+    embedded,
+    empty: fields.length === 0 && embedded.length === 0,
+  };
+}
+
+/**
+ * Format a field value for display
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatDiffValue(value) {
+  if (value === undefined) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+function _diffValues(path, before, after, fields) {
+  const nested =
+    (_isPlainObject(before) || _isPlainObject(after)) &&
+    (before === undefined || _isPlainObject(before)) &&
+    (after === undefined || _isPlainObject(after));
+  if (nested) {
+    for (const key of _keys(before, after)) {
+      _diffValues(`${path}.${key}`, before?.[key], after?.[key], fields);
+    }
+    return;
+  }
+  if (!_equal(before, after)) {
+    fields.push({ path, before: formatDiffValue(before), after: formatDiffValue(after) });
+  }
+}
+
+function _diffCollection(collection, before = [], after = []) {
+  const oldEntries = _byId(before);
+  const newEntries = _byId(after);
+  const changes = [];
+  for (const [id, entry] of oldEntries) {
+    if (!newEntries.has(id)) changes.push({ collection, action: 'removed', name: _name(entry) });
+    else if (!_equal(_content(entry), _content(newEntries.get(id)))) {
+      changes.push({ collection, action: 'changed', name: _name(newEntries.get(id)) });
+    }
+  }
+  for (const [id, entry] of newEntries) {
+    if (!oldEntries.has(id)) changes.push({ collection, action: 'added', name: _name(entry) });
+  }
+  return changes;
+}
+
+/** Entries keyed by ID (new entries may not have one yet) */
+function _byId(entries) {
+  return new Map(
+    (Array.isArray(entries) ? entries : []).map((entry, index) => [
+      entry?._id ?? `#${index}`,
+      entry,
+    ])
+  );
+}
+
+function _content(entry) {
+  const content = { ...entry };
+  for (const field of IGNORED_FIELDS) delete content[field];
+  return content;
+}
+
+function _name(entry) {
+  return String(entry?.name ?? entry?.label ?? entry?.text ?? entry?._id ?? '?');
+}
+
+function _isCollection(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(_isPlainObject);
+}
+
+function _isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function _keys(...objects) {
+  return [
+    ...new Set(objects.flatMap(object => (_isPlainObject(object) ? Object.keys(object) : []))),
+  ];
+}
+
+function _equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -98,6 +98,17 @@ export class NotFoundError extends SimulacrumError {
   }
 }
 
+/**
+ * Error thrown when an operation does not finish within its time limit
+ * @extends SimulacrumError
+ */
+export class TimeoutError extends SimulacrumError {
+  constructor(message, operation = null, timeout = null) {
+    super(message, 'TIMEOUT_ERROR', { operation, timeout });
+    this.name = 'TimeoutError';
+  }
+}
+
 /**
  * Helper function to wrap errors in SimulacrumError instances
  * @param {Error} error - The original error
@@ -0,0 +1,78 @@
+/**
+ * Message content helpers
+ * Message `content` is either a string or an array of OpenAI-style content parts:
+ * `{type: 'text', text}` and `{type: 'image_url', image_url: {url}}`. Only user messages
+ * carry images (attachments); every other message is stored as a string.
+ */
+
+/**
+ * Rough token cost of one image, used where the provider's own count is not known yet
+ * (OpenAI bills a 1024px high-detail image at 765 tokens; other providers are similar)
+ */
+export const IMAGE_TOKEN_ESTIMATE = 765;
+
+/**
+ * Build user message content from text and attached image URLs
+ * @param {string} text - Message text
+ * @param {string[]} [images] - Image URLs (normally `data:` URLs)
+ * @returns {string|Array<object>} Plain text when there are no images, else content parts
+ */
+export function buildUserContent(text, images = []) {
+  if (!Array.isArray(images) || images.length === 0) return text;
+  return [
+    ...(text ? [{ type: 'text', text }] : []),
+    ...images.map(url => ({ type: 'image_url', image_url: { url } })),
+  ];
+}
+
+/**
+ * Text of a message's content (image parts are skipped)
+ * @param {string|Array<object>|null} content
+ * @returns {string}
+ */
+export function getTextContent(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(part => part?.type === 'text' && typeof part.text === 'string')
+    .map(part => part.text)
+    .join('\n');
+}
+
+/**
+ * Image URLs in a message's content
+ * @param {string|Array<object>|null} content
+ * @returns {string[]}
+ */
+export function getImageUrls(content) {
+  if (!Array.isArray(content)) return [];
+  return content
+    .filter(part => part?.type === 'image_url')
+    .map(part => (typeof part.image_url === 'string' ? part.image_url : part.image_url?.url))
+    .filter(url => typeof url === 'string' && url.length > 0);
+}
+
+/**
+ * Text of a message's content with a marker in place of each image, for logs and models
+ * that cannot see images
+ * @param {string|Array<object>|null} content
+ * @param {string} [marker] - Text standing in for one image
+ * @returns {string}
+ */
+export function describeContent(content, marker = '[image]') {
+  const text = getTextContent(content);
+  const images = getImageUrls(content).length;
+  if (!images) return text;
+  const markers = Array(images).fill(marker).join(' ');
+  return text ? `${text}\n${markers}` : markers;
+}
+
+/**
+ * Split a base64 `data:` URL into media type and payload
+ * @param {string} url
+ * @returns {{mediaType: string, data: string}|null} Null for other URLs
+ */
+export function parseDataUrl(url) {
+  const match = /^data:([^;,]+);base64,(.*)$/su.exec(String(url || ''));
+  return match ? { mediaType: match[1], data: match[2] } : null;
+}
@@ -192,6 +192,22 @@ export function formatToolCallDisplay(
   return `<div class="simulacrum-tool-call ${statusClass}"><i class="${iconClass} tool-icon"></i><span class="tool-action">${actionText}</span>${justificationHtml}${documentHtml}${resultHtml}</div>`;
 }
 
+/**
+ * Format the undo button of a tool result card
+ * @param {string} toolCallId - The tool call ID
+ * @param {{undone: boolean}|null} entry - Undo journal entry of the call (null when the call
+ *   changed no documents)
+ * @returns {string} HTML string, empty when there is nothing to undo
+ */
+export function formatUndoControl(toolCallId, entry) {
+  if (!entry) return '';
+  const label = game.i18n.localize(
+    entry.undone ? 'SIMULACRUM.Undo.Undone' : 'SIMULACRUM.Undo.ToolCall'
+  );
+  const disabled = entry.undone ? ' disabled' : '';
+  return `<button type="button" class="simulacrum-tool-undo" data-action="undoToolCall" data-tool-call-id="${toolCallId}"${disabled}><i class="fa-solid fa-rotate-left"></i> ${label}</button>`;
+}
+
 /**
  * Format a pending tool call as HTML with spinner icon
  * @param {string} toolName - The name of the tool being executed
@@ -218,6 +234,19 @@ export function formatPendingToolCall(toolName, justification = '', toolCallId =
   return `<div class="simulacrum-tool-call tool-pending"${dataAttr}><i class="fa-solid fa-circle-notch fa-spin tool-icon"></i><span class="tool-action">${actionText}</span>${justificationHtml}</div>`;
 }
 
+/**
+ * Format images attached to a user message as a row of thumbnails
+ * @param {string[]} urls - Image URLs
+ * @returns {string} HTML string (empty when there are no images)
+ */
+export function formatImageAttachments(urls) {
+  if (!Array.isArray(urls) || urls.length === 0) return '';
+  const images = urls
+    .map(url => `<img src="${foundry.utils.escapeHTML(url)}" alt="" loading="lazy">`)
+    .join('');
+  return `<div class="simulacrum-attached-images">${images}</div>`;
+}
+
 /**
  * Get human-readable action text for a tool
  * @param {string} toolName - The tool name
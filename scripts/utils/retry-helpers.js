@@ -144,6 +144,15 @@ export function buildConnectionRetryLabel(nextAttempt, maxAttempts) {
   return `Connection Error, Retrying (${nextAttempt}/${maxAttempts})...`;
 }
 
+/**
+ * Build the status label shown when switching to a fallback provider
+ * @param {string} providerName - Name of the provider taking over
+ * @returns {string}
+ */
+export function buildProviderFallbackLabel(providerName) {
+  return `Provider Unavailable, Switching to ${providerName}...`;
+}
+
 /**
  * Get retry delay in milliseconds based on attempt index
  * @param {number} previousAttemptIndex - 0-indexed attempt number
@@ -198,6 +207,49 @@ export function delayWithSignal(ms, signal) {
   });
 }
 
+/**
+ * Run an operation that can be cancelled, under a time limit
+ * The operation gets a signal that aborts when `signal` does or the time limit passes. Whatever
+ * happens first settles the returned promise; an operation that ignores its signal keeps running
+ * and its outcome is dropped.
+ * @param {function(AbortSignal): Promise<*>} operation
+ * @param {object} [options]
+ * @param {AbortSignal|null} [options.signal] - Caller's abort signal
+ * @param {number} [options.timeout=0] - Milliseconds; 0 for no limit
+ * @param {function(): Error} [options.onTimeout] - Builds the error thrown when time runs out
+ * @returns {Promise<*>} The operation's result
+ * @throws {Error} The timeout error, or an AbortError when aborted
+ */
+export async function withTimeLimit(operation, { signal = null, timeout = 0, onTimeout } = {}) {
+  throwIfAborted(signal);
+  const controller = new AbortController();
+  let cleanup = null;
+  const limits = new Promise((_resolve, reject) => {
+    const stop = error => {
+      controller.abort(error);
+      reject(error);
+    };
+    const onAbort = () => stop(createAbortError());
+    const timer =
+      timeout > 0
+        ? setTimeout(
+            () => stop(onTimeout?.() ?? new Error(`Timed out after ${timeout}ms`)),
+            timeout
+          )
+        : null;
+    signal?.addEventListener('abort', onAbort, { once: true });
+    cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+  });
+  try {
+    return await Promise.race([operation(controller.signal), limits]);
+  } finally {
+    cleanup();
+  }
+}
+
 /**
  * Build a generic failure message for when all retry attempts are exhausted
  * @returns {object}
@@ -0,0 +1,213 @@
+/**
+ * SSE helpers for OpenAI-compatible streaming chat completions.
+ * Parses `text/event-stream` (or newline-delimited JSON) bodies and assembles incremental deltas (content and
+ * tool-call argument fragments) into the same shape as a non-streaming response.
+ */
+
+import { APIError } from './errors.js';
+import { createAbortError, throwIfAborted } from './retry-helpers.js';
+
+const DONE_SENTINEL = '[DONE]';
+
+/**
+ * Check whether a fetch response carries an SSE body
+ * @param {Response} response - Fetch response
+ * @returns {boolean}
+ */
+export function isEventStream(response) {
+  const contentType = response?.headers?.get?.('content-type') || '';
+  return contentType.includes('text/event-stream') && !!response.body;
+}
+
+/**
+ * Split buffered SSE text into complete `data:` payloads
+ * @param {string} buffer - Accumulated stream text
+ * @returns {{events: string[], rest: string}} Complete payloads and the unterminated remainder
+ */
+export function splitSSEEvents(buffer) {
+  const blocks = buffer.split(/\r?\n\r?\n/u);
+  const rest = blocks.pop();
+  const events = [];
+
+  for (const block of blocks) {
+    const data = block
+      .split(/\r?\n/u)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /u, ''))
+      .join('\n');
+    if (data) events.push(data);
+  }
+
+  return { events, rest };
+}
+
+/**
+ * Split buffered NDJSON text (one JSON document per line) into complete lines
+ * @param {string} buffer - Accumulated stream text
+ * @returns {{events: string[], rest: string}} Complete lines and the unterminated remainder
+ */
+export function splitNDJSONLines(buffer) {
+  const lines = buffer.split(/\r?\n/u);
+  const rest = lines.pop();
+  return { events: lines.filter(line => line.trim()), rest };
+}
+
+/**
+ * Accumulates `chat.completion.chunk` payloads into a complete assistant message.
+ * Tool calls arrive as fragments keyed by `index`; argument strings are concatenated.
+ */
+export class ChatStreamAccumulator {
+  constructor() {
+    this.content = '';
+    this.toolCalls = [];
+    this.finishReason = null;
+    this.model = null;
+    this.usage = null;
+  }
+
+  /**
+   * Apply one parsed chunk
+   * @param {object} chunk - Parsed stream payload
+   * @returns {string} Content text added by this chunk
+   * @throws {APIError} When the provider reports an error mid-stream
+   */
+  push(chunk) {
+    if (chunk?.error) {
+      const detail = chunk.error.message || JSON.stringify(chunk.error);
+      throw new APIError(`Stream error - ${detail}`, { error: chunk.error });
+    }
+    if (chunk?.model) this.model = chunk.model;
+    if (chunk?.usage) this.usage = chunk.usage;
+
+    const choice = chunk?.choices?.[0];
+    return choice ? this._applyChoice(choice) : '';
+  }
+
+  _applyChoice(choice) {
+    if (choice.finish_reason) this.finishReason = choice.finish_reason;
+
+    const delta = choice.delta || {};
+    for (const fragment of delta.tool_calls || []) {
+      this._mergeToolCall(fragment);
+    }
+
+    const text = typeof delta.content === 'string' ? delta.content : '';
+    this.content += text;
+    return text;
+  }
+
+  _mergeToolCall(fragment) {
+    const index = Number.isInteger(fragment.index) ? fragment.index : this.toolCalls.length;
+    if (!this.toolCalls[index]) {
+      this.toolCalls[index] = { id: null, type: 'function', function: { name: '', arguments: '' } };
+    }
+    const target = this.toolCalls[index];
+
+    if (fragment.id) target.id = fragment.id;
+    if (fragment.type) target.type = fragment.type;
+    if (fragment.function?.name) target.function.name = fragment.function.name;
+
+    const args = fragment.function?.arguments;
+    if (typeof args === 'string') {
+      target.function.arguments += args;
+    } else if (args && typeof args === 'object') {
+      // Some backends send complete argument objects instead of string fragments
+      target.function.arguments = JSON.stringify(args);
+    }
+  }
+
+  /**
+   * Build the response body a non-streaming request would have returned
+   * @returns {object} `/chat/completions` response data
+   */
+  toResponse() {
+    const toolCalls = this.toolCalls.filter(Boolean);
+    return {
+      model: this.model,
+      usage: this.usage,
+      choices: [
+        {
+          message: {
+            role: 'assistant',
+            content: this.content,
+            ...(toolCalls.length ? { tool_calls: toolCalls } : {}),
+          },
+          finish_reason: this.finishReason,
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Consume a streaming chat completion body, reporting content as it arrives
+ * @param {Response} response - Fetch response with a streaming body
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the read
+ * @param {function(object): void} [options.onDelta] - Receives `{type: 'start'}` once, then
+ *   `{type: 'content', text}` for each content fragment
+ * @param {object} [options.accumulator] - Provider-specific accumulator exposing
+ *   `push(chunk)` and `toResponse()`; defaults to OpenAI chunk handling
+ * @param {function(string): {events: string[], rest: string}} [options.split] - Body framing;
+ *   defaults to SSE (`splitNDJSONLines` for newline-delimited JSON)
+ * @returns {Promise<object>} Response data in non-streaming `/chat/completions` shape
+ */
+export async function readChatStream(response, options = {}) {
+  const {
+    signal,
+    onDelta,
+    accumulator = new ChatStreamAccumulator(),
+    split = splitSSEEvents,
+  } = options;
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const emit = typeof onDelta === 'function' ? onDelta : () => {};
+  let buffer = '';
+  let finished = false;
+
+  emit({ type: 'start' });
+  try {
+    while (!finished) {
+      throwIfAborted(signal);
+      const { value, done } = await reader.read();
+      if (done) {
+        buffer += `${decoder.decode()}\n\n`;
+      } else {
+        buffer += decoder.decode(value, { stream: true });
+      }
+      const { events, rest } = split(buffer);
+      buffer = rest;
+      finished = _applyEvents(events, accumulator, emit) || done;
+    }
+  } catch (error) {
+    if (signal?.aborted || error?.name === 'AbortError') throw createAbortError();
+    throw error;
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+
+  return accumulator.toResponse();
+}
+
+/**
+ * Feed parsed payloads into the accumulator
+ * @returns {boolean} True once the `[DONE]` sentinel is seen
+ * @private
+ */
+function _applyEvents(events, accumulator, emit) {
+  for (const data of events) {
+    if (data.trim() === DONE_SENTINEL) return true;
+
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch {
+      // Keep-alive or vendor-specific payloads that are not JSON
+      continue;
+    }
+
+    const text = accumulator.push(chunk);
+    if (text) emit({ type: 'content', text });
+  }
+  return false;
+}
@@ -1,10 +1,22 @@
 /**
- * Tokenizer Adapter (MVP)
+ * Tokenizer Adapter
  * - Provides a pluggable interface for token estimation.
- * - Defaults to a simple heuristic to avoid external deps.
- * - Future: swap with model-specific tokenizers (e.g., tiktoken) when allowed.
+ * - Counts with a bundled BPE encoding picked by model (o200k/cl100k, see bpe-tokenizer.js).
+ * - Until the rank table has loaded, or if it cannot be loaded, falls back to a heuristic.
+ * - For models whose tokenizer is not bundled, counts are scaled by a ratio calibrated
+ *   against the `usage.prompt_tokens` the server reports.
  */
 
+import { encodingForModel, isNativeEncoding, loadEncoding } from './bpe-tokenizer.js';
+import { IMAGE_TOKEN_ESTIMATE, getImageUrls, getTextContent } from './message-content.js';
+
+/** Per-message framing tokens added by chat templates (role markers, separators) */
+const MESSAGE_OVERHEAD_TOKENS = 3;
+/** Weight of the newest server measurement in the calibration ratio */
+const CALIBRATION_WEIGHT = 0.3;
+/** Bounds for the calibration ratio (guards against a single odd measurement) */
+const CALIBRATION_RANGE = Object.freeze({ min: 0.5, max: 4 });
+
 class TokenizerAdapter {
   /**
    * @param {object} [options]
@@ -12,54 +24,143 @@ class TokenizerAdapter {
    */
   constructor(options = {}) {
     this.model = options.model || null;
+    this.encodingName = encodingForModel(this.model);
+    /** @type {import('./bpe-tokenizer.js').BpeEncoding|null} */
+    this.bpe = null;
+    /** Multiplier applied to approximate counts (1 until calibrated) */
+    this.calibration = 1;
+    this._calibrated = false;
+    /** @type {Promise<boolean>|null} */
+    this._loading = null;
+  }
+
+  /**
+   * Load the BPE encoding (started on first use; later calls share the same promise)
+   * @returns {Promise<boolean>} Resolves once loading settles; true when BPE counts are used
+   */
+  whenReady() {
+    this._loading ??= loadEncoding(this.encodingName).then(bpe => {
+      this.bpe = bpe;
+      return !!bpe;
+    });
+    return this._loading;
+  }
+
+  /**
+   * Whether counts come from the model's own tokenizer (so calibration is not applied)
+   * @returns {boolean}
+   */
+  get isExact() {
+    return !!this.bpe && isNativeEncoding(this.model);
   }
 
   /**
    * Estimate tokens for a single message.
-   * Keeps parity with prior heuristic: word-count for content + JSON length of tool_calls.
+   * Counts content plus the JSON of tool_calls, and a small per-message framing overhead.
+   * Attached images count as a fixed estimate each.
    * @param {object} message
    * @returns {number}
    */
   estimateMessageTokens(message) {
+    return this._calibrate(this._countMessage(message));
+  }
+
+  /**
+   * Estimate tokens for multiple messages.
+   * @param {Array<object>} messages
+   * @returns {number}
+   */
+  estimateMessagesTokens(messages) {
+    if (!Array.isArray(messages)) return 0;
+    return messages.reduce((sum, m) => sum + this.estimateMessageTokens(m), 0);
+  }
+
+  /**
+   * Estimate tokens for plain text (e.g. serialized tool schemas).
+   * @param {string} text
+   * @returns {number}
+   */
+  estimateTextTokens(text) {
+    return this._calibrate(this._estimateText(String(text || '')));
+  }
+
+  /**
+   * Learn the ratio between our count and the server's for a request we sent.
+   * Ignored when counts are exact.
+   * @param {Array<object>} messages - Messages sent
+   * @param {Array<object>|null} tools - Tool schemas sent
+   * @param {number} promptTokens - `usage.prompt_tokens` reported by the server
+   * @returns {boolean} Whether the ratio changed enough that stored counts should be redone
+   */
+  calibrate(messages, tools, promptTokens) {
+    if (this.isExact || !Array.isArray(messages) || !(promptTokens > 0)) return false;
+
+    const counted =
+      messages.reduce((sum, m) => sum + this._countMessage(m), 0) +
+      (tools ? this._estimateText(JSON.stringify(tools)) : 0);
+    if (counted <= 0) return false;
+
+    const measured = Math.min(
+      CALIBRATION_RANGE.max,
+      Math.max(CALIBRATION_RANGE.min, promptTokens / counted)
+    );
+    const previous = this.calibration;
+    this.calibration = this._calibrated
+      ? previous * (1 - CALIBRATION_WEIGHT) + measured * CALIBRATION_WEIGHT
+      : measured;
+    this._calibrated = true;
+    return Math.abs(this.calibration - previous) / previous > 0.02;
+  }
+
+  /**
+   * Uncalibrated count for one message
+   * @param {object} message
+   * @returns {number}
+   * @private
+   */
+  _countMessage(message) {
     if (!message) return 0;
-    let tokens = 0;
+    let tokens = MESSAGE_OVERHEAD_TOKENS;
     if (message.content) {
-      tokens += this._estimateText(String(message.content || ''));
+      tokens += this._estimateText(getTextContent(message.content));
+      tokens += getImageUrls(message.content).length * IMAGE_TOKEN_ESTIMATE;
     }
     if (message.tool_calls) {
-      // Rough cost for tool_calls payload
       tokens += this._estimateText(JSON.stringify(message.tool_calls));
     }
     return tokens;
   }
 
   /**
-   * Estimate tokens for multiple messages.
-   * @param {Array<object>} messages
+   * @param {number} count - Uncalibrated count
    * @returns {number}
+   * @private
    */
-  estimateMessagesTokens(messages) {
-    if (!Array.isArray(messages)) return 0;
-    return messages.reduce((sum, m) => sum + this.estimateMessageTokens(m), 0);
+  _calibrate(count) {
+    return this.isExact || this.calibration === 1 ? count : Math.ceil(count * this.calibration);
   }
 
   /**
-   * Internal heuristic: whitespace-separated word count as proxy for tokens.
+   * Count text tokens with the BPE encoding, or estimate them while it is unavailable.
+   * The estimate takes the larger of the word count and ~4 characters per token, so dense
+   * JSON (few spaces) is not undercounted.
    * @param {string} text
    * @returns {number}
    */
   _estimateText(text) {
+    if (this.bpe) return this.bpe.countTokens(text);
+    this.whenReady();
     const s = String(text || '').trim();
     if (!s) return 0;
-    // Count words; fallback to length for very short non-spaced strings
-    const parts = s.split(/\s+/g);
-    return parts.length || s.length;
+    return Math.max(s.split(/\s+/g).length, Math.ceil(s.length / 4));
   }
 }
 
 /**
  * Factory for default tokenizer adapter.
- * In the future, we can pick based on model/provider settings.
+ * Picks the bundled encoding for the model (cl100k_base when unknown).
+ * @param {string|null} [model]
+ * @returns {TokenizerAdapter}
  */
 function createDefaultTokenizer(model = null) {
   return new TokenizerAdapter({ model });
@@ -9,7 +9,7 @@ test('module manifest points to existing local entry points and assets', async (
   const manifest = JSON.parse(await readFile(resolve(ROOT, 'module.json'), 'utf8'));
 
   assert.equal(manifest.id, 'simulacrum');
-  assert.equal(manifest.socket, false);
+  assert.equal(manifest.socket, true); // Shared threads sync over the module socket
   assert.ok(manifest.compatibility.minimum <= 13);
   assert.ok(Number.parseFloat(String(manifest.compatibility.verified)) >= 14);
   if (manifest.compatibility.maximum != null) {
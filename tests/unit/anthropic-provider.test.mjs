@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+
+const { AnthropicProvider, AnthropicStreamAccumulator, fromAnthropicResponse } =
+  await import('../../scripts/core/providers/anthropic-provider.js');
+
+const toolCall = (id, name, args) => ({
+  id,
+  type: 'function',
+  function: { name, arguments: JSON.stringify(args) },
+});
+
+test('OpenAI-style history becomes Messages API turns with tool_use/tool_result blocks', () => {
+  const provider = new AnthropicProvider({ apiKey: 'k', model: 'claude-sonnet-4-5' });
+  const body = provider.buildRequestBody({
+    messages: [
+      { role: 'system', content: 'You are Simulacrum.' },
+      { role: 'assistant', content: 'Welcome!' },
+      { role: 'user', content: 'Read the goblin' },
+      {
+        role: 'assistant',
+        content: '',
+        tool_calls: [toolCall('call:1', 'document_read', { uuid: 'Actor.g' })],
+      },
+      { role: 'tool', tool_call_id: 'call:1', content: '{"name":"Goblin"}' },
+      { role: 'developer', content: 'Call end_loop when done.' },
+    ],
+    tools: [
+      { type: 'function', function: { name: 'document_read', parameters: { type: 'object' } } },
+    ],
+  });
+
+  assert.equal(body.system, 'You are Simulacrum.');
+  assert.equal(body.max_tokens, 8192);
+  assert.deepEqual(body.tools, [{ name: 'document_read', input_schema: { type: 'object' } }]);
+  assert.deepEqual(
+    body.messages.map(turn => turn.role),
+    ['user', 'assistant', 'user', 'assistant', 'user']
+  );
+  assert.deepEqual(body.messages[3].content, [
+    { type: 'tool_use', id: 'call_1', name: 'document_read', input: { uuid: 'Actor.g' } },
+  ]);
+  assert.deepEqual(body.messages[4].content, [
+    { type: 'tool_result', tool_use_id: 'call_1', content: '{"name":"Goblin"}' },
+    { type: 'text', text: '[DEVELOPER CORRECTION] Call end_loop when done.' },
+  ]);
+});
+
+test('Messages API responses map back to chat completion shape', () => {
+  const data = fromAnthropicResponse({
+    model: 'claude-sonnet-4-5',
+    stop_reason: 'tool_use',
+    usage: { input_tokens: 10, cache_read_input_tokens: 5, output_tokens: 3 },
+    content: [
+      { type: 'text', text: 'Reading.' },
+      { type: 'tool_use', id: 'toolu_1', name: 'document_read', input: { uuid: 'Actor.g' } },
+    ],
+  });
+
+  assert.deepEqual(data.usage, {
+    prompt_tokens: 15,
+    completion_tokens: 3,
+    total_tokens: 18,
+    prompt_tokens_details: { cached_tokens: 5 },
+  });
+  assert.equal(data.choices[0].finish_reason, 'tool_calls');
+  assert.equal(data.choices[0].message.content, 'Reading.');
+  assert.deepEqual(data.choices[0].message.tool_calls, [
+    toolCall('toolu_1', 'document_read', { uuid: 'Actor.g' }),
+  ]);
+});
+
+test('stream events assemble text and partial tool input JSON', () => {
+  const accumulator = new AnthropicStreamAccumulator();
+  const events = [
+    { type: 'message_start', message: { model: 'm', usage: { input_tokens: 4 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } },
+    {
+      type: 'content_block_start',
+      index: 1,
+      content_block: { type: 'tool_use', id: 'toolu_2', name: 'end_loop', input: {} },
+    },
+    {
+      type: 'content_block_delta',
+      index: 1,
+      delta: { type: 'input_json_delta', partial_json: '{"a"' },
+    },
+    {
+      type: 'content_block_delta',
+      index: 1,
+      delta: { type: 'input_json_delta', partial_json: ':1}' },
+    },
+    { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 2 } },
+  ];
+
+  const text = events.map(event => accumulator.push(event)).join('');
+  const data = accumulator.toResponse();
+
+  assert.equal(text, 'Hi');
+  assert.equal(data.model, 'm');
+  assert.equal(data.usage.total_tokens, 6);
+  assert.equal(data.choices[0].message.tool_calls[0].function.arguments, '{"a":1}');
+});
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+
+const { BudgetGuard, findExceededCap, describeBudgetCap } =
+  await import('../../scripts/core/budget-guard.js');
+const { UsageLedger, parsePriceTable } = await import('../../scripts/core/usage-ledger.js');
+
+const noCaps = () => ({
+  request: { tokens: 0, cost: 0, minutes: 0 },
+  daily: { tokens: 0, cost: 0, minutes: 0 },
+});
+
+test('request caps are reported before daily caps, and a cap of 0 is off', () => {
+  const caps = noCaps();
+  caps.request.cost = 1;
+  caps.daily.tokens = 100;
+  const spend = {
+    request: { tokens: 5000, cost: 1.5, minutes: 0 },
+    daily: { tokens: 9000, cost: 3, minutes: 0 },
+  };
+
+  assert.deepEqual(findExceededCap(caps, spend), {
+    scope: 'request',
+    measure: 'cost',
+    used: 1.5,
+    limit: 1,
+  });
+  assert.equal(findExceededCap(noCaps(), spend), null);
+  assert.equal(
+    describeBudgetCap({ scope: 'daily', measure: 'tokens', used: 251_300, limit: 250_000 }),
+    'Daily tokens cap reached: 251.3k of 250.0k.'
+  );
+});
+
+test('continuing past a request cap grants another allowance of the same size', () => {
+  const ledger = new UsageLedger();
+  ledger.startTurn();
+  const caps = noCaps();
+  caps.request.tokens = 1000;
+  const guard = new BudgetGuard(ledger, { caps, clock: () => 0 });
+
+  ledger.record({ prompt_tokens: 900, completion_tokens: 200 });
+  const cap = guard.check();
+  assert.equal(cap?.measure, 'tokens');
+  assert.equal(cap.used, 1100);
+
+  guard.extend(cap);
+  assert.equal(guard.check(), null);
+  ledger.record({ prompt_tokens: 950, completion_tokens: 50 });
+  assert.equal(guard.check()?.used, 1000);
+});
+
+test('daily caps count spend from earlier requests and can be waived for this one', () => {
+  const ledger = new UsageLedger();
+  const prices = parsePriceTable('gpt-4.1 = 2 / 8');
+  const start = new Date(2026, 9, 19, 12).getTime();
+  ledger.startTurn();
+  ledger.record(
+    { prompt_tokens: 1_000_000, completion_tokens: 0 },
+    { model: 'gpt-4.1', prices, now: new Date(start) }
+  );
+  ledger.startTurn();
+
+  const caps = noCaps();
+  caps.daily.cost = 2;
+  caps.daily.minutes = 10;
+  let now = start;
+  const guard = new BudgetGuard(ledger, { caps, clock: () => now });
+
+  const cap = guard.check();
+  assert.deepEqual([cap.scope, cap.measure], ['daily', 'cost']);
+  guard.extend(cap);
+  assert.equal(guard.check(), null);
+
+  now = start + 11 * 60_000;
+  assert.equal(guard.check()?.measure, 'minutes');
+  assert.equal(ledger.getDay(new Date(now)).activeMs, 11 * 60_000);
+  assert.equal(ledger.getCurrentTurn().requests, 0);
+});
+
+test('time spent waiting for the GM is not counted', () => {
+  const ledger = new UsageLedger();
+  ledger.startTurn();
+  const caps = noCaps();
+  caps.request.minutes = 5;
+  const start = new Date(2026, 9, 19, 12).getTime();
+  let now = start;
+  const guard = new BudgetGuard(ledger, { caps, clock: () => now });
+
+  now = start + 6 * 60_000;
+  const cap = guard.check();
+  assert.equal(cap?.scope, 'request');
+
+  now = start + 60 * 60_000;
+  guard.skipIdleTime();
+  guard.extend(cap);
+  now += 60_000;
+  assert.equal(guard.check(), null);
+  assert.equal(ledger.getDay(new Date(now)).activeMs, 7 * 60_000);
+});
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+
+const hooks = new Map();
+globalThis.Hooks = {
+  on: (name, fn) => {
+    hooks.set(name, [...(hooks.get(name) ?? []), fn]);
+    return fn;
+  },
+  off: () => {},
+  call: (name, payload) => (hooks.get(name) ?? []).forEach(fn => fn(payload)),
+  callAll: (name, payload) => (hooks.get(name) ?? []).forEach(fn => fn(payload)),
+};
+globalThis.foundry = {
+  applications: {
+    api: { HandlebarsApplicationMixin: Base => Base },
+    handlebars: { renderTemplate: async (_path, { message }) => message },
+    sidebar: {
+      AbstractSidebarTab: class {
+        rendered = false;
+        element = null;
+      },
+    },
+  },
+  utils: { randomID: () => Math.random().toString(36).slice(2) },
+};
+globalThis.game = {
+  settings: { get: (_module, key) => (key === 'budgetDailyTokens' ? 1000 : undefined) },
+};
+
+// Just enough of the chat log for the prompt to be attached, found and removed
+const chatLog = {
+  prompts: [],
+  appendChild(element) {
+    this.prompts.push(element);
+  },
+};
+globalThis.document = {
+  createElement: () => ({
+    dataset: {},
+    querySelectorAll: () => [],
+    remove() {
+      chatLog.prompts = chatLog.prompts.filter(other => other !== this);
+    },
+  }),
+};
+const element = {
+  querySelector: selector =>
+    selector.startsWith('[data-pause-id')
+      ? (chatLog.prompts.find(prompt => selector.includes(prompt.dataset.pauseId)) ?? null)
+      : chatLog,
+};
+
+const { SimulacrumSidebarTab } = await import('../../scripts/ui/simulacrum-sidebar-tab.js');
+const { emitBudgetDecision, emitBudgetPaused, SimulacrumHooks } =
+  await import('../../scripts/core/hook-manager.js');
+const { ConversationEngine } = await import('../../scripts/core/conversation-engine.js');
+const { SimulacrumCore } = await import('../../scripts/core/simulacrum-core.js');
+const { UsageLedger } = await import('../../scripts/core/usage-ledger.js');
+
+test('a budget pause raised while the sidebar is closed is shown once it renders', async () => {
+  const tab = new SimulacrumSidebarTab({});
+  tab._getLastAssistantMessageContent = () => null;
+  tab._scrollToBottom = () => {};
+
+  emitBudgetPaused({ pauseId: 'budget-1', scope: 'request', message: 'Tokens cap reached.' });
+  await tab._showBudgetPause(tab._pendingBudgetPauses.get('budget-1'));
+  assert.equal(chatLog.prompts.length, 0);
+
+  tab.rendered = true;
+  tab.element = element;
+  await tab._onRender({}, {});
+  await tab._onRender({}, {});
+  assert.deepEqual(
+    chatLog.prompts.map(prompt => prompt.innerHTML),
+    ['Tokens cap reached.']
+  );
+
+  emitBudgetDecision('budget-1', 'stop');
+  assert.equal(chatLog.prompts.length, 0);
+  assert.equal(tab._pendingBudgetPauses.size, 0);
+});
+
+test('a day already over its token cap pauses before the first request of a turn', async () => {
+  const usage = new UsageLedger();
+  usage.startTurn();
+  usage.record({ prompt_tokens: 1200, completion_tokens: 300 });
+  usage.startTurn();
+
+  let requests = 0;
+  SimulacrumCore.generateResponse = async () => {
+    requests++;
+    return { content: 'Hello', toolCalls: [] };
+  };
+  const paused = [];
+  Hooks.on(SimulacrumHooks.BUDGET_PAUSED, pause => {
+    paused.push(pause.scope);
+    emitBudgetDecision(pause.pauseId, 'stop');
+  });
+
+  const shown = [];
+  const engine = new ConversationEngine({ usage, getMessages: () => [] });
+  const response = await engine.processTurn({ onAssistantMessage: message => shown.push(message) });
+
+  assert.equal(requests, 0);
+  assert.deepEqual(paused, ['daily']);
+  assert.equal(response._budgetStopped.measure, 'tokens');
+  assert.equal(shown.length, 1);
+  assert.match(shown[0].display, /Daily tokens cap reached: 1\.5k of 1\.0k/);
+});
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+
+const settings = new Map([['campaignMemory', {}]]);
+globalThis.game = {
+  settings: {
+    get: (_module, key) => settings.get(key),
+    set: async (_module, key, value) => {
+      settings.set(key, value);
+      return value;
+    },
+  },
+};
+let nextId = 0;
+globalThis.foundry = { utils: { randomID: () => `memory${++nextId}` } };
+
+const { campaignMemory, formatMemoriesForPrompt, scoreMemory, selectRelevantMemories } =
+  await import('../../scripts/core/campaign-memory.js');
+
+function memory(id, text, { tags = [], pinned = false, updatedAt = '2026-10-01' } = {}) {
+  return { id, text, tags, pinned, createdAt: updatedAt, updatedAt };
+}
+
+test('relevance matches words and plurals, with tags counting double', () => {
+  const necromancers = memory('a', 'The party hates necromancers', { tags: ['party'] });
+  assert.equal(scoreMemory(necromancers, 'Write a necromancer villain'), 1);
+  assert.equal(scoreMemory(necromancers, 'What does the party think?'), 2);
+  assert.equal(scoreMemory(necromancers, 'Roll initiative'), 0);
+
+  const many = Array.from({ length: 25 }, (_, i) => memory(`m${i}`, `Tavern number ${i}`));
+  const selected = selectRelevantMemories(
+    [...many, necromancers, memory('rule', 'Crits deal max damage', { pinned: true })],
+    'Design a necromancer lair'
+  );
+  assert.deepEqual(
+    selected.map(m => m.id),
+    ['rule', 'a']
+  );
+  // With only a few memories, all of them are included
+  assert.equal(selectRelevantMemories([necromancers], 'Roll initiative').length, 1);
+  assert.match(
+    formatMemoriesForPrompt(selected),
+    /- \[a\] The party hates necromancers \(tags: party\)/
+  );
+  assert.equal(formatMemoriesForPrompt([]), '');
+});
+
+test('remembering the same text updates it, and forgotten memories are gone', async () => {
+  const first = await campaignMemory.remember({ text: 'Our party hates necromancers' });
+  const again = await campaignMemory.remember({
+    text: ' our party hates  necromancers ',
+    tags: 'Party, Preferences',
+  });
+  assert.equal(again.id, first.id);
+  assert.deepEqual(again.tags, ['party', 'preferences']);
+
+  const pinned = await campaignMemory.remember({ id: first.id, pinned: true });
+  assert.equal(pinned.text, 'our party hates  necromancers');
+  assert.equal(pinned.pinned, true);
+  assert.deepEqual(pinned.tags, ['party', 'preferences']);
+
+  await assert.rejects(() => campaignMemory.remember({ text: '   ' }), /text is required/);
+  await assert.rejects(() => campaignMemory.remember({ id: 'missing', text: 'x' }), /No memory/);
+
+  assert.equal(campaignMemory.recall('necromancer lair').length, 1);
+  assert.equal((await campaignMemory.forget(first.id)).id, first.id);
+  assert.equal(await campaignMemory.forget(first.id), null);
+  assert.deepEqual(campaignMemory.list(), []);
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { tokenizer } from './fixtures/conversation.mjs';
+
+const settings = new Map([['fallbackContextLimit', 0]]);
+globalThis.game = { settings: { get: (_module, key) => settings.get(key) } };
+
+const { COMPACTION_STATUS, ConversationManager } =
+  await import('../../scripts/core/conversation.js');
+const { elideToolOutputs, parseLedgerSummary } =
+  await import('../../scripts/core/compaction-strategies.js');
+
+function summarizer(reply) {
+  const prompts = [];
+  return {
+    prompts,
+    async chat(messages) {
+      prompts.push(messages[0].content);
+      return { choices: [{ message: { content: reply } }] };
+    },
+  };
+}
+
+function addToolExchange(manager, id, output) {
+  manager.addMessage('assistant', '', [{ id, function: { name: 'document_read' } }]);
+  manager.addMessage('tool', JSON.stringify({ content: output }), null, id);
+}
+
+test('the facts ledger keeps every document UUID, even deep inside long tool output', async () => {
+  settings.set('compactionStrategy', 'facts-ledger');
+  const manager = new ConversationManager('user', 'world', 100, tokenizer);
+  manager.addMessage('user', 'Link the tavern to @UUID[Actor.aaaaaaaaaaaaaaaa]{Durnan}');
+  addToolExchange(manager, 'call-1', `${'x'.repeat(800)} see JournalEntry.bbbbbbbbbbbbbbbb`);
+  manager.addMessage('assistant', 'Done.');
+  manager.addMessage('user', 'Thanks');
+  manager.addMessage('assistant', 'Anytime.');
+
+  const client = summarizer('- The Yawning Portal is run by Durnan');
+  assert.equal(await manager.compactHistory(client, 0), COMPACTION_STATUS.COMPACTED);
+  const { facts, ledger } = parseLedgerSummary(manager.rollingSummary);
+  assert.equal(facts, '- The Yawning Portal is run by Durnan');
+  assert.deepEqual(
+    [...ledger],
+    [
+      ['Actor.aaaaaaaaaaaaaaaa', 'Durnan'],
+      ['JournalEntry.bbbbbbbbbbbbbbbb', ''],
+    ]
+  );
+  assert.deepEqual(
+    manager.messages.map(message => message.content),
+    ['Anytime.']
+  );
+
+  // A later round keeps the earlier ledger and passes the facts back for updating
+  addToolExchange(manager, 'call-2', 'Item.cccccccccccccccc');
+  manager.addMessage('user', 'Next');
+  await manager.compactHistory(client, 0);
+  assert.match(client.prompts[1], /^Current facts:\n- The Yawning Portal is run by Durnan/);
+  assert.equal(parseLedgerSummary(manager.rollingSummary).ledger.size, 3);
+});
+
+test('tool output elision drops bulky results but keeps a read_tool_output reference', async () => {
+  const buffer = new Map();
+  const messages = [
+    { role: 'user', content: 'Read the guild' },
+    { role: 'assistant', content: '', tool_calls: [{ id: 'old' }] },
+    {
+      role: 'tool',
+      tool_call_id: 'old',
+      content: JSON.stringify({ content: 'line\n'.repeat(200) }),
+    },
+    { role: 'user', content: 'And the docks' },
+    { role: 'assistant', content: '', tool_calls: [{ id: 'new' }] },
+    { role: 'tool', tool_call_id: 'new', content: 'y'.repeat(1000) },
+  ];
+
+  const elided = elideToolOutputs(messages, buffer);
+  const reference = JSON.parse(elided[2].content);
+  assert.equal(reference._elided, true);
+  assert.match(reference.access, /read_tool_output\(tool_call_id="old"/);
+  assert.equal(buffer.get('old'), 'line\n'.repeat(200));
+  assert.equal(elided[5], messages[5], 'results from the current turn are kept whole');
+  assert.equal(elideToolOutputs(elided, buffer), null);
+
+  // With nothing left to elide the strategy falls back to the rolling summary
+  settings.set('compactionStrategy', 'tool-output-elision');
+  const manager = new ConversationManager('user', 'world', 100, tokenizer);
+  manager.replaceMessages(elided);
+  assert.equal(await manager.compactHistory(summarizer('Read the guild'), 0), 'compacted');
+  assert.equal(manager.rollingSummary, 'Read the guild');
+});
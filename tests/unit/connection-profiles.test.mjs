@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+
+const settings = new Map();
+const settingWrites = [];
+globalThis.game = {
+  settings: {
+    get: (_module, key) => settings.get(key),
+    set: async (_module, key, value) => {
+      settingWrites.push(key);
+      settings.set(key, value);
+      return value;
+    },
+  },
+};
+globalThis.foundry = { utils: { randomID: () => 'profile1' } };
+
+const { connectionProfiles, normalizeProfile } =
+  await import('../../scripts/core/connection-profiles.js');
+
+test('normalizeProfile trims text and drops invalid numbers', () => {
+  assert.deepEqual(
+    normalizeProfile({
+      name: '  Live session ',
+      baseURL: ' https://api.anthropic.com/v1 ',
+      model: 'claude-sonnet-4-5',
+      contextLimit: '128000.4',
+      temperature: '3',
+      requestDelay: '',
+    }),
+    {
+      name: 'Live session',
+      baseURL: 'https://api.anthropic.com/v1',
+      apiKey: '',
+      model: 'claude-sonnet-4-5',
+      contextLimit: 128000,
+      temperature: null,
+      requestDelay: null,
+      fallbackOrder: null,
+    }
+  );
+});
+
+test('saving the current settings and syncing edits back into the active profile', async () => {
+  settings.set('connectionProfiles', {});
+  settings.set('activeConnectionProfile', '');
+  settings.set('baseURL', 'http://localhost:11434/v1');
+  settings.set('apiKey', '');
+  settings.set('model', 'qwen3:32b');
+  settings.set('fallbackContextLimit', 40960);
+  settings.set('apiRequestDelay', 0);
+
+  const id = await connectionProfiles.saveCurrentAs('Prep box');
+  assert.equal(connectionProfiles.getActive().name, 'Prep box');
+
+  settings.set('model', 'llama3.3:70b');
+  await connectionProfiles.syncActiveFromSettings();
+  assert.equal(connectionProfiles.get(id).model, 'llama3.3:70b');
+});
+
+test('activate copies profile values into the live settings, skipping empty fields', async () => {
+  settings.set('connectionProfiles', {
+    cloud: normalizeProfile({
+      name: 'Cloud',
+      baseURL: 'https://openrouter.ai/api/v1',
+      apiKey: 'sk-or',
+      model: 'openai/gpt-4.1',
+      requestDelay: '',
+    }),
+  });
+  settings.set('apiRequestDelay', 500);
+  settingWrites.length = 0;
+
+  // Rebuilding the AI client needs the full Foundry runtime
+  connectionProfiles._rebuild = async () => {};
+  assert.equal(await connectionProfiles.activate('cloud'), true);
+
+  assert.equal(settings.get('baseURL'), 'https://openrouter.ai/api/v1');
+  assert.equal(settings.get('model'), 'openai/gpt-4.1');
+  assert.equal(settings.get('apiRequestDelay'), 500);
+  assert.equal(settingWrites.at(-1), 'activeConnectionProfile');
+  assert.equal(connectionProfiles.isApplying, false);
+});
+
+test("another GM's profile switch is not written back into this client's profiles", async () => {
+  const local = normalizeProfile({ name: 'Local', baseURL: 'http://localhost:11434/v1' });
+  const cloud = normalizeProfile({ name: 'Cloud', baseURL: 'https://openrouter.ai/api/v1' });
+  settings.set('connectionProfiles', { local: { ...local, model: 'qwen3:32b' }, cloud });
+  settings.set('activeConnectionProfile', 'local');
+  game.user = { id: 'gm-b' };
+
+  // GM A's switch to Cloud arrives one setting at a time, the active profile last
+  settings.set('baseURL', 'https://openrouter.ai/api/v1');
+  settings.set('model', 'openai/gpt-4.1');
+  settingWrites.length = 0;
+  for (const key of ['apiKey', 'baseURL', 'model', 'fallbackContextLimit', 'apiRequestDelay']) {
+    await connectionProfiles.onSettingChange(key, 'gm-a');
+  }
+  assert.deepEqual(settingWrites, []);
+  assert.equal(connectionProfiles.get('local').baseURL, 'http://localhost:11434/v1');
+
+  // The same edit made on this client is kept, and a new endpoint clears the model
+  await connectionProfiles.onSettingChange('baseURL', 'gm-b');
+  assert.equal(settings.get('model'), '');
+  assert.equal(connectionProfiles.get('local').baseURL, 'https://openrouter.ai/api/v1');
+});
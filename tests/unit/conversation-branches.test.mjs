@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { tokenizer } from './fixtures/conversation.mjs';
+
+const { forkMessages, selectBranch, getBranchInfo } =
+  await import('../../scripts/core/conversation-branches.js');
+const { ConversationManager } = await import('../../scripts/core/conversation.js');
+const { ChatHandler } = await import('../../scripts/core/chat-handler.js');
+
+test('forking keeps the replaced branch and branches can be flipped between', () => {
+  const original = [
+    { role: 'assistant', content: 'Welcome' },
+    { role: 'user', content: 'Name a tavern', id: 'u1' },
+    { role: 'assistant', content: 'The Prancing Pony' },
+  ];
+
+  const forked = forkMessages(original, 1, { role: 'user', content: 'Name an inn', id: 'u2' });
+  assert.equal(forked.length, 2);
+  assert.equal(forked[1].content, 'Name an inn');
+  assert.deepEqual(getBranchInfo(forked[1]), { number: 2, count: 2 });
+
+  const previous = selectBranch(
+    [...forked, { role: 'assistant', content: 'The Green Dragon' }],
+    1,
+    0
+  );
+  assert.deepEqual(
+    previous.map(message => message.content),
+    ['Welcome', 'Name a tavern', 'The Prancing Pony']
+  );
+  assert.deepEqual(getBranchInfo(previous[1]), { number: 1, count: 2 });
+
+  const next = selectBranch(previous, 1, 1);
+  assert.deepEqual(
+    next.map(message => message.content),
+    ['Welcome', 'Name an inn', 'The Green Dragon']
+  );
+  assert.equal(selectBranch(next, 1, 2), null);
+  assert.equal(getBranchInfo(original[1]), null);
+});
+
+test('rewinding to a user message drops the later turn and keeps tool calls paired', () => {
+  const manager = new ConversationManager('user', 'world', 32000, tokenizer);
+  manager.addMessage('user', 'Find the dragon');
+  const firstId = manager.getMessages()[0].id;
+  manager.addMessage('assistant', '', [{ id: 'call-1', function: { name: 'search' } }]);
+  manager.addMessage('tool', '{"found": true}', null, 'call-1');
+  manager.addMessage('assistant', 'It lairs in the mountains.');
+  manager.addMessage('user', 'Thanks');
+  const secondId = manager.getMessages().at(-1).id;
+
+  const handler = new ChatHandler(manager);
+  assert.equal(handler.rewindToMessage('missing'), false);
+  assert.equal(handler.rewindToMessage(secondId, { text: 'Thanks, and its hoard?' }), true);
+  assert.equal(manager.getMessages().length, 5);
+  assert.equal(manager.getMessages().at(-1).content, 'Thanks, and its hoard?');
+
+  // Regenerating the first message keeps the whole old exchange as a branch
+  assert.equal(handler.rewindToMessage(firstId), true);
+  assert.deepEqual(
+    manager.messages.map(message => message.content),
+    ['Find the dragon']
+  );
+  assert.equal(manager.messages[0].alternatives[0].length, 5);
+
+  assert.equal(handler.switchBranch(manager.messages[0].id, -1), true);
+  const restored = manager.getMessages();
+  assert.equal(restored[1].tool_calls[0].id, 'call-1');
+  assert.equal(restored[2].tool_call_id, 'call-1');
+  assert.deepEqual(getBranchInfo(restored[0]), { number: 1, count: 2 });
+  assert.equal(handler.switchBranch(restored[0].id, -1), false);
+});
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { tokenizer, useFlagStore } from './fixtures/conversation.mjs';
+
+const {
+  conversationToMarkdown,
+  createConversationJournal,
+  exportConversationState,
+  parseConversationImport,
+} = await import('../../scripts/core/conversation-export.js');
+const { ConversationManager } = await import('../../scripts/core/conversation.js');
+
+function prepSession() {
+  const manager = new ConversationManager('user', 'world', 32000, tokenizer);
+  manager.renameThread(manager.activeThreadId, 'Session 4 prep');
+  manager.addMessage('assistant', 'Hello! How can I help?');
+  manager.addMessage('user', 'Who runs the Yawning Portal?');
+  manager.addMessage('assistant', '<think>Check the journal</think>', [
+    { id: 'call-1', function: { name: 'search_documents', arguments: '{}' } },
+  ]);
+  manager.addMessage('tool', '{"found": true}', null, 'call-1');
+  manager.addMessage('assistant', 'Durnan, see @UUID[Actor.abc123]{Durnan}.');
+  manager.rollingSummary = 'Planning the Waterdeep arc';
+  manager.toolOutputBuffer.set('call-1', 'full search output');
+  return manager;
+}
+
+test('a JSON export loads back losslessly and imports as a new thread', async () => {
+  const manager = prepSession();
+  const exported = JSON.parse(JSON.stringify(exportConversationState(manager)));
+  assert.equal(exported.threads.length, 1);
+
+  useFlagStore(exported);
+  const loaded = new ConversationManager('user', 'world', 32000, tokenizer);
+  assert.equal(await loaded.load(), true);
+  assert.deepEqual(loaded.messages, manager.messages);
+  assert.equal(loaded.rollingSummary, 'Planning the Waterdeep arc');
+  assert.equal(loaded.toolOutputBuffer.get('call-1'), 'full search output');
+  assert.equal(loaded.getActiveThread().name, 'Session 4 prep');
+
+  // Importing the same file twice gives two separate threads
+  useFlagStore();
+  const target = new ConversationManager('user', 'world', 32000, tokenizer);
+  const first = target.importThreads(parseConversationImport(JSON.stringify(exported)));
+  const second = target.importThreads(parseConversationImport(JSON.stringify(exported)));
+  assert.notEqual(first.id, second.id);
+  assert.equal(target.threads.length, 3);
+  assert.equal(target.activeThreadId, second.id);
+  assert.deepEqual(target.messages, manager.messages);
+
+  assert.throws(() => parseConversationImport('{"name": "An actor"}'), /not a Simulacrum/);
+  assert.throws(() => parseConversationImport('# Notes'), /Not a JSON file/);
+});
+
+test('the Markdown transcript has a section per prompt and keeps document links', () => {
+  const markdown = conversationToMarkdown(prepSession());
+  assert.equal(
+    markdown,
+    [
+      '# Session 4 prep',
+      '## 1. Who runs the Yawning Portal?',
+      '> Who runs the Yawning Portal?',
+      'Durnan, see @UUID[Actor.abc123]{Durnan}.',
+      '*Tools: `search_documents`*',
+    ].join('\n\n') + '\n'
+  );
+});
+
+test('a journal export renders each turn as a page and keeps document links intact', async () => {
+  // Just enough of showdown: paragraphs, and underscores or asterisks as emphasis
+  globalThis.window = {
+    showdown: {
+      Converter: class {
+        makeHtml(text) {
+          return text
+            .split('\n\n')
+            .map(block => `<p>${block.replace(/[_*]([^_*\n]+)[_*]/g, '<em>$1</em>')}</p>`)
+            .join('\n');
+        }
+      },
+    },
+  };
+  let created = null;
+  globalThis.CONFIG = {
+    JournalEntry: { documentClass: { create: async data => (created = data) } },
+  };
+  useFlagStore();
+  const manager = new ConversationManager('user', 'world', 32000, tokenizer);
+  manager.renameThread(manager.activeThreadId, 'Undermountain');
+  manager.addMessage('user', 'Who rules the _Skullport_ docks?');
+  manager.addMessage(
+    'assistant',
+    'See @UUID[Actor.xanathar_01]{Xanathar_the_Beholder} and @UUID[JournalEntry.sk_port].'
+  );
+
+  await createConversationJournal(manager);
+  delete globalThis.window;
+  delete globalThis.CONFIG;
+
+  assert.equal(created.name, 'Undermountain');
+  assert.equal(created.pages.length, 1);
+  assert.equal(created.pages[0].name, '1. Who rules the _Skullport_ docks?');
+  assert.equal(
+    created.pages[0].text.content,
+    [
+      '<p>> Who rules the <em>Skullport</em> docks?</p>',
+      '<p>See @UUID[Actor.xanathar_01]{Xanathar_the_Beholder} and @UUID[JournalEntry.sk_port].</p>',
+    ].join('\n')
+  );
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+const { buildExcerpt, findMatches, parseSearchQuery, searchHistory } =
+  await import('../../scripts/core/conversation-search.js');
+
+const excerptText = segments => segments.map(s => (s.match ? `[${s.text}]` : s.text)).join('');
+
+test('queries need every word or quoted phrase, and excerpts mark each match', () => {
+  assert.deepEqual(parseSearchQuery(`"Lich's  Phylactery" hidden HIDDEN ""`), [
+    "lich's phylactery",
+    'hidden',
+  ]);
+
+  const text = "The lich's phylactery is hidden in the lich's phylactery vault";
+  const ranges = findMatches(text, ['phylactery', 'lich']);
+  assert.deepEqual(ranges, [
+    [4, 8],
+    [11, 21],
+    [39, 43],
+    [46, 56],
+  ]);
+  assert.equal(findMatches(text, ['phylactery', 'dragon']), null);
+  assert.equal(excerptText(buildExcerpt(text, ranges, 10)), "The [lich]'s [phylactery] is hid…");
+});
+
+test('search covers every thread and the log, listing each message once', () => {
+  const threads = [
+    {
+      id: 'prep',
+      name: 'Session 4 prep',
+      updatedAt: '2026-10-02',
+      rollingSummary: 'The party learned the phylactery is a ring.',
+      activeMessages: [
+        { role: 'user', content: 'Where is the phylactery?' },
+        { role: 'user', content: 'Use the phylactery idea', _internal: true },
+        { role: 'assistant', content: '', tool_calls: [{ function: { name: 'create_document' } }] },
+        { role: 'tool', content: JSON.stringify({ content: 'Created the Phylactery journal' }) },
+      ],
+    },
+    {
+      id: 'npcs',
+      name: 'NPCs',
+      updatedAt: '2026-10-01',
+      rollingSummary: '',
+      activeMessages: [{ role: 'assistant', content: 'Durnan runs the tavern.' }],
+    },
+  ];
+  const logEntries = [
+    { id: 'old', type: 'user', timestamp: '2026-09-01', content: 'Hide the phylactery in a ring' },
+    { id: 'dup', type: 'user', timestamp: '2026-10-02', content: 'Where is the  phylactery?' },
+  ];
+
+  const { total, results } = searchHistory({ threads, logEntries }, 'phylactery');
+  assert.equal(total, 4);
+  assert.deepEqual(
+    results.map(r => [r.source, r.threadId ?? r.entryId, r.messageIndex ?? null, r.role]),
+    [
+      ['thread', 'prep', 3, 'tool'],
+      ['thread', 'prep', 0, 'user'],
+      ['thread', 'prep', null, 'summary'],
+      ['log', 'old', null, 'user'],
+    ]
+  );
+  assert.equal(excerptText(results[0].segments), 'Created the [Phylactery] journal');
+
+  assert.equal(searchHistory({ threads, logEntries }, 'phylactery', { limit: 1 }).total, 4);
+  assert.equal(searchHistory({ threads }, '  ').results.length, 0);
+});
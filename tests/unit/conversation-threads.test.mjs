@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { tokenizer, useFlagStore } from './fixtures/conversation.mjs';
+
+const threadEvents = [];
+globalThis.Hooks = {
+  call: (name, payload) => {
+    if (name === 'simulacrum:threadsChanged') threadEvents.push(payload);
+  },
+  callAll: () => {},
+};
+
+const { ConversationManager } = await import('../../scripts/core/conversation.js');
+const { STORED_IMAGE_MARKER } = await import('../../scripts/core/conversation-threads.js');
+
+test('a v2 conversation is migrated into one thread and the old keys are removed once', async () => {
+  const store = useFlagStore({
+    v: 2,
+    activeMessages: [{ role: 'user', content: 'Where is the tavern?' }],
+    rollingSummary: 'The party reached Phandalin.',
+    toolOutputBuffer: [['call-1', 'full output']],
+    sessionTokens: 20,
+    usage: { conversation: { requests: 3 }, days: { '2026-10-18': { requests: 5 } }, turnCount: 1 },
+  });
+  const manager = new ConversationManager('user', 'world', 32000, tokenizer);
+
+  assert.equal(await manager.load(), true);
+  assert.equal(manager.threads.length, 1);
+  assert.equal(manager.messages.length, 1);
+  assert.equal(manager.messages[0].content, 'Where is the tavern?');
+  assert.ok(manager.messages[0].id, 'older user messages get an ID so they can be edited');
+  assert.equal(manager.rollingSummary, 'The party reached Phandalin.');
+  assert.equal(manager.toolOutputBuffer.get('call-1'), 'full output');
+  assert.equal(manager.usage.conversation.requests, 3);
+
+  await manager.save();
+  await manager.save();
+  const [migrated, next] = store.writes;
+  assert.equal(migrated.v, 3);
+  assert.equal(migrated['-=activeMessages'], null);
+  assert.deepEqual(migrated.days, { '2026-10-18': { requests: 5 } });
+  assert.equal(migrated.threads[0].rollingSummary, 'The party reached Phandalin.');
+  assert.equal('-=activeMessages' in next, false);
+});
+
+test('threads keep their own history, summary and tool outputs; daily usage is shared', async () => {
+  const store = useFlagStore(null);
+  const manager = new ConversationManager('user', 'world', 32000, tokenizer);
+  const first = manager.activeThreadId;
+  manager.addMessage('user', 'Plan the heist');
+  manager.rollingSummary = 'Heist planning';
+  manager.toolOutputBuffer.set('call-1', 'vault layout');
+  manager.usage.days['2026-10-19'] = { requests: 2 };
+
+  const second = manager.createThread('Session zero');
+  assert.equal(manager.activeThreadId, second.id);
+  assert.deepEqual(manager.messages, []);
+  assert.equal(manager.rollingSummary, '');
+  assert.equal(manager.toolOutputBuffer.size, 0);
+  assert.deepEqual(manager.usage.days['2026-10-19'], { requests: 2 });
+  assert.equal(threadEvents.at(-1).activeThreadId, second.id);
+
+  assert.equal(manager.renameThread(second.id, '   '), false);
+  assert.equal(manager.renameThread(second.id, 'Character creation'), true);
+  assert.equal(manager.switchThread(first), true);
+  assert.equal(manager.messages[0].content, 'Plan the heist');
+  assert.equal(manager.rollingSummary, 'Heist planning');
+  assert.equal(manager.toolOutputBuffer.get('call-1'), 'vault layout');
+
+  // Reloading restores every thread and the active one
+  await manager.save();
+  const reloaded = new ConversationManager('user', 'world', 32000, tokenizer);
+  await reloaded.load();
+  assert.equal(reloaded.activeThreadId, first);
+  assert.deepEqual(
+    reloaded
+      .listThreads()
+      .map(thread => thread.name)
+      .sort(),
+    ['Character creation', 'Conversation 1']
+  );
+  assert.equal(store.state.threads.length, 2);
+});
+
+test('saved threads keep a marker instead of attached images, branches included', async () => {
+  const store = useFlagStore(null);
+  const manager = new ConversationManager('user', 'world', 32000, tokenizer);
+  const image = { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,/9j/AAAA' } };
+  manager.addMessage('user', [{ type: 'text', text: 'Who is this?' }, image]);
+  manager.addMessage('assistant', 'A goblin.');
+  const [head] = manager.activeMessages;
+  manager.activeMessages[0] = {
+    ...head,
+    alternatives: [[{ role: 'user', content: [image] }]],
+    alternativeIndex: 1,
+  };
+
+  await manager.save();
+  const saved = JSON.stringify(store.state);
+  assert.equal(saved.includes('data:image'), false);
+  const [stored] = store.state.threads[0].activeMessages;
+  assert.equal(stored.content, `Who is this?\n${STORED_IMAGE_MARKER}`);
+  assert.equal(stored.alternatives[0][0].content, STORED_IMAGE_MARKER);
+  // The live session still has the images for follow-up questions
+  assert.equal(manager.activeMessages[0].content[1], image);
+});
+
+test('archiving or deleting the active thread switches to another open thread', () => {
+  useFlagStore(null);
+  const manager = new ConversationManager('user', 'world', 32000, tokenizer);
+  const first = manager.activeThreadId;
+  const second = manager.createThread('Second').id;
+
+  assert.equal(manager.archiveThread(second), true);
+  assert.equal(manager.activeThreadId, first);
+  assert.deepEqual(
+    manager.listThreads().map(thread => thread.id),
+    [first]
+  );
+  assert.equal(manager.listThreads({ includeArchived: true }).length, 2);
+
+  assert.equal(manager.deleteThread(first), true);
+  assert.equal(
+    manager.threads.some(thread => thread.id === first),
+    false
+  );
+  assert.equal(manager.threads.length, 2, 'a new thread replaces the last open one');
+  assert.notEqual(manager.activeThreadId, second);
+
+  // Switching to an archived thread restores it
+  assert.equal(manager.switchThread(second), true);
+  assert.equal(manager.getActiveThread().archived, false);
+  assert.equal(manager.deleteThread('missing'), false);
+});
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.foundry = { utils: { deepClone: value => structuredClone(value) } };
+
+const { diffDocuments, formatDiffValue } = await import('../../scripts/utils/document-diff.js');
+const { DocumentUpdateLogic } = await import('../../scripts/tools/document-update-logic.js');
+
+const tavern = {
+  _id: 'tavern',
+  name: 'Yawning Portal',
+  system: { owner: 'Durnan', rooms: 12 },
+  flags: { core: { sheet: 'basic' } },
+  pages: [
+    { _id: 'p1', name: 'Menu', text: { content: 'Ale' }, sort: 0 },
+    { _id: 'p2', name: 'Staff', text: { content: 'Bonnie' }, sort: 1 },
+  ],
+};
+
+test('a simulated update merges fields and applies embedded operations without saving', () => {
+  const after = DocumentUpdateLogic.simulateUpdate(
+    tavern,
+    { name: 'The Portal', 'system.rooms': 14, 'flags.core.-=sheet': null },
+    [
+      { action: 'delete', collection: 'pages', targetId: 'p2' },
+      {
+        action: 'replace',
+        collection: 'pages',
+        targetId: 'p1',
+        data: { _id: 'p1', text: { content: 'Mead' } },
+      },
+      { action: 'insert', collection: 'pages', data: { name: 'Rumors' }, index: 1 },
+    ]
+  );
+  assert.equal(tavern.pages.length, 2, 'the original is untouched');
+  assert.equal(after.system.owner, 'Durnan');
+  assert.deepEqual(after.flags.core, {});
+  assert.deepEqual(
+    after.pages.map(page => [page.name, page.text?.content]),
+    [
+      ['Menu', 'Mead'],
+      ['Rumors', undefined],
+    ]
+  );
+
+  const diff = diffDocuments(tavern, after);
+  assert.deepEqual(diff.fields, [
+    { path: 'name', before: 'Yawning Portal', after: 'The Portal' },
+    { path: 'system.rooms', before: '12', after: '14' },
+    { path: 'flags.core.sheet', before: 'basic', after: '' },
+  ]);
+  assert.deepEqual(diff.embedded, [
+    { collection: 'pages', action: 'changed', name: 'Menu' },
+    { collection: 'pages', action: 'removed', name: 'Staff' },
+    { collection: 'pages', action: 'added', name: 'Rumors' },
+  ]);
+  assert.equal(diff.empty, false);
+});
+
+test('created and deleted documents list every field, long lists are capped', () => {
+  const created = diffDocuments({}, { name: 'Notes', pages: [{ name: 'Day 1' }] });
+  assert.deepEqual(created.fields, [{ path: 'name', before: '', after: 'Notes' }]);
+  assert.deepEqual(created.embedded, [{ collection: 'pages', action: 'added', name: 'Day 1' }]);
+
+  const deleted = diffDocuments(tavern, {}, { limit: 2 });
+  assert.equal(deleted.fields.length, 2);
+  assert.equal(deleted.moreFields, 2);
+  assert.equal(deleted.embedded.filter(entry => entry.action === 'removed').length, 2);
+
+  assert.equal(diffDocuments(tavern, structuredClone(tavern)).empty, true);
+  assert.equal(formatDiffValue('x'.repeat(500)).length, 120);
+});
@@ -0,0 +1,32 @@
+/**
+ * Conversation Fixtures
+ *
+ * Stubs the Foundry globals ConversationManager touches. Import this before any
+ * module under scripts/ so the stubs are in place first.
+ */
+
+globalThis.FormApplication ??= class {};
+globalThis.Hooks ??= { call: () => {}, callAll: () => {} };
+
+/** Counts one token per character of message content */
+export const tokenizer = { estimateMessageTokens: message => String(message.content ?? '').length };
+
+/**
+ * Back the current user's flags with an in-memory store
+ * @param {object|null} [initial] - Stored conversation state
+ * @returns {{state: object|null, writes: object[]}} The store; `writes` lists every saved state
+ */
+export function useFlagStore(initial = null) {
+  const store = { state: initial, writes: [] };
+  globalThis.game = {
+    ...globalThis.game,
+    user: {
+      getFlag: async () => store.state,
+      setFlag: async (_scope, _key, value) => {
+        store.writes.push(value);
+        store.state = value;
+      },
+    },
+  };
+  return store;
+}
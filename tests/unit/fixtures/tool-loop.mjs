@@ -0,0 +1,72 @@
+/**
+ * Tool Loop Fixtures
+ *
+ * Stubs the Foundry globals the tool loop touches, then loads it. Import this
+ * before any module under scripts/ so the stubs are in place first.
+ */
+
+globalThis.FormApplication ??= class {};
+globalThis.Hooks = { callAll: () => {}, call: () => {}, on: () => 0, off: () => {} };
+globalThis.foundry = { utils: { randomID: () => Math.random().toString(36).slice(2) } };
+globalThis.game = { settings: { get: () => undefined }, i18n: { localize: key => key } };
+
+export const { processToolCallLoop } = await import('../../../scripts/core/tool-loop-handler.js');
+export const { toolRegistry } = await import('../../../scripts/core/tool-registry.js');
+const { BaseTool } = await import('../../../scripts/tools/base-tool.js');
+
+/**
+ * Tool without parameters; subclasses provide execute()
+ * @param {string} name - Tool name
+ * @param {object} [options] - Fields to set on the tool (readOnly, timeout, ...)
+ */
+export class FakeTool extends BaseTool {
+  constructor(name, options = {}) {
+    super(name, `Fake ${name}`);
+    Object.assign(this, options);
+  }
+
+  getParameterSchema() {
+    return { type: 'object', properties: {} };
+  }
+}
+
+/**
+ * Build a tool call as the model would send it
+ * @param {string} id - Tool call ID
+ * @param {string} name - Tool name
+ * @returns {object}
+ */
+export const call = (id, name) => ({
+  id,
+  type: 'function',
+  function: { name, arguments: JSON.stringify({ justification: 'test' }) },
+});
+
+/**
+ * Conversation manager that keeps its messages in the given array
+ * @param {object[]} messages - Receives `{role, content, toolCallId}` per message
+ * @returns {object}
+ */
+export const conversation = messages => ({
+  messages,
+  addMessage: (role, content, toolCalls, toolCallId) =>
+    messages.push({ role, content, toolCallId }),
+  getMessages: () => messages,
+  save: async () => {},
+});
+
+/**
+ * Run the tool loop on a response requesting these calls, without a model to follow up
+ * @param {object[]} toolCalls - Calls built with {@link call}
+ * @param {object[]} [messages] - Receives the conversation
+ * @returns {Promise<object>} Final response of the loop
+ */
+export function runToolCalls(toolCalls, messages = []) {
+  return processToolCallLoop({
+    initialResponse: { content: '', toolCalls },
+    conversationManager: conversation(messages),
+    currentToolSupport: true,
+    aiClient: null,
+    getSystemPrompt: () => '',
+  });
+}
@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+
+const { buildUserContent, getTextContent, getImageUrls, describeContent, parseDataUrl } =
+  await import('../../scripts/utils/message-content.js');
+const { toAnthropicMessages } = await import('../../scripts/core/providers/anthropic-provider.js');
+const { toOllamaMessages } = await import('../../scripts/core/providers/ollama-provider.js');
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+
+test('text without images stays a string; images become content parts', () => {
+  assert.equal(buildUserContent('Who is this?'), 'Who is this?');
+  assert.equal(buildUserContent('Who is this?', []), 'Who is this?');
+
+  const content = buildUserContent('Who is this?', [PNG]);
+  assert.deepEqual(content, [
+    { type: 'text', text: 'Who is this?' },
+    { type: 'image_url', image_url: { url: PNG } },
+  ]);
+  assert.equal(getTextContent(content), 'Who is this?');
+  assert.deepEqual(getImageUrls(content), [PNG]);
+  assert.equal(describeContent(content), 'Who is this?\n[image]');
+  assert.equal(describeContent(buildUserContent('', [PNG, PNG])), '[image] [image]');
+  assert.deepEqual(parseDataUrl(PNG), { mediaType: 'image/png', data: 'iVBORw0KGgo=' });
+  assert.equal(parseDataUrl('https://example.com/a.png'), null);
+});
+
+test('native providers receive attached images in their own format', () => {
+  const messages = [{ role: 'user', content: buildUserContent('Describe', [PNG]) }];
+
+  const [anthropicTurn] = toAnthropicMessages(messages).messages;
+  assert.deepEqual(anthropicTurn.content, [
+    { type: 'text', text: 'Describe' },
+    { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } },
+  ]);
+
+  const [ollamaMessage] = toOllamaMessages(messages);
+  assert.equal(ollamaMessage.content, 'Describe');
+  assert.deepEqual(ollamaMessage.images, ['iVBORw0KGgo=']);
+});
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+
+const settings = { baseURL: 'http://localhost:11434/v1', apiKey: '' };
+globalThis.game = { settings: { get: (_module, key) => settings[key] } };
+
+const models = Array.from({ length: 10 }, (_value, index) => `model-${index}`);
+const probes = [];
+const probedURLs = [];
+let inFlight = 0;
+let mostInFlight = 0;
+
+globalThis.fetch = async (url, { body } = {}) => {
+  if (url.endsWith('/models')) {
+    return { ok: true, json: async () => ({ data: models.map(id => ({ id })) }) };
+  }
+  const { model } = JSON.parse(body);
+  probes.push(model);
+  probedURLs.push(url);
+  inFlight++;
+  mostInFlight = Math.max(mostInFlight, inFlight);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  inFlight--;
+  // model-0 is missing on the server; odd models cannot call tools
+  if (model === 'model-0') return { ok: false, status: 404 };
+  const capabilities = Number(model.split('-')[1]) % 2 ? ['completion'] : ['tools'];
+  const modelInfo = { 'general.architecture': 'llama', 'llama.context_length': 131072 };
+  return { ok: true, json: async () => ({ model_info: modelInfo, capabilities }) };
+};
+
+const { modelService } = await import('../../scripts/core/model-service.js');
+const { AIClient } = await import('../../scripts/core/ai-client.js');
+
+test('Ollama models are probed a few at a time and failed probes are not repeated', async () => {
+  const listed = await modelService.fetchModels(true);
+  assert.deepEqual(listed, ['model-0', 'model-2', 'model-4', 'model-6', 'model-8']);
+  assert.equal(probes.length, 10);
+  assert.equal(mostInFlight, 4);
+
+  // A failed probe waits before asking the server again; successful ones are cached
+  assert.equal(await modelService.probeOllamaModel('model-0'), null);
+  assert.equal((await modelService.probeOllamaModel('model-2')).tools, true);
+  assert.equal(probes.length, 10);
+
+  modelService.invalidateCache();
+  await modelService.probeOllamaModel('model-0');
+  assert.equal(probes.length, 11);
+});
+
+test("a fallback profile's model is probed on its own server and sized by its own limit", async () => {
+  await modelService.probeOllamaModel('model-4');
+  probedURLs.length = 0;
+
+  const fallback = new AIClient({
+    baseURL: 'http://gpu-box:11434/v1',
+    apiKey: 'box-key',
+    model: 'model-4',
+    contextLimit: 8192,
+  });
+  const provider = await fallback._getNativeProvider();
+
+  assert.deepEqual(probedURLs, ['http://gpu-box:11434/api/show']);
+  assert.equal(provider.numCtx, 8192);
+  assert.equal(fallback.getContextLength(), 131072);
+});
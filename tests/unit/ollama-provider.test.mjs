@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+
+const { OllamaProvider, fromOllamaResponse, resolveNumCtx } =
+  await import('../../scripts/core/providers/ollama-provider.js');
+
+test('requests target the native chat API with num_ctx and object tool arguments', () => {
+  const provider = new OllamaProvider({
+    baseURL: 'http://localhost:11434/v1/',
+    model: 'qwen3:32b',
+    numCtx: resolveNumCtx(65536, 40960),
+  });
+  const body = provider.buildRequestBody({
+    messages: [
+      { role: 'system', content: 'You are Simulacrum.' },
+      {
+        role: 'assistant',
+        content: '',
+        tool_calls: [
+          {
+            id: 'call_1',
+            type: 'function',
+            function: { name: 'document_read', arguments: '{"uuid":"Actor.g"}' },
+          },
+        ],
+      },
+      { role: 'tool', tool_call_id: 'call_1', content: '{"name":"Goblin"}' },
+    ],
+    tools: [{ type: 'function', function: { name: 'document_read' } }],
+  });
+
+  assert.equal(provider.getEndpoint(), 'http://localhost:11434/api/chat');
+  assert.equal(body.stream, false);
+  assert.deepEqual(body.options, { num_ctx: 40960 });
+  assert.deepEqual(body.messages[1].tool_calls, [
+    { function: { name: 'document_read', arguments: { uuid: 'Actor.g' } } },
+  ]);
+  assert.deepEqual(body.messages[2], {
+    role: 'tool',
+    content: '{"name":"Goblin"}',
+    tool_name: 'document_read',
+  });
+});
+
+test('responses map to chat completion shape with generated tool call IDs', () => {
+  const data = fromOllamaResponse({
+    model: 'qwen3:32b',
+    created_at: '2025-06-01T12:00:00.123456Z',
+    message: {
+      role: 'assistant',
+      content: '',
+      tool_calls: [{ function: { name: 'end_loop', arguments: { summary: 'Done' } } }],
+    },
+    done: true,
+    done_reason: 'stop',
+    prompt_eval_count: 12,
+    eval_count: 4,
+  });
+
+  const [call] = data.choices[0].message.tool_calls;
+  assert.equal(data.choices[0].finish_reason, 'tool_calls');
+  assert.deepEqual(data.usage, { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 });
+  assert.match(call.id, /^call_[a-z0-9]+_0$/u);
+  assert.deepEqual(call.function, { name: 'end_loop', arguments: '{"summary":"Done"}' });
+});
+
+test('NDJSON streams assemble content and report deltas', async () => {
+  const lines = [
+    { model: 'm', message: { role: 'assistant', content: 'Hel' }, done: false },
+    { model: 'm', message: { role: 'assistant', content: 'lo' }, done: false },
+    { model: 'm', message: { content: '' }, done: true, done_reason: 'stop', eval_count: 2 },
+  ]
+    .map(line => `${JSON.stringify(line)}\n`)
+    .join('');
+  const body = new ReadableStream({
+    start(controller) {
+      const encoder = new TextEncoder();
+      controller.enqueue(encoder.encode(lines.slice(0, 30)));
+      controller.enqueue(encoder.encode(lines.slice(30)));
+      controller.close();
+    },
+  });
+
+  const deltas = [];
+  const data = await new OllamaProvider({ model: 'm' }).readResponse(new Response(body), {
+    stream: true,
+    onDelta: delta => deltas.push(delta),
+  });
+
+  assert.deepEqual(
+    deltas.map(delta => delta.text),
+    [undefined, 'Hel', 'lo']
+  );
+  assert.equal(data.choices[0].message.content, 'Hello');
+  assert.equal(data.choices[0].finish_reason, 'stop');
+  assert.equal(data.usage.completion_tokens, 2);
+});
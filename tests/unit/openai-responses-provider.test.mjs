@@ -0,0 +1,163 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+
+const { OpenAIResponsesProvider, fromResponsesResponse, ResponsesStreamAccumulator } =
+  await import('../../scripts/core/providers/openai-responses-provider.js');
+
+const reasoning = {
+  type: 'reasoning',
+  id: 'rs_1',
+  summary: [{ type: 'summary_text', text: 'Hm' }],
+};
+const toolCall = {
+  id: 'call_1',
+  type: 'function',
+  function: { name: 'document_read', arguments: '{"uuid":"Actor.g"}' },
+};
+const loopResponse = {
+  id: 'resp_1',
+  model: 'o4-mini',
+  status: 'completed',
+  output: [
+    reasoning,
+    {
+      type: 'function_call',
+      id: 'fc_1',
+      call_id: 'call_1',
+      name: 'document_read',
+      arguments: '{"uuid":"Actor.g"}',
+    },
+  ],
+  usage: {
+    input_tokens: 120,
+    input_tokens_details: { cached_tokens: 100 },
+    output_tokens: 40,
+    output_tokens_details: { reasoning_tokens: 32 },
+    total_tokens: 160,
+  },
+};
+
+test('function calls and reasoning items map onto chat completion data', () => {
+  const data = fromResponsesResponse(loopResponse);
+  assert.deepEqual(data.choices[0].message, {
+    role: 'assistant',
+    content: '',
+    tool_calls: [toolCall],
+  });
+  assert.equal(data.choices[0].finish_reason, 'tool_calls');
+  assert.deepEqual(data.response_state, { id: 'resp_1', reasoning: [reasoning] });
+  assert.equal(data.usage.prompt_tokens, 120);
+  assert.equal(data.usage.prompt_tokens_details.cached_tokens, 100);
+  assert.equal(data.usage.completion_tokens_details.reasoning_tokens, 32);
+});
+
+test('loop iterations chain from the previous response; new turns resend reasoning items', () => {
+  const provider = new OpenAIResponsesProvider({ apiKey: 'k', model: 'o4-mini' });
+  const tools = [
+    { type: 'function', function: { name: 'document_read', parameters: { type: 'object' } } },
+  ];
+  const history = [
+    { role: 'system', content: 'You are Simulacrum.' },
+    { role: 'user', content: 'Read the goblin' },
+    {
+      role: 'assistant',
+      content: null,
+      tool_calls: [toolCall],
+      response_state: fromResponsesResponse(loopResponse).response_state,
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"name":"Goblin"}' },
+  ];
+
+  const body = provider.buildRequestBody({
+    model: 'o4-mini',
+    messages: history,
+    tools,
+    stream: true,
+  });
+  assert.equal(body.instructions, 'You are Simulacrum.');
+  assert.equal(body.previous_response_id, 'resp_1');
+  assert.deepEqual(body.input, [
+    { type: 'function_call_output', call_id: 'call_1', output: '{"name":"Goblin"}' },
+  ]);
+  assert.deepEqual(body.tools, [
+    { type: 'function', name: 'document_read', parameters: { type: 'object' } },
+  ]);
+  assert.equal(body.stream, true);
+
+  const nextTurn = [
+    ...history,
+    { role: 'assistant', content: 'It is a goblin.' },
+    { role: 'user', content: 'Thanks' },
+  ];
+  const turnBody = provider.buildRequestBody({ messages: nextTurn });
+  assert.equal(turnBody.previous_response_id, undefined);
+  assert.deepEqual(
+    turnBody.input.map(item => item.type || item.role),
+    ['user', 'reasoning', 'function_call', 'function_call_output', 'assistant', 'user']
+  );
+});
+
+test('stream events assemble text and the completed response', () => {
+  const accumulator = new ResponsesStreamAccumulator();
+  assert.equal(accumulator.push({ type: 'response.output_text.delta', delta: 'It is ' }), 'It is ');
+  accumulator.push({ type: 'response.output_text.delta', delta: 'a goblin.' });
+  accumulator.push({
+    type: 'response.completed',
+    response: {
+      id: 'resp_2',
+      status: 'completed',
+      output: [
+        {
+          type: 'message',
+          role: 'assistant',
+          content: [{ type: 'output_text', text: 'It is a goblin.' }],
+        },
+      ],
+    },
+  });
+
+  const data = accumulator.toResponse();
+  assert.equal(data.choices[0].message.content, 'It is a goblin.');
+  assert.equal(data.response_state.id, 'resp_2');
+  assert.throws(
+    () => accumulator.push({ type: 'response.failed', response: { error: { message: 'boom' } } }),
+    /Stream error - boom/
+  );
+});
+
+test('AIClient sends the stored response state back with the next loop request', async () => {
+  globalThis.game = { settings: { get: (_module, key) => key === 'responsesApi' } };
+  const { AIClient } = await import('../../scripts/core/ai-client.js');
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url: String(url), body: JSON.parse(init.body) });
+    return new Response(JSON.stringify(loopResponse), { status: 200 });
+  };
+
+  const client = new AIClient({
+    baseURL: 'https://api.openai.com/v1',
+    model: 'o4-mini',
+    requestDelay: 0,
+  });
+  const first = await client.chat([{ role: 'user', content: 'Read the goblin' }]);
+  assert.equal(first.response_state.id, 'resp_1');
+
+  // The tool loop stores the raw response as provider metadata on the assistant message
+  await client.chat([
+    { role: 'user', content: 'Read the goblin' },
+    {
+      role: 'assistant',
+      content: null,
+      tool_calls: first.choices[0].message.tool_calls,
+      provider_metadata: { original_response: first },
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"name":"Goblin"}' },
+  ]);
+
+  assert.equal(requests[0].url, 'https://api.openai.com/v1/responses');
+  assert.equal(requests[1].body.previous_response_id, 'resp_1');
+  assert.equal(requests[1].body.input.length, 1);
+  delete globalThis.game;
+});
@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { call, FakeTool, runToolCalls, toolRegistry } from './fixtures/tool-loop.mjs';
+
+const events = [];
+
+/** Logs when it starts and ends, with a delay in between */
+class TimedTool extends FakeTool {
+  async execute() {
+    events.push(`start ${this.name}`);
+    await new Promise(resolve => setTimeout(resolve, this.delayMs));
+    events.push(`end ${this.name}`);
+    return { content: this.name, ...this.result };
+  }
+}
+
+for (const tool of [
+  new TimedTool('slow_read', { readOnly: true, delayMs: 40 }),
+  new TimedTool('fast_read', { readOnly: true, delayMs: 5 }),
+  new TimedTool('write_note', { delayMs: 5 }),
+  new TimedTool('finish', { result: { _endLoop: true } }),
+]) {
+  toolRegistry.registerTool(tool);
+}
+
+test('consecutive read-only calls overlap; others wait; results keep call order', async () => {
+  const messages = [];
+  await runToolCalls(
+    [
+      call('a', 'slow_read'),
+      call('b', 'fast_read'),
+      call('c', 'write_note'),
+      call('d', 'slow_read'),
+      call('e', 'finish'),
+    ],
+    messages
+  );
+
+  assert.deepEqual(events, [
+    'start slow_read',
+    'start fast_read',
+    'end fast_read',
+    'end slow_read',
+    'start write_note',
+    'end write_note',
+    'start slow_read',
+    'end slow_read',
+    'start finish',
+    'end finish',
+  ]);
+  assert.deepEqual(
+    messages.filter(m => m.role === 'tool').map(m => m.toolCallId),
+    ['a', 'b', 'c', 'd', 'e']
+  );
+});
@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+const settings = new Map([
+  ['trustAllTools', false],
+  ['toolPermissions', { delete_document: 'deny' }],
+  ['toolPermissionRules', []],
+]);
+
+const folders = new Map([['loot1', { id: 'loot1', name: 'Loot' }]]);
+const items = new Map([
+  ['sword', { folder: folders.get('loot1'), ownership: { default: 0 } }],
+  ['bag', { folder: null, ownership: { default: 0, player1: 3 } }],
+]);
+const canon = new Map([['durnan', { folder: null, ownership: { default: 0 } }]]);
+
+globalThis.CONST = { DOCUMENT_OWNERSHIP_LEVELS: { OWNER: 3 } };
+globalThis.game = {
+  collections: new Map([['Item', items]]),
+  packs: new Map([['world.canon', { getDocument: async id => canon.get(id) }]]),
+  folders,
+  users: new Map([['player1', { isGM: false }]]),
+  settings: {
+    get: (_module, key) => settings.get(key),
+    set: async (_module, key, value) => settings.set(key, value),
+  },
+  i18n: {
+    localize: key => key,
+    format: (key, data) => `${key} ${JSON.stringify(data)}`,
+  },
+};
+
+const { findMatchingRule, normalizeRule, resolveCallContext } =
+  await import('../../scripts/core/permission-rules.js');
+const { toolPermissionManager, DecisionSource } =
+  await import('../../scripts/core/tool-permission-manager.js');
+
+const TABLE_RULES = [
+  { tool: 'update_document', documentType: 'Item', folder: 'loot', action: 'allow' },
+  { tool: 'update_document', documentType: 'Actor', action: 'ask' },
+  { pack: 'world.canon', action: 'deny' },
+].map(normalizeRule);
+
+test('the first rule whose conditions hold decides', async () => {
+  const decide = async (toolName, args) =>
+    findMatchingRule(TABLE_RULES, await resolveCallContext(toolName, args))?.index ?? null;
+
+  assert.equal(await decide('update_document', { documentType: 'Item', documentId: 'sword' }), 0);
+  // Not in the Loot folder
+  assert.equal(await decide('update_document', { documentType: 'Item', documentId: 'bag' }), null);
+  assert.equal(await decide('update_document', { documentType: 'Actor', documentId: 'x' }), 1);
+  assert.equal(
+    await decide('delete_document', {
+      documentType: 'Actor',
+      documentId: 'Compendium.world.canon.Actor.durnan',
+      pack: 'world.canon',
+    }),
+    2
+  );
+  // New documents are matched on the folder they would be created in
+  assert.equal(
+    await decide('update_document', { documentType: 'Item', data: { folder: 'loot1' } }),
+    0
+  );
+});
+
+test('snake_case targets such as set_document_ownership are matched too', async () => {
+  const rules = [
+    { tool: 'set_document_ownership', documentType: 'Item', owner: 'player', action: 'deny' },
+    { tool: 'set_document_ownership', folder: 'Loot', action: 'allow' },
+  ].map(normalizeRule);
+  const match = async args =>
+    findMatchingRule(rules, await resolveCallContext('set_document_ownership', args))?.index ??
+    null;
+
+  const ownership = { default: 2 };
+  assert.equal(await match({ document_type: 'Item', document_id: 'bag', ownership }), 0);
+  assert.equal(await match({ document_type: 'Item', document_id: 'sword', ownership }), 1);
+  assert.equal(await match({ document_type: 'Actor', document_id: 'x', ownership }), null);
+});
+
+test('owner and argument conditions', async () => {
+  const rules = [
+    { owner: 'player', action: 'ask' },
+    { tool: 'run_javascript', argument: 'code', value: '*deleteDocuments*', action: 'deny' },
+    { tool: 'run_javascript', argument: 'code', enabled: false, action: 'allow' },
+  ].map(normalizeRule);
+  const match = async (toolName, args) =>
+    findMatchingRule(rules, await resolveCallContext(toolName, args))?.index ?? null;
+
+  assert.equal(await match('update_document', { documentType: 'Item', documentId: 'bag' }), 0);
+  assert.equal(await match('update_document', { documentType: 'Item', documentId: 'sword' }), null);
+  assert.equal(await match('run_javascript', { code: 'Actor.DELETEDocuments([id])' }), 1);
+  // The disabled rule never matches
+  assert.equal(await match('run_javascript', { code: 'ui.notifications.info("hi")' }), null);
+});
+
+test('the manager falls back to the per-tool state and explains its decisions', async () => {
+  await toolPermissionManager.setRules(TABLE_RULES);
+
+  const ruled = await toolPermissionManager.evaluate('update_document', {
+    documentType: 'Item',
+    documentId: 'sword',
+  });
+  assert.deepEqual(
+    { state: ruled.state, source: ruled.source, ruleIndex: ruled.ruleIndex },
+    { state: 'allow', source: DecisionSource.RULE, ruleIndex: 0 }
+  );
+  assert.match(toolPermissionManager.explain('update_document', ruled), /Reason\.Rule.*"number":1/);
+
+  const fallback = await toolPermissionManager.evaluate('delete_document', {
+    documentType: 'Item',
+    documentId: 'bag',
+  });
+  assert.equal(fallback.state, 'deny');
+  assert.equal(fallback.source, DecisionSource.TOOL);
+
+  // Trust All skips every rule but the deny rules
+  settings.set('trustAllTools', true);
+  const trusted = await toolPermissionManager.evaluate('delete_document', {
+    documentType: 'Item',
+    documentId: 'bag',
+  });
+  assert.equal(trusted.source, DecisionSource.TRUST_ALL);
+  const denied = await toolPermissionManager.evaluate('delete_document', { pack: 'world.canon' });
+  assert.deepEqual(
+    { state: denied.state, source: denied.source, ruleIndex: denied.ruleIndex },
+    { state: 'deny', source: DecisionSource.RULE, ruleIndex: 2 }
+  );
+  settings.set('trustAllTools', false);
+
+  await assert.rejects(toolPermissionManager.setRules([{ action: 'maybe' }]), /Invalid/);
+});
+
+test('campaign memory changes need confirmation like other world writes', async () => {
+  await toolPermissionManager.setRules([]);
+  for (const toolName of ['remember', 'forget']) {
+    assert.equal(toolPermissionManager.isDestructive(toolName), true);
+    assert.equal((await toolPermissionManager.evaluate(toolName, { id: 'm1' })).state, 'ask');
+  }
+  assert.equal(toolPermissionManager.isDestructive('recall'), false);
+});
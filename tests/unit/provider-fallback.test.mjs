@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+
+const hookCalls = [];
+globalThis.Hooks = { call: (name, payload) => hookCalls.push({ name, payload }) };
+
+const { AIClient, isProviderFailure } = await import('../../scripts/core/ai-client.js');
+const { APIError } = await import('../../scripts/utils/errors.js');
+
+const completion = content => ({
+  choices: [{ message: { role: 'assistant', content }, finish_reason: 'stop' }],
+});
+
+test('isProviderFailure covers 429/5xx and exhausted retries, but not client errors', () => {
+  assert.equal(isProviderFailure(new APIError('busy', { status: 429 })), true);
+  assert.equal(isProviderFailure(new APIError('down', { status: 503 })), true);
+  assert.equal(isProviderFailure(new APIError('net', { retriesExhausted: true })), true);
+  assert.equal(isProviderFailure(new APIError('bad request', { status: 400 })), false);
+  assert.equal(isProviderFailure(new Error('parse')), false);
+});
+
+test('a 429 from the primary re-sends the request to the next provider', async () => {
+  const requested = [];
+  globalThis.fetch = async url => {
+    requested.push(String(url));
+    if (String(url).startsWith('https://primary.example')) {
+      return new Response('{"error":"rate limited"}', { status: 429 });
+    }
+    return new Response(JSON.stringify(completion('From backup')), { status: 200 });
+  };
+
+  const client = new AIClient({
+    baseURL: 'https://primary.example/v1',
+    model: 'main-model',
+    requestDelay: 0,
+    profile: { id: 'main', name: 'Main' },
+    fallbacks: [
+      {
+        baseURL: 'https://backup.example/v1',
+        model: 'backup-model',
+        requestDelay: 0,
+        profile: { id: 'backup', name: 'Backup' },
+      },
+    ],
+  });
+  const response = await client.chat([{ role: 'user', content: 'Hello' }]);
+
+  assert.deepEqual(requested, [
+    'https://primary.example/v1/chat/completions',
+    'https://backup.example/v1/chat/completions',
+  ]);
+  assert.equal(response.choices[0].message.content, 'From backup');
+  assert.equal(response.provider.name, 'Backup');
+  assert.deepEqual(
+    hookCalls.map(call => call.payload.state),
+    ['start', 'end']
+  );
+  assert.match(hookCalls[0].payload.label, /Switching to Backup/);
+});
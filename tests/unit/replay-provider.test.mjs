@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  call,
+  conversation,
+  FakeTool,
+  processToolCallLoop,
+  toolRegistry,
+} from './fixtures/tool-loop.mjs';
+
+const { AIClient } = await import('../../scripts/core/ai-client.js');
+const { CassetteRecorder, ReplayProvider, fingerprintRequest } =
+  await import('../../scripts/core/providers/replay-provider.js');
+
+const tools = [{ type: 'function', function: { name: 'document_read', parameters: {} } }];
+const toolCall = id => ({
+  id,
+  type: 'function',
+  function: { name: 'document_read', arguments: '{"uuid":"Actor.g"}' },
+});
+const completion = message => ({
+  choices: [{ message: { role: 'assistant', ...message }, finish_reason: 'stop' }],
+  usage: { prompt_tokens: 10, completion_tokens: 5 },
+});
+
+// One tool loop: the model reads a document, then answers
+const history = [{ role: 'user', content: 'Read the goblin' }];
+const afterTool = id => [
+  ...history,
+  { role: 'assistant', content: '', tool_calls: [toolCall(id)] },
+  { role: 'tool', tool_call_id: id, content: '{"name":"Goblin"}' },
+];
+
+async function runLoop(client, id) {
+  const first = await client.chat([{ role: 'system', content: 'Now: 1' }, ...history], tools);
+  const second = await client.chat(afterTool(id), tools);
+  return [first, second].map(response => response.choices[0].message);
+}
+
+test('fingerprints ignore the system prompt and tool call IDs', () => {
+  assert.equal(
+    fingerprintRequest([{ role: 'system', content: 'Now: 1' }, ...history], tools),
+    fingerprintRequest([{ role: 'system', content: 'Now: 2' }, ...history], tools)
+  );
+  assert.equal(
+    fingerprintRequest(afterTool('a'), tools),
+    fingerprintRequest(afterTool('b'), tools)
+  );
+  assert.notEqual(fingerprintRequest(history, tools), fingerprintRequest(history, null));
+});
+
+test('a recorded tool loop replays without network access', async () => {
+  const replies = [
+    completion({ content: '', tool_calls: [toolCall('call_1')] }),
+    completion({ content: 'It is a goblin.' }),
+  ];
+  globalThis.fetch = async () => new Response(JSON.stringify(replies.shift()), { status: 200 });
+  const recorder = new CassetteRecorder();
+  const config = { baseURL: 'https://api.example/v1', model: 'm', requestDelay: 0 };
+  const recorded = await runLoop(new AIClient({ ...config, recorder }), 'call_1');
+  const cassette = JSON.parse(JSON.stringify(recorder.toCassette()));
+  assert.equal(cassette.interactions.length, 2);
+
+  globalThis.fetch = async () => {
+    throw new Error('network disabled');
+  };
+  const usage = [];
+  const replay = new ReplayProvider({ cassette, strict: true });
+  const client = new AIClient({ ...config, replay, onUsage: u => usage.push(u) });
+  const deltas = [];
+  const first = await client.chat(history, tools, { onDelta: delta => deltas.push(delta) });
+  const second = await client.chat(afterTool('call_local'), tools);
+
+  assert.deepEqual(
+    [first, second].map(response => response.choices[0].message),
+    recorded
+  );
+  assert.equal(usage.length, 2);
+  assert.deepEqual(deltas, []);
+  assert.equal(replay.remaining, 0);
+  await assert.rejects(client.chat(history, tools), /No recorded response/);
+});
+
+test('recorded errors are thrown again and unknown requests fall back to recorded order', async () => {
+  const recorder = new CassetteRecorder();
+  recorder.record({ messages: history, tools: null }, { response: completion({ content: 'A' }) });
+  const error = Object.assign(new Error('503 - overloaded'), { data: { status: 503 } });
+  recorder.record({ messages: history, tools: null }, { error });
+
+  const replay = new ReplayProvider({ cassette: JSON.stringify(recorder.toCassette()) });
+  const response = await replay.generateResponse([{ role: 'user', content: 'Something else' }]);
+  assert.equal(response.choices[0].message.content, 'A');
+  await assert.rejects(replay.generateResponse(history), err => err.data.status === 503);
+});
+
+test('cancelling while the model answers a tool result ends the loop and records nothing', async () => {
+  class ReadTool extends FakeTool {
+    async execute() {
+      return { content: '{"name":"Goblin"}' };
+    }
+  }
+  toolRegistry.registerTool(new ReadTool('read_goblin', { readOnly: true }));
+
+  // The GM cancels as soon as the follow-up request goes out
+  const controller = new AbortController();
+  let requests = 0;
+  globalThis.fetch = (_url, { signal }) => {
+    requests++;
+    controller.abort();
+    return Promise.reject(signal.reason);
+  };
+  const recorder = new CassetteRecorder();
+  const aiClient = new AIClient({ baseURL: 'https://api.example/v1', model: 'm', recorder });
+  const messages = [];
+
+  await assert.rejects(
+    processToolCallLoop({
+      initialResponse: { content: '', toolCalls: [call('a', 'read_goblin')] },
+      conversationManager: conversation(messages),
+      currentToolSupport: true,
+      aiClient,
+      tools,
+      getSystemPrompt: () => '',
+      signal: controller.signal,
+    }),
+    { name: 'AbortError' }
+  );
+  assert.equal(requests, 1);
+  assert.deepEqual(recorder.toCassette().interactions, []);
+  assert.deepEqual(
+    messages.map(message => message.role),
+    ['assistant', 'tool']
+  );
+});
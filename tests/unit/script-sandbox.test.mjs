@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+globalThis.game = {
+  actors: {
+    contents: [],
+    get: id => (id === 'durnan' ? { toObject: () => ({ _id: 'durnan', name: 'Durnan' }) } : null),
+  },
+  settings: { get: () => undefined },
+};
+
+const {
+  SandboxCapability,
+  SandboxClock,
+  createSandboxApi,
+  readSandboxOptions,
+  sandboxWorker,
+  serveSandboxCall,
+} = await import('../../scripts/core/script-sandbox.js');
+
+/**
+ * A stand-in for a worker's global scope wired straight to the page-side API
+ * @param {Array<string>} capabilities
+ */
+function fakeWorker(capabilities) {
+  const api = createSandboxApi(capabilities);
+  const listeners = [];
+  const finished = [];
+  const proto = { fetch: () => 'network', indexedDB: {} };
+  const scope = Object.assign(Object.create(proto), {
+    addEventListener: (_type, listener) => listeners.push(listener),
+    postMessage: async message => {
+      if (message.type === 'call') {
+        const reply = await serveSandboxCall(api, message);
+        for (const listener of listeners) listener({ data: reply });
+      } else {
+        finished.push(message);
+      }
+    },
+  });
+  sandboxWorker(scope, ['fetch', 'indexedDB', 'postMessage']);
+
+  return {
+    scope,
+    run: async script => {
+      for (const listener of listeners) {
+        listener({
+          data: {
+            type: 'run',
+            script,
+            methods: Object.keys(api),
+            info: {},
+            collections: ['actors'],
+          },
+        });
+      }
+      while (finished.length === 0) await new Promise(resolve => setTimeout(resolve, 1));
+      return finished.shift();
+    },
+  };
+}
+
+test('a sandboxed script reaches the world only through the enabled API', async () => {
+  const worker = fakeWorker([SandboxCapability.READ]);
+  // Network and storage are gone from the scope, and the script cannot post to the page itself
+  assert.equal(worker.scope.fetch, undefined);
+  assert.equal(worker.scope.indexedDB, undefined);
+
+  const read = await worker.run(
+    'const actor = await game.actors.get("durnan"); console.log(actor.name); return actor;'
+  );
+  assert.deepEqual(read, {
+    type: 'done',
+    result: '{"_id":"durnan","name":"Durnan"}',
+    logs: [{ type: 'log', message: 'Durnan' }],
+  });
+
+  const blocked = await worker.run('return typeof fetch + typeof postMessage + typeof roll;');
+  assert.equal(blocked.result, '"undefinedundefinedundefined"');
+
+  // Writing documents was not enabled
+  const write = await worker.run('await DocumentAPI.updateDocument("Actor", "durnan", {});');
+  assert.equal(write.type, 'error');
+  assert.equal(write.name, 'TypeError');
+});
+
+test('unknown methods are refused and results are plain data', async () => {
+  const api = { echo: value => ({ value, at: new Date(0), skip: () => 1 }) };
+  assert.deepEqual(await serveSandboxCall(api, { callId: 1, method: 'echo', args: [2] }), {
+    type: 'reply',
+    callId: 1,
+    value: { value: 2, at: '1970-01-01T00:00:00.000Z' },
+  });
+  const refused = await serveSandboxCall(api, { callId: 2, method: 'constructor', args: [] });
+  assert.match(refused.error, /not available/);
+
+  // Only dice rolls are on until the GM enables the rest
+  assert.deepEqual(readSandboxOptions(), { capabilities: ['dice'], timeLimit: 10 });
+});
+
+test('the document API bridge refuses settings, users and other unlisted types', async () => {
+  const { DocumentAPI } = await import('../../scripts/core/document-api.js');
+  const original = DocumentAPI.listDocuments;
+  const listed = [];
+  DocumentAPI.listDocuments = async type => listed.push(type) && [];
+  game.packs = new Map([['world.secrets', { documentName: 'Setting' }]]);
+  const api = createSandboxApi([SandboxCapability.READ, SandboxCapability.DOCUMENTS]);
+  const call = (method, ...args) => serveSandboxCall(api, { callId: 1, method, args });
+  try {
+    assert.equal((await call('DocumentAPI.listDocuments', 'Actor')).error, undefined);
+    assert.deepEqual(listed, ['Actor']);
+
+    const refusals = await Promise.all([
+      call('DocumentAPI.getDocument', 'Setting', 'simulacrum.apiKey'),
+      call('DocumentAPI.updateDocument', 'Setting', 'x', { value: '"unrestricted"' }),
+      call('DocumentAPI.listDocuments', 'User'),
+      call('DocumentAPI.searchDocuments', { types: ['Actor', 'Setting'], query: 'key' }),
+      call('DocumentAPI.listDocuments', undefined, { pack: 'world.secrets' }),
+      call('DocumentAPI.createDocument', 'Macro', { name: 'Escape', command: '' }),
+      call('DocumentAPI.deleteDocument', 'FogExploration', 'x'),
+    ]);
+    for (const refused of refusals) assert.match(refused.error, /not available in the sandbox/);
+    assert.deepEqual(listed, ['Actor']);
+  } finally {
+    DocumentAPI.listDocuments = original;
+    delete game.packs;
+  }
+});
+
+test('time spent serving calls does not count against the limit', async () => {
+  let expired = false;
+  const clock = new SandboxClock(40, () => (expired = true));
+  clock.start();
+  clock.pause();
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(expired, false);
+  clock.resume();
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(expired, true);
+  assert.equal(clock.remaining, 0);
+});
@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+const hooks = new Map();
+globalThis.Hooks = {
+  on: (name, fn) => hooks.set(name, fn),
+  call: () => {},
+  callAll: () => {},
+};
+
+const settings = new Map([['sharedThreads', {}]]);
+const flags = new Map();
+const socket = { sent: [], listener: null };
+globalThis.game = {
+  user: null,
+  users: new Map([
+    ['alice', { id: 'alice', name: 'Alice' }],
+    ['bob', { id: 'bob', name: 'Bob' }],
+  ]),
+  settings: {
+    get: (_module, key) => settings.get(key),
+    set: async (_module, key, value) => settings.set(key, value),
+  },
+  socket: {
+    on: (_name, fn) => (socket.listener = fn),
+    emit: (_name, message) => socket.sent.push(message),
+  },
+};
+
+function signIn(id) {
+  game.user = {
+    id,
+    isGM: true,
+    getFlag: async () => flags.get(id),
+    setFlag: async (_scope, _key, value) => flags.set(id, value),
+  };
+}
+
+const { ConversationManager } = await import('../../scripts/core/conversation.js');
+const { SharedThreadMessage, SharedThreadSync, sharedThreads } =
+  await import('../../scripts/core/shared-threads.js');
+
+function managerFor(userId) {
+  signIn(userId);
+  const manager = new ConversationManager(userId, 'world', 32000, {
+    estimateMessageTokens: () => 1,
+  });
+  manager.sharedStore = sharedThreads;
+  return manager;
+}
+
+test('a shared thread is stored for the world, not in the flag, and names its senders', async () => {
+  const alice = managerFor('alice');
+  alice.renameThread(alice.activeThreadId, 'Waterdeep arc');
+  alice.addMessage('user', 'Where is the phylactery?');
+  const threadId = alice.activeThreadId;
+  assert.equal(alice.setThreadShared(threadId, true), true);
+  await alice.save();
+
+  assert.deepEqual(flags.get('alice').threads, []);
+  assert.equal(settings.get('sharedThreads')[threadId].name, 'Waterdeep arc');
+  assert.equal(socket.sent.at(-1).type, SharedThreadMessage.THREAD_UPDATED);
+
+  // Another GM sees the thread next to their own and can continue it
+  const bob = managerFor('bob');
+  await bob.save();
+  await bob.load();
+  const shared = bob.listThreads().find(thread => thread.id === threadId);
+  assert.equal(shared.shared, true);
+  bob.switchThread(threadId);
+  bob.addMessage('user', 'Hidden in the ring.');
+  await bob.save();
+  assert.deepEqual(
+    settings.get('sharedThreads')[threadId].activeMessages.map(message => message.userId),
+    ['alice', 'bob']
+  );
+
+  // Alice receives Bob's message live and reloads the thread she is in
+  signIn('alice');
+  assert.equal(alice.receiveSharedThread(socket.sent.at(-1).thread), true);
+  assert.equal(alice.messages.at(-1).content, 'Hidden in the ring.');
+  assert.equal(alice.receiveSharedThread({ id: 'other', name: 'Elsewhere' }), false);
+});
+
+test('locks keep other GMs out until released or disconnected', () => {
+  signIn('alice');
+  const sync = new SharedThreadSync();
+  sync.initialize({ onThreadUpdated: () => {}, onThreadRemoved: () => {} });
+  assert.equal(socket.sent.at(-1).type, SharedThreadMessage.LOCKS_REQUESTED);
+
+  assert.equal(sync.lock('thread-1'), true);
+  assert.equal(sync.lockHolder('thread-1'), null, 'a GM is never locked out by their own agent');
+  assert.deepEqual(socket.sent.at(-1), {
+    type: SharedThreadMessage.LOCKED,
+    threadId: 'thread-1',
+    userId: 'alice',
+  });
+
+  // A GM connecting later asks which threads are busy
+  socket.listener({ type: SharedThreadMessage.LOCKS_REQUESTED });
+  assert.equal(socket.sent.at(-1).threadId, 'thread-1');
+  sync.unlock('thread-1');
+  assert.equal(socket.sent.at(-1).type, SharedThreadMessage.UNLOCKED);
+
+  socket.listener({ type: SharedThreadMessage.LOCKED, threadId: 'thread-2', userId: 'bob' });
+  assert.equal(sync.lockHolder('thread-2').name, 'Bob');
+  assert.equal(sync.lock('thread-2'), false);
+  // Only the holder can release a lock
+  socket.listener({ type: SharedThreadMessage.UNLOCKED, threadId: 'thread-2', userId: 'carol' });
+  assert.equal(sync.lockHolder('thread-2').name, 'Bob');
+
+  hooks.get('userConnected')({ id: 'bob' }, false);
+  assert.equal(sync.lockHolder('thread-2'), null);
+});
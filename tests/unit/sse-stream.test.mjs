@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+
+const { readChatStream, splitSSEEvents } = await import('../../scripts/utils/sse-stream.js');
+
+function sseResponse(chunks) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) controller.enqueue(encoder.encode(chunk));
+      controller.close();
+    },
+  });
+  return new Response(body, { headers: { 'content-type': 'text/event-stream' } });
+}
+
+const frame = payload => `data: ${JSON.stringify(payload)}\n\n`;
+
+test('splitSSEEvents keeps unterminated events for the next read', () => {
+  const { events, rest } = splitSSEEvents('data: {"a":1}\r\n\r\n: ping\n\ndata: {"b"');
+  assert.deepEqual(events, ['{"a":1}']);
+  assert.equal(rest, 'data: {"b"');
+});
+
+test('readChatStream assembles content and tool call argument fragments', async () => {
+  const toolDelta = (index, fn, id) => ({
+    choices: [{ delta: { tool_calls: [{ index, ...(id ? { id } : {}), function: fn }] } }],
+  });
+  const payload = [
+    frame({ model: 'm', choices: [{ delta: { role: 'assistant', content: 'Hel' } }] }),
+    frame({ choices: [{ delta: { content: 'lo' } }] }),
+    frame(toolDelta(0, { name: 'document_read', arguments: '{"uuid":' }, 'call_a')),
+    frame(toolDelta(1, { name: 'end_loop', arguments: '{}' }, 'call_b')),
+    frame(toolDelta(0, { arguments: '"Actor.x"}' })),
+    frame({ choices: [{ delta: {}, finish_reason: 'tool_calls' }] }),
+    frame({ choices: [], usage: { prompt_tokens: 5, completion_tokens: 3 } }),
+    'data: [DONE]\n\n',
+  ].join('');
+
+  // Split mid-frame to exercise buffering across reads
+  const deltas = [];
+  const data = await readChatStream(sseResponse([payload.slice(0, 37), payload.slice(37)]), {
+    onDelta: delta => deltas.push(delta),
+  });
+
+  assert.deepEqual(deltas, [
+    { type: 'start' },
+    { type: 'content', text: 'Hel' },
+    { type: 'content', text: 'lo' },
+  ]);
+  assert.equal(data.model, 'm');
+  assert.deepEqual(data.usage, { prompt_tokens: 5, completion_tokens: 3 });
+  assert.equal(data.choices[0].finish_reason, 'tool_calls');
+  assert.equal(data.choices[0].message.content, 'Hello');
+  assert.deepEqual(
+    data.choices[0].message.tool_calls.map(call => [call.id, call.function]),
+    [
+      ['call_a', { name: 'document_read', arguments: '{"uuid":"Actor.x"}' }],
+      ['call_b', { name: 'end_loop', arguments: '{}' }],
+    ]
+  );
+});
+
+test('readChatStream surfaces cancellation as AbortError', async () => {
+  const controller = new AbortController();
+  const body = new ReadableStream({
+    start(stream) {
+      stream.enqueue(new TextEncoder().encode(frame({ choices: [{ delta: { content: 'x' } }] })));
+    },
+  });
+  const response = new Response(body, { headers: { 'content-type': 'text/event-stream' } });
+
+  const reading = readChatStream(response, {
+    signal: controller.signal,
+    onDelta: delta => delta.type === 'content' && controller.abort(),
+  });
+
+  await assert.rejects(reading, { name: 'AbortError' });
+});
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+
+const { encodingForModel, registerEncoding } = await import('../../scripts/utils/bpe-tokenizer.js');
+const { createDefaultTokenizer } = await import('../../scripts/utils/tokenizer.js');
+
+const loadRanks = name =>
+  JSON.parse(readFileSync(new URL(`../../assets/tokenizers/${name}.json`, import.meta.url)));
+// Foundry serves the rank tables in the browser; register them directly here
+const cl100k = registerEncoding(loadRanks('cl100k_base'));
+const o200k = registerEncoding(loadRanks('o200k_base'));
+
+test('models map to the o200k or cl100k encoding', () => {
+  assert.equal(encodingForModel('gpt-4o-mini'), 'o200k_base');
+  assert.equal(encodingForModel('openai/gpt-5-nano'), 'o200k_base');
+  assert.equal(encodingForModel('o3-mini'), 'o200k_base');
+  assert.equal(encodingForModel('gpt-4-turbo'), 'cl100k_base');
+  assert.equal(encodingForModel('qwen3:32b'), 'cl100k_base');
+  assert.equal(encodingForModel(null), 'cl100k_base');
+});
+
+test('bundled BPE ranks give tiktoken counts', () => {
+  const json = JSON.stringify({ name: 'Goblin', system: { attributes: { hp: { value: 7 } } } });
+
+  assert.equal(cl100k.countTokens('Hello world! This is a test.'), 8);
+  assert.equal(o200k.countTokens('Здравствуйте, 你好世界, こんにちは'), 8);
+  // Word counting saw one "word" here
+  assert.equal(cl100k.countTokens(json), 17);
+});
+
+test('approximate counts are calibrated from the reported prompt size', async () => {
+  const tokenizer = createDefaultTokenizer('llama3.3:70b');
+  assert.equal(await tokenizer.whenReady(), true);
+  assert.equal(tokenizer.isExact, false);
+
+  const messages = [{ role: 'user', content: 'Create a goblin warrior named Grunk.' }];
+  const counted = tokenizer.estimateMessagesTokens(messages);
+
+  assert.equal(tokenizer.calibrate(messages, null, counted * 2), true);
+  assert.equal(tokenizer.estimateMessagesTokens(messages), counted * 2);
+
+  const exact = createDefaultTokenizer('gpt-4.1');
+  await exact.whenReady();
+  assert.equal(exact.calibrate(messages, null, 999), false);
+});
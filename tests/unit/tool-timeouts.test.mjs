@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { call, FakeTool, runToolCalls, toolRegistry } from './fixtures/tool-loop.mjs';
+
+game.user = { isGM: true };
+
+/** Journal entries created through the DocumentAPI */
+const created = [];
+globalThis.CONFIG = {
+  JournalEntry: {
+    documentClass: {
+      create: async data => {
+        const doc = { ...data, id: data.name, uuid: `JournalEntry.${data.name}` };
+        doc.documentName = 'JournalEntry';
+        doc.toObject = () => ({ _id: doc.id, name: doc.name });
+        created.push(doc.name);
+        return doc;
+      },
+    },
+  },
+};
+
+const { DocumentAPI } = await import('../../scripts/core/document-api.js');
+const { undoJournal } = await import('../../scripts/core/undo-journal.js');
+
+/** Never finishes on its own, like a macro awaiting a dialog nobody answers */
+class HangingTool extends FakeTool {
+  signals = [];
+
+  execute(_params, { signal }) {
+    this.signals.push(signal);
+    return new Promise(() => {});
+  }
+}
+
+class FinishTool extends FakeTool {
+  async execute() {
+    return { content: 'done', _endLoop: true };
+  }
+}
+
+/** Creates a journal entry after a delay, whether or not it was told to stop */
+class SlowWriteTool extends FakeTool {
+  outcome = null;
+
+  async execute(_params, { recording }) {
+    await new Promise(resolve => setTimeout(resolve, this.delay));
+    try {
+      await DocumentAPI.createDocument('JournalEntry', { name: this.name }, { recording });
+      this.outcome = 'written';
+    } catch (error) {
+      this.outcome = error;
+    }
+    return { content: String(this.outcome) };
+  }
+}
+
+const hanging = new HangingTool('await_dialog', { timeout: 30 });
+const unbounded = new HangingTool('wait_forever', { timeout: 0 });
+const late = new SlowWriteTool('write_late', { timeout: 20, delay: 60 });
+const next = new SlowWriteTool('write_next', { timeout: 0, delay: 100 });
+for (const tool of [hanging, unbounded, late, next, new FinishTool('finish')]) {
+  toolRegistry.registerTool(tool);
+}
+
+test('a tool that runs past its time limit reports a timeout to the model', async () => {
+  const messages = [];
+  await runToolCalls([call('a', 'await_dialog'), call('b', 'finish')], messages);
+
+  const result = JSON.parse(messages.find(m => m.toolCallId === 'a').content);
+  assert.equal(result.error.type, 'TimeoutError');
+  assert.equal(result.error.timeout, 30);
+  assert.match(result.content, /await_dialog did not finish within 0\.03s/);
+  // The tool was told to stop
+  assert.equal(hanging.signals[0].aborted, true);
+});
+
+test('cancelling reaches the running tool and ends the call', async () => {
+  const controller = new AbortController();
+  const execution = toolRegistry.executeTool('wait_forever', {}, { signal: controller.signal });
+  setTimeout(() => controller.abort(), 10);
+
+  await assert.rejects(execution, { name: 'AbortError' });
+  assert.equal(unbounded.signals[0].aborted, true);
+  await assert.rejects(
+    toolRegistry.executeTool('wait_forever', {}, { signal: controller.signal }),
+    { name: 'AbortError' }
+  );
+});
+
+test('a timed-out tool cannot write, nor have writes credited to the next call', async () => {
+  const messages = [];
+  await runToolCalls(
+    [call('late', 'write_late'), call('next', 'write_next'), call('end', 'finish')],
+    messages
+  );
+
+  // write_late timed out at 20ms and tried to write at 60ms, while write_next was running
+  assert.equal(late.outcome.name, 'AbortError');
+  assert.equal(next.outcome, 'written');
+  assert.deepEqual(created, ['write_next']);
+  assert.equal(undoJournal.getEntry('late'), null);
+  assert.deepEqual(
+    undoJournal.getEntry('next').changes.map(change => change.name),
+    ['write_next']
+  );
+});
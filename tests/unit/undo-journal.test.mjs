@@ -0,0 +1,180 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+const flags = new Map();
+const world = new Map();
+globalThis.game = {
+  world: { id: 'world' },
+  user: {
+    getFlag: async (_scope, key) => flags.get(key),
+    setFlag: async (_scope, key, value) => flags.set(key, value),
+  },
+};
+globalThis.fromUuid = async uuid => world.get(uuid) ?? null;
+
+class FakeDocument {
+  constructor(documentName, data, parent = null) {
+    Object.assign(this, { documentName, data: structuredClone(data), parent, pack: null });
+    this.pages = [];
+    world.set(this.uuid, this);
+  }
+
+  get id() {
+    return this.data._id;
+  }
+
+  get name() {
+    return this.data.name;
+  }
+
+  get uuid() {
+    return `${this.parent ? `${this.parent.uuid}.` : ''}${this.documentName}.${this.id}`;
+  }
+
+  toObject() {
+    return { ...structuredClone(this.data), pages: this.pages.map(page => page.toObject()) };
+  }
+
+  static async create(data, options) {
+    assert.equal(options.keepId, true);
+    const doc = new FakeDocument('JournalEntry', data);
+    for (const page of data.pages ?? []) doc.pages.push(new FakeDocument('Page', page, doc));
+    return doc;
+  }
+
+  async createEmbeddedDocuments(documentName, data, options) {
+    assert.equal(options.keepId, true);
+    this.pages.push(...data.map(page => new FakeDocument(documentName, page, this)));
+  }
+
+  async update(changes) {
+    for (const [path, value] of Object.entries(changes)) {
+      const parts = path.split('.');
+      const leaf = parts.pop();
+      const parent = parts.reduce((object, part) => (object[part] ??= {}), this.data);
+      if (leaf.startsWith('-=')) delete parent[leaf.slice(2)];
+      else parent[leaf] = value;
+    }
+  }
+
+  async delete() {
+    world.delete(this.uuid);
+    if (this.parent) this.parent.pages = this.parent.pages.filter(page => page !== this);
+    for (const page of this.pages) world.delete(page.uuid);
+  }
+}
+globalThis.CONFIG = { JournalEntry: { documentClass: FakeDocument } };
+
+const { describeUndo, invertChanges, UndoJournal } =
+  await import('../../scripts/core/undo-journal.js');
+
+test('the inverse of an update restores changed fields and removes added ones', () => {
+  const before = { _id: 'a', name: 'Durnan', system: { hp: 30 }, flags: { core: { x: 1 } } };
+  assert.deepEqual(
+    invertChanges(before, {
+      _id: 'a',
+      name: 'Durnan the Wanderer',
+      'system.hp': 12,
+      flags: { core: { '-=x': null }, mod: { tag: 'npc' } },
+    }),
+    { name: 'Durnan', 'system.hp': 30, 'flags.core.x': 1, 'flags.-=mod': null }
+  );
+});
+
+test('a turn is undone newest change first, restoring deleted documents with their IDs', async () => {
+  const journal = new UndoJournal();
+  const tavern = new FakeDocument('JournalEntry', { _id: 'tavern', name: 'Yawning Portal' });
+  const page = new FakeDocument('Page', { _id: 'p1', name: 'Menu', text: 'Ale' }, tavern);
+  tavern.pages.push(page);
+  const guild = new FakeDocument('JournalEntry', { _id: 'guild', name: 'Guild' });
+  guild.pages.push(new FakeDocument('Page', { _id: 'p2', name: 'Ranks' }, guild));
+
+  await journal.record(
+    { toolCallId: 'call-1', toolName: 'update_document', turnId: 't1' },
+    async recording => {
+      const before = recording.snapshot(tavern);
+      await tavern.update({ name: 'The Portal' });
+      recording.updated(tavern, { name: 'The Portal' }, before);
+    }
+  );
+  await journal.record(
+    { toolCallId: 'call-2', toolName: 'delete_document', turnId: 't1' },
+    async recording => {
+      const before = [page, guild].map(doc => recording.snapshot(doc));
+      await Promise.all([page.delete(), guild.delete()]);
+      recording.deleted(page, before[0]);
+      recording.deleted(guild, before[1]);
+    }
+  );
+  await journal.record(
+    { toolCallId: 'call-3', toolName: 'create_document', turnId: 't1' },
+    recording => {
+      recording.created(new FakeDocument('JournalEntry', { _id: 'new', name: 'Notes' }));
+    }
+  );
+  await journal.record({ toolCallId: 'read', toolName: 'read_document', turnId: 't1' }, () => {});
+  assert.deepEqual(
+    journal.entries.map(entry => entry.toolCallId),
+    ['call-1', 'call-2', 'call-3']
+  );
+  assert.equal(flags.get('undoJournal:world').entries.length, 3);
+
+  const { entries, failures } = await journal.undoTurn();
+  assert.deepEqual(failures, []);
+  assert.equal(entries.length, 3);
+  assert.equal(world.has('JournalEntry.new'), false);
+  assert.equal(tavern.name, 'Yawning Portal');
+  assert.deepEqual(
+    tavern.pages.map(restored => restored.toObject()),
+    [{ _id: 'p1', name: 'Menu', text: 'Ale', pages: [] }]
+  );
+  assert.equal((await fromUuid('JournalEntry.guild')).pages[0].id, 'p2');
+  assert.match(describeUndo({ entries, failures }), /- created JournalEntry "Notes"/);
+
+  // Nothing is undone twice
+  assert.equal(journal.lastTurnId(), null);
+  assert.equal((await journal.undoLast()).entries.length, 0);
+});
+
+test('a change whose document is gone is reported and the rest still undone', async () => {
+  const journal = new UndoJournal();
+  const npc = new FakeDocument('JournalEntry', { _id: 'npc', name: 'Volo' });
+  await journal.record({ toolCallId: 'call', toolName: 'update_document' }, recording => {
+    recording.updated(npc, { name: 'Volothamp' }, recording.snapshot(npc));
+    recording.created(new FakeDocument('JournalEntry', { _id: 'extra', name: 'Extra' }));
+  });
+  await npc.delete();
+
+  const { failures } = await journal.undoToolCall('call');
+  assert.equal(failures.length, 1);
+  assert.match(failures[0], /updated JournalEntry "Volo": Volo no longer exists/);
+  assert.equal(world.has('JournalEntry.extra'), false);
+  assert.equal(journal.getEntry('call').undone, true);
+});
+
+test('document API writes are recorded only once they succeed', async () => {
+  const { DocumentAPI } = await import('../../scripts/core/document-api.js');
+  const { undoJournal } = await import('../../scripts/core/undo-journal.js');
+  const inn = new FakeDocument('JournalEntry', { _id: 'inn', name: 'Elfsong' });
+  inn.testUserPermission = () => true;
+  inn.delete = async () => {
+    throw new Error('The server refused');
+  };
+  game.collections = new Map([['JournalEntry', new Map([['inn', inn]])]]);
+  game.user.isGM = true;
+  globalThis.foundry ??= { utils: {} };
+
+  const call = { toolCallId: 'failed', toolName: 'delete_document' };
+  await assert.rejects(
+    undoJournal.record(call, recording =>
+      DocumentAPI.deleteDocument('JournalEntry', 'inn', { recording })
+    ),
+    /The server refused/
+  );
+  assert.equal(undoJournal.getEntry('failed'), null);
+
+  await undoJournal.record({ toolCallId: 'renamed', toolName: 'update_document' }, recording =>
+    DocumentAPI.updateDocument('JournalEntry', 'inn', { name: 'Elfsong Tavern' }, { recording })
+  );
+  assert.deepEqual(undoJournal.getEntry('renamed').changes[0].data, { name: 'Elfsong' });
+});
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+globalThis.FormApplication ??= class {};
+
+const { UsageLedger, parsePriceTable, findModelPrice, readUsage } =
+  await import('../../scripts/core/usage-ledger.js');
+
+test('price table lines accept prefix patterns and default the cached price to input', () => {
+  const table = parsePriceTable(
+    'gpt-4.1* = 2 / 8 / 0.5\\nclaude-sonnet-4-5 = 3 / 15 # list price\nnot a price line'
+  );
+
+  assert.deepEqual(table, [
+    { pattern: 'gpt-4.1*', input: 2, output: 8, cached: 0.5 },
+    { pattern: 'claude-sonnet-4-5', input: 3, output: 15, cached: 3 },
+  ]);
+  assert.equal(findModelPrice('gpt-4.1-mini', table).pattern, 'gpt-4.1*');
+  assert.equal(findModelPrice('llama3.3:70b', table), null);
+});
+
+test('readUsage ignores empty usage and clamps cached tokens to the prompt', () => {
+  assert.equal(readUsage(undefined), null);
+  assert.equal(readUsage({ prompt_tokens: 0, completion_tokens: 0 }), null);
+  assert.deepEqual(
+    readUsage({
+      prompt_tokens: 10,
+      completion_tokens: 2,
+      prompt_tokens_details: { cached_tokens: 40 },
+    }),
+    { promptTokens: 10, completionTokens: 2, cachedTokens: 10 }
+  );
+});
+
+test('requests add up per turn, per conversation and per day; clearing keeps the day', () => {
+  const prices = parsePriceTable('gpt-4.1 = 2 / 8 / 0.5');
+  const now = new Date(2026, 9, 19, 20, 30);
+  const ledger = new UsageLedger();
+
+  ledger.startTurn();
+  ledger.record(
+    {
+      prompt_tokens: 1_000_000,
+      completion_tokens: 0,
+      prompt_tokens_details: { cached_tokens: 500_000 },
+    },
+    { model: 'gpt-4.1', prices, now }
+  );
+  const turn = ledger.record(
+    { prompt_tokens: 0, completion_tokens: 250_000 },
+    { model: 'gpt-4.1', prices, now }
+  );
+  ledger.startTurn();
+  ledger.record({ prompt_tokens: 100, completion_tokens: 10 }, { model: 'local', prices, now });
+
+  assert.equal(turn.requests, 2);
+  assert.equal(turn.cost, 1 + 0.25 + 2);
+  assert.equal(ledger.turns.length, 2);
+  assert.equal(ledger.conversation.requests, 3);
+  assert.equal(ledger.conversation.unpricedRequests, 1);
+
+  const restored = UsageLedger.fromJSON(JSON.parse(JSON.stringify(ledger)));
+  restored.resetConversation();
+  assert.equal(restored.conversation.requests, 0);
+  assert.equal(restored.getDay(now).requests, 3);
+  assert.equal(restored.getDay(now).completionTokens, 250_010);
+});
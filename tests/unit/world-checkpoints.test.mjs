@@ -0,0 +1,201 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+let nextId = 0;
+globalThis.foundry = { utils: { randomID: () => `checkpoint${++nextId}` } };
+
+class FakeDocument {
+  static metadata = { embedded: {} };
+
+  constructor(data) {
+    this.data = structuredClone(data);
+  }
+
+  get id() {
+    return this.data._id;
+  }
+
+  toObject() {
+    return structuredClone(this.data);
+  }
+
+  async update(changes, options) {
+    assert.equal(options.recursive, false);
+    this.data = { ...this.data, ...structuredClone(changes) };
+  }
+
+  static async createDocuments(data, options) {
+    assert.equal(options.keepId, true);
+    for (const entry of data) world[this.documentName].set(entry._id, new this(entry));
+  }
+
+  static async deleteDocuments(ids) {
+    for (const id of ids) world[this.documentName].delete(id);
+  }
+}
+
+/** An actor keeps its items as embedded documents */
+class FakeActor extends FakeDocument {
+  static documentName = 'Actor';
+  static metadata = { embedded: { Item: 'items' } };
+
+  constructor(data) {
+    super({ ...data, items: [] });
+    this.items = new Map((data.items ?? []).map(item => [item._id, new FakeDocument(item)]));
+  }
+
+  toObject() {
+    return { ...super.toObject(), items: [...this.items.values()].map(item => item.toObject()) };
+  }
+
+  getEmbeddedCollection() {
+    return { contents: [...this.items.values()] };
+  }
+
+  async createEmbeddedDocuments(_name, data, options) {
+    assert.equal(options.keepId, true);
+    for (const item of data) this.items.set(item._id, new FakeDocument(item));
+  }
+
+  async deleteEmbeddedDocuments(_name, ids) {
+    for (const id of ids) this.items.delete(id);
+  }
+
+  async updateEmbeddedDocuments(_name, updates) {
+    for (const item of updates) await this.items.get(item._id).update(item, { recursive: false });
+  }
+}
+
+class FakeJournal extends FakeDocument {
+  static documentName = 'JournalEntry';
+}
+
+const world = { Actor: new Map(), JournalEntry: new Map() };
+const collection = documentName => ({
+  get contents() {
+    return [...world[documentName].values()];
+  },
+  get: id => world[documentName].get(id),
+});
+globalThis.game = {
+  world: { id: 'waterdeep' },
+  collections: new Map([
+    ['Actor', collection('Actor')],
+    ['JournalEntry', collection('JournalEntry')],
+  ]),
+};
+globalThis.CONFIG = {
+  Actor: { documentClass: FakeActor },
+  JournalEntry: { documentClass: FakeJournal },
+};
+
+class MemoryStore {
+  constructor() {
+    this.summaries = new Map();
+    this.snapshots = new Map();
+  }
+
+  async list(worldId) {
+    return [...this.summaries.values()].filter(summary => summary.worldId === worldId);
+  }
+
+  async read(id) {
+    return this.snapshots.get(id) ?? null;
+  }
+
+  async write(summary, json) {
+    this.summaries.set(summary.id, structuredClone(summary));
+    this.snapshots.set(summary.id, json);
+  }
+
+  async delete(id) {
+    this.summaries.delete(id);
+    this.snapshots.delete(id);
+  }
+}
+
+const { CheckpointStore, MAX_CHECKPOINTS, planRestore, WorldCheckpoints } =
+  await import('../../scripts/core/world-checkpoints.js');
+
+test('restoring a collection recreates, reverts and deletes, ignoring bookkeeping fields', () => {
+  const saved = [
+    { _id: 'a', name: 'Durnan', _stats: { modifiedTime: 1 } },
+    { _id: 'b', name: 'Volo' },
+    { _id: 'c', name: 'Laeral' },
+  ];
+  const current = [
+    { _id: 'a', name: 'Durnan', _stats: { modifiedTime: 2 } },
+    { _id: 'b', name: 'Volothamp' },
+    { _id: 'd', name: 'Xanathar' },
+  ];
+  assert.deepEqual(planRestore(saved, current), {
+    create: [{ _id: 'c', name: 'Laeral' }],
+    update: [{ _id: 'b', name: 'Volo' }],
+    remove: ['d'],
+  });
+});
+
+test('a checkpoint rolls the world back, embedded documents included', async () => {
+  const checkpoints = new WorldCheckpoints(new MemoryStore());
+  world.Actor.set(
+    'durnan',
+    new FakeActor({ _id: 'durnan', name: 'Durnan', items: [{ _id: 'sword', name: 'Sword' }] })
+  );
+  world.JournalEntry.set('portal', new FakeJournal({ _id: 'portal', name: 'Yawning Portal' }));
+
+  const checkpoint = await checkpoints.create('Before the heist');
+  assert.equal(checkpoint.label, 'Before the heist');
+  assert.deepEqual(checkpoint.counts, { Actor: 1, JournalEntry: 1 });
+
+  // The agent's task changes, deletes and creates documents
+  const durnan = world.Actor.get('durnan');
+  await durnan.update({ name: 'Durnan the Wanderer' }, { recursive: false });
+  await durnan.deleteEmbeddedDocuments('Item', ['sword']);
+  await durnan.createEmbeddedDocuments('Item', [{ _id: 'axe', name: 'Axe' }], { keepId: true });
+  world.JournalEntry.delete('portal');
+  world.JournalEntry.set('notes', new FakeJournal({ _id: 'notes', name: 'Heist Notes' }));
+
+  const result = await checkpoints.restore(checkpoint.id);
+  assert.deepEqual(result.failures, []);
+  assert.deepEqual(
+    { created: result.created, updated: result.updated, deleted: result.deleted },
+    { created: 1, updated: 1, deleted: 1 }
+  );
+  assert.equal(world.Actor.get('durnan').data.name, 'Durnan');
+  assert.deepEqual([...world.Actor.get('durnan').items.keys()], ['sword']);
+  assert.deepEqual([...world.JournalEntry.keys()], ['portal']);
+});
+
+test('checkpoints are listed newest first and the oldest are pruned', async () => {
+  const checkpoints = new WorldCheckpoints(new MemoryStore());
+  for (let index = 0; index <= MAX_CHECKPOINTS; index++) {
+    await checkpoints.create(`Checkpoint ${index}`);
+    // Distinct creation times
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+  const listed = await checkpoints.list();
+  assert.equal(listed.length, MAX_CHECKPOINTS);
+  assert.equal(listed[0].label, `Checkpoint ${MAX_CHECKPOINTS}`);
+  assert.equal(listed.at(-1).label, 'Checkpoint 1');
+
+  await checkpoints.delete(listed[0].id);
+  assert.equal((await checkpoints.list()).length, MAX_CHECKPOINTS - 1);
+  await assert.rejects(checkpoints.restore(listed[0].id), /not found/);
+});
+
+test('a save the browser aborts is reported as failed', async () => {
+  const quotaError = Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' });
+  const store = new CheckpointStore();
+  // The transaction aborts without a request failing, so only `onabort` fires
+  store._db = Promise.resolve({
+    transaction: () => {
+      const tx = { error: null, objectStore: () => ({ put: () => {} }) };
+      setTimeout(() => {
+        tx.error = quotaError;
+        tx.onabort();
+      });
+      return tx;
+    },
+  });
+  await assert.rejects(store.write({ id: 'big', worldId: 'world' }, '{}'), quotaError);
+});